@@ -0,0 +1,62 @@
+// Admin: manual score adjustments. They add to (or, when negative, take
+// from) a member's score in any leaderboard window containing them.
+//   GET  ?handle=                     list adjustments, newest first
+//   POST { handle, points, reason }   add an adjustment
+// Handles a member has since changed still find them.
+const {
+  addScoreAdjustment,
+  adminHandler,
+  listScoreAdjustments,
+  logAdminAction,
+  normalizeHandle,
+} = require("../../lib/admin");
+const { resolveHandle } = require("../../lib/identity");
+
+module.exports = adminHandler(
+  ["GET", "POST"],
+  async ({ req, res, supabase, actor }) => {
+    if (req.method === "GET") {
+      const handle = normalizeHandle((req.query || {}).handle);
+      let adjustments = [];
+      if (!handle) adjustments = await listScoreAdjustments(supabase);
+      else {
+        const user = await resolveHandle(supabase, handle);
+        if (user) adjustments = await listScoreAdjustments(supabase, user.id);
+      }
+      return res.status(200).json({ success: true, data: adjustments });
+    }
+
+    const body = req.body || {};
+    const handle = normalizeHandle(body.handle);
+    const points = Number(body.points);
+    const reason = String(body.reason || "").trim();
+
+    if (!handle || !reason || !Number.isFinite(points) || points === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Expected a handle, non-zero points and a reason",
+      });
+    }
+
+    const user = await resolveHandle(supabase, handle);
+    if (!user) {
+      return res
+        .status(404)
+        .json({ success: false, error: `Unknown member @${handle}` });
+    }
+
+    await logAdminAction(supabase, actor, "score.adjust", user.handle, {
+      points,
+      reason,
+    });
+    const adjustment = await addScoreAdjustment(supabase, {
+      userId: user.id,
+      handle: user.handle,
+      points,
+      reason,
+      actor,
+    });
+
+    res.status(201).json({ success: true, data: adjustment });
+  }
+);
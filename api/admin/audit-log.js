@@ -0,0 +1,13 @@
+// Admin: the most recent admin actions (?limit=), newest first
+const {
+  AUDIT_LOG_LIMIT,
+  adminHandler,
+  listAuditLog,
+  parseLimit,
+} = require("../../lib/admin");
+
+module.exports = adminHandler(["GET"], async ({ req, res, supabase }) => {
+  const limit = parseLimit((req.query || {}).limit, AUDIT_LOG_LIMIT);
+  const entries = await listAuditLog(supabase, limit);
+  res.status(200).json({ success: true, data: entries });
+});
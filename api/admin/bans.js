@@ -0,0 +1,55 @@
+// Admin: ban members from the leaderboard and lift bans.
+//   GET                              list banned members
+//   POST   { handle, reason }        ban a member
+//   DELETE { handle } or ?handle=    lift a ban
+// Handles a member has since changed still find them.
+const {
+  adminHandler,
+  listBans,
+  logAdminAction,
+  normalizeHandle,
+  setBan,
+} = require("../../lib/admin");
+const { resolveHandle } = require("../../lib/identity");
+
+module.exports = adminHandler(
+  ["GET", "POST", "DELETE"],
+  async ({ req, res, supabase, actor }) => {
+    if (req.method === "GET") {
+      const bans = await listBans(supabase);
+      return res.status(200).json({ success: true, data: bans });
+    }
+
+    const body = req.body || {};
+    const handle = normalizeHandle(body.handle || (req.query || {}).handle);
+    const reason = String(body.reason || "").trim();
+
+    if (!handle) {
+      return res.status(400).json({ success: false, error: "Missing handle" });
+    }
+    if (req.method === "POST" && !reason) {
+      return res
+        .status(400)
+        .json({ success: false, error: "A ban needs a reason" });
+    }
+
+    const member = await resolveHandle(supabase, handle);
+    if (!member) {
+      return res
+        .status(404)
+        .json({ success: false, error: `Unknown member @${handle}` });
+    }
+
+    const banned = req.method === "POST";
+    await logAdminAction(
+      supabase,
+      actor,
+      banned ? "member.ban" : "member.unban",
+      member.handle,
+      banned ? { reason } : {}
+    );
+    const user = await setBan(supabase, member.id, banned ? reason : null);
+
+    res.status(200).json({ success: true, data: user });
+  }
+);
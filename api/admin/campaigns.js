@@ -0,0 +1,64 @@
+// Admin: campaigns (see lib/campaigns.js).
+//   GET                                         every campaign, newest first
+//   POST { slug, name, description, hashtags, keywords, mentions,
+//          startsAt, endsAt }                   create or replace a campaign
+//   DELETE ?slug=                               remove a campaign
+// Saving re-tags every stored tweet in the campaign's range, so changed
+// rules apply to the whole campaign at once.
+const { adminHandler, logAdminAction } = require("../../lib/admin");
+const {
+  deleteCampaign,
+  describeCampaign,
+  getCampaign,
+  listCampaigns,
+  parseCampaign,
+  saveCampaign,
+} = require("../../lib/campaigns");
+
+module.exports = adminHandler(
+  ["GET", "POST", "DELETE"],
+  async ({ req, res, supabase, actor }) => {
+    if (req.method === "GET") {
+      const campaigns = await listCampaigns(supabase);
+      return res
+        .status(200)
+        .json({
+          success: true,
+          data: campaigns.map((c) => describeCampaign(c)),
+        });
+    }
+
+    if (req.method === "DELETE") {
+      const slug = String((req.query || {}).slug || "");
+      if (!(await getCampaign(supabase, slug))) {
+        return res
+          .status(404)
+          .json({ success: false, error: `Unknown campaign "${slug}"` });
+      }
+      await logAdminAction(supabase, actor, "campaign.delete", slug);
+      const deleted = await deleteCampaign(supabase, slug);
+      return res.status(200).json({ success: true, data: deleted });
+    }
+
+    let definition;
+    try {
+      definition = parseCampaign(req.body || {});
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    await logAdminAction(
+      supabase,
+      actor,
+      "campaign.save",
+      definition.slug,
+      definition
+    );
+    const { campaign, tweets } = await saveCampaign(supabase, definition);
+
+    res.status(200).json({
+      success: true,
+      data: { ...describeCampaign(campaign), tweets },
+    });
+  }
+);
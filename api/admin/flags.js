@@ -0,0 +1,56 @@
+// Admin: the spam and farming review queue.
+//   GET  ?status=pending|confirmed|dismissed|all&limit=   flags, newest first
+//   POST { id, status: "confirmed" | "dismissed" }        review a flag
+// Confirmed and pending flags keep costing the tweet points; dismissed
+// ones stop counting.
+const { adminHandler, logAdminAction, parseLimit } = require("../../lib/admin");
+const {
+  FLAG_QUEUE_LIMIT,
+  FLAG_STATUSES,
+  getFlag,
+  listFlags,
+  reviewFlag,
+} = require("../../lib/flags");
+
+module.exports = adminHandler(
+  ["GET", "POST"],
+  async ({ req, res, supabase, actor }) => {
+    if (req.method === "GET") {
+      const query = req.query || {};
+      const status = query.status || "pending";
+      if (status !== "all" && !FLAG_STATUSES.includes(status)) {
+        return res
+          .status(400)
+          .json({ success: false, error: `Unknown status "${status}"` });
+      }
+      const flags = await listFlags(supabase, {
+        status: status === "all" ? null : status,
+        limit: parseLimit(query.limit, FLAG_QUEUE_LIMIT),
+      });
+      return res.status(200).json({ success: true, data: flags });
+    }
+
+    const { id, status } = req.body || {};
+    if (!id || !["confirmed", "dismissed"].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Expected a flag id and a status of "confirmed" or "dismissed"',
+      });
+    }
+
+    const flagged = await getFlag(supabase, id);
+    if (!flagged) {
+      return res
+        .status(404)
+        .json({ success: false, error: `Unknown flag ${id}` });
+    }
+
+    await logAdminAction(supabase, actor, `flag.${status}`, flagged.tweet_id, {
+      flagId: flagged.id,
+      reason: flagged.reason,
+    });
+    const flag = await reviewFlag(supabase, id, status, actor);
+
+    res.status(200).json({ success: true, data: flag });
+  }
+);
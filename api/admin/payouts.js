@@ -0,0 +1,95 @@
+// Admin: reward pool payouts (see lib/rewards.js).
+//   GET  ?limit=                          saved payouts, newest first
+//   GET  ?name=&format=json|csv           one payout, as JSON or a CSV file
+//   POST { name, pool, window | from | to, top, minScore, curve, tiers,
+//          preview }                      allocate the pool over the board
+//                                         of a window and save the payout
+// Allocations include each member's linked wallet address (null if none).
+// With `preview: true` the allocation is returned but not saved. Saved
+// payouts can't be changed; a name can only be used once.
+const { adminHandler, logAdminAction, parseLimit } = require("../../lib/admin");
+const { buildLeaderboard } = require("../../lib/leaderboard");
+const {
+  PAYOUTS_LIMIT,
+  buildPayout,
+  getPayout,
+  listPayouts,
+  parseAllocationRequest,
+  payoutToCsv,
+  savePayout,
+} = require("../../lib/rewards");
+const { attachWallets } = require("../../lib/wallets");
+
+module.exports = adminHandler(
+  ["GET", "POST"],
+  async ({ req, res, supabase, actor }) => {
+    if (req.method === "GET") {
+      const query = req.query || {};
+      if (!query.name) {
+        const payouts = await listPayouts(
+          supabase,
+          parseLimit(query.limit, PAYOUTS_LIMIT)
+        );
+        return res.status(200).json({ success: true, data: payouts });
+      }
+
+      const payout = await getPayout(supabase, query.name);
+      if (!payout) {
+        return res
+          .status(404)
+          .json({ success: false, error: `Unknown payout "${query.name}"` });
+      }
+      if (query.format === "csv") {
+        res.setHeader("Content-Type", "text/csv; charset=utf-8");
+        res.setHeader(
+          "Content-Disposition",
+          `attachment; filename="payout-${payout.id}.csv"`
+        );
+        return res.status(200).send(payoutToCsv(payout));
+      }
+      return res.status(200).json({ success: true, data: payout });
+    }
+
+    const body = req.body || {};
+    let request;
+    try {
+      request = parseAllocationRequest(body);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    const { members } = await buildLeaderboard(supabase, request.range);
+    const payout = buildPayout(request, members);
+    payout.allocations = await attachWallets(supabase, payout.allocations);
+
+    if (body.preview) {
+      return res
+        .status(200)
+        .json({ success: true, preview: true, data: payout });
+    }
+
+    if (payout.allocations.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "No eligible members to pay in this window",
+      });
+    }
+
+    const taken = () =>
+      res.status(409).json({
+        success: false,
+        error: `A payout named "${payout.name}" already exists`,
+      });
+    if (await getPayout(supabase, payout.name)) return taken();
+
+    await logAdminAction(supabase, actor, "payout.create", payout.name, {
+      pool: payout.pool,
+      curve: payout.curve,
+      members: payout.allocations.length,
+    });
+    const saved = await savePayout(supabase, payout, actor);
+    if (!saved) return taken();
+
+    res.status(201).json({ success: true, data: saved });
+  }
+);
@@ -0,0 +1,9 @@
+// Admin: the most recent sync runs (?limit=), newest first
+const { adminHandler, parseLimit } = require("../../lib/admin");
+const { SYNC_RUNS_LIMIT, listSyncRuns } = require("../../lib/sync");
+
+module.exports = adminHandler(["GET"], async ({ req, res, supabase }) => {
+  const limit = parseLimit((req.query || {}).limit, SYNC_RUNS_LIMIT);
+  const runs = await listSyncRuns(supabase, limit);
+  res.status(200).json({ success: true, data: runs });
+});
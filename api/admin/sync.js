@@ -0,0 +1,52 @@
+// Admin: run a community sync now. Takes the same maxPages / since /
+// cursor / refreshDays options as the cron sync, in the JSON body or query
+// string.
+const { adminHandler, logAdminAction } = require("../../lib/admin");
+const { SERVERLESS_TIME_BUDGET_SECONDS } = require("../../lib/http");
+const { sourceFromEnv } = require("../../lib/sources");
+const { parseSyncOptions, runLoggedSync } = require("../../lib/sync");
+
+module.exports = adminHandler(
+  ["POST"],
+  async ({ req, res, supabase, actor }) => {
+    let source;
+    try {
+      source = sourceFromEnv(process.env, {
+        timeBudgetSeconds: SERVERLESS_TIME_BUDGET_SECONDS,
+      });
+    } catch (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    const params = { ...req.query, ...req.body };
+    let options;
+    try {
+      options = parseSyncOptions(params);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    // Logged before running so a sync that times out is still on record
+    const { maxPages, since, cursor, refreshDays } = params;
+    await logAdminAction(supabase, actor, "sync.trigger", null, {
+      maxPages,
+      since,
+      cursor,
+      refreshDays,
+    });
+
+    const { runId, status, stats } = await runLoggedSync(
+      supabase,
+      { source, ...options },
+      `admin:${actor}`
+    );
+
+    res.status(200).json({
+      success: true,
+      runId,
+      status,
+      stats,
+      timestamp: new Date().toISOString(),
+    });
+  }
+);
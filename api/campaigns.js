@@ -0,0 +1,90 @@
+// Serverless function for campaigns (see lib/campaigns.js). Without a slug
+// it lists every campaign with its status; ?slug= returns that campaign's
+// leaderboard, with the same ?page=&pageSize=&sort=&order=&q=&hideFlagged=
+// as get-leaderboard.
+const { parseBoardQuery, viewBoard } = require('../lib/board-view');
+const {
+  buildCampaignLeaderboard,
+  describeCampaign,
+  getCampaign,
+  listCampaigns
+} = require('../lib/campaigns');
+const { storageFromEnv } = require('../lib/storage');
+
+module.exports = async (req, res) => {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const query = req.query || {};
+  let view;
+  try {
+    view = parseBoardQuery(query);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  try {
+    let supabase;
+    try {
+      supabase = storageFromEnv();
+    } catch (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    if (!query.slug) {
+      const campaigns = await listCampaigns(supabase);
+      return res.status(200).json({
+        success: true,
+        data: campaigns.map((c) => describeCampaign(c)),
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const campaign = await getCampaign(supabase, query.slug);
+    if (!campaign) {
+      return res
+        .status(404)
+        .json({ success: false, error: `Unknown campaign "${query.slug}"` });
+    }
+
+    const { members, totals } = await buildCampaignLeaderboard(
+      supabase,
+      campaign
+    );
+    const { data, total, page, pageSize, pageCount } = viewBoard(members, view);
+
+    res.status(200).json({
+      success: true,
+      campaign: describeCampaign(campaign),
+      data,
+      page,
+      pageSize,
+      pageCount,
+      sort: view.sort,
+      order: view.order,
+      q: view.q,
+      hideFlagged: view.hideFlagged,
+      total,
+      totals,
+      totalUsers: members.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Campaign error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch campaigns',
+      timestamp: new Date().toISOString()
+    });
+  }
+};
@@ -1,5 +1,9 @@
 // Serverless function to fetch leaderboard data from Supabase
-const { createClient } = require('@supabase/supabase-js');
+const { parseBoardQuery, viewBoard } = require('../lib/board-view');
+const { attachRecentTweets, buildLeaderboard } = require('../lib/leaderboard');
+const { applyMovement, readPreviousSnapshot } = require('../lib/snapshots');
+const { storageFromEnv } = require('../lib/storage');
+const { describeWindow, resolveWindow } = require('../lib/windows');
 
 module.exports = async (req, res) => {
   // Set CORS headers
@@ -16,56 +20,58 @@ module.exports = async (req, res) => {
   }
 
   try {
-    const SUPABASE_URL = process.env.SUPABASE_URL;
-    const SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY;
-
-    if (!SUPABASE_URL || !SUPABASE_ANON_KEY) {
-      return res.status(500).json({ error: 'Missing Supabase configuration' });
+    let supabase;
+    try {
+      supabase = storageFromEnv();
+    } catch (error) {
+      return res.status(500).json({ error: error.message });
     }
 
-    const supabase = createClient(SUPABASE_URL, SUPABASE_ANON_KEY);
-
-    // Fetch users with their recent tweets, ordered by likes
-    const { data: users, error: usersError } = await supabase
-      .from('users')
-      .select('*')
-      .order('total_likes', { ascending: false });
+    // ?window=7d|30d|season|all, or an explicit ?from=&to= range, plus
+    // ?page=&pageSize=&sort=&order=&q=&hideFlagged= for the slice of the
+    // board to return
+    let range, view;
+    try {
+      range = resolveWindow(req.query || {});
+      view = parseBoardQuery(req.query || {});
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
 
-    if (usersError) throw usersError;
+    // Rank members from the tweets inside the window
+    const { members: leaderboard, totals } = await buildLeaderboard(
+      supabase,
+      range
+    );
 
-    // For each user, fetch their recent 5 tweets
-    const leaderboard = await Promise.all(
-      users.map(async (user, index) => {
-        const { data: recentTweets } = await supabase
-          .from('tweets')
-          .select('*')
-          .eq('user_handle', user.handle)
-          .order('tweet_date', { ascending: false })
-          .limit(5);
+    // Snapshots hold all-time ranks, so movement only applies there
+    const previous = range.name === 'all'
+      ? await readPreviousSnapshot(supabase)
+      : null;
+    applyMovement(leaderboard, previous);
 
-        return {
-          rank: index + 1,
-          name: user.name,
-          handle: `@${user.handle}`,
-          avatarUrl: user.avatar || '',
-          avatarColor: '#3b82f6',
-          tweets: user.total_tweets,
-          likes: user.total_likes,
-          rts: user.total_retweets,
-          score: user.total_likes + user.total_retweets * 2 + user.total_tweets * 5,
-          recentTweets: (recentTweets || []).map(tweet => ({
-            text: tweet.text,
-            date: new Date(tweet.tweet_date).toLocaleDateString(),
-            likes: tweet.likes,
-            retweets: tweet.retweets,
-          }))
-        };
-      })
+    // Only the members on the page get their tweets loaded, unless the
+    // caller asked for every one with ?page=all
+    const { data, total, page, pageSize, pageCount } = viewBoard(
+      leaderboard,
+      view
     );
+    await attachRecentTweets(supabase, data);
 
     res.status(200).json({
       success: true,
-      data: leaderboard,
+      data,
+      page,
+      pageSize,
+      pageCount,
+      sort: view.sort,
+      order: view.order,
+      q: view.q,
+      hideFlagged: view.hideFlagged,
+      total,
+      window: describeWindow(range),
+      totals,
+      comparedTo: previous ? previous.takenAt.toISOString() : null,
       timestamp: new Date().toISOString(),
       totalUsers: leaderboard.length,
       source: 'supabase'
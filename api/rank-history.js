@@ -0,0 +1,52 @@
+// Serverless function returning a member's rank over time (?handle=name,
+// current or old)
+const { resolveHandle } = require('../lib/identity');
+const { readRankHistory } = require('../lib/snapshots');
+const { storageFromEnv } = require('../lib/storage');
+
+module.exports = async (req, res) => {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const handle = ((req.query || {}).handle || '').replace(/^@/, '');
+  if (!handle) {
+    return res.status(400).json({ success: false, error: 'Missing handle' });
+  }
+
+  try {
+    let supabase;
+    try {
+      supabase = storageFromEnv();
+    } catch (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    const user = await resolveHandle(supabase, handle);
+    const history = user ? await readRankHistory(supabase, user.id) : [];
+
+    res.status(200).json({
+      success: true,
+      handle: `@${user ? user.handle : handle}`,
+      data: history,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Fetch error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch rank history',
+      timestamp: new Date().toISOString()
+    });
+  }
+};
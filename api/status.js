@@ -0,0 +1,47 @@
+// Serverless function reporting how fresh the data is: the last successful
+// sync, the latest run and a health of "ok", "degraded" or "stale" (see
+// readSyncStatus in lib/sync.js). SYNC_STALE_HOURS sets when the data
+// counts as stale.
+const { parseStaleHours, readSyncStatus } = require('../lib/sync');
+const { storageFromEnv } = require('../lib/storage');
+
+module.exports = async (req, res) => {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    let supabase;
+    let staleAfterHours;
+    try {
+      supabase = storageFromEnv();
+      staleAfterHours = parseStaleHours();
+    } catch (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    const status = await readSyncStatus(supabase, { staleAfterHours });
+
+    res.status(200).json({
+      success: true,
+      ...status,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Status error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch sync status',
+      timestamp: new Date().toISOString()
+    });
+  }
+};
@@ -0,0 +1,114 @@
+// Serverless function returning one member's profile: /api/user/:handle
+// with ?page=&pageSize= for their tweet history. The first page also
+// carries the member's all-time stats and their activity summary; later
+// pages only the tweets, for infinite scroll. The rank in the stats is the
+// member's rank in the latest snapshot (lib/snapshots.js). A handle the
+// member has since changed redirects (308) to the same request under the
+// current one.
+const { resolveHandle } = require('../../lib/identity');
+const { readBoardMember } = require('../../lib/leaderboard');
+const {
+  parseTweetsQuery,
+  readActivity,
+  readTweetsPage
+} = require('../../lib/profile');
+const { storageFromEnv } = require('../../lib/storage');
+
+module.exports = async (req, res) => {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const query = req.query || {};
+  const handle = (query.handle || '').replace(/^@/, '');
+  if (!handle) {
+    return res.status(400).json({ success: false, error: 'Missing handle' });
+  }
+
+  try {
+    let supabase;
+    try {
+      supabase = storageFromEnv();
+    } catch (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    const user = await resolveHandle(supabase, handle);
+    if (!user) {
+      return res
+        .status(404)
+        .json({ success: false, error: `No member @${handle}` });
+    }
+
+    // Links may use any case, but an old handle moves to the current one
+    if (user.handle.toLowerCase() !== handle.toLowerCase()) {
+      const params = new URLSearchParams(query);
+      params.delete('handle');
+      const search = params.toString();
+      res.setHeader(
+        'Location',
+        `/api/user/${encodeURIComponent(user.handle)}` +
+          (search ? `?${search}` : '')
+      );
+      return res.status(308).json({
+        success: false,
+        error: `@${handle} is now @${user.handle}`,
+        handle: `@${user.handle}`
+      });
+    }
+
+    const { page, pageSize } = parseTweetsQuery(query);
+
+    // Later pages only need the tweets, for infinite scroll
+    if (page > 1) {
+      const tweets = await readTweetsPage(supabase, user.id, {
+        page,
+        pageSize
+      });
+      return res.status(200).json({
+        success: true,
+        handle: `@${user.handle}`,
+        ...tweets,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Only members on the leaderboard have a profile
+    const member = await readBoardMember(supabase, user.id);
+    if (!member) {
+      return res
+        .status(404)
+        .json({ success: false, error: `No member @${handle}` });
+    }
+
+    const tweets = await readTweetsPage(supabase, user.id, { page, pageSize });
+    const { bestTweets, ...activity } = await readActivity(supabase, user.id);
+
+    res.status(200).json({
+      success: true,
+      handle: member.handle,
+      member,
+      activity,
+      bestTweets,
+      ...tweets,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Fetch error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch profile',
+      timestamp: new Date().toISOString()
+    });
+  }
+};
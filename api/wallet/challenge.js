@@ -0,0 +1,85 @@
+// Serverless function starting and tracking a wallet link (lib/wallets.js)
+//   POST { handle, address }   new code for the member to post in the
+//                              community, for linking `address`
+//   GET  ?code=       where that link stands
+const { storageFromEnv } = require('../../lib/storage');
+const {
+  createChallenge,
+  describeChallenge,
+  isAddress,
+  normalizeCode,
+  readChallenge
+} = require('../../lib/wallets');
+
+module.exports = async (req, res) => {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  // Status changes as the sync runs
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    let supabase;
+    try {
+      supabase = storageFromEnv();
+    } catch (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    if (req.method === 'GET') {
+      const code = normalizeCode((req.query || {}).code);
+      if (!code) {
+        return res.status(400).json({ success: false, error: 'Invalid code' });
+      }
+      const challenge = await readChallenge(supabase, code);
+      if (!challenge) {
+        return res
+          .status(404)
+          .json({ success: false, error: `Unknown code ${code}` });
+      }
+      return res
+        .status(200)
+        .json({ success: true, data: describeChallenge(challenge) });
+    }
+
+    const body = req.body || {};
+    const handle = String(body.handle || '')
+      .trim()
+      .replace(/^@/, '');
+    if (!handle) {
+      return res.status(400).json({ success: false, error: 'Missing handle' });
+    }
+    if (!isAddress(body.address)) {
+      return res
+        .status(400)
+        .json({ success: false, error: 'Missing or invalid wallet address' });
+    }
+
+    const challenge = await createChallenge(supabase, handle, body.address);
+    if (!challenge) {
+      return res.status(404).json({
+        success: false,
+        error: `No community member @${handle}`
+      });
+    }
+
+    res.status(201).json({ success: true, data: describeChallenge(challenge) });
+  } catch (error) {
+    console.error('Wallet challenge error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Wallet challenge failed',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
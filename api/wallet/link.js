@@ -0,0 +1,101 @@
+// Serverless function finishing a wallet link: POST { code, address,
+// signature } once the code's tweet has been seen. `address` must be the
+// wallet the code was issued for, and the signature a personal_sign by it
+// over lib/wallet-message.js's message.
+const { storageFromEnv } = require('../../lib/storage');
+const {
+  challengeStatus,
+  describeChallenge,
+  isAddress,
+  normalizeCode,
+  readChallenge,
+  saveWalletLink,
+  verifyLinkSignature
+} = require('../../lib/wallets');
+
+// Why a challenge in each state can't be signed for
+const NOT_SIGNABLE = {
+  awaiting_tweet: [409, "We haven't seen the code posted yet"],
+  expired: [410, 'This code has expired; start again for a new one'],
+  linked: [409, 'This code has already been used']
+};
+
+module.exports = async (req, res) => {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const body = req.body || {};
+  const code = normalizeCode(body.code);
+  if (!code || !isAddress(body.address) || !body.signature) {
+    return res.status(400).json({
+      success: false,
+      error: 'Expected a code, a wallet address and a signature'
+    });
+  }
+
+  try {
+    let supabase;
+    try {
+      supabase = storageFromEnv();
+    } catch (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    const challenge = await readChallenge(supabase, code);
+    if (!challenge) {
+      return res
+        .status(404)
+        .json({ success: false, error: `Unknown code ${code}` });
+    }
+
+    const status = challengeStatus(challenge);
+    if (NOT_SIGNABLE[status]) {
+      const [statusCode, error] = NOT_SIGNABLE[status];
+      return res.status(statusCode).json({ success: false, error });
+    }
+
+    if (
+      !challenge.address ||
+      challenge.address.toLowerCase() !== body.address.toLowerCase()
+    ) {
+      return res.status(403).json({
+        success: false,
+        error: 'This code was issued for a different wallet'
+      });
+    }
+
+    const address = verifyLinkSignature(
+      challenge,
+      body.address,
+      body.signature
+    );
+    if (!address) {
+      return res.status(400).json({
+        success: false,
+        error: 'The signature does not match this wallet'
+      });
+    }
+
+    const linked = await saveWalletLink(supabase, challenge, address);
+    res.status(200).json({ success: true, data: describeChallenge(linked) });
+  } catch (error) {
+    console.error('Wallet link error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Wallet link failed',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
@@ -0,0 +1,11 @@
+// Shared by webpack (babel-loader) and Jest (babel-jest). Tests run on the
+// local Node, so they skip the browser transforms.
+module.exports = (api) => {
+  const test = api.env('test');
+  return {
+    presets: [
+      ['@babel/preset-env', test ? { targets: { node: 'current' } } : {}],
+      '@babel/preset-react',
+    ],
+  };
+};
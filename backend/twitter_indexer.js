@@ -1,134 +1,553 @@
 // THIS IS A SERVER-SIDE SCRIPT
-// Run with: node backend/twitter_indexer.js
-// Requires: npm install axios
+// Command-line tools for the leaderboard. Everything here reads and writes
+// the same database as the serverless functions (Supabase, or a local
+// SQLite file with STORAGE=sqlite, see lib/storage), and syncs through the
+// same pipeline (lib/sync.js), so cron, CI and local runs all produce the
+// same data.
+//
+//   node backend/twitter_indexer.js <command> [options]
+//
+//   sync [--max-pages=<n|all>] [--refresh-days=<n>] [--cursor=<cursor>]
+//       Read new tweets into Supabase, like the cron sync
+//   backfill --since=<date> [--max-pages=<n|all>]
+//       Read every page of the feed back to a date
+//   recompute-scores
+//       Rebuild every member's totals and spam flags from the tweets table,
+//       e.g. after changing config/flags.json
+//   export [--format=json|csv] [--window=<name> | --from=<date> --to=<date>]
+//          [--out=<file>]
+//       Write the whole board. JSON goes to public/api/users.json (the
+//       app's fallback when the API is down) and CSV to stdout, unless
+//       --out names a file ("-" for stdout)
+//   snapshot
+//       Record everyone's current all-time rank
+//   merge-users
+//       Look up the X ids of members stored before ids were tracked, from
+//       a few of their tweets, and merge the rows of those who renamed
+//       (see lib/identity.js). Run once after the 0013_user_ids migration
+//   doctor
+//       Check the configuration and the database. Makes no tweet API calls.
+//   migrate [--to=<version>] [--status] [--database=<url>]
+//       Apply the pending db/migrations (see lib/migrate.js), or list them
+//       with --status. The database is --database or DATABASE_URL, a
+//       postgres:// connection string (Supabase shows it under Project
+//       Settings → Database) or sqlite:<file>; with STORAGE=sqlite it
+//       defaults to that file
+//
+// sync, backfill, recompute-scores and merge-users rewrite
+// public/api/users.json when
+// they're done; pass --no-export to skip that. Settings come from .env (see
+// .env.example), and the options above override MAX_PAGES, SINCE and
+// REFRESH_WINDOW_DAYS. Exits with status 1 when the command fails.
 
-require("dotenv").config(); // Load environment variables
-const axios = require("axios");
+require("dotenv").config({ quiet: true }); // Load environment variables
 const fs = require("fs");
 const path = require("path");
+const { parseAdminTokens } = require("../lib/auth");
+const {
+  readCheckpoint,
+  readResumePoint,
+  recomputeUserTotals,
+  selectAll,
+} = require("../lib/db");
+const {
+  exportBoard,
+  formatBoard,
+  parseExportFormat,
+} = require("../lib/export");
+const { detectAndSaveFlags, loadFlagRules } = require("../lib/flags");
+const { httpOptionsFromEnv } = require("../lib/http");
+const { legacyId, mergeLegacyUsers } = require("../lib/identity");
+const { buildLeaderboard } = require("../lib/leaderboard");
+const { openDatabase, readMigrations } = require("../lib/migrate");
+const { loadScoringConfig } = require("../lib/scoring");
+const { recordSnapshot } = require("../lib/snapshots");
+const { sourceFromEnv } = require("../lib/sources");
+const { DEFAULT_SQLITE_FILE, storageFromEnv } = require("../lib/storage");
+const {
+  parseStaleHours,
+  parseSyncOptions,
+  readSyncStatus,
+  runLoggedSync,
+  settleRun,
+} = require("../lib/sync");
+const { describeWindow, resolveWindow } = require("../lib/windows");
 
-// 1. Your API Key from environment
-const API_KEY = process.env.API_KEY;
+const DEFAULT_EXPORT_PATH = path.join(__dirname, "../public/api/users.json");
 
-// 2. Your Community ID from environment
-const COMMUNITY_ID = process.env.COMMUNITY_ID;
+const USAGE = `Usage: node backend/twitter_indexer.js <command> [options]
 
-// Validate required environment variables
-if (!API_KEY || !COMMUNITY_ID) {
-  console.error(
-    "❌ Missing required environment variables: API_KEY or COMMUNITY_ID"
+Commands:
+  sync [--max-pages=<n|all>] [--refresh-days=<n>] [--cursor=<cursor>]
+  backfill --since=<date> [--max-pages=<n|all>]
+  recompute-scores
+  export [--format=json|csv] [--window=<name> | --from=<date> --to=<date>] [--out=<file>]
+  snapshot
+  merge-users
+  doctor
+  migrate [--to=<version>] [--status] [--database=<url>]`;
+
+// Option values: --name=value, --name value, or "" for a bare --name
+const getArg = (args, name) => {
+  const index = args.findIndex(
+    (a) => a === `--${name}` || a.startsWith(`--${name}=`)
   );
-  process.exit(1);
+  if (index === -1) return undefined;
+  const arg = args[index];
+  // Values can hold "=" themselves, like base64 cursors
+  if (arg.includes("=")) return arg.slice(arg.indexOf("=") + 1);
+  const next = args[index + 1];
+  return next && !next.startsWith("--") ? next : "";
+};
+
+const hasFlag = (args, name) => getArg(args, name) !== undefined;
+
+// Who started a sync, for sync_runs.trigger
+const syncTrigger = () => (process.env.GITHUB_ACTIONS ? "ci" : "cli");
+
+// Write the all-time board to `out` ("-" for stdout)
+async function writeExport(supabase, { format, range, out }) {
+  const members = await exportBoard(supabase, range);
+  const contents = formatBoard(members, format);
+  if (out === "-") {
+    process.stdout.write(contents);
+    return members;
+  }
+  fs.mkdirSync(path.dirname(out), { recursive: true });
+  fs.writeFileSync(out, contents);
+  console.log(`💾 Saved ${members.length} members to ${out}`);
+  return members;
 }
 
-const COMMUNITY_URL = "https://api.twitterapi.io/twitter/community/tweets";
+// The static users.json, unless --no-export
+async function refreshStaticBoard(supabase, args) {
+  if (hasFlag(args, "no-export")) return;
+  await writeExport(supabase, {
+    format: "json",
+    range: resolveWindow(),
+    out: DEFAULT_EXPORT_PATH,
+  });
+}
+
+async function sync(args, { backfill = false } = {}) {
+  const source = sourceFromEnv();
+  const options = parseSyncOptions({
+    maxPages:
+      getArg(args, "max-pages") ??
+      process.env.MAX_PAGES ??
+      (backfill ? "all" : undefined),
+    since: getArg(args, "since"),
+    cursor: getArg(args, "cursor"),
+    refreshDays: getArg(args, "refresh-days"),
+  });
+  if (backfill && !options.since) {
+    throw new Error("backfill needs --since=<date> (e.g. 2025-01-01)");
+  }
+  const supabase = storageFromEnv();
+
+  console.log(`📡 Syncing community tweets from ${source.name}...`);
+  const { runId, status, stats } = await runLoggedSync(
+    supabase,
+    { source, ...options },
+    syncTrigger()
+  );
 
-// Ensure the output directory exists
-const outputDir = path.join(__dirname, "../public/api");
-if (!fs.existsSync(outputDir)) {
-  fs.mkdirSync(outputDir, { recursive: true });
+  console.log(
+    `${status === "partial" ? "⚠️" : "✅"} Sync run ${runId} ${status}: ` +
+      `${stats.newTweets} new tweets from ${stats.users} members across ${stats.pages} pages`
+  );
+  for (const error of stats.errors) console.log(`   ↳ ${error}`);
+  if (stats.requests !== null) {
+    console.log(`   ↳ ${stats.requests} API requests (credits) used`);
+  }
+  if (stats.resumeCursor) {
+    console.log("   ↳ The next sync picks up where this one stopped.");
+  } else if (stats.nextCursor) {
+    console.log(`   ↳ Continue with --cursor=${stats.nextCursor}`);
+  }
+
+  await refreshStaticBoard(supabase, args);
 }
 
-async function indexCommunityTweets() {
+// Scores are worked out from config/scoring.json whenever the board is
+// read, so this rebuilds what they're worked out from
+async function recomputeScores(args) {
+  const supabase = storageFromEnv();
+  const users = await selectAll(() =>
+    supabase.from("users").select("id").order("id")
+  );
+  const userIds = users.map((u) => u.id);
+
+  await recomputeUserTotals(supabase, userIds);
+  const flagged = await detectAndSaveFlags(supabase, userIds);
   console.log(
-    `📡 Fetching tweets via TwitterAPI.io for Community: ${COMMUNITY_ID}...`
+    `✅ Recomputed totals for ${userIds.length} members, ${flagged} new flags`
   );
 
-  try {
-    const response = await axios.get(COMMUNITY_URL, {
-      headers: { "X-API-Key": API_KEY },
-      params: {
-        community_id: COMMUNITY_ID,
-        limit: 40,
+  await refreshStaticBoard(supabase, args);
+}
+
+async function exportCommand(args) {
+  const format = parseExportFormat(getArg(args, "format"));
+  const range = resolveWindow({
+    window: getArg(args, "window"),
+    from: getArg(args, "from"),
+    to: getArg(args, "to"),
+  });
+  const out =
+    getArg(args, "out") || (format === "json" ? DEFAULT_EXPORT_PATH : "-");
+
+  await writeExport(storageFromEnv(), { format, range, out });
+}
+
+async function snapshot() {
+  const supabase = storageFromEnv();
+  const { members } = await buildLeaderboard(supabase);
+  const count = await recordSnapshot(supabase, members);
+  console.log(`✅ Recorded rank snapshot for ${count} members`);
+}
+
+// One-time: members keyed by handle get their X ids
+async function mergeUsers(args) {
+  const source = sourceFromEnv();
+  const supabase = storageFromEnv();
+  const { resolved, merged, unresolved, error } = await mergeLegacyUsers(
+    supabase,
+    source
+  );
+
+  console.log(
+    `✅ Found the X ids of ${resolved} members, merged ${merged} duplicates`
+  );
+  if (error) console.log(`   ↳ Lookups stopped early: ${error}`);
+  if (unresolved.length) {
+    console.log(
+      `⚠️ No tweets left to look up for ${unresolved.length} members: ` +
+        unresolved.map((handle) => `@${handle}`).join(", ")
+    );
+  }
+
+  await refreshStaticBoard(supabase, args);
+}
+
+// Tables the app reads and writes, with a few of the newest columns so a
+// missing migration shows up
+const DOCTOR_TABLES = [
+  [
+    "users",
+    "id, handle, total_views, account_created_at, banned_at, wallet_address",
+  ],
+  ["user_handles", "user_id, handle, last_seen_at"],
+  ["tweets", "id, user_id, views, url, media, refreshed_at, deleted_at"],
+  ["sync_state", "id, resume_cursor"],
+  ["sync_runs", "id, status, stats, credits_used"],
+  ["rank_snapshots", "snapshot_at, user_id, rank, score"],
+  ["score_adjustments", "id"],
+  ["admin_audit_log", "id"],
+  ["tweet_flags", "id, status"],
+  ["campaigns", "slug"],
+  ["campaign_tweets", "campaign_slug, tweet_id"],
+  ["wallet_links", "id"],
+  ["payouts", "id"],
+];
+
+const MIGRATE_HINT = "run `npm run db:migrate`";
+
+// Check results are "ok", "warn" or "fail" with a one-line detail
+const ok = (detail) => ({ status: "ok", detail });
+const warn = (detail) => ({ status: "warn", detail });
+
+async function databaseChecks(supabase) {
+  const checks = [
+    [
+      "migrations",
+      async () => {
+        const { data, error } = await supabase
+          .from("schema_migrations")
+          .select("version");
+        if (error) throw new Error(`${error.message} (${MIGRATE_HINT})`);
+        const applied = new Set(data.map((m) => m.version));
+        const migrations = readMigrations(
+          supabase.name === "sqlite" ? "sqlite" : "postgres"
+        );
+        const pending = migrations.filter((m) => !applied.has(m.version));
+        if (pending.length === 0) {
+          return ok(
+            `up to date at ${migrations[migrations.length - 1].version}`
+          );
+        }
+        return warn(
+          `${pending.length} pending (${pending
+            .map((m) => `${m.version}_${m.name}`)
+            .join(", ")}); ${MIGRATE_HINT}`
+        );
       },
-    });
-
-    const tweets = response.data.tweets || [];
-    let userStats = {};
-
-    console.log(`   ↳ Found ${tweets.length} tweets.`);
-
-    for (const tweet of tweets) {
-      // Extract Author
-      const author = tweet.user_info || tweet.author || tweet.user;
-      if (!author) continue;
-
-      // Handle ID variations (id vs id_str)
-      const authorId = author.id_str || author.id;
-
-      if (!userStats[authorId]) {
-        userStats[authorId] = {
-          rank: 0,
-          name: author.name,
-          handle: `@${author.screen_name || author.userName}`,
-          // Use high-res image if available, fall back to normal
-          avatarUrl: (
-            author.profile_image_url_https ||
-            author.profilePicture ||
-            ""
-          ).replace("_normal", ""),
-          avatarColor: "#3b82f6",
-          tweets: 0,
-          likes: 0,
-          rts: 0,
-          score: 0,
-          recentTweets: [],
-        };
-      }
+    ],
+  ];
+
+  for (const [table, columns] of DOCTOR_TABLES) {
+    checks.push([
+      `table ${table}`,
+      async () => {
+        const { error } = await supabase.from(table).select(columns).limit(1);
+        if (error) throw new Error(`${error.message} (${MIGRATE_HINT})`);
+        return ok("ok");
+      },
+    ]);
+  }
+
+  checks.push([
+    "leaderboard functions",
+    async () => {
+      const { error } = await supabase
+        .rpc("leaderboard_members", {
+          p_from: null,
+          p_to: null,
+          p_campaign: null,
+        })
+        .limit(1);
+      if (error) throw new Error(`${error.message} (${MIGRATE_HINT})`);
+      return ok("ok");
+    },
+  ]);
+
+  checks.push([
+    "member ids",
+    async () => {
+      const { count, error } = await supabase
+        .from("users")
+        .select("id", { count: "exact" })
+        .ilike("id", legacyId("%"))
+        .limit(1);
+      if (error) throw error;
+      return count
+        ? warn(
+            `${count} members without an X id; run \`npm run cli -- merge-users\``
+          )
+        : ok("every member has an X id");
+    },
+  ]);
+
+  checks.push([
+    "last sync",
+    async () => {
+      const { data, error } = await supabase
+        .from("sync_runs")
+        .select("status, trigger, started_at, error")
+        .order("started_at", { ascending: false })
+        .limit(1);
+      if (error) throw error;
+      const run = settleRun((data || [])[0]);
+      if (!run) return warn("no sync has run yet");
+      const detail = `${run.status} (${run.trigger}) at ${run.started_at}`;
+      return run.status === "success"
+        ? ok(detail)
+        : warn(run.error ? `${detail}: ${run.error}` : detail);
+    },
+  ]);
+
+  checks.push([
+    "data freshness",
+    async () => {
+      const { health, lastSuccess, staleAfterHours } = await readSyncStatus(
+        supabase,
+        { staleAfterHours: parseStaleHours() }
+      );
+      if (!lastSuccess) return warn("no successful sync yet");
+      const detail = `last successful sync finished ${lastSuccess.finishedAt}`;
+      return health === "stale"
+        ? warn(`${detail}, over ${staleAfterHours}h ago`)
+        : ok(detail);
+    },
+  ]);
+
+  checks.push([
+    "checkpoint",
+    async () => {
+      const checkpoint = await readCheckpoint(supabase);
+      const resume = await readResumePoint(supabase);
+      if (!checkpoint) return warn("none yet; the next sync reads the feed");
+      const detail = `newest tweet ${checkpoint.tweetAt.toISOString()}`;
+      return resume
+        ? warn(`${detail}; resuming from ${resume.cursor} next sync`)
+        : ok(detail);
+    },
+  ]);
+
+  return checks;
+}
+
+// Configuration and database checks. Each check either returns a result
+// or throws, which counts as a failure.
+async function doctor() {
+  const checks = [
+    [
+      "tweet source",
+      () => {
+        const source = sourceFromEnv();
+        if (!source.http) return ok(source.name);
+        const { budget } = httpOptionsFromEnv();
+        return ok(
+          `${source.name}, ${
+            budget === Infinity ? "no" : budget
+          } request budget per run`
+        );
+      },
+    ],
+    [
+      "sync options",
+      () => {
+        const { maxPages, since, refreshDays } = parseSyncOptions();
+        return ok(
+          `${maxPages === Infinity ? "every" : maxPages} pages per run, ` +
+            `${refreshDays}-day refresh window` +
+            (since ? `, since ${since.toISOString()}` : "")
+        );
+      },
+    ],
+    ["scoring rules", () => (loadScoringConfig(), ok("config/scoring.json"))],
+    ["flag rules", () => (loadFlagRules(), ok("config/flags.json"))],
+    [
+      "season",
+      () => {
+        if (!process.env.SEASON_START) {
+          return warn("SEASON_START not set; ?window=season is unavailable");
+        }
+        const { from, to } = describeWindow(
+          resolveWindow({ window: "season" })
+        );
+        return ok(`${from} to ${to || "open-ended"}`);
+      },
+    ],
+    [
+      "cron secret",
+      () =>
+        process.env.CRON_SECRET
+          ? ok("set")
+          : warn("CRON_SECRET not set; /api/sync-to-supabase refuses to run"),
+    ],
+    [
+      "admin tokens",
+      () => {
+        const admins = parseAdminTokens().map((a) => a.name);
+        return admins.length
+          ? ok(admins.join(", "))
+          : warn("ADMIN_TOKENS not set; the admin API refuses every request");
+      },
+    ],
+  ];
+
+  let supabase = null;
+  checks.push([
+    "storage",
+    () => {
+      supabase = storageFromEnv();
+      return ok(
+        process.env.STORAGE === "sqlite"
+          ? `SQLite at ${process.env.SQLITE_FILE || DEFAULT_SQLITE_FILE}`
+          : `Supabase at ${process.env.SUPABASE_URL}`
+      );
+    },
+  ]);
+
+  const icons = { ok: "✅", warn: "⚠️", fail: "❌" };
+  let failed = 0;
+  const run = async ([name, check]) => {
+    let result;
+    try {
+      result = await check();
+    } catch (error) {
+      result = { status: "fail", detail: error.message };
+      failed += 1;
+    }
+    console.log(`${icons[result.status]} ${name}: ${result.detail}`);
+  };
 
-      // Update Counts
-      userStats[authorId].tweets += 1;
-      userStats[authorId].likes += tweet.favorite_count || tweet.likeCount || 0;
-      userStats[authorId].rts += tweet.retweet_count || tweet.retweetCount || 0;
-
-      // Store Tweet for Profile
-      if (userStats[authorId].recentTweets.length < 5) {
-        userStats[authorId].recentTweets.push({
-          text: tweet.text || tweet.full_text,
-          date: new Date(
-            tweet.created_at || tweet.createdAt
-          ).toLocaleDateString(),
-          likes: tweet.favorite_count || tweet.likeCount || 0,
-          retweets: tweet.retweet_count || tweet.retweetCount || 0,
-        });
+  for (const check of checks) await run(check);
+  if (supabase) {
+    for (const check of await databaseChecks(supabase)) await run(check);
+  }
+
+  if (failed > 0) {
+    throw new Error(`${failed} check${failed === 1 ? "" : "s"} failed`);
+  }
+}
+
+// The database to migrate: --database, DATABASE_URL, or the SQLite file
+// of STORAGE=sqlite
+function migrationTarget(args) {
+  const url = getArg(args, "database") || process.env.DATABASE_URL;
+  if (url) return url;
+  if (process.env.STORAGE === "sqlite") {
+    return `sqlite:${process.env.SQLITE_FILE || DEFAULT_SQLITE_FILE}`;
+  }
+  throw new Error(
+    "migrate needs DATABASE_URL (or --database), the Postgres connection " +
+      "string of the Supabase project"
+  );
+}
+
+async function migrate(args) {
+  const database = await openDatabase(migrationTarget(args));
+  try {
+    if (hasFlag(args, "status")) {
+      for (const m of await database.status()) {
+        const when = m.appliedAt && new Date(m.appliedAt).toISOString();
+        console.log(
+          `${when ? "✅" : "⏳"} ${m.version}_${m.name}` +
+            (when ? ` (applied ${when})` : " (pending)")
+        );
       }
+      return;
     }
 
-    // Rank Users
-    let leaderboardCache = Object.values(userStats)
-      .map((u) => {
-        // Score Algorithm: 1 Like = 1pt, 1 RT = 2pts, 1 Post = 5pts
-        u.score = u.likes + u.rts * 2 + u.tweets * 5;
-        return u;
-      })
-      .sort((a, b) => b.score - a.score);
+    const applied = await database.migrate({ to: getArg(args, "to") });
+    for (const m of applied) console.log(`✅ Applied ${m.version}_${m.name}`);
+    console.log(
+      applied.length
+        ? `✅ ${database.dialect} database migrated`
+        : `✅ ${database.dialect} database already up to date`
+    );
+  } finally {
+    await database.close();
+  }
+}
 
-    // Assign Ranks
-    leaderboardCache.forEach((u, i) => (u.rank = i + 1));
+const COMMANDS = {
+  sync: (args) => sync(args),
+  backfill: (args) => sync(args, { backfill: true }),
+  "recompute-scores": recomputeScores,
+  export: exportCommand,
+  snapshot,
+  "merge-users": mergeUsers,
+  doctor,
+  migrate,
+};
 
-    console.log(`✅ Successfully indexed ${leaderboardCache.length} members.`);
+// Run the command in `argv` and resolve to the exit status
+async function main(argv = process.argv.slice(2)) {
+  const [name, ...args] = argv;
+  if (!COMMANDS[name]) {
+    if (name && name !== "help" && name !== "--help") {
+      console.error(`❌ Unknown command "${name}"\n`);
+    }
+    console.error(USAGE);
+    return name === "help" || name === "--help" ? 0 : 1;
+  }
 
-    // Save File
-    const outputPath = path.join(outputDir, "users.json");
-    fs.writeFileSync(outputPath, JSON.stringify(leaderboardCache, null, 2));
-    console.log(`💾 Saved to ${outputPath}`);
+  try {
+    await COMMANDS[name](args);
+    return 0;
   } catch (error) {
-    console.error(
-      "❌ API Error:",
-      error.response ? error.response.data : error.message
-    );
+    console.error(`❌ ${error.message}`);
+    return 1;
   }
 }
 
-// Run immediately on startup
-indexCommunityTweets();
-
-// Only run setInterval if not in CI/GitHub Actions environment
-if (!process.env.CI && !process.env.GITHUB_ACTIONS) {
-  // Run every 2 days (2 days * 24 hours * 60 minutes * 60 seconds * 1000 milliseconds)
-  const TWO_DAYS = 2 * 24 * 60 * 60 * 1000;
-  setInterval(indexCommunityTweets, TWO_DAYS);
-  console.log(`🔄 Auto-update scheduled every 2 days (${TWO_DAYS}ms)`);
-} else {
-  console.log(`✅ Running in CI mode - will exit after this run`);
+if (require.main === module) {
+  main().then((status) => {
+    process.exitCode = status;
+  });
 }
+
+module.exports = { COMMANDS, main };
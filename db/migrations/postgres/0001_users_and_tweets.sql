@@ -0,0 +1,53 @@
+-- Members and their tweets (lib/db.js), as the app has used them from the
+-- start. Databases set up by hand before migrations already have both
+-- tables; for them this only adds the indexes and the foreign key.
+
+create table if not exists users (
+  handle text primary key,
+  name text,
+  avatar text,
+  total_tweets int not null default 0,
+  total_likes int not null default 0,
+  total_retweets int not null default 0,
+  total_replies int not null default 0
+);
+
+create table if not exists tweets (
+  id text primary key,
+  user_handle text not null,
+  text text,
+  likes int not null default 0,
+  retweets int not null default 0,
+  replies int not null default 0,
+  tweet_date timestamptz not null,
+  refreshed_at timestamptz,
+  deleted_at timestamptz
+);
+
+-- Time windows, the refresh window and "newest tweet" lookups
+create index if not exists tweets_tweet_date_idx on tweets (tweet_date desc);
+
+-- A member's tweets, newest first: profiles, recent tweets and the
+-- leaderboard functions
+create index if not exists tweets_user_handle_tweet_date_idx
+  on tweets (user_handle, tweet_date desc);
+
+-- Every tweet belongs to a member. Tweets whose member row is missing get
+-- a bare one first, so the constraint holds.
+insert into users (handle)
+  select distinct user_handle from tweets
+  on conflict (handle) do nothing;
+
+do $$
+begin
+  if not exists (
+    select 1
+    from pg_constraint
+    where conrelid = 'tweets'::regclass
+      and conname = 'tweets_user_handle_fkey'
+  ) then
+    alter table tweets add constraint tweets_user_handle_fkey
+      foreign key (user_handle) references users (handle) on update cascade;
+  end if;
+end;
+$$;
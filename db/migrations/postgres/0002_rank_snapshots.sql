@@ -0,0 +1,14 @@
+-- Rank history (lib/snapshots.js): one row per member per sync.
+
+create table if not exists rank_snapshots (
+  snapshot_at timestamptz not null,
+  handle text not null,
+  rank int not null,
+  score numeric not null
+);
+
+-- The latest snapshots, and one member's history
+create index if not exists rank_snapshots_snapshot_at_idx
+  on rank_snapshots (snapshot_at);
+create index if not exists rank_snapshots_handle_idx
+  on rank_snapshots (handle, snapshot_at);
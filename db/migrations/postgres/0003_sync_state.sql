@@ -0,0 +1,16 @@
+-- Sync checkpoint and resume point (lib/db.js, lib/sync.js).
+--
+-- A run that stops before reading back to the checkpoint (the page limit,
+-- the request budget, an API that kept failing) records the cursor of the
+-- first page it didn't read, and the next run continues from there.
+
+create table if not exists sync_state (
+  id text primary key,
+  newest_tweet_id text,
+  newest_tweet_at timestamptz,
+  updated_at timestamptz not null default now()
+);
+
+alter table sync_state add column if not exists resume_cursor text;
+alter table sync_state add column if not exists resume_tweet_id text;
+alter table sync_state add column if not exists resume_tweet_at timestamptz;
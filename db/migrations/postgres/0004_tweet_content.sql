@@ -0,0 +1,8 @@
+-- Permalinks, media, quoted tweets and links for each tweet
+-- (lib/tweet-content.js). Tweets stored earlier fill in as the sync
+-- refreshes them.
+
+alter table tweets add column if not exists url text;
+alter table tweets add column if not exists media jsonb not null default '[]';
+alter table tweets add column if not exists quoted jsonb;
+alter table tweets add column if not exists urls jsonb not null default '[]';
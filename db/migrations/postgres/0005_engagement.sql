@@ -0,0 +1,11 @@
+-- View, quote and bookmark counts for each tweet, and their sums per member
+-- (lib/engagement.js). Tweets stored earlier fill in as the sync refreshes
+-- them.
+
+alter table tweets add column if not exists quotes int not null default 0;
+alter table tweets add column if not exists views bigint not null default 0;
+alter table tweets add column if not exists bookmarks int not null default 0;
+
+alter table users add column if not exists total_quotes int not null default 0;
+alter table users add column if not exists total_views bigint not null default 0;
+alter table users add column if not exists total_bookmarks int not null default 0;
@@ -0,0 +1,31 @@
+-- Moderation tables used by the admin API (lib/admin.js).
+
+-- Banned members stay in the database but are left off the leaderboard
+alter table users add column if not exists banned_at timestamptz;
+alter table users add column if not exists ban_reason text;
+
+-- Manual score corrections; append-only, undo by adding the opposite
+create table if not exists score_adjustments (
+  id bigserial primary key,
+  handle text not null,
+  points numeric not null,
+  reason text not null,
+  created_by text not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists score_adjustments_handle_created_at_idx
+  on score_adjustments (handle, created_at);
+
+-- Every admin action, with the admin who took it
+create table if not exists admin_audit_log (
+  id bigserial primary key,
+  created_at timestamptz not null default now(),
+  actor text not null,
+  action text not null,
+  target text,
+  details jsonb not null default '{}'
+);
+
+create index if not exists admin_audit_log_created_at_idx
+  on admin_audit_log (created_at desc);
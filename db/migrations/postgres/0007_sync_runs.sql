@@ -0,0 +1,15 @@
+-- The sync run log (lib/sync.js).
+
+-- One row per sync, from start to success or failure
+create table if not exists sync_runs (
+  id bigserial primary key,
+  trigger text not null,
+  started_at timestamptz not null default now(),
+  finished_at timestamptz,
+  status text not null default 'running',
+  stats jsonb,
+  error text
+);
+
+create index if not exists sync_runs_started_at_idx
+  on sync_runs (started_at desc);
@@ -0,0 +1,23 @@
+-- Spam and farming flags written by lib/flags.js and reviewed from the
+-- admin API.
+
+-- Account age feeds the new_account rule
+alter table users add column if not exists account_created_at timestamptz;
+
+create table if not exists tweet_flags (
+  id bigserial primary key,
+  tweet_id text not null,
+  user_handle text not null,
+  reason text not null,
+  details jsonb not null default '{}',
+  status text not null default 'pending'
+    check (status in ('pending', 'confirmed', 'dismissed')),
+  created_at timestamptz not null default now(),
+  reviewed_at timestamptz,
+  reviewed_by text,
+  unique (tweet_id, reason)
+);
+
+-- The review queue, newest first per status
+create index if not exists tweet_flags_status_created_at_idx
+  on tweet_flags (status, created_at desc);
@@ -0,0 +1,22 @@
+-- Campaigns and the tweets matching them (lib/campaigns.js).
+
+create table if not exists campaigns (
+  slug text primary key,
+  name text not null,
+  description text,
+  hashtags text[] not null default '{}',
+  keywords text[] not null default '{}',
+  mentions text[] not null default '{}',
+  starts_at timestamptz not null,
+  ends_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- Written by the sync as tweets come in, and rebuilt when a campaign is
+-- saved
+create table if not exists campaign_tweets (
+  campaign_slug text not null references campaigns (slug) on delete cascade,
+  tweet_id text not null,
+  primary key (campaign_slug, tweet_id)
+);
@@ -0,0 +1,20 @@
+-- Wallet linking (lib/wallets.js).
+
+-- The member's verified payout wallet
+alter table users add column if not exists wallet_address text;
+alter table users add column if not exists wallet_linked_at timestamptz;
+
+-- Every linking attempt, from code to signature
+create table if not exists wallet_links (
+  id bigserial primary key,
+  handle text not null,
+  code text not null unique,
+  created_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  tweet_id text,
+  tweet_seen_at timestamptz,
+  address text,
+  linked_at timestamptz
+);
+
+create index if not exists wallet_links_handle_idx on wallet_links (handle);
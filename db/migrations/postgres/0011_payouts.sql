@@ -0,0 +1,29 @@
+-- Reward payouts saved by lib/rewards.js.
+
+create table if not exists payouts (
+  id bigserial primary key,
+  name text not null unique,
+  created_at timestamptz not null default now(),
+  created_by text not null,
+  pool numeric not null,
+  curve text not null,
+  params jsonb not null,
+  allocations jsonb not null,
+  excluded jsonb not null default '[]'
+);
+
+create index if not exists payouts_created_at_idx
+  on payouts (created_at desc);
+
+-- A payout is an audit record: once written it can't be changed or removed
+create or replace function reject_payout_change() returns trigger
+language plpgsql as $$
+begin
+  raise exception 'payouts are immutable';
+end;
+$$;
+
+drop trigger if exists payouts_immutable on payouts;
+create trigger payouts_immutable
+  before update or delete on payouts
+  for each row execute function reject_payout_change();
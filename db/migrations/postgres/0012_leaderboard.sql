@@ -0,0 +1,74 @@
+-- Leaderboard functions called by lib/leaderboard.js through supabase.rpc().
+-- They read the tweets_user_handle_tweet_date_idx index of
+-- 0001_users_and_tweets.sql.
+
+-- One row per member with the engagement of every live tweet they posted
+-- inside [p_from, p_to), plus the admin score adjustments made in that
+-- range. Banned members are left out. Scoring stays in lib/scoring.js, so
+-- each tweet is returned as
+--   [likes, retweets, replies, tweet_date, flags, quotes, views, bookmarks]
+-- for it to score, where flags lists the reasons of its flags that were not
+-- dismissed (null when there are none).
+--
+-- With p_campaign, only the tweets tagged for that campaign count, and
+-- adjustments don't apply: they belong to the overall board.
+drop function if exists leaderboard_tweets(timestamptz, timestamptz);
+drop function if exists leaderboard_tweets(timestamptz, timestamptz, text);
+create function leaderboard_tweets(
+  p_from timestamptz default null,
+  p_to timestamptz default null,
+  p_campaign text default null
+)
+returns table (
+  handle text, name text, avatar text, tweets jsonb, adjustment numeric
+)
+language sql stable
+as $$
+  select u.handle, u.name, u.avatar,
+         jsonb_agg(
+           jsonb_build_array(
+             t.likes, t.retweets, t.replies, t.tweet_date,
+             (select jsonb_agg(f.reason order by f.reason)
+              from tweet_flags f
+              where f.tweet_id = t.id and f.status <> 'dismissed'),
+             t.quotes, t.views, t.bookmarks
+           )
+           order by t.tweet_date desc
+         ),
+         case when p_campaign is null then coalesce((
+           select sum(a.points)
+           from score_adjustments a
+           where a.handle = u.handle
+             and (p_from is null or a.created_at >= p_from)
+             and (p_to is null or a.created_at < p_to)
+         ), 0) else 0 end
+  from tweets t
+  join users u on u.handle = t.user_handle
+  where t.deleted_at is null
+    and u.banned_at is null
+    and (p_from is null or t.tweet_date >= p_from)
+    and (p_to is null or t.tweet_date < p_to)
+    and (p_campaign is null or exists (
+      select 1
+      from campaign_tweets c
+      where c.campaign_slug = p_campaign and c.tweet_id = t.id
+    ))
+  group by u.handle, u.name, u.avatar;
+$$;
+
+-- The latest p_limit live tweets of each given member, in one round trip
+create or replace function recent_tweets(p_handles text[], p_limit int default 5)
+returns setof tweets
+language sql stable
+as $$
+  select t.*
+  from unnest(p_handles) as h(handle)
+  cross join lateral (
+    select *
+    from tweets
+    where user_handle = h.handle
+      and deleted_at is null
+    order by tweet_date desc
+    limit p_limit
+  ) t;
+$$;
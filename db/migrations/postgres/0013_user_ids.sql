@@ -0,0 +1,138 @@
+-- Members keyed by their numeric X user id instead of their handle, which
+-- they can change (lib/identity.js). Every handle a member has been seen
+-- under is kept in user_handles, so links to an old one still find them.
+--
+-- The handle columns stay as they were written: the handle a tweet was
+-- posted under, a snapshot or adjustment was taken under, and so on.
+-- Nothing joins on them any more.
+--
+-- The X ids of members stored before this aren't known here. They get a
+-- placeholder, 'handle:' || handle, until a sync sees them post again or
+-- `npm run cli -- merge-users` looks them up, which also merges the rows of
+-- members who were split in two by a rename.
+
+alter table users add column id text;
+update users set id = 'handle:' || handle;
+alter table users alter column id set not null;
+
+alter table tweets drop constraint if exists tweets_user_handle_fkey;
+alter table users drop constraint users_pkey;
+alter table users add primary key (id);
+create index users_handle_idx on users (lower(handle));
+
+alter table tweets add column user_id text
+  references users (id) on update cascade;
+update tweets set user_id = 'handle:' || user_handle;
+alter table tweets alter column user_id set not null;
+
+drop index if exists tweets_user_handle_tweet_date_idx;
+create index tweets_user_id_tweet_date_idx
+  on tweets (user_id, tweet_date desc);
+
+-- Rows of members who have since left the users table keep a null id
+alter table rank_snapshots add column user_id text
+  references users (id) on update cascade;
+update rank_snapshots s set user_id = u.id from users u where u.handle = s.handle;
+create index rank_snapshots_user_id_idx
+  on rank_snapshots (user_id, snapshot_at);
+
+alter table score_adjustments add column user_id text
+  references users (id) on update cascade;
+update score_adjustments a set user_id = u.id
+  from users u where u.handle = a.handle;
+create index score_adjustments_user_id_created_at_idx
+  on score_adjustments (user_id, created_at);
+
+alter table tweet_flags add column user_id text
+  references users (id) on update cascade;
+update tweet_flags f set user_id = t.user_id
+  from tweets t where t.id = f.tweet_id;
+
+alter table wallet_links add column user_id text
+  references users (id) on update cascade;
+update wallet_links w set user_id = u.id from users u where u.handle = w.handle;
+create index wallet_links_user_id_idx on wallet_links (user_id);
+
+-- Every handle each member has posted under, for resolving old ones
+create table user_handles (
+  user_id text not null references users (id)
+    on update cascade on delete cascade,
+  handle text not null,
+  first_seen_at timestamptz not null default now(),
+  last_seen_at timestamptz not null default now(),
+  primary key (user_id, handle)
+);
+
+create index user_handles_handle_idx
+  on user_handles (lower(handle), last_seen_at desc);
+
+insert into user_handles (user_id, handle, first_seen_at, last_seen_at)
+  select u.id, u.handle,
+         coalesce(min(t.tweet_date), now()),
+         coalesce(max(t.tweet_date), now())
+  from users u
+  left join tweets t on t.user_id = u.id
+  group by u.id, u.handle;
+
+-- The leaderboard functions of 0012_leaderboard.sql, grouping by id and
+-- returning it along with the current handle
+drop function leaderboard_tweets(timestamptz, timestamptz, text);
+create function leaderboard_tweets(
+  p_from timestamptz default null,
+  p_to timestamptz default null,
+  p_campaign text default null
+)
+returns table (
+  user_id text, handle text, name text, avatar text, tweets jsonb,
+  adjustment numeric
+)
+language sql stable
+as $$
+  select u.id, u.handle, u.name, u.avatar,
+         jsonb_agg(
+           jsonb_build_array(
+             t.likes, t.retweets, t.replies, t.tweet_date,
+             (select jsonb_agg(f.reason order by f.reason)
+              from tweet_flags f
+              where f.tweet_id = t.id and f.status <> 'dismissed'),
+             t.quotes, t.views, t.bookmarks
+           )
+           order by t.tweet_date desc
+         ),
+         case when p_campaign is null then coalesce((
+           select sum(a.points)
+           from score_adjustments a
+           where a.user_id = u.id
+             and (p_from is null or a.created_at >= p_from)
+             and (p_to is null or a.created_at < p_to)
+         ), 0) else 0 end
+  from tweets t
+  join users u on u.id = t.user_id
+  where t.deleted_at is null
+    and u.banned_at is null
+    and (p_from is null or t.tweet_date >= p_from)
+    and (p_to is null or t.tweet_date < p_to)
+    and (p_campaign is null or exists (
+      select 1
+      from campaign_tweets c
+      where c.campaign_slug = p_campaign and c.tweet_id = t.id
+    ))
+  group by u.id, u.handle, u.name, u.avatar;
+$$;
+
+drop function recent_tweets(text[], int);
+create function recent_tweets(p_user_ids text[], p_limit int default 5)
+returns setof tweets
+language sql stable
+as $$
+  select t.*
+  from unnest(p_user_ids) as m(user_id)
+  cross join lateral (
+    select *
+    from tweets
+    where user_id = m.user_id
+      and deleted_at is null
+    order by tweet_date desc
+    limit p_limit
+  ) t;
+$$;
@@ -0,0 +1,20 @@
+-- What each sync did, as columns (lib/sync.js) so /api/status and ad-hoc
+-- queries don't have to dig through stats.
+
+alter table sync_runs add column if not exists tweets_fetched integer;
+alter table sync_runs add column if not exists new_tweets integer;
+alter table sync_runs add column if not exists users_touched integer;
+-- Upstream requests sent, retries included; each one costs API credits
+alter table sync_runs add column if not exists credits_used integer;
+
+-- Runs from before these columns only counted the authors of new tweets
+update sync_runs
+  set tweets_fetched = (stats->>'totalTweets')::integer,
+      new_tweets = (stats->>'newTweets')::integer,
+      users_touched = (stats->>'users')::integer,
+      credits_used = (stats->>'requests')::integer
+  where stats is not null and tweets_fetched is null;
+
+-- The last successful run, for /api/status
+create index if not exists sync_runs_status_finished_at_idx
+  on sync_runs (status, finished_at desc);
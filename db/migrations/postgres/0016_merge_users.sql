@@ -0,0 +1,59 @@
+-- Called by mergeUsers in lib/identity.js through supabase.rpc(), so a
+-- merge happens in one transaction: a failure half-way can't leave a
+-- member's rows split between the two ids.
+
+-- Fold member p_from into p_into and delete it. Their tweets, flags,
+-- adjustments, wallet links, rank history and handles move over, and a ban
+-- or linked wallet that only p_from has is kept. Where both have a
+-- snapshot from the same sync, the one of p_into stays. Totals are left to
+-- the caller to rebuild.
+create or replace function merge_users(p_from text, p_into text)
+returns void
+language plpgsql
+as $$
+declare
+  source users%rowtype;
+  target users%rowtype;
+begin
+  select * into source from users where id = p_from for update;
+  select * into target from users where id = p_into for update;
+  if source.id is null or target.id is null then
+    raise exception 'Can''t merge member % into %', p_from, p_into;
+  end if;
+
+  update tweets set user_id = p_into where user_id = p_from;
+  update tweet_flags set user_id = p_into where user_id = p_from;
+  update score_adjustments set user_id = p_into where user_id = p_from;
+  update wallet_links set user_id = p_into where user_id = p_from;
+
+  delete from rank_snapshots s
+  where s.user_id = p_from
+    and exists (
+      select 1
+      from rank_snapshots k
+      where k.user_id = p_into and k.snapshot_at = s.snapshot_at
+    );
+  update rank_snapshots set user_id = p_into where user_id = p_from;
+
+  insert into user_handles (user_id, handle, first_seen_at, last_seen_at)
+    select p_into, handle, first_seen_at, last_seen_at
+    from user_handles
+    where user_id = p_from
+  on conflict (user_id, handle) do nothing;
+  delete from user_handles where user_id = p_from;
+
+  if source.banned_at is not null and target.banned_at is null then
+    update users
+      set banned_at = source.banned_at, ban_reason = source.ban_reason
+      where id = p_into;
+  end if;
+  if source.wallet_address is not null and target.wallet_address is null then
+    update users
+      set wallet_address = source.wallet_address,
+          wallet_linked_at = source.wallet_linked_at
+      where id = p_into;
+  end if;
+
+  delete from users where id = p_from;
+end;
+$$;
@@ -0,0 +1,96 @@
+-- leaderboard_tweets (0013_user_ids.sql) sent every tweet of the window
+-- back as jsonb for lib/leaderboard.js to score. leaderboard_members sums
+-- them here instead, so a board's response grows with its members and
+-- their active days rather than with their tweets.
+
+drop function if exists leaderboard_tweets(timestamptz, timestamptz, text);
+
+-- The live tweets of unbanned members inside [p_from, p_to), summed per
+-- member, UTC day and set of flags, so lib/scoring.js can still apply the
+-- per-day cap and mark flagged tweets down. `flags` lists the reasons of
+-- the flags that were not dismissed, comma-separated ('' when there are
+-- none), and `viewed_interactions` sums the interactions on tweets with a
+-- view count, for the engagement rate (lib/engagement.js). `capped` is
+-- what a per-tweet cap of p_tweet_cap points takes off the group under
+-- p_weights (config/scoring.json); scoring needs each tweet for that.
+--
+-- The admin score adjustments made in the range come as one more row per
+-- member, with no day and no tweets, so members whose only activity is an
+-- adjustment are on the board too. Campaign boards have no adjustments.
+create function leaderboard_members(
+  p_from timestamptz default null,
+  p_to timestamptz default null,
+  p_campaign text default null,
+  p_weights jsonb default '{}',
+  p_tweet_cap numeric default null
+)
+returns table (
+  user_id text, handle text, name text, avatar text, day date, flags text,
+  tweets bigint, likes bigint, retweets bigint, replies bigint,
+  quotes bigint, views bigint, bookmarks bigint,
+  viewed_interactions bigint, capped numeric, adjustment numeric
+)
+language sql stable
+as $$
+  with scored as (
+    select t.user_id,
+           (t.tweet_date at time zone 'UTC')::date as day,
+           coalesce((
+             select string_agg(f.reason, ',' order by f.reason)
+             from tweet_flags f
+             where f.tweet_id = t.id and f.status <> 'dismissed'
+           ), '') as flags,
+           coalesce(t.likes, 0) as likes,
+           coalesce(t.retweets, 0) as retweets,
+           coalesce(t.replies, 0) as replies,
+           coalesce(t.quotes, 0) as quotes,
+           coalesce(t.views, 0) as views,
+           coalesce(t.bookmarks, 0) as bookmarks,
+           coalesce(t.likes, 0) * coalesce((p_weights->>'likes')::numeric, 0)
+             + coalesce(t.retweets, 0)
+               * coalesce((p_weights->>'retweets')::numeric, 0)
+             + coalesce(t.replies, 0)
+               * coalesce((p_weights->>'replies')::numeric, 0)
+             + coalesce(t.quotes, 0)
+               * coalesce((p_weights->>'quotes')::numeric, 0)
+             + coalesce(t.views, 0) * coalesce((p_weights->>'views')::numeric, 0)
+             + coalesce((p_weights->>'posts')::numeric, 0) as points
+    from tweets t
+    where t.deleted_at is null
+      and (p_from is null or t.tweet_date >= p_from)
+      and (p_to is null or t.tweet_date < p_to)
+      and (p_campaign is null or exists (
+        select 1
+        from campaign_tweets c
+        where c.campaign_slug = p_campaign and c.tweet_id = t.id
+      ))
+  )
+  select u.id, u.handle, u.name, u.avatar, s.day, s.flags,
+         count(*),
+         sum(s.likes)::bigint, sum(s.retweets)::bigint,
+         sum(s.replies)::bigint, sum(s.quotes)::bigint,
+         sum(s.views)::bigint, sum(s.bookmarks)::bigint,
+         coalesce(sum(
+           s.likes + s.retweets + s.replies + s.quotes + s.bookmarks
+         ) filter (where s.views > 0), 0)::bigint,
+         case when p_tweet_cap is null then 0
+           else sum(least(p_tweet_cap - s.points, 0)) end,
+         0
+  from scored s
+  join users u on u.id = s.user_id
+  where u.banned_at is null
+  group by u.id, u.handle, u.name, u.avatar, s.day, s.flags
+
+  union all
+
+  select u.id, u.handle, u.name, u.avatar, null, '',
+         0, 0, 0, 0, 0, 0, 0, 0, 0,
+         sum(a.points)::numeric
+  from score_adjustments a
+  join users u on u.id = a.user_id
+  where p_campaign is null
+    and u.banned_at is null
+    and (p_from is null or a.created_at >= p_from)
+    and (p_to is null or a.created_at < p_to)
+  group by u.id, u.handle, u.name, u.avatar;
+$$;
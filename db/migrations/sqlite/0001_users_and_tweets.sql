@@ -0,0 +1,37 @@
+-- The SQLite versions of db/migrations/postgres, for the local backend
+-- (lib/storage/sqlite.js), which applies them when it opens a database.
+-- Each matches the Postgres migration with the same number, in SQLite
+-- terms:
+--
+--   - timestamps are ISO 8601 text in UTC, like Date#toISOString()
+--   - jsonb and text[] columns are JSON text, declared as JSON so the
+--     backend knows to parse them
+--   - bigserial ids are integer primary keys
+--
+-- Members and their tweets (lib/db.js).
+
+create table users (
+  handle text primary key,
+  name text,
+  avatar text,
+  total_tweets integer not null default 0,
+  total_likes integer not null default 0,
+  total_retweets integer not null default 0,
+  total_replies integer not null default 0
+);
+
+create table tweets (
+  id text primary key,
+  user_handle text not null references users (handle) on update cascade,
+  text text,
+  likes integer not null default 0,
+  retweets integer not null default 0,
+  replies integer not null default 0,
+  tweet_date text not null,
+  refreshed_at text,
+  deleted_at text
+);
+
+create index tweets_tweet_date_idx on tweets (tweet_date desc);
+create index tweets_user_handle_tweet_date_idx
+  on tweets (user_handle, tweet_date desc);
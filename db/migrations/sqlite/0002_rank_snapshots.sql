@@ -0,0 +1,11 @@
+-- Rank history (lib/snapshots.js).
+
+create table rank_snapshots (
+  snapshot_at text not null,
+  handle text not null,
+  rank integer not null,
+  score numeric not null
+);
+
+create index rank_snapshots_snapshot_at_idx on rank_snapshots (snapshot_at);
+create index rank_snapshots_handle_idx on rank_snapshots (handle, snapshot_at);
@@ -0,0 +1,11 @@
+-- Sync checkpoint and resume point (lib/db.js, lib/sync.js).
+
+create table sync_state (
+  id text primary key,
+  newest_tweet_id text,
+  newest_tweet_at text,
+  updated_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  resume_cursor text,
+  resume_tweet_id text,
+  resume_tweet_at text
+);
@@ -0,0 +1,7 @@
+-- Permalinks, media, quoted tweets and links for each tweet
+-- (lib/tweet-content.js).
+
+alter table tweets add column url text;
+alter table tweets add column media json not null default '[]';
+alter table tweets add column quoted json;
+alter table tweets add column urls json not null default '[]';
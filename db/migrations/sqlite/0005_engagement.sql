@@ -0,0 +1,10 @@
+-- View, quote and bookmark counts for each tweet, and their sums per member
+-- (lib/engagement.js).
+
+alter table tweets add column quotes integer not null default 0;
+alter table tweets add column views integer not null default 0;
+alter table tweets add column bookmarks integer not null default 0;
+
+alter table users add column total_quotes integer not null default 0;
+alter table users add column total_views integer not null default 0;
+alter table users add column total_bookmarks integer not null default 0;
@@ -0,0 +1,28 @@
+-- Moderation tables used by the admin API (lib/admin.js).
+
+alter table users add column banned_at text;
+alter table users add column ban_reason text;
+
+create table score_adjustments (
+  id integer primary key,
+  handle text not null,
+  points numeric not null,
+  reason text not null,
+  created_by text not null,
+  created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+create index score_adjustments_handle_created_at_idx
+  on score_adjustments (handle, created_at);
+
+create table admin_audit_log (
+  id integer primary key,
+  created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  actor text not null,
+  action text not null,
+  target text,
+  details json not null default '{}'
+);
+
+create index admin_audit_log_created_at_idx
+  on admin_audit_log (created_at desc);
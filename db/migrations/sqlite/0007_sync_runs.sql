@@ -0,0 +1,13 @@
+-- The sync run log (lib/sync.js).
+
+create table sync_runs (
+  id integer primary key,
+  trigger text not null,
+  started_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  finished_at text,
+  status text not null default 'running',
+  stats json,
+  error text
+);
+
+create index sync_runs_started_at_idx on sync_runs (started_at desc);
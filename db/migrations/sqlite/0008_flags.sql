@@ -0,0 +1,20 @@
+-- Spam and farming flags (lib/flags.js).
+
+alter table users add column account_created_at text;
+
+create table tweet_flags (
+  id integer primary key,
+  tweet_id text not null,
+  user_handle text not null,
+  reason text not null,
+  details json not null default '{}',
+  status text not null default 'pending'
+    check (status in ('pending', 'confirmed', 'dismissed')),
+  created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  reviewed_at text,
+  reviewed_by text,
+  unique (tweet_id, reason)
+);
+
+create index tweet_flags_status_created_at_idx
+  on tweet_flags (status, created_at desc);
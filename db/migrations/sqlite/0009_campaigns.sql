@@ -0,0 +1,20 @@
+-- Campaigns and the tweets matching them (lib/campaigns.js).
+
+create table campaigns (
+  slug text primary key,
+  name text not null,
+  description text,
+  hashtags json not null default '[]',
+  keywords json not null default '[]',
+  mentions json not null default '[]',
+  starts_at text not null,
+  ends_at text,
+  created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+create table campaign_tweets (
+  campaign_slug text not null references campaigns (slug) on delete cascade,
+  tweet_id text not null,
+  primary key (campaign_slug, tweet_id)
+);
@@ -0,0 +1,18 @@
+-- Wallet linking (lib/wallets.js).
+
+alter table users add column wallet_address text;
+alter table users add column wallet_linked_at text;
+
+create table wallet_links (
+  id integer primary key,
+  handle text not null,
+  code text not null unique,
+  created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  expires_at text not null,
+  tweet_id text,
+  tweet_seen_at text,
+  address text,
+  linked_at text
+);
+
+create index wallet_links_handle_idx on wallet_links (handle);
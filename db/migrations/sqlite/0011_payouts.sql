@@ -0,0 +1,26 @@
+-- Reward payouts saved by lib/rewards.js.
+
+create table payouts (
+  id integer primary key,
+  name text not null unique,
+  created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  created_by text not null,
+  pool numeric not null,
+  curve text not null,
+  params json not null,
+  allocations json not null,
+  excluded json not null default '[]'
+);
+
+create index payouts_created_at_idx on payouts (created_at desc);
+
+-- A payout is an audit record: once written it can't be changed or removed
+create trigger payouts_no_update before update on payouts
+begin
+  select raise(abort, 'payouts are immutable');
+end;
+
+create trigger payouts_no_delete before delete on payouts
+begin
+  select raise(abort, 'payouts are immutable');
+end;
@@ -0,0 +1,2 @@
+-- Nothing to do: SQLite has no stored functions, so the leaderboard_tweets
+-- and recent_tweets functions live in lib/storage/sqlite.js as queries.
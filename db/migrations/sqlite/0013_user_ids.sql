@@ -0,0 +1,125 @@
+-- Members keyed by their X user id, with the handles they have had
+-- (lib/identity.js). SQLite can't change a primary key in place, so users
+-- and tweets are rebuilt; existing members get the same 'handle:' ||
+-- handle placeholder ids as in Postgres.
+
+pragma defer_foreign_keys = on;
+
+create table users_new (
+  id text primary key not null,
+  handle text not null,
+  name text,
+  avatar text,
+  total_tweets integer not null default 0,
+  total_likes integer not null default 0,
+  total_retweets integer not null default 0,
+  total_replies integer not null default 0,
+  total_quotes integer not null default 0,
+  total_views integer not null default 0,
+  total_bookmarks integer not null default 0,
+  banned_at text,
+  ban_reason text,
+  account_created_at text,
+  wallet_address text,
+  wallet_linked_at text
+);
+
+insert into users_new (
+  id, handle, name, avatar, total_tweets, total_likes, total_retweets,
+  total_replies, total_quotes, total_views, total_bookmarks, banned_at,
+  ban_reason, account_created_at, wallet_address, wallet_linked_at
+)
+select 'handle:' || handle, handle, name, avatar, total_tweets, total_likes,
+       total_retweets, total_replies, total_quotes, total_views,
+       total_bookmarks, banned_at, ban_reason, account_created_at,
+       wallet_address, wallet_linked_at
+from users;
+
+create table tweets_new (
+  id text primary key,
+  user_id text not null references users_new (id) on update cascade,
+  user_handle text not null,
+  text text,
+  likes integer not null default 0,
+  retweets integer not null default 0,
+  replies integer not null default 0,
+  tweet_date text not null,
+  refreshed_at text,
+  deleted_at text,
+  url text,
+  media json not null default '[]',
+  quoted json,
+  urls json not null default '[]',
+  quotes integer not null default 0,
+  views integer not null default 0,
+  bookmarks integer not null default 0
+);
+
+insert into tweets_new (
+  id, user_id, user_handle, text, likes, retweets, replies, tweet_date,
+  refreshed_at, deleted_at, url, media, quoted, urls, quotes, views,
+  bookmarks
+)
+select id, 'handle:' || user_handle, user_handle, text, likes, retweets,
+       replies, tweet_date, refreshed_at, deleted_at, url, media, quoted,
+       urls, quotes, views, bookmarks
+from tweets;
+
+drop table tweets;
+drop table users;
+alter table users_new rename to users;
+alter table tweets_new rename to tweets;
+
+create index users_handle_idx on users (handle collate nocase);
+create index tweets_tweet_date_idx on tweets (tweet_date desc);
+create index tweets_user_id_tweet_date_idx
+  on tweets (user_id, tweet_date desc);
+
+alter table rank_snapshots add column user_id text
+  references users (id) on update cascade;
+update rank_snapshots
+  set user_id = (select id from users u where u.handle = rank_snapshots.handle);
+create index rank_snapshots_user_id_idx
+  on rank_snapshots (user_id, snapshot_at);
+
+alter table score_adjustments add column user_id text
+  references users (id) on update cascade;
+update score_adjustments
+  set user_id = (
+    select id from users u where u.handle = score_adjustments.handle
+  );
+create index score_adjustments_user_id_created_at_idx
+  on score_adjustments (user_id, created_at);
+
+alter table tweet_flags add column user_id text
+  references users (id) on update cascade;
+update tweet_flags
+  set user_id = (select user_id from tweets t where t.id = tweet_flags.tweet_id);
+
+alter table wallet_links add column user_id text
+  references users (id) on update cascade;
+update wallet_links
+  set user_id = (select id from users u where u.handle = wallet_links.handle);
+create index wallet_links_user_id_idx on wallet_links (user_id);
+
+create table user_handles (
+  user_id text not null references users (id)
+    on update cascade on delete cascade,
+  handle text not null,
+  first_seen_at text not null
+    default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  last_seen_at text not null
+    default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  primary key (user_id, handle)
+);
+
+create index user_handles_handle_idx
+  on user_handles (handle collate nocase, last_seen_at desc);
+
+insert into user_handles (user_id, handle, first_seen_at, last_seen_at)
+  select u.id, u.handle,
+         coalesce(min(t.tweet_date), strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+         coalesce(max(t.tweet_date), strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+  from users u
+  left join tweets t on t.user_id = u.id
+  group by u.id, u.handle;
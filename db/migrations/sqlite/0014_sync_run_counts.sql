@@ -0,0 +1,19 @@
+-- What each sync did, as columns (lib/sync.js) so /api/status and ad-hoc
+-- queries don't have to dig through stats.
+
+alter table sync_runs add column tweets_fetched integer;
+alter table sync_runs add column new_tweets integer;
+alter table sync_runs add column users_touched integer;
+-- Upstream requests sent, retries included; each one costs API credits
+alter table sync_runs add column credits_used integer;
+
+-- Runs from before these columns only counted the authors of new tweets
+update sync_runs
+  set tweets_fetched = json_extract(stats, '$.totalTweets'),
+      new_tweets = json_extract(stats, '$.newTweets'),
+      users_touched = json_extract(stats, '$.users'),
+      credits_used = json_extract(stats, '$.requests')
+  where stats is not null;
+
+create index sync_runs_status_finished_at_idx
+  on sync_runs (status, finished_at desc);
@@ -0,0 +1,5 @@
+-- The part of a payout's pool nobody was paid: the share of a tier with no
+-- eligible members in it (lib/rewards.js). Earlier payouts paid out the
+-- whole pool.
+
+alter table payouts add column unallocated numeric not null default 0;
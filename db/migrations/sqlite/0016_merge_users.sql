@@ -0,0 +1,2 @@
+-- Nothing to do: SQLite has no stored functions, so merge_users lives in
+-- lib/storage/sqlite.js, run in a transaction.
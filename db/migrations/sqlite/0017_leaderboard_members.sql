@@ -0,0 +1,2 @@
+-- Nothing to do: SQLite has no stored functions, so leaderboard_members
+-- lives in lib/storage/sqlite.js as a query.
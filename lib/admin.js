@@ -0,0 +1,153 @@
+// Admin API plumbing shared by the functions in api/admin/: token auth, the
+// audit log, and the moderation data the leaderboard honours.
+//
+// Tables (see db/migrations/postgres/0006_admin.sql):
+//   users             + banned_at timestamptz, ban_reason text -- banned
+//                       members are left off the leaderboard
+//   score_adjustments (id bigserial PK, user_id, handle, points numeric,
+//                      reason text, created_by text, created_at timestamptz)
+//   admin_audit_log   (id bigserial PK, created_at timestamptz, actor text,
+//                      action text, target text, details jsonb)
+//
+// Adjustments are never edited or deleted; to undo one, add its opposite.
+//
+// Every admin change is written to the audit log before it is made, so a
+// failed audit insert stops the change rather than leaving it unaudited.
+// A change that fails after that leaves the row as a record of the attempt.
+
+const { adminFromRequest } = require("./auth");
+const { storageFromEnv } = require("./storage");
+
+const AUDIT_LOG_LIMIT = 50;
+const MAX_LIST_LIMIT = 200;
+
+async function logAdminAction(supabase, actor, action, target, details = {}) {
+  const { error } = await supabase
+    .from("admin_audit_log")
+    .insert({ actor, action, target, details });
+  if (error) throw error;
+}
+
+async function listAuditLog(supabase, limit = AUDIT_LOG_LIMIT) {
+  const { data, error } = await supabase
+    .from("admin_audit_log")
+    .select("*")
+    .order("created_at", { ascending: false })
+    .limit(limit);
+  if (error) throw error;
+  return data || [];
+}
+
+const normalizeHandle = (handle) =>
+  String(handle || "")
+    .trim()
+    .replace(/^@/, "");
+
+// ?limit= for the list endpoints
+function parseLimit(value, fallback) {
+  const limit = parseInt(value, 10);
+  return limit > 0 ? Math.min(limit, MAX_LIST_LIMIT) : fallback;
+}
+
+// Ban (or, with reason null, unban) a member by id. Resolves to the updated
+// user row, or null when there is no such member.
+async function setBan(supabase, userId, reason) {
+  const { data, error } = await supabase
+    .from("users")
+    .update({
+      banned_at: reason == null ? null : new Date().toISOString(),
+      ban_reason: reason,
+    })
+    .eq("id", userId)
+    .select("id, handle, banned_at, ban_reason")
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+async function listBans(supabase) {
+  const { data, error } = await supabase
+    .from("users")
+    .select("id, handle, name, banned_at, ban_reason")
+    .not("banned_at", "is", null)
+    .order("banned_at", { ascending: false });
+  if (error) throw error;
+  return data || [];
+}
+
+async function addScoreAdjustment(
+  supabase,
+  { userId, handle, points, reason, actor }
+) {
+  const { data, error } = await supabase
+    .from("score_adjustments")
+    .insert({ user_id: userId, handle, points, reason, created_by: actor })
+    .select("*")
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+// Every adjustment, or one member's (by id)
+async function listScoreAdjustments(supabase, userId) {
+  let query = supabase
+    .from("score_adjustments")
+    .select("*")
+    .order("created_at", { ascending: false });
+  if (userId) query = query.eq("user_id", userId);
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+// Wrap an admin function: method check, bearer-token auth and a Supabase
+// client. `handler` gets { req, res, supabase, actor } and sends the
+// response itself; anything it throws becomes a 500.
+function adminHandler(methods, handler) {
+  return async (req, res) => {
+    // Same-origin tooling only: no CORS headers, and never cache
+    res.setHeader("Cache-Control", "no-store");
+
+    if (!methods.includes(req.method)) {
+      res.setHeader("Allow", methods.join(", "));
+      return res.status(405).json({ error: "Method not allowed" });
+    }
+
+    const actor = adminFromRequest(req);
+    if (!actor) {
+      return res.status(401).json({ success: false, error: "Unauthorized" });
+    }
+
+    let supabase;
+    try {
+      supabase = storageFromEnv();
+    } catch (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    try {
+      await handler({ req, res, supabase, actor });
+    } catch (error) {
+      console.error("Admin error:", error.message);
+      res.status(500).json({
+        success: false,
+        error: "Admin request failed",
+        message: error.message,
+        timestamp: new Date().toISOString(),
+      });
+    }
+  };
+}
+
+module.exports = {
+  AUDIT_LOG_LIMIT,
+  addScoreAdjustment,
+  adminHandler,
+  listAuditLog,
+  listBans,
+  listScoreAdjustments,
+  logAdminAction,
+  normalizeHandle,
+  parseLimit,
+  setBan,
+};
@@ -0,0 +1,61 @@
+// Request authentication for the serverless functions.
+//
+//   CRON_SECRET    Vercel sends `Authorization: Bearer <CRON_SECRET>` with
+//                  every cron invocation; the sync endpoint requires it
+//   ADMIN_TOKENS   comma-separated name:token pairs for the admin API, e.g.
+//                  "alice:s3cret,bob:0ther". The name is what the audit log
+//                  records as the actor.
+//
+// Both fail closed: with the variable unset, nothing is authorized.
+
+const crypto = require("crypto");
+
+function bearerToken(req) {
+  const header = (req.headers && req.headers.authorization) || "";
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : "";
+}
+
+// Constant-time comparison so the token can't be guessed byte by byte
+function safeEqual(a, b) {
+  const left = crypto.createHash("sha256").update(String(a)).digest();
+  const right = crypto.createHash("sha256").update(String(b)).digest();
+  return crypto.timingSafeEqual(left, right);
+}
+
+function isCronRequest(req) {
+  const secret = process.env.CRON_SECRET;
+  const token = bearerToken(req);
+  return Boolean(secret && token && safeEqual(token, secret));
+}
+
+function parseAdminTokens(value = process.env.ADMIN_TOKENS) {
+  return (value || "")
+    .split(",")
+    .map((pair) => pair.trim())
+    .filter(Boolean)
+    .map((pair) => {
+      const at = pair.indexOf(":");
+      return at > 0
+        ? { name: pair.slice(0, at), token: pair.slice(at + 1) }
+        : null;
+    })
+    .filter((entry) => entry && entry.token);
+}
+
+// The admin's name for a valid token, otherwise null
+function adminFromRequest(req) {
+  const token = bearerToken(req);
+  if (!token) return null;
+  const match = parseAdminTokens().find((entry) =>
+    safeEqual(entry.token, token)
+  );
+  return match ? match.name : null;
+}
+
+module.exports = {
+  adminFromRequest,
+  bearerToken,
+  isCronRequest,
+  parseAdminTokens,
+};
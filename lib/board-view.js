@@ -0,0 +1,83 @@
+// Search, sort and paging over a ranked leaderboard. Used by the API and by
+// the app when it falls back to a cached or static copy of the board, so
+// both behave the same. Members keep their score-based `rank` whatever the
+// sort order, and when flagged members are hidden.
+
+const SORT_FIELDS = [
+  "score",
+  "likes",
+  "rts",
+  "tweets",
+  "replies",
+  "views",
+  "engagementRate",
+];
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 100;
+
+// Normalize ?page=&pageSize=&sort=&order=&q=&hideFlagged= from a request.
+// Without `page` it's the first page; the whole (filtered, sorted) board
+// takes an explicit ?page=all, which comes back as `page: null`.
+function parseBoardQuery(query = {}) {
+  const sort = query.sort || "score";
+  if (!SORT_FIELDS.includes(sort)) {
+    throw new Error(
+      `Unknown sort "${sort}" (expected one of ${SORT_FIELDS.join(", ")})`
+    );
+  }
+
+  const order = query.order || "desc";
+  if (order !== "asc" && order !== "desc") {
+    throw new Error(`Unknown order "${order}" (expected asc or desc)`);
+  }
+
+  const page = query.page === "all" ? null : parseInt(query.page, 10);
+  const pageSize = parseInt(query.pageSize, 10) || DEFAULT_PAGE_SIZE;
+
+  return {
+    page: page === null ? null : page > 0 ? page : 1,
+    pageSize: Math.min(Math.max(pageSize, 1), MAX_PAGE_SIZE),
+    sort,
+    order,
+    q: (query.q || "").trim(),
+    hideFlagged: ["1", "true"].includes(String(query.hideFlagged)),
+  };
+}
+
+// One page of `members`, or all of them when `page` is null
+function viewBoard(
+  members,
+  { page, pageSize, sort, order, q, hideFlagged = false }
+) {
+  const needle = q.toLowerCase();
+  const matching = members.filter(
+    (u) =>
+      (!hideFlagged || !u.flaggedTweets) &&
+      (!needle ||
+        (u.name || "").toLowerCase().includes(needle) ||
+        u.handle.toLowerCase().includes(needle))
+  );
+
+  const direction = order === "asc" ? 1 : -1;
+  const sorted = [...matching].sort(
+    (a, b) => direction * ((a[sort] || 0) - (b[sort] || 0)) || a.rank - b.rank
+  );
+
+  const pageCount = page ? Math.max(1, Math.ceil(sorted.length / pageSize)) : 1;
+  return {
+    data: page ? sorted.slice((page - 1) * pageSize, page * pageSize) : sorted,
+    total: sorted.length,
+    page,
+    pageSize: page ? pageSize : null,
+    pageCount,
+  };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  SORT_FIELDS,
+  parseBoardQuery,
+  viewBoard,
+};
@@ -0,0 +1,258 @@
+// Themed campaigns, each with its own leaderboard. A campaign is a date
+// range plus rules a tweet has to meet:
+//
+//   mentions   accounts the tweet must @-mention, all of them
+//   hashtags   tags it must carry, any one of them
+//   keywords   words or phrases it must contain, any one of them
+//
+// With both hashtags and keywords set, either kind will do; a campaign
+// needs at least one rule. Matching ignores case.
+//
+// The sync (lib/sync.js) tags matching tweets as they arrive and saving a
+// campaign from the admin API re-tags everything in its range, so a board
+// is built from the tags alone (see buildLeaderboard in lib/leaderboard.js).
+//
+// Tables (see db/migrations/postgres/0009_campaigns.sql):
+//
+//   campaigns       (slug text PK, name, description, hashtags text[],
+//                    keywords text[], mentions text[], starts_at, ends_at,
+//                    created_at, updated_at)  -- ends_at null = open-ended
+//   campaign_tweets (campaign_slug, tweet_id; PK of both)
+
+const { selectAll } = require("./db");
+const { buildLeaderboard } = require("./leaderboard");
+
+const CAMPAIGN_STATUSES = ["upcoming", "active", "ended"];
+
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+// Keep inserts comfortably inside a PostgREST request
+const INSERT_CHUNK_SIZE = 500;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// A list given as an array or a comma-separated string, lowercased and
+// without the leading "#" or "@"
+const parseTerms = (value, prefix) =>
+  (Array.isArray(value) ? value : String(value || "").split(","))
+    .map((term) =>
+      String(term)
+        .trim()
+        .replace(new RegExp(`^${prefix}`), "")
+        .toLowerCase()
+    )
+    .filter(Boolean);
+
+function parseDate(value, label) {
+  const date = new Date(value);
+  if (!value || isNaN(date.getTime())) {
+    throw new Error(`Invalid ${label} date: "${value || ""}"`);
+  }
+  return date;
+}
+
+// Validate a campaign definition from the admin API, as
+//   { slug, name, description, hashtags, keywords, mentions, startsAt,
+//     endsAt }
+// and return it as a campaigns row. Throws on anything invalid.
+function parseCampaign(body = {}) {
+  const slug = String(body.slug || "").trim();
+  if (!SLUG_PATTERN.test(slug)) {
+    throw new Error("`slug` must be lowercase letters, digits and dashes");
+  }
+  const name = String(body.name || "").trim();
+  if (!name) throw new Error("A campaign needs a name");
+
+  const hashtags = parseTerms(body.hashtags, "#");
+  const keywords = parseTerms(body.keywords, "");
+  const mentions = parseTerms(body.mentions, "@");
+  if (!hashtags.length && !keywords.length && !mentions.length) {
+    throw new Error("A campaign needs hashtags, keywords or mentions");
+  }
+
+  const startsAt = parseDate(body.startsAt, "startsAt");
+  const endsAt = body.endsAt ? parseDate(body.endsAt, "endsAt") : null;
+  if (endsAt && endsAt <= startsAt) {
+    throw new Error("`endsAt` must be after `startsAt`");
+  }
+
+  return {
+    slug,
+    name,
+    description: String(body.description || "").trim() || null,
+    hashtags,
+    keywords,
+    mentions,
+    starts_at: startsAt.toISOString(),
+    ends_at: endsAt ? endsAt.toISOString() : null,
+  };
+}
+
+// Compile a campaign's rules into a test on tweet text
+function campaignMatcher(campaign) {
+  // Whole terms only: #art skips #artwork and @defi skips @defiapp
+  const word = (term) => new RegExp(`(^|\\W)${escapeRegExp(term)}(?!\\w)`, "i");
+  const mentions = campaign.mentions.map((m) => word(`@${m}`));
+  const anyOf = [
+    ...campaign.hashtags.map((tag) => word(`#${tag}`)),
+    ...campaign.keywords.map(word),
+  ];
+  return (text = "") =>
+    mentions.every((re) => re.test(text)) &&
+    (anyOf.length === 0 || anyOf.some((re) => re.test(text)));
+}
+
+const inCampaign = (campaign, date) =>
+  new Date(date) >= new Date(campaign.starts_at) &&
+  (!campaign.ends_at || new Date(date) < new Date(campaign.ends_at));
+
+function campaignStatus(campaign, now = new Date()) {
+  if (now < new Date(campaign.starts_at)) return "upcoming";
+  if (campaign.ends_at && now >= new Date(campaign.ends_at)) return "ended";
+  return "active";
+}
+
+// The campaign's date range, in the form lib/windows.js resolves to
+const campaignRange = (campaign) => ({
+  name: "campaign",
+  from: new Date(campaign.starts_at),
+  to: campaign.ends_at ? new Date(campaign.ends_at) : null,
+});
+
+// What the API returns for a campaign
+const describeCampaign = (campaign, now = new Date()) => ({
+  slug: campaign.slug,
+  name: campaign.name,
+  description: campaign.description || null,
+  hashtags: campaign.hashtags || [],
+  keywords: campaign.keywords || [],
+  mentions: campaign.mentions || [],
+  startsAt: campaign.starts_at,
+  endsAt: campaign.ends_at || null,
+  status: campaignStatus(campaign, now),
+});
+
+// Newest first
+async function listCampaigns(supabase) {
+  const { data, error } = await supabase
+    .from("campaigns")
+    .select("*")
+    .order("starts_at", { ascending: false });
+  if (error) throw error;
+  return data || [];
+}
+
+async function getCampaign(supabase, slug) {
+  const { data, error } = await supabase
+    .from("campaigns")
+    .select("*")
+    .eq("slug", slug)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+async function insertTags(supabase, tags) {
+  for (let i = 0; i < tags.length; i += INSERT_CHUNK_SIZE) {
+    const { error } = await supabase
+      .from("campaign_tweets")
+      .upsert(tags.slice(i, i + INSERT_CHUNK_SIZE), {
+        onConflict: "campaign_slug,tweet_id",
+        ignoreDuplicates: true,
+      });
+    if (error) throw error;
+  }
+}
+
+// Rebuild a campaign's tags from every stored tweet in its range, e.g.
+// after its rules change. Resolves to the number of matching tweets.
+async function retagCampaign(supabase, campaign) {
+  const { error } = await supabase
+    .from("campaign_tweets")
+    .delete()
+    .eq("campaign_slug", campaign.slug);
+  if (error) throw error;
+
+  const tweets = await selectAll(() => {
+    let query = supabase
+      .from("tweets")
+      .select("id, text")
+      .gte("tweet_date", campaign.starts_at)
+      .order("id");
+    if (campaign.ends_at) query = query.lt("tweet_date", campaign.ends_at);
+    return query;
+  });
+
+  const matches = campaignMatcher(campaign);
+  const tags = tweets
+    .filter((t) => matches(t.text))
+    .map((t) => ({ campaign_slug: campaign.slug, tweet_id: String(t.id) }));
+  await insertTags(supabase, tags);
+  return tags.length;
+}
+
+// Create or replace a campaign and re-tag its tweets. Resolves to the
+// saved row and the number of tweets matching it.
+async function saveCampaign(supabase, campaign) {
+  const { data, error } = await supabase
+    .from("campaigns")
+    .upsert(
+      { ...campaign, updated_at: new Date().toISOString() },
+      { onConflict: "slug" }
+    )
+    .select("*")
+    .single();
+  if (error) throw error;
+  const tweets = await retagCampaign(supabase, data);
+  return { campaign: data, tweets };
+}
+
+async function deleteCampaign(supabase, slug) {
+  const { data, error } = await supabase
+    .from("campaigns")
+    .delete()
+    .eq("slug", slug)
+    .select("slug")
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+// Tag freshly synced tweets ({ id, text, tweet_date }) for every campaign
+// they fall inside and match. Resolves to the number of tags added.
+async function tagCampaignTweets(supabase, tweets) {
+  if (tweets.length === 0) return 0;
+  const campaigns = await listCampaigns(supabase);
+
+  const tags = [];
+  for (const campaign of campaigns) {
+    const matches = campaignMatcher(campaign);
+    for (const tweet of tweets) {
+      if (inCampaign(campaign, tweet.tweet_date) && matches(tweet.text)) {
+        tags.push({ campaign_slug: campaign.slug, tweet_id: String(tweet.id) });
+      }
+    }
+  }
+  await insertTags(supabase, tags);
+  return tags.length;
+}
+
+// A campaign's ranked board, from its tagged tweets
+const buildCampaignLeaderboard = (supabase, campaign, scoring) =>
+  buildLeaderboard(supabase, campaignRange(campaign), scoring, {
+    campaign: campaign.slug,
+  });
+
+module.exports = {
+  CAMPAIGN_STATUSES,
+  buildCampaignLeaderboard,
+  campaignMatcher,
+  campaignStatus,
+  deleteCampaign,
+  describeCampaign,
+  getCampaign,
+  listCampaigns,
+  parseCampaign,
+  saveCampaign,
+  tagCampaignTweets,
+};
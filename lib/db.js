@@ -0,0 +1,210 @@
+// Supabase helpers shared by the serverless functions and the indexer.
+//
+// Tables used here:
+//   users      (id PK -- the X user id, handle, name, avatar, total_tweets,
+//               total_likes, total_retweets, total_replies, total_quotes,
+//               total_views, total_bookmarks)  -- totals default to 0; see
+//               lib/identity.js for ids and handles
+//   tweets     (id PK, user_id FK, user_handle -- as posted, text, likes,
+//               retweets, replies, quotes, views, bookmarks, tweet_date,
+//               refreshed_at timestamptz,
+//               deleted_at timestamptz, url, media jsonb, quoted jsonb, urls
+//               jsonb)  -- see lib/engagement.js and lib/tweet-content.js
+//   sync_state (id text PK, newest_tweet_id text, newest_tweet_at timestamptz,
+//               updated_at timestamptz, resume_cursor text, resume_tweet_id
+//               text, resume_tweet_at timestamptz)
+//
+// The schema is in db/migrations (see lib/migrate.js).
+
+// PostgREST caps a single select at 1000 rows
+const PAGE_SIZE = 1000;
+
+// Keep `.in()` filters short enough for the request URL
+const IN_CHUNK_SIZE = 200;
+
+const SYNC_STATE_ID = "community";
+
+// Run a select page by page until every row has been read. `build` must
+// return a fresh query builder each time.
+async function selectAll(build) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await build().range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return rows;
+  }
+}
+
+// Like selectAll, but for a `.in()` filter over an arbitrarily long list
+async function selectIn(build, column, values) {
+  const rows = [];
+  for (let i = 0; i < values.length; i += IN_CHUNK_SIZE) {
+    const chunk = values.slice(i, i + IN_CHUNK_SIZE);
+    rows.push(...(await selectAll(() => build().in(column, chunk))));
+  }
+  return rows;
+}
+
+// A normalized tweet (see lib/sources) as a tweets table row
+const tweetRow = (tweet) => ({
+  id: tweet.id,
+  user_id: tweet.author.id,
+  user_handle: tweet.author.handle,
+  text: tweet.text,
+  ...tweet.counts,
+  tweet_date: tweet.createdAt.toISOString(),
+  url: tweet.url,
+  media: tweet.media,
+  quoted: tweet.quoted,
+  urls: tweet.urls,
+});
+
+// Ids from `ids` that are already in the tweets table
+async function existingTweetIds(supabase, ids) {
+  const rows = await selectIn(
+    () => supabase.from("tweets").select("id").order("id"),
+    "id",
+    ids
+  );
+  return new Set(rows.map((r) => String(r.id)));
+}
+
+// Rebuild the stored totals for the given members (by id) from every tweet
+// we have for them, so re-running a sync can never inflate or shrink them.
+// Tweets deleted upstream no longer count.
+async function recomputeUserTotals(supabase, userIds) {
+  if (userIds.length === 0) return [];
+
+  const users = await selectIn(
+    () => supabase.from("users").select("*").order("id"),
+    "id",
+    userIds
+  );
+  const tweets = await selectIn(
+    () =>
+      supabase
+        .from("tweets")
+        .select(
+          "id, user_id, likes, retweets, replies, quotes, views, bookmarks"
+        )
+        .is("deleted_at", null)
+        .order("id"),
+    "user_id",
+    userIds
+  );
+
+  // Upsert whole rows: a partial row would trip NOT NULL columns on insert
+  const totals = {};
+  for (const user of users) {
+    totals[user.id] = {
+      ...user,
+      total_tweets: 0,
+      total_likes: 0,
+      total_retweets: 0,
+      total_replies: 0,
+      total_quotes: 0,
+      total_views: 0,
+      total_bookmarks: 0,
+    };
+  }
+  for (const tweet of tweets) {
+    const t = totals[tweet.user_id];
+    if (!t) continue;
+    t.total_tweets += 1;
+    t.total_likes += tweet.likes || 0;
+    t.total_retweets += tweet.retweets || 0;
+    t.total_replies += tweet.replies || 0;
+    t.total_quotes += tweet.quotes || 0;
+    t.total_views += tweet.views || 0;
+    t.total_bookmarks += tweet.bookmarks || 0;
+  }
+
+  const rows = Object.values(totals);
+  if (rows.length === 0) return rows;
+  const { error } = await supabase
+    .from("users")
+    .upsert(rows, { onConflict: "id" });
+  if (error) throw error;
+
+  return rows;
+}
+
+// Newest tweet seen by a completed sync, or null before the first one
+async function readCheckpoint(supabase) {
+  const { data, error } = await supabase
+    .from("sync_state")
+    .select("newest_tweet_id, newest_tweet_at")
+    .eq("id", SYNC_STATE_ID)
+    .maybeSingle();
+  if (error) throw error;
+  if (!data || !data.newest_tweet_at) return null;
+  return {
+    tweetId: data.newest_tweet_id,
+    tweetAt: new Date(data.newest_tweet_at),
+  };
+}
+
+// Move the checkpoint forward. Never moves it backwards, so an older
+// backfill finishing after a regular sync leaves it alone.
+async function saveCheckpoint(supabase, previous, newest) {
+  if (!newest) return previous;
+  if (previous && newest.tweetAt <= previous.tweetAt) return previous;
+
+  const { error } = await supabase.from("sync_state").upsert(
+    {
+      id: SYNC_STATE_ID,
+      newest_tweet_id: newest.tweetId,
+      newest_tweet_at: newest.tweetAt.toISOString(),
+      updated_at: new Date().toISOString(),
+    },
+    { onConflict: "id" }
+  );
+  if (error) throw error;
+  return newest;
+}
+
+// Where an interrupted sync stopped reading the feed: the cursor of the
+// first page it didn't read and the newest tweet it did, or null
+async function readResumePoint(supabase) {
+  const { data, error } = await supabase
+    .from("sync_state")
+    .select("resume_cursor, resume_tweet_id, resume_tweet_at")
+    .eq("id", SYNC_STATE_ID)
+    .maybeSingle();
+  if (error) throw error;
+  if (!data || !data.resume_cursor) return null;
+  return {
+    cursor: data.resume_cursor,
+    tweetId: data.resume_tweet_id,
+    tweetAt: new Date(data.resume_tweet_at),
+  };
+}
+
+// Record (or with null, clear) the resume point
+async function saveResumePoint(supabase, resume) {
+  const { error } = await supabase.from("sync_state").upsert(
+    {
+      id: SYNC_STATE_ID,
+      resume_cursor: resume ? resume.cursor : null,
+      resume_tweet_id: resume ? resume.tweetId : null,
+      resume_tweet_at: resume ? resume.tweetAt.toISOString() : null,
+      updated_at: new Date().toISOString(),
+    },
+    { onConflict: "id" }
+  );
+  if (error) throw error;
+  return resume;
+}
+
+module.exports = {
+  existingTweetIds,
+  readCheckpoint,
+  readResumePoint,
+  recomputeUserTotals,
+  saveCheckpoint,
+  saveResumePoint,
+  selectAll,
+  selectIn,
+  tweetRow,
+};
@@ -0,0 +1,55 @@
+// Engagement counts and rates, shared by the sync, the indexer, the API and
+// the app. Every tweet source (lib/sources) reports views (impressions),
+// quotes and bookmarks next to likes, retweets and replies; payloads that
+// lack one read as 0.
+//
+// The engagement rate is interactions per view,
+//
+//   (likes + retweets + replies + quotes + bookmarks) / views
+//
+// as a fraction (0.042 is 4.2%), and null when there are no views to divide
+// by. Over a set of tweets only the ones with a view count take part, so
+// tweets stored without one don't inflate it. The counts are stored on the
+// tweets table as likes, retweets, replies, quotes, views and bookmarks (see
+// db/migrations/postgres/0005_engagement.sql).
+
+const COUNTS = ["likes", "retweets", "replies", "quotes", "views", "bookmarks"];
+
+const INTERACTIONS = ["likes", "retweets", "replies", "quotes", "bookmarks"];
+
+// Interactions per view for anything carrying the counts, a tweet or a
+// member's (or the community's) sums
+function engagementRate(counts) {
+  if (!counts.views) return null;
+  const interactions = INTERACTIONS.reduce(
+    (acc, key) => acc + (counts[key] || 0),
+    0
+  );
+  return interactions / counts.views;
+}
+
+// Sum of each count over a list of tweets
+function sumCounts(items) {
+  const sums = {};
+  for (const key of COUNTS) {
+    sums[key] = items.reduce((acc, item) => acc + (item[key] || 0), 0);
+  }
+  return sums;
+}
+
+// The engagement rate of a set of tweets, from those that have views
+const tweetsEngagementRate = (tweets) =>
+  engagementRate(sumCounts(tweets.filter((t) => t.views)));
+
+// The same from sums: the views of a set of tweets and the interactions on
+// those of them that have views
+const summedEngagementRate = (views, viewedInteractions) =>
+  views ? viewedInteractions / views : null;
+
+module.exports = {
+  COUNTS,
+  engagementRate,
+  sumCounts,
+  summedEngagementRate,
+  tweetsEngagementRate,
+};
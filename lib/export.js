@@ -0,0 +1,93 @@
+// Exports of a whole leaderboard, for the CLI (backend/twitter_indexer.js).
+// The JSON export is the board exactly as /api/get-leaderboard serves it,
+// recent tweets and rank movement included, which is what the app reads
+// from public/api/users.json when the API is unreachable. The CSV export
+// is one row per member for spreadsheets, handles without their "@".
+
+const {
+  ALL_TIME,
+  attachRecentTweets,
+  buildLeaderboard,
+} = require("./leaderboard");
+const { applyMovement, readPreviousSnapshot } = require("./snapshots");
+
+const EXPORT_FORMATS = ["json", "csv"];
+
+const BOARD_CSV_COLUMNS = [
+  "rank",
+  "handle",
+  "name",
+  "score",
+  "tweets",
+  "likes",
+  "rts",
+  "replies",
+  "quotes",
+  "views",
+  "bookmarks",
+  "engagementRate",
+  "flaggedTweets",
+  "rankDelta",
+];
+
+// Text a spreadsheet would run as a formula (or DDE) rather than show
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// One field, quoted when it has to be. Text that could start a formula -
+// display names are picked by members - gets a leading ' so it stays text;
+// numbers, negative ones included, are left alone.
+const csvField = (value) => {
+  let text = value == null ? "" : String(value);
+  if (typeof value === "string" && FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// A member record with its handle as a CSV cell: "alice", not "@alice"
+const csvMember = (record) => ({
+  ...record,
+  handle: String(record.handle || "").replace(/^@/, ""),
+});
+
+// `records` as CSV with a header row of `columns`
+function toCsv(columns, records) {
+  const rows = [columns, ...records.map((r) => columns.map((c) => r[c]))];
+  return rows.map((row) => row.map(csvField).join(",")).join("\n") + "\n";
+}
+
+function parseExportFormat(value) {
+  const format = value || "json";
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(
+      `Unknown format "${format}" (expected ${EXPORT_FORMATS.join(" or ")})`
+    );
+  }
+  return format;
+}
+
+// Every member of the board for `range`, ranked, with their recent tweets
+// and (all-time only, like the API) their movement since the last snapshot
+async function exportBoard(supabase, range = ALL_TIME) {
+  const { members } = await buildLeaderboard(supabase, range);
+  const previous =
+    range.name === "all" ? await readPreviousSnapshot(supabase) : null;
+  applyMovement(members, previous);
+  await attachRecentTweets(supabase, members);
+  return members;
+}
+
+// The exported board as file contents in `format`
+const formatBoard = (members, format) =>
+  format === "csv"
+    ? toCsv(BOARD_CSV_COLUMNS, members.map(csvMember))
+    : JSON.stringify(members, null, 2) + "\n";
+
+module.exports = {
+  EXPORT_FORMATS,
+  csvMember,
+  exportBoard,
+  formatBoard,
+  parseExportFormat,
+  toCsv,
+};
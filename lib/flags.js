@@ -0,0 +1,344 @@
+// Spam and farming detection, shared by the indexer and the sync. Each rule
+// flags tweets with a reason code; config/flags.json holds the thresholds
+// and the `flagged` weights in config/scoring.json decide how much a
+// flagged tweet still scores.
+//
+//   duplicate_burst   `burst` or more near-identical posts by one member
+//                     within `windowHours` (every copy after the first)
+//   mention_heavy     at least `minMentions` @-mentions making up `ratio`
+//                     of the words
+//   engagement_spike  likes + retweets at least `minEngagement` and
+//                     `multiplier` times the member's median. The feed
+//                     doesn't say who engaged, so a jump far above a
+//                     member's usual reach stands in for "a few accounts"
+//   new_account       posted when the account was under `days` days old
+//
+// Flags are stored in tweet_flags (see db/migrations/postgres/0008_flags.sql):
+//
+//   tweet_flags (id bigserial PK, tweet_id, user_id, user_handle, reason,
+//                details jsonb, status text, created_at, reviewed_at,
+//                reviewed_by; unique (tweet_id, reason))
+//
+// `status` starts as "pending" and is set to "confirmed" or "dismissed"
+// from the admin review queue. Dismissed flags no longer cost points.
+
+const flagRules = require("../config/flags.json");
+const { selectIn } = require("./db");
+
+const FLAG_REASONS = [
+  "duplicate_burst",
+  "mention_heavy",
+  "engagement_spike",
+  "new_account",
+];
+
+const FLAG_STATUSES = ["pending", "confirmed", "dismissed"];
+
+const FLAG_QUEUE_LIMIT = 50;
+
+const DEFAULT_RULES = {
+  lookbackDays: 30,
+  duplicate: { windowHours: 24, similarity: 0.8, burst: 3 },
+  mentions: { minMentions: 3, ratio: 0.5 },
+  spike: { multiplier: 10, minEngagement: 50, minHistory: 5 },
+  newAccount: { days: 30 },
+};
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+function loadFlagRules(overrides = {}) {
+  const rules = { ...DEFAULT_RULES, ...flagRules, ...overrides };
+  for (const key of ["duplicate", "mentions", "spike", "newAccount"]) {
+    rules[key] = {
+      ...DEFAULT_RULES[key],
+      ...flagRules[key],
+      ...overrides[key],
+    };
+  }
+  return rules;
+}
+
+const URL_PATTERN = /https?:\/\/\S+/g;
+const MENTION_PATTERN = /@\w+/g;
+
+// Lowercased words with links and mentions removed, for comparing posts
+function contentWords(text) {
+  return new Set(
+    (text || "")
+      .toLowerCase()
+      .replace(URL_PATTERN, " ")
+      .replace(MENTION_PATTERN, " ")
+      .split(/[^\p{L}\p{N}#]+/u)
+      .filter(Boolean)
+  );
+}
+
+// Jaccard similarity of two word sets; posts with no words never match
+function similarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const word of a) if (b.has(word)) shared += 1;
+  return shared / (a.size + b.size - shared);
+}
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+function detectDuplicates(
+  posts,
+  { windowHours, similarity: threshold, burst }
+) {
+  const flags = [];
+  const words = posts.map((p) => contentWords(p.text));
+  posts.forEach((post, i) => {
+    const similar = [];
+    posts.forEach((other, j) => {
+      if (
+        i !== j &&
+        Math.abs(other.time - post.time) <= windowHours * HOUR &&
+        similarity(words[i], words[j]) >= threshold
+      ) {
+        similar.push(other);
+      }
+    });
+    const earlier = similar.filter((other) => other.time < post.time);
+    if (similar.length + 1 >= burst && earlier.length) {
+      flags.push({
+        post,
+        reason: "duplicate_burst",
+        details: {
+          similarTo: String(earlier[0].id),
+          copies: similar.length + 1,
+        },
+      });
+    }
+  });
+  return flags;
+}
+
+function detectMentions(posts, { minMentions, ratio }) {
+  const flags = [];
+  for (const post of posts) {
+    const words = (post.text || "")
+      .replace(URL_PATTERN, " ")
+      .split(/\s+/)
+      .filter(Boolean);
+    const mentions = words.filter((w) => /^@\w+/.test(w)).length;
+    if (mentions >= minMentions && mentions / words.length >= ratio) {
+      flags.push({
+        post,
+        reason: "mention_heavy",
+        details: { mentions, words: words.length },
+      });
+    }
+  }
+  return flags;
+}
+
+function detectSpikes(posts, { multiplier, minEngagement, minHistory }) {
+  const flags = [];
+  const engagement = posts.map((p) => (p.likes || 0) + (p.retweets || 0));
+  posts.forEach((post, i) => {
+    const others = engagement.filter((_, j) => j !== i);
+    if (others.length < minHistory) return;
+    const baseline = median(others);
+    if (
+      engagement[i] >= minEngagement &&
+      engagement[i] >= multiplier * Math.max(baseline, 1)
+    ) {
+      flags.push({
+        post,
+        reason: "engagement_spike",
+        details: { engagement: engagement[i], baseline },
+      });
+    }
+  });
+  return flags;
+}
+
+function detectNewAccounts(posts, { days }) {
+  const flags = [];
+  for (const post of posts) {
+    if (!post.accountCreatedAt) continue;
+    const ageDays = (post.time - new Date(post.accountCreatedAt)) / DAY;
+    if (ageDays < days) {
+      flags.push({
+        post,
+        reason: "new_account",
+        details: { accountAgeDays: Math.max(0, Math.floor(ageDays)) },
+      });
+    }
+  }
+  return flags;
+}
+
+// Run every rule over a set of tweets, each
+//   { id, userId, handle, text, likes, retweets, date, accountCreatedAt }
+// Pass a member's recent history along with their new tweets so bursts and
+// spikes have something to compare against. Returns one
+// { tweetId, userId, handle, reason, details } per flag.
+function detectFlags(tweets, rules = loadFlagRules()) {
+  const byMember = {};
+  for (const tweet of tweets) {
+    (byMember[tweet.userId] ||= []).push({
+      ...tweet,
+      time: new Date(tweet.date).getTime(),
+    });
+  }
+
+  const flags = [];
+  for (const posts of Object.values(byMember)) {
+    posts.sort((a, b) => a.time - b.time);
+    flags.push(
+      ...detectDuplicates(posts, rules.duplicate),
+      ...detectMentions(posts, rules.mentions),
+      ...detectSpikes(posts, rules.spike),
+      ...detectNewAccounts(posts, rules.newAccount)
+    );
+  }
+
+  return flags.map(({ post, reason, details }) => ({
+    tweetId: String(post.id),
+    userId: post.userId,
+    handle: post.handle,
+    reason,
+    details,
+  }));
+}
+
+// Reason codes per tweet id, for scoring
+function flagsByTweet(flags) {
+  const byTweet = {};
+  for (const flag of flags) (byTweet[flag.tweetId] ||= []).push(flag.reason);
+  return byTweet;
+}
+
+// Re-check the recent tweets of the given members (by id) and store any new
+// flags. Existing flags (and their review status) are left alone. Resolves
+// to the number of flags added.
+async function detectAndSaveFlags(supabase, userIds, rules = loadFlagRules()) {
+  if (userIds.length === 0) return 0;
+
+  const since = new Date(Date.now() - rules.lookbackDays * DAY).toISOString();
+  const users = await selectIn(
+    () => supabase.from("users").select("id, account_created_at").order("id"),
+    "id",
+    userIds
+  );
+  const createdAt = Object.fromEntries(
+    users.map((u) => [u.id, u.account_created_at])
+  );
+  const tweets = await selectIn(
+    () =>
+      supabase
+        .from("tweets")
+        .select("id, user_id, user_handle, text, likes, retweets, tweet_date")
+        .is("deleted_at", null)
+        .gte("tweet_date", since)
+        .order("id"),
+    "user_id",
+    userIds
+  );
+
+  const flags = detectFlags(
+    tweets.map((t) => ({
+      id: t.id,
+      userId: t.user_id,
+      handle: t.user_handle,
+      text: t.text,
+      likes: t.likes,
+      retweets: t.retweets,
+      date: t.tweet_date,
+      accountCreatedAt: createdAt[t.user_id],
+    })),
+    rules
+  );
+  if (flags.length === 0) return 0;
+
+  const { data, error } = await supabase
+    .from("tweet_flags")
+    .upsert(
+      flags.map((f) => ({
+        tweet_id: f.tweetId,
+        user_id: f.userId,
+        user_handle: f.handle,
+        reason: f.reason,
+        details: f.details,
+      })),
+      { onConflict: "tweet_id,reason", ignoreDuplicates: true }
+    )
+    .select("id");
+  if (error) throw error;
+  return (data || []).length;
+}
+
+// The review queue: flags with the tweet they are about, newest first
+async function listFlags(
+  supabase,
+  { status = "pending", limit = FLAG_QUEUE_LIMIT } = {}
+) {
+  let query = supabase
+    .from("tweet_flags")
+    .select("*")
+    .order("created_at", { ascending: false })
+    .limit(limit);
+  if (status) query = query.eq("status", status);
+  const { data, error } = await query;
+  if (error) throw error;
+  const flags = data || [];
+
+  const tweets = await selectIn(
+    () =>
+      supabase
+        .from("tweets")
+        .select("id, text, likes, retweets, replies, tweet_date")
+        .order("id"),
+    "id",
+    [...new Set(flags.map((f) => f.tweet_id))]
+  );
+  const byId = Object.fromEntries(tweets.map((t) => [String(t.id), t]));
+  return flags.map((flag) => ({ ...flag, tweet: byId[flag.tweet_id] || null }));
+}
+
+// Resolves to the updated flag, or null when there is no such flag
+async function getFlag(supabase, id) {
+  const { data, error } = await supabase
+    .from("tweet_flags")
+    .select("*")
+    .eq("id", id)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+async function reviewFlag(supabase, id, status, reviewer) {
+  const { data, error } = await supabase
+    .from("tweet_flags")
+    .update({
+      status,
+      reviewed_at: new Date().toISOString(),
+      reviewed_by: reviewer,
+    })
+    .eq("id", id)
+    .select("*")
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+module.exports = {
+  FLAG_QUEUE_LIMIT,
+  FLAG_REASONS,
+  FLAG_STATUSES,
+  detectAndSaveFlags,
+  detectFlags,
+  flagsByTweet,
+  getFlag,
+  listFlags,
+  loadFlagRules,
+  reviewFlag,
+};
@@ -0,0 +1,215 @@
+// HTTP client for the upstream tweet APIs (lib/sources). Every request of a
+// run goes through one client, which
+//
+//   - retries rate limits (429), server errors (5xx), timeouts and dropped
+//     connections with exponential backoff and full jitter, waiting as long
+//     as a `Retry-After` (or X's `x-rate-limit-reset`) header asks instead
+//     when there is one
+//   - stops at a per-run request budget, since every call costs credits
+//   - never starts a wait that would run past the run's time budget, so a
+//     serverless function answers before its platform kills it
+//
+// A request that still fails is thrown with `error.retryable` and, for
+// budget and deadline stops, `error.code` set; callers keep what they have
+// and report the failure (see fetchCommunityTweets in lib/sources).
+//
+// Settings come from the environment (see httpOptionsFromEnv):
+//
+//   API_REQUEST_BUDGET       requests per run, retries included (default
+//                            100, 0 for no limit)
+//   API_RETRIES              retries per request (default 4)
+//   API_TIME_BUDGET_SECONDS  wall-clock budget per run (default none for
+//                            the CLI, SERVERLESS_TIME_BUDGET_SECONDS for
+//                            the serverless syncs; 0 for no limit)
+
+const axios = require("axios");
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_RETRIES = 4;
+const DEFAULT_REQUEST_BUDGET = 100;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 60 * 1000;
+
+// Time budget of the serverless syncs, under their 60s maxDuration
+// (vercel.json) with room left to store what was read
+const SERVERLESS_TIME_BUDGET_SECONDS = 45;
+
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+const RETRYABLE_CODES = [
+  "ECONNABORTED",
+  "ECONNRESET",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+  "ENOTFOUND",
+  "ERR_NETWORK",
+];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// A failure worth another try: a rate limit, a server error or a network
+// problem, but never a 4xx that will fail the same way again
+function isRetryable(error) {
+  if (error.response) {
+    return RETRYABLE_STATUSES.includes(error.response.status);
+  }
+  return RETRYABLE_CODES.includes(error.code);
+}
+
+// How long the server asked us to wait, in ms, or null. Reads Retry-After
+// (seconds or an HTTP date) and X's x-rate-limit-reset (epoch seconds).
+function retryAfterMs(headers = {}, now = Date.now()) {
+  const retryAfter = headers["retry-after"];
+  if (retryAfter !== undefined && retryAfter !== "") {
+    const seconds = Number(retryAfter);
+    if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(retryAfter);
+    if (!isNaN(date)) return Math.max(0, date - now);
+  }
+  const reset = Number(headers["x-rate-limit-reset"]);
+  if (reset && headers["x-rate-limit-remaining"] === "0") {
+    return Math.max(0, reset * 1000 - now);
+  }
+  return null;
+}
+
+// Exponential backoff with full jitter: anywhere up to base * 2^attempt
+function backoffMs(attempt, random = Math.random) {
+  const ceiling = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+  return Math.round(random() * ceiling);
+}
+
+// A short description of a failed request, for logs and run stats
+function describeError(error) {
+  if (error.response) {
+    return `HTTP ${error.response.status}${
+      error.response.statusText ? ` ${error.response.statusText}` : ""
+    }`;
+  }
+  return error.message;
+}
+
+const stopError = (code, message) =>
+  Object.assign(new Error(message), { code, retryable: true });
+
+// Parse a non-negative integer setting, with 0 meaning "no limit" when
+// `zeroIsUnlimited` is set
+function parseLimit(name, value, fallback, zeroIsUnlimited = false) {
+  if (value === undefined || value === null || value === "") return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new Error(`Invalid ${name}: "${value}"`);
+  }
+  return zeroIsUnlimited && number === 0 ? Infinity : number;
+}
+
+// Client options from API_REQUEST_BUDGET, API_RETRIES and
+// API_TIME_BUDGET_SECONDS, with `timeBudgetSeconds` as the time budget when
+// that isn't set. Throws on invalid values.
+function httpOptionsFromEnv(
+  env = process.env,
+  { timeBudgetSeconds = null } = {}
+) {
+  const seconds = parseLimit(
+    "API_TIME_BUDGET_SECONDS",
+    env.API_TIME_BUDGET_SECONDS,
+    timeBudgetSeconds
+  );
+  return {
+    budget: parseLimit(
+      "API_REQUEST_BUDGET",
+      env.API_REQUEST_BUDGET,
+      DEFAULT_REQUEST_BUDGET,
+      true
+    ),
+    retries: parseLimit("API_RETRIES", env.API_RETRIES, DEFAULT_RETRIES),
+    timeBudgetMs: seconds ? seconds * 1000 : null,
+  };
+}
+
+// `budget` caps the requests sent (retries included) over the client's
+// life, so make one client per run. `request` and `wait` are there for
+// tests.
+function createHttpClient({
+  timeout = DEFAULT_TIMEOUT_MS,
+  retries = DEFAULT_RETRIES,
+  budget = DEFAULT_REQUEST_BUDGET,
+  timeBudgetMs = null,
+  request = (config) => axios.request(config),
+  wait = sleep,
+  random = Math.random,
+  onRetry,
+} = {}) {
+  const deadline = timeBudgetMs ? Date.now() + timeBudgetMs : Infinity;
+  const stats = { requests: 0, retries: 0, failures: 0 };
+
+  // GET `url` and resolve to the response body
+  async function get(url, { params, headers } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      if (stats.requests >= budget) {
+        stats.failures += 1;
+        throw stopError(
+          "REQUEST_BUDGET",
+          `Request budget of ${budget} used up`
+        );
+      }
+      if (Date.now() >= deadline) {
+        stats.failures += 1;
+        throw stopError("TIME_BUDGET", "Time budget used up");
+      }
+      stats.requests += 1;
+
+      try {
+        const response = await request({
+          method: "get",
+          url,
+          params,
+          headers,
+          timeout: Math.min(timeout, deadline - Date.now()),
+        });
+        return response.data;
+      } catch (error) {
+        error.retryable = isRetryable(error);
+        if (!error.retryable || attempt >= retries) {
+          stats.failures += 1;
+          throw error;
+        }
+
+        const delay =
+          retryAfterMs(error.response && error.response.headers) ??
+          backoffMs(attempt, random);
+        // Rate limited for longer than any run should sit and wait
+        if (delay > MAX_DELAY_MS) {
+          stats.failures += 1;
+          throw error;
+        }
+        if (Date.now() + delay > deadline) {
+          stats.failures += 1;
+          throw stopError(
+            "TIME_BUDGET",
+            `${describeError(error)}; retrying would pass the time budget`
+          );
+        }
+
+        stats.retries += 1;
+        if (onRetry) {
+          onRetry({ url, attempt: attempt + 1, delay, error });
+        }
+        await wait(delay);
+      }
+    }
+  }
+
+  return { get, stats };
+}
+
+module.exports = {
+  DEFAULT_REQUEST_BUDGET,
+  DEFAULT_RETRIES,
+  SERVERLESS_TIME_BUDGET_SECONDS,
+  backoffMs,
+  createHttpClient,
+  describeError,
+  httpOptionsFromEnv,
+  isRetryable,
+  retryAfterMs,
+};
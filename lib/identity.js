@@ -0,0 +1,216 @@
+// Member identity. Members are keyed by their numeric X user id, which
+// stays the same when they rename their account; `users.handle` is just the
+// latest handle we've seen them post under. Every handle they have had is
+// kept too, so links to an old one still find them
+// (db/migrations/postgres/0013_user_ids.sql):
+//
+//   users        (id text PK, handle, ...)  -- see lib/db.js
+//   user_handles (user_id, handle, first_seen_at, last_seen_at,
+//                 PK (user_id, handle))
+//
+// Members stored before ids were tracked have a placeholder id,
+// "handle:<handle>". A sync that sees one of them post under that handle
+// moves their rows to the real id; mergeLegacyUsers (the indexer's
+// merge-users command) looks up the rest, and merges the rows a rename
+// split a member into.
+
+const { recomputeUserTotals, selectAll, selectIn } = require("./db");
+const { fetchTweetsByIds } = require("./sources");
+
+const LEGACY_PREFIX = "handle:";
+
+// Stored tweets looked up per placeholder member, in case some are gone
+const LOOKUP_TWEETS = 3;
+
+const legacyId = (handle) => `${LEGACY_PREFIX}${handle}`;
+
+// An ilike pattern matching `handle` and nothing else
+const handlePattern = (handle) => handle.replace(/[\\%_]/g, "\\$&");
+
+// A normalized author (see lib/sources) as a users row. Profile fields
+// only - totals are rebuilt from the tweets table (lib/db.js). Sources
+// that don't report when an account was created leave the stored date be.
+const memberRow = (author) => ({
+  id: author.id,
+  handle: author.handle,
+  name: author.name,
+  avatar: author.avatarUrl,
+  ...(author.createdAt
+    ? { account_created_at: author.createdAt.toISOString() }
+    : {}),
+});
+
+async function readMember(supabase, id) {
+  const { data, error } = await supabase
+    .from("users")
+    .select("*")
+    .eq("id", id)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+// The member going by `handle`, matched case-insensitively, or else the
+// one who posted under it last. Resolves to their users row, or null.
+async function resolveHandle(supabase, handle) {
+  const pattern = handlePattern(handle);
+  const { data: current, error } = await supabase
+    .from("users")
+    .select("*")
+    .ilike("handle", pattern);
+  if (error) throw error;
+  if (current.length === 1) return current[0];
+
+  // Nobody, or a handle that changed hands since some of them last posted
+  const { data: seen, error: seenError } = await supabase
+    .from("user_handles")
+    .select("user_id")
+    .ilike("handle", pattern)
+    .order("last_seen_at", { ascending: false })
+    .limit(1);
+  if (seenError) throw seenError;
+  if (seen.length === 0) return current[0] || null;
+  return readMember(supabase, seen[0].user_id);
+}
+
+// Fold member `fromId` into `intoId` and delete it. Their tweets, flags,
+// adjustments, wallet links, rank history and handles move over, and a ban
+// or linked wallet that only `fromId` has is kept. Where both have a
+// snapshot from the same sync, the one of `intoId` stays. The merge is one
+// transaction (the merge_users function of
+// db/migrations/postgres/0016_merge_users.sql); the totals of `intoId` are
+// rebuilt after it.
+async function mergeUsers(supabase, fromId, intoId) {
+  const { error } = await supabase.rpc("merge_users", {
+    p_from: fromId,
+    p_into: intoId,
+  });
+  if (error) throw error;
+
+  await recomputeUserTotals(supabase, [intoId]);
+}
+
+// Store the profiles of `authors` (normalized, one per id) and record the
+// handles they posted under, as seen at `seenAt`. Members still under a
+// placeholder for their current handle are merged into the real id.
+// Resolves to the renames since we last saw them, as [{ id, from, to }].
+async function saveMembers(supabase, authors, seenAt = new Date()) {
+  if (authors.length === 0) return [];
+
+  const known = await selectIn(
+    () => supabase.from("users").select("id, handle").order("id"),
+    "id",
+    authors.map((a) => a.id)
+  );
+  const previous = new Map(known.map((u) => [u.id, u.handle]));
+
+  // supabase-js writes a column missing from some rows of an upsert as
+  // null, so rows with and without a creation date go separately
+  const rows = authors.map(memberRow);
+  for (const batch of [
+    rows.filter((row) => "account_created_at" in row),
+    rows.filter((row) => !("account_created_at" in row)),
+  ]) {
+    if (batch.length === 0) continue;
+    const { error } = await supabase
+      .from("users")
+      .upsert(batch, { onConflict: "id" });
+    if (error) throw error;
+  }
+
+  const { error: handlesError } = await supabase.from("user_handles").upsert(
+    authors.map((a) => ({
+      user_id: a.id,
+      handle: a.handle,
+      last_seen_at: seenAt.toISOString(),
+    })),
+    { onConflict: "user_id,handle" }
+  );
+  if (handlesError) throw handlesError;
+
+  const legacy = await selectIn(
+    () => supabase.from("users").select("id").order("id"),
+    "id",
+    authors.map((a) => legacyId(a.handle))
+  );
+  for (const { id } of legacy) {
+    const author = authors.find((a) => legacyId(a.handle) === id);
+    await mergeUsers(supabase, id, author.id);
+  }
+
+  return authors
+    .filter((a) => previous.has(a.id) && previous.get(a.id) !== a.handle)
+    .map((a) => ({ id: a.id, from: previous.get(a.id), to: a.handle }));
+}
+
+// Give every member still under a placeholder their X id, looked up from
+// their newest stored tweets through `source`. Rows that turn out to be
+// the same member under an old and a new handle are merged. Resolves to
+//   { resolved, merged, unresolved: [handle], error }
+// where `merged` counts the rows folded into another and `unresolved` the
+// members none of whose tweets could be found (deleted, or the account
+// went private).
+async function mergeLegacyUsers(supabase, source) {
+  const legacy = await selectAll(() =>
+    supabase
+      .from("users")
+      .select("id, handle")
+      .ilike("id", `${LEGACY_PREFIX}%`)
+      .order("id")
+  );
+
+  const sample = new Map();
+  for (const user of legacy) {
+    const { data, error } = await supabase
+      .from("tweets")
+      .select("id")
+      .eq("user_id", user.id)
+      .order("tweet_date", { ascending: false })
+      .limit(LOOKUP_TWEETS);
+    if (error) throw error;
+    sample.set(
+      user.id,
+      data.map((t) => String(t.id))
+    );
+  }
+
+  const lookup = await fetchTweetsByIds(source, [...sample.values()].flat());
+  const authorOf = new Map(lookup.tweets.map((t) => [t.id, t.author]));
+
+  // Placeholder rows by the member they turned out to be
+  const groups = new Map();
+  const result = { resolved: 0, merged: 0, unresolved: [], error: null };
+  for (const user of legacy) {
+    const author = sample
+      .get(user.id)
+      .map((id) => authorOf.get(id))
+      .find(Boolean);
+    if (!author) result.unresolved.push(user.handle);
+    else if (groups.has(author.id)) groups.get(author.id).rows.push(user);
+    else groups.set(author.id, { author, rows: [user] });
+  }
+
+  for (const { author, rows } of groups.values()) {
+    const existed = Boolean(await readMember(supabase, author.id));
+    await saveMembers(supabase, [author]);
+    for (const user of rows) {
+      // saveMembers already took the one under the current handle
+      if (await readMember(supabase, user.id)) {
+        await mergeUsers(supabase, user.id, author.id);
+      }
+    }
+    result.resolved += rows.length;
+    result.merged += rows.length - (existed ? 0 : 1);
+  }
+
+  result.error = lookup.error;
+  return result;
+}
+
+module.exports = {
+  legacyId,
+  mergeLegacyUsers,
+  mergeUsers,
+  resolveHandle,
+  saveMembers,
+};
@@ -0,0 +1,212 @@
+// Leaderboard aggregation shared by the API and the sync function. Counts
+// and scores are built from the tweets inside a time window (see
+// lib/windows.js); scores follow config/scoring.json, so the caps apply
+// and flagged tweets (lib/flags.js) are marked down. Banned members are
+// left out and admin score adjustments (lib/admin.js) are added on top, as
+// `scoreBreakdown.adjustment`; a member with adjustments but no tweets in
+// the window is on the board too. Views, quotes and bookmarks are summed
+// too, for the engagement rate (lib/engagement.js) of each member and of
+// the whole board.
+//
+// The heavy lifting is done by the SQL functions in db/migrations/postgres:
+// leaderboard_members (0017_leaderboard_members.sql) sums a whole board's
+// tweets per member, day and set of flags in one query, and recent_tweets
+// (0013_user_ids.sql) fetches the recent tweets for a page in another.
+// The same query builds campaign boards (lib/campaigns.js) from just the
+// tweets tagged for a campaign.
+
+const { selectAll } = require("./db");
+const { sumCounts, summedEngagementRate } = require("./engagement");
+const {
+  loadScoringConfig,
+  rankByScore,
+  scoreTweetGroups,
+} = require("./scoring");
+const { readLatestRank } = require("./snapshots");
+const { permalink } = require("./tweet-content");
+
+const ALL_TIME = { name: "all", from: null, to: null };
+
+const RECENT_TWEETS_PER_MEMBER = 5;
+
+// Sum of `key` over tweet groups
+const sumOf = (groups, key) => groups.reduce((acc, g) => acc + g[key], 0);
+
+// A row per member, day and set of flags, and one with each member's
+// adjustments; only those of `userId` when given
+function readBoardRows(supabase, range, scoring, { campaign, userId }) {
+  return selectAll(() => {
+    let query = supabase
+      .rpc("leaderboard_members", {
+        p_from: range.from ? range.from.toISOString() : null,
+        p_to: range.to ? range.to.toISOString() : null,
+        p_campaign: campaign,
+        p_weights: scoring.weights,
+        p_tweet_cap: scoring.caps.perTweet,
+      })
+      .order("handle")
+      .order("user_id")
+      .order("day")
+      .order("flags");
+    if (userId) query = query.eq("user_id", userId);
+    return query;
+  });
+}
+
+// Board entries (unranked) for the rows of readBoardRows, and the tweet
+// groups of all of them
+function toMembers(rows, scoring) {
+  const byMember = new Map();
+  for (const row of rows) {
+    if (!byMember.has(row.user_id)) {
+      byMember.set(row.user_id, { row, groups: [], adjustment: 0 });
+    }
+    const entry = byMember.get(row.user_id);
+    entry.adjustment += Number(row.adjustment) || 0;
+    if (Number(row.tweets) > 0) {
+      entry.groups.push({
+        day: row.day,
+        flags: row.flags ? row.flags.split(",") : [],
+        tweets: Number(row.tweets),
+        likes: Number(row.likes),
+        retweets: Number(row.retweets),
+        replies: Number(row.replies),
+        quotes: Number(row.quotes),
+        views: Number(row.views),
+        bookmarks: Number(row.bookmarks),
+        viewedInteractions: Number(row.viewed_interactions),
+        capped: Number(row.capped),
+      });
+    }
+  }
+
+  const allGroups = [];
+  const members = [...byMember.values()].map(({ row, groups, adjustment }) => {
+    const { total, breakdown } = scoreTweetGroups(groups, scoring);
+    breakdown.adjustment = adjustment;
+    const counts = sumCounts(groups);
+    allGroups.push(...groups);
+
+    return {
+      rank: 0,
+      userId: row.user_id,
+      name: row.name,
+      handle: `@${row.handle}`,
+      avatarUrl: row.avatar || "",
+      avatarColor: "#3b82f6",
+      tweets: sumOf(groups, "tweets"),
+      likes: counts.likes,
+      rts: counts.retweets,
+      replies: counts.replies,
+      quotes: counts.quotes,
+      views: counts.views,
+      bookmarks: counts.bookmarks,
+      engagementRate: summedEngagementRate(
+        counts.views,
+        sumOf(groups, "viewedInteractions")
+      ),
+      flaggedTweets: sumOf(
+        groups.filter((g) => g.flags.length),
+        "tweets"
+      ),
+      score: total + breakdown.adjustment,
+      scoreBreakdown: breakdown,
+    };
+  });
+  return { members, allGroups };
+}
+
+async function buildLeaderboard(
+  supabase,
+  range = ALL_TIME,
+  scoring = loadScoringConfig(),
+  { campaign = null } = {}
+) {
+  const rows = await readBoardRows(supabase, range, scoring, { campaign });
+  const { members, allGroups } = toMembers(rows, scoring);
+
+  const leaderboard = rankByScore(members);
+  const counts = sumCounts(allGroups);
+
+  return {
+    members: leaderboard,
+    totals: {
+      tweets: sumOf(allGroups, "tweets"),
+      ...counts,
+      engagementRate: summedEngagementRate(
+        counts.views,
+        sumOf(allGroups, "viewedInteractions")
+      ),
+    },
+  };
+}
+
+// One member's entry on the all-time board, without building the whole
+// board: their rank is the one in the latest snapshot (lib/snapshots.js),
+// which the last sync took of the live board, or null when they weren't on
+// it then. Resolves to null for a member with nothing on the board.
+async function readBoardMember(
+  supabase,
+  userId,
+  scoring = loadScoringConfig()
+) {
+  const rows = await readBoardRows(supabase, ALL_TIME, scoring, { userId });
+  const [member] = toMembers(rows, scoring).members;
+  if (!member) return null;
+  member.rank = await readLatestRank(supabase, userId);
+  return member;
+}
+
+// Attach `recentTweets` to the given members with a single query
+async function attachRecentTweets(
+  supabase,
+  members,
+  limit = RECENT_TWEETS_PER_MEMBER
+) {
+  if (members.length === 0) return members;
+
+  // Still one query for a page; a whole board is split so no response
+  // goes over PostgREST's 1000-row cap
+  const userIds = members.map((m) => m.userId);
+  const perRequest = Math.max(1, Math.floor(1000 / limit));
+  const tweets = [];
+  for (let i = 0; i < userIds.length; i += perRequest) {
+    const { data, error } = await supabase.rpc("recent_tweets", {
+      p_user_ids: userIds.slice(i, i + perRequest),
+      p_limit: limit,
+    });
+    if (error) throw error;
+    tweets.push(...(data || []));
+  }
+
+  const newestFirst = tweets.sort(
+    (a, b) => new Date(b.tweet_date) - new Date(a.tweet_date)
+  );
+  const byMember = {};
+  for (const tweet of newestFirst) {
+    (byMember[tweet.user_id] ||= []).push({
+      id: String(tweet.id),
+      text: tweet.text,
+      date: new Date(tweet.tweet_date).toLocaleDateString(),
+      likes: tweet.likes,
+      retweets: tweet.retweets,
+      views: tweet.views || 0,
+      url: tweet.url || permalink(tweet.user_handle, tweet.id),
+      media: tweet.media || [],
+      quoted: tweet.quoted || null,
+      urls: tweet.urls || [],
+    });
+  }
+  for (const member of members) {
+    member.recentTweets = byMember[member.userId] || [];
+  }
+  return members;
+}
+
+module.exports = {
+  ALL_TIME,
+  RECENT_TWEETS_PER_MEMBER,
+  attachRecentTweets,
+  buildLeaderboard,
+  readBoardMember,
+};
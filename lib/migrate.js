@@ -0,0 +1,194 @@
+// The database schema, as numbered migrations in db/migrations:
+//
+//   db/migrations/postgres/NNNN_<name>.sql  Supabase, or any Postgres
+//   db/migrations/sqlite/NNNN_<name>.sql    the local SQLite backend
+//
+// Each database records what it has applied in schema_migrations (version,
+// name, applied_at), and a migration runs in a transaction together with
+// that record, so a failed one leaves nothing behind. Both dialects have
+// the same versions; a change to the schema is a new file in each, never
+// an edit to an applied one.
+//
+// The Postgres migrations use "if not exists" throughout, so they also
+// bring a database set up by hand before there were migrations up to date.
+//
+// Run them with `npm run db:migrate` (see backend/twitter_indexer.js). The
+// SQLite backend applies its own when it opens a database.
+
+const fs = require("fs");
+const path = require("path");
+
+const MIGRATIONS_DIR = path.join(__dirname, "../db/migrations");
+const DIALECTS = ["postgres", "sqlite"];
+
+const SQLITE_PREFIX = "sqlite:";
+
+const CREATE_TABLE = {
+  postgres: `
+    create table if not exists schema_migrations (
+      version text primary key,
+      name text not null,
+      applied_at timestamptz not null default now()
+    )`,
+  sqlite: `
+    create table if not exists schema_migrations (
+      version text primary key,
+      name text not null,
+      applied_at text not null
+        default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+    )`,
+};
+
+// Every migration for `dialect`, oldest first, as { version, name, file }
+function readMigrations(dialect, dir = MIGRATIONS_DIR) {
+  return fs
+    .readdirSync(path.join(dir, dialect))
+    .filter((file) => /^\d{4}_[a-z0-9_]+\.sql$/.test(file))
+    .sort()
+    .map((file) => {
+      const [, version, name] = file.match(/^(\d{4})_(.+)\.sql$/);
+      return { version, name, file: path.join(dir, dialect, file) };
+    });
+}
+
+// The migrations not in `applied`, up to and including version `to`
+function pendingMigrations(migrations, applied, to) {
+  if (to && !migrations.some((m) => m.version === to)) {
+    throw new Error(`Unknown migration version "${to}"`);
+  }
+  return migrations.filter(
+    (m) => !applied.has(m.version) && (!to || m.version <= to)
+  );
+}
+
+const failed = (migration, error) =>
+  new Error(`${migration.version}_${migration.name} failed: ${error.message}`);
+
+// Bring the better-sqlite3 database `db` up to date. Synchronous, so the
+// SQLite backend can open a database in one step. Returns the migrations
+// it applied.
+function migrateSqlite(db, { to, dir } = {}) {
+  db.exec(CREATE_TABLE.sqlite);
+  const applied = new Set(
+    db.prepare("select version from schema_migrations").pluck().all()
+  );
+  const pending = pendingMigrations(readMigrations("sqlite", dir), applied, to);
+  const record = db.prepare(
+    "insert into schema_migrations (version, name) values (?, ?)"
+  );
+
+  for (const migration of pending) {
+    try {
+      db.transaction(() => {
+        db.exec(fs.readFileSync(migration.file, "utf8"));
+        record.run(migration.version, migration.name);
+      })();
+    } catch (error) {
+      throw failed(migration, error);
+    }
+  }
+  return pending;
+}
+
+// Bring the Postgres database behind the pg `client` up to date. Returns
+// the migrations it applied.
+async function migratePostgres(client, { to, dir } = {}) {
+  await client.query(CREATE_TABLE.postgres);
+  const { rows } = await client.query("select version from schema_migrations");
+  const applied = new Set(rows.map((r) => r.version));
+  const pending = pendingMigrations(
+    readMigrations("postgres", dir),
+    applied,
+    to
+  );
+
+  for (const migration of pending) {
+    await client.query("begin");
+    try {
+      await client.query(fs.readFileSync(migration.file, "utf8"));
+      await client.query(
+        "insert into schema_migrations (version, name) values ($1, $2)",
+        [migration.version, migration.name]
+      );
+      await client.query("commit");
+    } catch (error) {
+      await client.query("rollback");
+      throw failed(migration, error);
+    }
+  }
+  return pending;
+}
+
+// Every migration for `dialect` with when it was applied (null when it
+// hasn't been), given the schema_migrations rows
+const migrationStatus = (dialect, rows) => {
+  const appliedAt = new Map(rows.map((r) => [r.version, r.applied_at]));
+  return readMigrations(dialect).map((m) => ({
+    ...m,
+    appliedAt: appliedAt.get(m.version) || null,
+  }));
+};
+
+// A connection to the database at `url` (postgres://… or sqlite:<file>)
+// with the same methods for either:
+//   migrate({ to })  applies what's pending and resolves to it
+//   status()         resolves to every migration with its appliedAt
+//   close()
+async function openDatabase(url) {
+  if (!url) throw new Error("No database given");
+
+  if (url.startsWith(SQLITE_PREFIX)) {
+    const Database = require("better-sqlite3");
+    const file = url.slice(SQLITE_PREFIX.length);
+    if (file !== ":memory:") {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+    }
+    const db = new Database(file);
+    db.pragma("foreign_keys = ON");
+    return {
+      dialect: "sqlite",
+      migrate: async (options) => migrateSqlite(db, options),
+      status: async () => {
+        db.exec(CREATE_TABLE.sqlite);
+        return migrationStatus(
+          "sqlite",
+          db.prepare("select version, applied_at from schema_migrations").all()
+        );
+      },
+      close: async () => db.close(),
+    };
+  }
+
+  if (/^postgres(ql)?:\/\//.test(url)) {
+    const { Client } = require("pg");
+    const client = new Client({ connectionString: url });
+    await client.connect();
+    return {
+      dialect: "postgres",
+      migrate: (options) => migratePostgres(client, options),
+      status: async () => {
+        await client.query(CREATE_TABLE.postgres);
+        const { rows } = await client.query(
+          "select version, applied_at from schema_migrations"
+        );
+        return migrationStatus("postgres", rows);
+      },
+      close: () => client.end(),
+    };
+  }
+
+  throw new Error(
+    `Unsupported database "${url}" (expected postgres://… or sqlite:<file>)`
+  );
+}
+
+module.exports = {
+  DIALECTS,
+  MIGRATIONS_DIR,
+  migratePostgres,
+  migrateSqlite,
+  migrationStatus,
+  openDatabase,
+  pendingMigrations,
+  readMigrations,
+};
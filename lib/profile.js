@@ -0,0 +1,178 @@
+// Per-member profile data for api/user/[handle].js: the member's live tweets
+// a page at a time, newest first, plus an activity summary built from all
+// of them - daily and weekly engagement series (views included, for the
+// engagement rate), best tweets and the first and last days they posted.
+
+const { selectAll } = require("./db");
+const { flagsByTweet } = require("./flags");
+const { loadScoringConfig, scoreTweet } = require("./scoring");
+const { permalink } = require("./tweet-content");
+
+const DEFAULT_TWEETS_PAGE_SIZE = 20;
+const MAX_TWEETS_PAGE_SIZE = 100;
+const BEST_TWEETS = 5;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const TWEET_COLUMNS =
+  "id, user_handle, text, likes, retweets, replies, quotes, views, bookmarks, tweet_date, url, media, quoted, urls";
+
+// ?page=&pageSize= for the tweet list
+function parseTweetsQuery(query = {}) {
+  const page = parseInt(query.page, 10);
+  const pageSize = parseInt(query.pageSize, 10) || DEFAULT_TWEETS_PAGE_SIZE;
+  return {
+    page: page > 0 ? page : 1,
+    pageSize: Math.min(Math.max(pageSize, 1), MAX_TWEETS_PAGE_SIZE),
+  };
+}
+
+const toTweet = (row) => ({
+  id: String(row.id),
+  text: row.text,
+  date: new Date(row.tweet_date).toISOString(),
+  likes: row.likes || 0,
+  retweets: row.retweets || 0,
+  replies: row.replies || 0,
+  quotes: row.quotes || 0,
+  views: row.views || 0,
+  bookmarks: row.bookmarks || 0,
+  url: row.url || permalink(row.user_handle, row.id),
+  media: row.media || [],
+  quoted: row.quoted || null,
+  urls: row.urls || [],
+});
+
+async function readTweetsPage(supabase, userId, { page, pageSize }) {
+  const from = (page - 1) * pageSize;
+  const { data, error, count } = await supabase
+    .from("tweets")
+    .select(TWEET_COLUMNS, { count: "exact" })
+    .eq("user_id", userId)
+    .is("deleted_at", null)
+    .order("tweet_date", { ascending: false })
+    .range(from, from + pageSize - 1);
+  if (error) throw error;
+  const total = count || 0;
+  return {
+    tweets: (data || []).map(toTweet),
+    total,
+    page,
+    pageSize,
+    pageCount: Math.max(1, Math.ceil(total / pageSize)),
+  };
+}
+
+const dayOf = (time) => new Date(time).toISOString().slice(0, 10);
+
+// Monday of the (UTC) week a time falls in
+const weekOf = (time) => {
+  const date = new Date(time);
+  return dayOf(time - ((date.getUTCDay() + 6) % 7) * DAY);
+};
+
+// One bucket per day or week from the first to the last, quiet ones
+// included so the series plots as a continuous timeline
+function series(tweets, bucketOf, step) {
+  const buckets = {};
+  for (const tweet of tweets) {
+    const key = bucketOf(Date.parse(tweet.date));
+    const bucket = (buckets[key] ||= {
+      tweets: 0,
+      likes: 0,
+      retweets: 0,
+      replies: 0,
+      views: 0,
+    });
+    bucket.tweets += 1;
+    bucket.likes += tweet.likes;
+    bucket.retweets += tweet.retweets;
+    bucket.replies += tweet.replies;
+    bucket.views += tweet.views;
+  }
+
+  const keys = Object.keys(buckets).sort();
+  const points = [];
+  const last = Date.parse(keys[keys.length - 1]);
+  for (let time = Date.parse(keys[0]); time <= last; time += step) {
+    const date = dayOf(time);
+    points.push({
+      date,
+      ...(buckets[date] || {
+        tweets: 0,
+        likes: 0,
+        retweets: 0,
+        replies: 0,
+        views: 0,
+      }),
+    });
+  }
+  return points;
+}
+
+// Summarize a member's tweets (oldest first or in any order). `flags` maps
+// tweet ids to the reasons they are flagged for, so flagged tweets score
+// as they do on the leaderboard.
+function summarizeActivity(tweets, flags = {}, scoring = loadScoringConfig()) {
+  if (tweets.length === 0) {
+    return {
+      firstActive: null,
+      lastActive: null,
+      daily: [],
+      weekly: [],
+      bestTweets: [],
+    };
+  }
+
+  const dates = tweets.map((t) => t.date).sort();
+  const bestTweets = tweets
+    .map((tweet) => ({
+      ...tweet,
+      score: scoreTweet({ ...tweet, flags: flags[tweet.id] || [] }, scoring)
+        .total,
+    }))
+    .sort((a, b) => b.score - a.score || b.date.localeCompare(a.date))
+    .slice(0, BEST_TWEETS);
+
+  return {
+    firstActive: dates[0],
+    lastActive: dates[dates.length - 1],
+    daily: series(tweets, dayOf, DAY),
+    weekly: series(tweets, weekOf, 7 * DAY),
+    bestTweets,
+  };
+}
+
+// Every live tweet and active flag of a member (by id), summarized
+async function readActivity(supabase, userId, scoring = loadScoringConfig()) {
+  const rows = await selectAll(() =>
+    supabase
+      .from("tweets")
+      .select(TWEET_COLUMNS)
+      .eq("user_id", userId)
+      .is("deleted_at", null)
+      .order("tweet_date")
+  );
+  const flagRows = await selectAll(() =>
+    supabase
+      .from("tweet_flags")
+      .select("tweet_id, reason")
+      .eq("user_id", userId)
+      .neq("status", "dismissed")
+      .order("id")
+  );
+  const flags = flagsByTweet(
+    flagRows.map((f) => ({ tweetId: String(f.tweet_id), reason: f.reason }))
+  );
+  return summarizeActivity(rows.map(toTweet), flags, scoring);
+}
+
+module.exports = {
+  BEST_TWEETS,
+  DEFAULT_TWEETS_PAGE_SIZE,
+  MAX_TWEETS_PAGE_SIZE,
+  parseTweetsQuery,
+  readActivity,
+  readTweetsPage,
+  summarizeActivity,
+};
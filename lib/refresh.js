@@ -0,0 +1,130 @@
+// Engagement refresh for tweets we already stored. The first time we see a
+// tweet it is usually minutes old, so its counts (likes, retweets, views and
+// the rest, see lib/engagement.js) are re-fetched for as long as it is
+// inside the refresh window, from the same source the sync reads
+// (lib/sources). Tweets the source reports gone get `deleted_at` set and
+// stop counting towards totals; ones that are only missing from its answer
+// are left alone and counted as `missing`. Media, quotes and links are
+// refreshed too, which fills them in for tweets stored before they were
+// kept. Tweets whose lookup failed (the request budget ran out, the API
+// kept erroring) are left alone and counted as `failed`; the next run
+// checks them again.
+
+const { COUNTS } = require("./engagement");
+const { fetchTweetsByIds } = require("./sources");
+const { selectAll } = require("./db");
+
+const DEFAULT_REFRESH_WINDOW_DAYS = 7;
+
+// Parse the window in days. 0 turns the refresh off.
+function parseRefreshWindow(value) {
+  if (value === undefined || value === null || value === "") {
+    return DEFAULT_REFRESH_WINDOW_DAYS;
+  }
+  const days = Number(value);
+  if (isNaN(days) || days < 0) {
+    throw new Error(`Invalid refresh window: "${value}"`);
+  }
+  return days;
+}
+
+async function refreshRecentEngagement(
+  supabase,
+  { source, windowDays = DEFAULT_REFRESH_WINDOW_DAYS, skipIds = [] }
+) {
+  const result = {
+    checked: 0,
+    updated: 0,
+    deleted: 0,
+    missing: 0,
+    failed: 0,
+    error: null,
+    userIds: [],
+  };
+  if (!windowDays) return result;
+
+  const after = new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000);
+  const stored = await selectAll(() =>
+    supabase
+      .from("tweets")
+      .select("*")
+      .gte("tweet_date", after.toISOString())
+      .is("deleted_at", null)
+      .order("id")
+  );
+
+  // Tweets that came in with this run's feed already have fresh numbers
+  const skip = new Set(skipIds.map(String));
+  const toCheck = stored.filter((t) => !skip.has(String(t.id)));
+  result.checked = toCheck.length;
+  if (toCheck.length === 0) return result;
+
+  const lookup = await fetchTweetsByIds(
+    source,
+    toCheck.map((t) => String(t.id))
+  );
+  const latestById = new Map(lookup.tweets.map((t) => [t.id, t]));
+  const notFound = new Set(lookup.notFoundIds);
+  const failed = new Set(lookup.failedIds);
+  result.failed = failed.size;
+  result.error = lookup.error;
+
+  const now = new Date().toISOString();
+  const updates = [];
+  const deletedIds = [];
+  const userIds = new Set();
+
+  for (const row of toCheck) {
+    if (failed.has(String(row.id))) continue;
+    const tweet = latestById.get(String(row.id));
+    if (!tweet) {
+      if (notFound.has(String(row.id))) {
+        deletedIds.push(row.id);
+        userIds.add(row.user_id);
+      } else {
+        result.missing += 1;
+      }
+      continue;
+    }
+
+    if (COUNTS.some((key) => tweet.counts[key] !== row[key])) {
+      userIds.add(row.user_id);
+    }
+    // Counts and content only; the row keeps its author and date
+    updates.push({
+      ...row,
+      ...tweet.counts,
+      url: tweet.url,
+      media: tweet.media,
+      quoted: tweet.quoted,
+      urls: tweet.urls,
+      refreshed_at: now,
+    });
+  }
+
+  if (updates.length > 0) {
+    const { error } = await supabase
+      .from("tweets")
+      .upsert(updates, { onConflict: "id" });
+    if (error) throw error;
+  }
+
+  for (let i = 0; i < deletedIds.length; i += 200) {
+    const { error } = await supabase
+      .from("tweets")
+      .update({ deleted_at: now })
+      .in("id", deletedIds.slice(i, i + 200));
+    if (error) throw error;
+  }
+
+  result.updated = updates.length;
+  result.deleted = deletedIds.length;
+  result.userIds = [...userIds];
+  return result;
+}
+
+module.exports = {
+  DEFAULT_REFRESH_WINDOW_DAYS,
+  parseRefreshWindow,
+  refreshRecentEngagement,
+};
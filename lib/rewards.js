@@ -0,0 +1,342 @@
+// Reward pool allocation. Splits a token pool between the members of a
+// leaderboard window according to an allocation curve, and keeps each
+// finished split as a named payout record.
+//
+//   proportional  each member's share is proportional to their score
+//   sqrt          proportional to the square root of the score, which
+//                 flattens the gap between the top and the long tail
+//   tiered        rank bands from `tiers`, each { upTo: rank, share },
+//                 shares being parts of their total. A band's share is
+//                 split evenly among the eligible members ranked in it and
+//                 members below the last band get nothing. The share of a
+//                 band with nobody eligible in it (a small board, or a
+//                 `top` cutoff above it) isn't spread over the others: it
+//                 is left over as the payout's `unallocated` amount
+//
+// Only members with a positive score are paid, and members with active
+// spam flags (lib/flags.js) are excluded; banned members are already left
+// off the board. The `top` and `minScore` cutoffs apply after that, to
+// the eligible members in rank order.
+//
+// Amounts are worked out in whole units of `decimals` places, and the
+// units lost to rounding go to the members with the largest remainders,
+// so a payout (with what is unallocated) always adds up to exactly the
+// pool. Amounts are strings to keep every decimal place; pools need to fit
+// in 2^53 base units.
+//
+// Allocations carry the member's linked wallet (lib/wallets.js) as
+// `address`, null when they haven't linked one, as of when the payout was
+// made.
+//
+// Payouts are stored in the payouts table (see
+// db/migrations/postgres/0011_payouts.sql), which rejects updates and
+// deletes:
+//
+//   payouts (id bigserial PK, name text unique, created_at, created_by,
+//            pool numeric, curve text, params jsonb, allocations jsonb,
+//            excluded jsonb, unallocated numeric)
+
+const rewardsConfig = require("../config/rewards.json");
+const { csvMember, toCsv } = require("./export");
+const { describeWindow, resolveWindow } = require("./windows");
+
+const CURVES = ["proportional", "sqrt", "tiered"];
+
+const PAYOUTS_LIMIT = 50;
+
+const DEFAULT_CONFIG = {
+  curve: "proportional",
+  decimals: 6,
+  tiers: [],
+};
+
+function loadRewardsConfig(overrides = {}) {
+  return { ...DEFAULT_CONFIG, ...rewardsConfig, ...overrides };
+}
+
+const positiveNumber = (value) => {
+  const number = Number(value);
+  return value !== "" && Number.isFinite(number) && number > 0 ? number : null;
+};
+
+function parseTiers(tiers) {
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    throw new Error("The tiered curve needs at least one tier");
+  }
+  let previous = 0;
+  return tiers.map((tier) => {
+    const upTo = parseInt(tier && tier.upTo, 10);
+    const share = positiveNumber(tier && tier.share);
+    if (!(upTo > previous) || share === null) {
+      throw new Error(
+        "Tiers must be { upTo, share } with ranks increasing and positive shares"
+      );
+    }
+    previous = upTo;
+    return { upTo, share };
+  });
+}
+
+// Validate the parameters of an allocation (a request body, or CLI flags):
+//   { name, pool, window | from | to, top, minScore, curve, tiers }
+// Throws on anything invalid.
+function parseAllocationRequest(body = {}, config = loadRewardsConfig()) {
+  const name = String(body.name || "").trim();
+  if (!name) throw new Error("A payout needs a name");
+
+  const pool = positiveNumber(body.pool);
+  if (pool === null) throw new Error("`pool` must be a positive number");
+
+  const curve = body.curve || config.curve;
+  if (!CURVES.includes(curve)) {
+    throw new Error(
+      `Unknown curve "${curve}" (expected one of ${CURVES.join(", ")})`
+    );
+  }
+
+  let top = null;
+  if (body.top != null && body.top !== "") {
+    top = parseInt(body.top, 10);
+    if (!(top > 0)) throw new Error("`top` must be a positive whole number");
+  }
+
+  let minScore = null;
+  if (body.minScore != null && body.minScore !== "") {
+    minScore = Number(body.minScore);
+    if (!Number.isFinite(minScore)) {
+      throw new Error("`minScore` must be a number");
+    }
+  }
+
+  return {
+    name,
+    pool,
+    range: resolveWindow({
+      window: body.window,
+      from: body.from,
+      to: body.to,
+    }),
+    top,
+    minScore,
+    curve,
+    tiers: curve === "tiered" ? parseTiers(body.tiers || config.tiers) : null,
+    decimals: config.decimals,
+  };
+}
+
+// Relative weight of each eligible member (in rank order) under a curve,
+// and the weight of the part of the pool nobody is eligible for
+function curveWeights(members, curve, tiers) {
+  if (curve === "sqrt") {
+    return { weights: members.map((m) => Math.sqrt(m.score)), unclaimed: 0 };
+  }
+  if (curve === "tiered") {
+    const bandOf = (member) => tiers.findIndex((t) => member.rank <= t.upTo);
+    const counts = tiers.map(() => 0);
+    for (const member of members) {
+      const band = bandOf(member);
+      if (band !== -1) counts[band] += 1;
+    }
+    return {
+      weights: members.map((member) => {
+        const band = bandOf(member);
+        return band === -1 ? 0 : tiers[band].share / counts[band];
+      }),
+      unclaimed: tiers.reduce(
+        (acc, tier, band) => (counts[band] === 0 ? acc + tier.share : acc),
+        0
+      ),
+    };
+  }
+  return { weights: members.map((m) => m.score), unclaimed: 0 };
+}
+
+// Weights as whole numbers, to a double's precision relative to the
+// largest, so the split below can be worked out exactly
+const WEIGHT_SCALE = 2 ** 52;
+function integerWeights(weights) {
+  const max = weights.reduce((acc, w) => Math.max(acc, w), 0);
+  return weights.map((w) =>
+    max > 0 ? BigInt(Math.round((w / max) * WEIGHT_SCALE)) : 0n
+  );
+}
+
+// "1234567" with 6 decimals -> "1.234567"
+function formatUnits(units, decimals) {
+  if (decimals === 0) return String(units);
+  const digits = String(units).padStart(decimals + 1, "0");
+  return `${digits.slice(0, -decimals)}.${digits.slice(-decimals)}`;
+}
+
+// Split `pool` across ranked board members. Resolves the cutoffs and the
+// curve and returns the allocation along with who was left out and why:
+//   { allocations: [{ rank, userId, handle, name, score, share, amount }],
+//     excluded: [{ rank, handle, score, reason }],
+//     unallocated: amount of the pool nobody was paid }
+function allocateRewards(
+  members,
+  { pool, top = null, minScore = null, curve, tiers = null, decimals }
+) {
+  const excluded = [];
+  const exclude = (member, reason) =>
+    excluded.push({
+      rank: member.rank,
+      handle: member.handle,
+      score: member.score,
+      reason,
+    });
+
+  const eligible = [];
+  for (const member of members) {
+    if (member.flaggedTweets > 0) exclude(member, "flagged");
+    else if (!(member.score > 0)) exclude(member, "no_score");
+    else if (minScore !== null && member.score < minScore) {
+      exclude(member, "below_min_score");
+    } else if (top !== null && eligible.length >= top) {
+      exclude(member, "below_top");
+    } else eligible.push(member);
+  }
+
+  const { weights, unclaimed } = curveWeights(eligible, curve, tiers);
+  const scale = 10 ** decimals;
+  const poolUnits = Math.round(pool * scale);
+
+  // Largest remainder, in integers: floor every exact amount, then hand the
+  // leftover units out one each, biggest remainder (then best rank) first.
+  // The unclaimed part takes its turn last and is left unallocated.
+  const shares = integerWeights([...weights, unclaimed]);
+  const totalShares = shares.reduce((acc, w) => acc + w, 0n);
+  const poolBig = BigInt(poolUnits);
+  const split = shares.map((w) =>
+    totalShares > 0n
+      ? {
+          units: (poolBig * w) / totalShares,
+          remainder: (poolBig * w) % totalShares,
+        }
+      : { units: 0n, remainder: 0n }
+  );
+  let leftover = split.reduce((acc, { units }) => acc - units, poolBig);
+  const byRemainder = split
+    .map(({ remainder }, i) => ({ i, remainder }))
+    .filter(({ i }) => shares[i] > 0n)
+    .sort((a, b) =>
+      a.remainder === b.remainder
+        ? a.i - b.i
+        : a.remainder > b.remainder
+        ? -1
+        : 1
+    );
+  for (let k = 0; leftover > 0n && k < byRemainder.length; k++, leftover--) {
+    split[byRemainder[k].i].units += 1n;
+  }
+  const units = split.slice(0, weights.length).map((s) => Number(s.units));
+
+  const allocations = [];
+  eligible.forEach((member, i) => {
+    if (weights[i] > 0) {
+      allocations.push({
+        rank: member.rank,
+        userId: member.userId,
+        handle: member.handle,
+        name: member.name,
+        score: member.score,
+        share: units[i] / poolUnits,
+        amount: formatUnits(units[i], decimals),
+      });
+    } else exclude(member, "below_last_tier");
+  });
+
+  excluded.sort((a, b) => a.rank - b.rank);
+  const allocated = units.reduce((acc, u) => acc + u, 0);
+  return {
+    allocations,
+    excluded,
+    unallocated: formatUnits(poolUnits - allocated, decimals),
+  };
+}
+
+// Payout record for parsed request parameters and the board of its window
+function buildPayout(request, members) {
+  const { name, pool, range, top, minScore, curve, tiers, decimals } = request;
+  const { allocations, excluded, unallocated } = allocateRewards(
+    members,
+    request
+  );
+  return {
+    name,
+    pool: formatUnits(Math.round(pool * 10 ** decimals), decimals),
+    curve,
+    params: {
+      window: describeWindow(range),
+      top,
+      minScore,
+      tiers,
+      decimals,
+    },
+    allocations,
+    excluded,
+    unallocated,
+  };
+}
+
+const CSV_COLUMNS = [
+  "rank",
+  "handle",
+  "name",
+  "address",
+  "score",
+  "share",
+  "amount",
+];
+
+// One row per paid member, for spreadsheets and payout tooling
+const payoutToCsv = (payout) =>
+  toCsv(CSV_COLUMNS, payout.allocations.map(csvMember));
+
+// Store a payout. Resolves to the saved record, or null when the name is
+// already taken.
+async function savePayout(supabase, payout, actor) {
+  const { data, error } = await supabase
+    .from("payouts")
+    .insert({ ...payout, created_by: actor })
+    .select("*")
+    .single();
+  // unique_violation on the name
+  if (error && error.code === "23505") return null;
+  if (error) throw error;
+  return data;
+}
+
+async function getPayout(supabase, name) {
+  const { data, error } = await supabase
+    .from("payouts")
+    .select("*")
+    .eq("name", name)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+// Payouts without their allocations, newest first
+async function listPayouts(supabase, limit = PAYOUTS_LIMIT) {
+  const { data, error } = await supabase
+    .from("payouts")
+    .select("id, name, created_at, created_by, pool, curve, params")
+    .order("created_at", { ascending: false })
+    .limit(limit);
+  if (error) throw error;
+  return data || [];
+}
+
+module.exports = {
+  CURVES,
+  PAYOUTS_LIMIT,
+  allocateRewards,
+  buildPayout,
+  getPayout,
+  listPayouts,
+  loadRewardsConfig,
+  parseAllocationRequest,
+  payoutToCsv,
+  savePayout,
+};
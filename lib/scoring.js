@@ -0,0 +1,167 @@
+// Leaderboard scoring, shared by the indexer and the API so every code path
+// ranks members the same way. The rules live in config/scoring.json:
+//
+//   weights.likes / retweets / replies / quotes / views
+//                     points per unit of engagement on a tweet
+//   weights.posts     points for the tweet itself
+//   caps.perTweet     max points a single tweet can earn (null = no cap)
+//   caps.perDay       max points a member can earn per UTC day (null = no cap)
+//   flagged.<reason>  share of its points a tweet flagged for that reason
+//                     keeps (0 = excluded); see lib/flags.js for the reasons
+//
+// Scores come with a breakdown per component. Points removed by the caps
+// show up as a negative `capped` entry and points lost to spam flags as a
+// negative `flagged` entry, so the breakdown always sums to the total.
+
+const scoringConfig = require("../config/scoring.json");
+
+const COMPONENTS = ["likes", "retweets", "replies", "quotes", "views", "posts"];
+
+const DEFAULT_CONFIG = {
+  weights: { likes: 1, retweets: 2, replies: 0, quotes: 0, views: 0, posts: 5 },
+  caps: { perTweet: null, perDay: null },
+  flagged: {},
+};
+
+function loadScoringConfig(overrides = {}) {
+  return {
+    weights: {
+      ...DEFAULT_CONFIG.weights,
+      ...scoringConfig.weights,
+      ...overrides.weights,
+    },
+    caps: { ...DEFAULT_CONFIG.caps, ...scoringConfig.caps, ...overrides.caps },
+    flagged: {
+      ...DEFAULT_CONFIG.flagged,
+      ...scoringConfig.flagged,
+      ...overrides.flagged,
+    },
+  };
+}
+
+const emptyBreakdown = () => {
+  const breakdown = {};
+  for (const component of COMPONENTS) breakdown[component] = 0;
+  breakdown.capped = 0;
+  breakdown.flagged = 0;
+  return breakdown;
+};
+
+const sumComponents = (breakdown) =>
+  COMPONENTS.reduce((acc, component) => acc + breakdown[component], 0);
+
+// Points for the engagement in `counts` over `posts` tweets, before caps
+// and flags
+function engagementPoints(counts, posts, weights) {
+  const breakdown = emptyBreakdown();
+  breakdown.likes = (counts.likes || 0) * weights.likes;
+  breakdown.retweets = (counts.retweets || 0) * weights.retweets;
+  breakdown.replies = (counts.replies || 0) * weights.replies;
+  breakdown.quotes = (counts.quotes || 0) * weights.quotes;
+  breakdown.views = (counts.views || 0) * weights.views;
+  breakdown.posts = posts * weights.posts;
+  return breakdown;
+}
+
+// `total` marked down for the reason codes in `flags`: the harshest weight
+// among them applies, and a reason without a configured weight excludes
+// the points
+function applyFlags(breakdown, total, flags, flagged) {
+  if (!flags || !flags.length) return total;
+  const kept = Math.min(...flags.map((reason) => flagged[reason] ?? 0));
+  breakdown.flagged = -total * (1 - kept);
+  return total + breakdown.flagged;
+}
+
+// Score one tweet. Expects { likes, retweets, replies, quotes, views };
+// missing counts score as zero. `flags` lists the reason codes the tweet
+// is flagged for.
+function scoreTweet(tweet, config = loadScoringConfig()) {
+  const { weights, caps, flagged } = config;
+  const breakdown = engagementPoints(tweet, 1, weights);
+
+  let total = sumComponents(breakdown);
+  if (caps.perTweet != null && total > caps.perTweet) {
+    breakdown.capped = caps.perTweet - total;
+    total = caps.perTweet;
+  }
+  total = applyFlags(breakdown, total, tweet.flags, flagged);
+  return { total, breakdown };
+}
+
+// Add up scored tweets, `[{ day, total, breakdown }]`, applying the
+// per-day cap
+function sumScores(scored, config) {
+  const breakdown = emptyBreakdown();
+  const perDay = {};
+
+  for (const item of scored) {
+    for (const key of Object.keys(breakdown)) {
+      breakdown[key] += item.breakdown[key];
+    }
+    perDay[item.day] = (perDay[item.day] || 0) + item.total;
+  }
+
+  const { perDay: dayCap } = config.caps;
+  if (dayCap != null) {
+    for (const dayTotal of Object.values(perDay)) {
+      if (dayTotal > dayCap) breakdown.capped -= dayTotal - dayCap;
+    }
+  }
+
+  const total = sumComponents(breakdown) + breakdown.capped + breakdown.flagged;
+  return { total, breakdown };
+}
+
+// Score all of a member's tweets. Each tweet also needs a `date` (anything
+// `Date` accepts) when a per-day cap is configured.
+function scoreTweets(tweets, config = loadScoringConfig()) {
+  return sumScores(
+    tweets.map((tweet) => ({
+      day: tweet.date ? new Date(tweet.date).toISOString().slice(0, 10) : "",
+      ...scoreTweet(tweet, config),
+    })),
+    config
+  );
+}
+
+// Score a member from their tweets summed per UTC day and set of flags,
+// as the database adds them up (see lib/leaderboard.js):
+//   [{ day: "YYYY-MM-DD", flags, tweets, likes, retweets, replies, quotes,
+//      views, capped }]
+// where `tweets` counts the tweets of a group and `capped` is what the
+// per-tweet cap took off them (zero or less). Comes to the same as
+// scoreTweets over the tweets themselves.
+function scoreTweetGroups(groups, config = loadScoringConfig()) {
+  const { weights, flagged } = config;
+  return sumScores(
+    groups.map((group) => {
+      const breakdown = engagementPoints(group, group.tweets, weights);
+      breakdown.capped = group.capped || 0;
+      const total = applyFlags(
+        breakdown,
+        sumComponents(breakdown) + breakdown.capped,
+        group.flags,
+        flagged
+      );
+      return { day: group.day || "", total, breakdown };
+    }),
+    config
+  );
+}
+
+// Sort members by score (highest first) and number them from 1
+function rankByScore(members) {
+  const ranked = [...members].sort((a, b) => b.score - a.score);
+  ranked.forEach((member, i) => (member.rank = i + 1));
+  return ranked;
+}
+
+module.exports = {
+  COMPONENTS,
+  loadScoringConfig,
+  rankByScore,
+  scoreTweet,
+  scoreTweetGroups,
+  scoreTweets,
+};
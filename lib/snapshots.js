@@ -0,0 +1,120 @@
+// Rank history. Every sync records each member's all-time rank and score in
+//
+//   rank_snapshots (snapshot_at timestamptz, user_id text, handle text,
+//                   rank int, score numeric)  -- one row per member per
+//                   sync, with the handle they had then
+//
+// and the leaderboard compares against the previous snapshot to show who
+// moved.
+
+const { selectAll } = require("./db");
+
+const INSERT_CHUNK_SIZE = 500;
+
+const bareHandle = (handle) => handle.replace(/^@/, "");
+
+// Rows for one snapshot
+const snapshotRows = (members, takenAt) =>
+  members.map((m) => ({
+    snapshot_at: takenAt.toISOString(),
+    user_id: m.userId,
+    handle: bareHandle(m.handle),
+    rank: m.rank,
+    score: m.score,
+  }));
+
+async function recordSnapshot(supabase, members, takenAt = new Date()) {
+  const rows = snapshotRows(members, takenAt);
+  for (let i = 0; i < rows.length; i += INSERT_CHUNK_SIZE) {
+    const { error } = await supabase
+      .from("rank_snapshots")
+      .insert(rows.slice(i, i + INSERT_CHUNK_SIZE));
+    if (error) throw error;
+  }
+  return rows.length;
+}
+
+// When the latest snapshot (before `before`, if given) was taken, or null
+async function latestSnapshotTime(supabase, before = null) {
+  let query = supabase.from("rank_snapshots").select("snapshot_at");
+  if (before) query = query.lt("snapshot_at", before);
+  const { data, error } = await query
+    .order("snapshot_at", { ascending: false })
+    .limit(1);
+  if (error) throw error;
+  return data && data[0] ? data[0].snapshot_at : null;
+}
+
+// The snapshot before the most recent one. The latest snapshot is taken
+// at the end of the last sync, so it already matches the live board.
+async function readPreviousSnapshot(supabase) {
+  const latest = await latestSnapshotTime(supabase);
+  const previous = latest && (await latestSnapshotTime(supabase, latest));
+  if (!previous) return null;
+
+  const rows = await selectAll(() =>
+    supabase
+      .from("rank_snapshots")
+      .select("user_id, rank, score")
+      .eq("snapshot_at", previous)
+      .order("rank")
+  );
+  return toSnapshot(previous, rows);
+}
+
+// A member's rank in the latest snapshot, null if they weren't in it
+async function readLatestRank(supabase, userId) {
+  const latest = await latestSnapshotTime(supabase);
+  if (!latest) return null;
+  const { data, error } = await supabase
+    .from("rank_snapshots")
+    .select("rank")
+    .eq("snapshot_at", latest)
+    .eq("user_id", userId)
+    .maybeSingle();
+  if (error) throw error;
+  return data ? data.rank : null;
+}
+
+const toSnapshot = (takenAt, rows) => ({
+  takenAt: new Date(takenAt),
+  ranks: new Map(rows.map((r) => [r.user_id, r])),
+});
+
+// Add previousRank / rankDelta / scoreDelta / isNew to each member.
+// rankDelta is positive when a member moved up. Without a previous
+// snapshot there is nothing to compare against, so nobody is "new".
+function applyMovement(members, previous) {
+  for (const member of members) {
+    const before = previous && previous.ranks.get(member.userId);
+    member.previousRank = before ? before.rank : null;
+    member.rankDelta = before ? before.rank - member.rank : null;
+    member.scoreDelta = before ? member.score - Number(before.score) : null;
+    member.isNew = Boolean(previous) && !before;
+  }
+  return members;
+}
+
+// A member's rank and score over time (by id), oldest first
+async function readRankHistory(supabase, userId, limit = 90) {
+  const { data, error } = await supabase
+    .from("rank_snapshots")
+    .select("snapshot_at, rank, score")
+    .eq("user_id", userId)
+    .order("snapshot_at", { ascending: false })
+    .limit(limit);
+  if (error) throw error;
+  return (data || []).reverse().map((r) => ({
+    date: r.snapshot_at,
+    rank: r.rank,
+    score: Number(r.score),
+  }));
+}
+
+module.exports = {
+  applyMovement,
+  readLatestRank,
+  readPreviousSnapshot,
+  readRankHistory,
+  recordSnapshot,
+};
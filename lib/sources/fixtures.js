@@ -0,0 +1,96 @@
+// Fixture source: replays API responses recorded to disk, so the whole
+// pipeline (sync, refresh, scoring) can run without network access or API
+// credits. A fixture directory looks like
+//
+//   source.json          { "source": "twitterapi" } or { "source": "x" }
+//   community/001.json   community feed pages, newest first, one response
+//   community/002.json   body each, exactly as the API sent it
+//   tweets/001.json      tweet lookup responses (optional)
+//
+// Pages are replayed in file name order whatever cursors they carry.
+// Lookups answer from every recorded tweet, with lookup responses winning
+// over feed pages; ids that appear nowhere count as deleted upstream.
+//
+// Point TWEET_SOURCE_RECORD at an empty directory during a real run to
+// record one (see ./index.js); fixtures/twitterapi is a small sample.
+
+const fs = require("fs");
+const path = require("path");
+const twitterapi = require("./twitterapi");
+const xApi = require("./x-api");
+
+const FORMATS = { twitterapi, x: xApi };
+
+const readJson = (file) => JSON.parse(fs.readFileSync(file, "utf8"));
+
+// The .json files in a fixture subdirectory, in replay order
+function fixtureFiles(dir, kind) {
+  const kindDir = path.join(dir, kind);
+  if (!fs.existsSync(kindDir)) return [];
+  return fs
+    .readdirSync(kindDir)
+    .filter((f) => f.endsWith(".json"))
+    .sort()
+    .map((f) => path.join(kindDir, f));
+}
+
+// Save one response body as the next file of its kind
+function recordFixture(dir, source, kind, body) {
+  const kindDir = path.join(dir, kind);
+  fs.mkdirSync(kindDir, { recursive: true });
+  const meta = path.join(dir, "source.json");
+  if (!fs.existsSync(meta)) {
+    fs.writeFileSync(meta, JSON.stringify({ source }, null, 2) + "\n");
+  }
+  const next = fixtureFiles(dir, kind).length + 1;
+  fs.writeFileSync(
+    path.join(kindDir, `${String(next).padStart(3, "0")}.json`),
+    JSON.stringify(body, null, 2) + "\n"
+  );
+}
+
+function createFixtureSource({ dir }) {
+  if (!fs.existsSync(dir)) {
+    throw new Error(`Fixture directory not found: ${dir}`);
+  }
+  const meta = path.join(dir, "source.json");
+  const format = fs.existsSync(meta) ? readJson(meta).source : "twitterapi";
+  const parser = FORMATS[format];
+  if (!parser) throw new Error(`Unknown fixture format "${format}"`);
+
+  const pages = fixtureFiles(dir, "community");
+  const cursors = pages.map((file) => path.basename(file));
+  const parse = (file) => parser.parsePage(readJson(file)).tweets;
+
+  return {
+    name: "fixtures",
+    lookupBatchSize: Infinity,
+    async fetchPage(cursor) {
+      // The cursor is the name of the page file to read next
+      const index = cursor ? cursors.indexOf(cursor) : 0;
+      if (index === -1 || index >= pages.length) {
+        return { tweets: [], nextCursor: "" };
+      }
+      return {
+        tweets: parse(pages[index]),
+        nextCursor: cursors[index + 1] || "",
+      };
+    },
+    async lookup(ids) {
+      const byId = new Map();
+      for (const file of [...pages, ...fixtureFiles(dir, "tweets")]) {
+        for (const tweet of parse(file)) byId.set(tweet.id, tweet);
+      }
+      const wanted = ids.map(String);
+      return {
+        tweets: wanted.filter((id) => byId.has(id)).map((id) => byId.get(id)),
+        notFound: wanted.filter((id) => !byId.has(id)),
+      };
+    },
+  };
+}
+
+module.exports = {
+  createFixtureSource,
+  recordFixture,
+};
@@ -0,0 +1,237 @@
+// Where tweets come from. The indexer, the sync and the engagement refresh
+// talk to a source rather than to a vendor's API, and every source hands
+// back tweets in one normalized shape:
+//
+//   { id, text, createdAt (Date),
+//     author: { id, handle (no "@"), name, avatarUrl, createdAt (Date|null) },
+//     counts: { likes, retweets, replies, quotes, views, bookmarks },
+//     url, media, quoted, urls }    -- as described in lib/tweet-content.js
+//
+// Sources, picked with TWEET_SOURCE:
+//
+//   twitterapi  TwitterAPI.io's community feed (the default; API_KEY and
+//               COMMUNITY_ID), see ./twitterapi.js
+//   x           the official X API v2 recent search (X_BEARER_TOKEN and
+//               X_QUERY), see ./x-api.js
+//   fixtures    recorded responses replayed from FIXTURES_DIR, for working
+//               offline, see ./fixtures.js
+//
+// An adapter only fetches and normalizes single pages
+// ({ fetchPage(cursor), lookup(ids) }); walking the feed back to a cutoff
+// happens once, here. A lookup resolves to { tweets, notFound }: the ids
+// the source says no longer exist, or null when it can't tell a deleted
+// tweet from one it just didn't return. With TWEET_SOURCE_RECORD=<dir>
+// the HTTP sources also save every response they get as a fixture, ready
+// to replay.
+//
+// The HTTP sources share one client per run (lib/http.js) that retries
+// rate limits and timeouts and stops at the run's request budget. A page
+// that still fails doesn't throw away the pages read before it: the walk
+// stops there and reports the failure with the cursor to resume from.
+
+const {
+  createHttpClient,
+  describeError,
+  httpOptionsFromEnv,
+} = require("../http");
+const { createFixtureSource, recordFixture } = require("./fixtures");
+const { createTwitterApiSource } = require("./twitterapi");
+const { createXApiSource } = require("./x-api");
+
+const SOURCE_NAMES = ["twitterapi", "x", "fixtures"];
+const DEFAULT_SOURCE = "twitterapi";
+
+// Safety net so a misconfigured run can't burn through the whole API quota
+const DEFAULT_MAX_PAGES = 10;
+
+// Parse a date cutoff from an env var / CLI flag. Accepts anything
+// `Date` understands (e.g. "2025-11-01") and returns null when unset.
+function parseSince(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid date cutoff: "${value}"`);
+  }
+  return date;
+}
+
+// Parse a page limit. 0 / "all" means no limit (used by backfills).
+function parseMaxPages(value, fallback = DEFAULT_MAX_PAGES) {
+  if (value === undefined || value === null || value === "") return fallback;
+  if (value === "all" || Number(value) === 0) return Infinity;
+  const pages = parseInt(value, 10);
+  if (isNaN(pages) || pages < 0) {
+    throw new Error(`Invalid page limit: "${value}"`);
+  }
+  return pages;
+}
+
+// Env vars each source can't run without
+const REQUIRED_ENV = {
+  twitterapi: ["API_KEY", "COMMUNITY_ID"],
+  x: ["X_BEARER_TOKEN", "X_QUERY"],
+  fixtures: ["FIXTURES_DIR"],
+};
+
+// The source configured in the environment, with a fresh request budget:
+// make one per run. `http` holds defaults for lib/http.js's settings, like
+// the serverless time budget. Throws when TWEET_SOURCE is unknown or a
+// variable it needs is missing or invalid.
+function sourceFromEnv(env = process.env, http = {}) {
+  const name = env.TWEET_SOURCE || DEFAULT_SOURCE;
+  if (!SOURCE_NAMES.includes(name)) {
+    throw new Error(
+      `Unknown tweet source "${name}" (expected one of ${SOURCE_NAMES.join(
+        ", "
+      )})`
+    );
+  }
+  const missing = REQUIRED_ENV[name].filter((key) => !env[key]);
+  if (missing.length) {
+    throw new Error(`Missing environment variables: ${missing.join(", ")}`);
+  }
+
+  if (name === "fixtures")
+    return createFixtureSource({ dir: env.FIXTURES_DIR });
+
+  const client = createHttpClient({
+    ...httpOptionsFromEnv(env, http),
+    onRetry: ({ attempt, delay, error }) =>
+      console.warn(
+        `${describeError(error)} from ${name}; retry ${attempt} in ${Math.ceil(
+          delay / 1000
+        )}s`
+      ),
+  });
+  const recordDir = env.TWEET_SOURCE_RECORD;
+  const onResponse = recordDir
+    ? (kind, body) => recordFixture(recordDir, name, kind, body)
+    : undefined;
+  if (name === "x") {
+    return createXApiSource({
+      bearerToken: env.X_BEARER_TOKEN,
+      query: env.X_QUERY,
+      http: client,
+      onResponse,
+    });
+  }
+  return createTwitterApiSource({
+    apiKey: env.API_KEY,
+    communityId: env.COMMUNITY_ID,
+    http: client,
+    onResponse,
+  });
+}
+
+// Follow the feed's cursor until we run out of pages, hit the page limit,
+// walk past the date cutoff or a page fails. Resolves to
+//
+//   { tweets, pages, nextCursor, reachedCutoff, complete, error }
+//
+// `nextCursor` is where to pick up again when the walk stopped early (the
+// page limit, or the page that failed); `complete` says the walk reached
+// the end of the feed or the cutoff; `error` describes the failure, or is
+// null. `pages` counts the pages read successfully. When the first page
+// fails there is nothing to keep, and its error is thrown.
+async function fetchCommunityTweets(
+  source,
+  { maxPages = DEFAULT_MAX_PAGES, since = null, cursor = "", onPage } = {}
+) {
+  const tweets = [];
+  const seen = new Set();
+  let pages = 0;
+  let nextCursor = cursor;
+  let reachedCutoff = false;
+  let error = null;
+  let complete = false;
+
+  while (pages < maxPages) {
+    let page;
+    try {
+      page = await source.fetchPage(nextCursor);
+    } catch (err) {
+      // Nothing read at all is a plain failure
+      if (pages === 0) throw err;
+      error = describeError(err);
+      break;
+    }
+    pages += 1;
+
+    for (const tweet of page.tweets) {
+      // The feed is newest first, so anything older than the cutoff
+      // means every later page is older too.
+      if (since && tweet.createdAt < since) {
+        reachedCutoff = true;
+        continue;
+      }
+      // New posts can shift the feed between requests, so pages overlap
+      if (seen.has(tweet.id)) continue;
+      seen.add(tweet.id);
+      tweets.push(tweet);
+    }
+
+    if (onPage) onPage({ page: pages, count: page.tweets.length });
+
+    // Leave nextCursor set only when we stopped early, so callers can
+    // pick up where this run left off.
+    if (reachedCutoff || !page.nextCursor) {
+      nextCursor = "";
+      complete = true;
+      break;
+    }
+    nextCursor = page.nextCursor;
+  }
+
+  return { tweets, pages, nextCursor, reachedCutoff, complete, error };
+}
+
+// Ids missing from a batch that count as deleted when the source can't
+// say why, as long as they are no more than this share of it. More than
+// that is more likely a short response than a wave of deletions.
+const MAX_MISSING_SHARE = 0.5;
+
+// The ids of a batch that are gone upstream
+function deletedIds(batch, { tweets, notFound }) {
+  if (notFound) return notFound.map(String);
+  const returned = new Set(tweets.map((t) => t.id));
+  const missing = batch.filter((id) => !returned.has(id));
+  return missing.length > batch.length * MAX_MISSING_SHARE ? [] : missing;
+}
+
+// Current versions of tweets by id, as
+// { tweets, notFoundIds, failedIds, error }. Tweets that were deleted are
+// in `notFoundIds`; ids in batches that failed are in `failedIds` instead,
+// since nothing is known about them. Any other id missing from `tweets`
+// (a protected or suspended author, a short response) is in neither.
+// Lookups stop at the first failed batch, which is usually the budget
+// running out.
+async function fetchTweetsByIds(source, ids) {
+  const tweets = [];
+  const notFoundIds = [];
+  for (let i = 0; i < ids.length; i += source.lookupBatchSize) {
+    const batch = ids.slice(i, i + source.lookupBatchSize).map(String);
+    try {
+      const found = await source.lookup(batch);
+      tweets.push(...found.tweets);
+      notFoundIds.push(...deletedIds(batch, found));
+    } catch (err) {
+      return {
+        tweets,
+        notFoundIds,
+        failedIds: ids.slice(i),
+        error: describeError(err),
+      };
+    }
+  }
+  return { tweets, notFoundIds, failedIds: [], error: null };
+}
+
+module.exports = {
+  DEFAULT_MAX_PAGES,
+  SOURCE_NAMES,
+  fetchCommunityTweets,
+  fetchTweetsByIds,
+  parseMaxPages,
+  parseSince,
+  sourceFromEnv,
+};
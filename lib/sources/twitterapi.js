@@ -0,0 +1,130 @@
+// TwitterAPI.io source: the community feed, a page of about 20 tweets per
+// request, and tweet lookups by id. Its payloads mix camelCase fields
+// (likeCount, author.userName) with the classic v1.1 names (favorite_count,
+// user.screen_name) depending on the endpoint, so both are read here.
+
+const { createHttpClient } = require("../http");
+const { tweetContent } = require("../tweet-content");
+
+const COMMUNITY_TWEETS_URL =
+  "https://api.twitterapi.io/twitter/community/tweets";
+const TWEETS_BY_ID_URL = "https://api.twitterapi.io/twitter/tweets";
+
+// How many ids we ask for per lookup request
+const LOOKUP_BATCH_SIZE = 50;
+
+const COUNT_FIELDS = {
+  likes: ["favorite_count", "likeCount"],
+  retweets: ["retweet_count", "retweetCount"],
+  replies: ["reply_count", "replyCount"],
+  quotes: ["quote_count", "quoteCount"],
+  views: ["view_count", "viewCount"],
+  bookmarks: ["bookmark_count", "bookmarkCount"],
+};
+
+// Every count of a tweet; missing ones are 0. View counts can come back
+// as strings.
+function tweetCounts(tweet) {
+  const counts = {};
+  for (const [key, names] of Object.entries(COUNT_FIELDS)) {
+    const value = names.map((name) => tweet[name]).find((v) => v != null);
+    counts[key] = Number(value) || 0;
+  }
+  if (!counts.views && tweet.views && tweet.views.count) {
+    counts.views = Number(tweet.views.count) || 0;
+  }
+  return counts;
+}
+
+const toDate = (value) => (value ? new Date(value) : null);
+
+function normalizeAuthor(author) {
+  return {
+    id: String(author.id_str || author.id),
+    handle: author.screen_name || author.userName,
+    name: author.name,
+    // Full-size picture rather than the 48px thumbnail
+    avatarUrl: (
+      author.profile_image_url_https ||
+      author.profilePicture ||
+      ""
+    ).replace("_normal", ""),
+    createdAt: toDate(author.created_at || author.createdAt),
+  };
+}
+
+// A raw tweet in the normalized shape (see ./index.js), or null for one
+// without an author
+function normalizeTweet(tweet) {
+  const author = tweet.user_info || tweet.author || tweet.user;
+  if (!author) return null;
+  return {
+    id: String(tweet.id_str || tweet.id),
+    text: tweet.text || tweet.full_text || "",
+    createdAt: new Date(tweet.created_at || tweet.createdAt),
+    author: normalizeAuthor(author),
+    counts: tweetCounts(tweet),
+    ...tweetContent(tweet),
+  };
+}
+
+// A response body as { tweets, nextCursor }
+function parsePage(body) {
+  return {
+    tweets: (body.tweets || []).map(normalizeTweet).filter(Boolean),
+    nextCursor: (body.has_next_page && body.next_cursor) || "",
+  };
+}
+
+// `http` is the run's client (lib/http.js), which retries and counts
+// requests against the run's budget
+function createTwitterApiSource({
+  apiKey,
+  communityId,
+  http = createHttpClient(),
+  onResponse,
+}) {
+  const get = async (url, params, kind) => {
+    const body = await http.get(url, {
+      headers: {
+        "X-API-Key": apiKey,
+        "User-Agent": "DeFi-Hub/1.0",
+      },
+      params,
+    });
+    if (onResponse) onResponse(kind, body);
+    return body;
+  };
+
+  return {
+    name: "twitterapi",
+    lookupBatchSize: LOOKUP_BATCH_SIZE,
+    http,
+    async fetchPage(cursor) {
+      const body = await get(
+        COMMUNITY_TWEETS_URL,
+        { community_id: communityId, ...(cursor ? { cursor } : {}) },
+        "community"
+      );
+      return parsePage(body);
+    },
+    async lookup(ids) {
+      const body = await get(
+        TWEETS_BY_ID_URL,
+        { tweet_ids: ids.join(",") },
+        "tweets"
+      );
+      // Missing ids come back without a reason
+      return { tweets: parsePage(body).tweets, notFound: null };
+    },
+  };
+}
+
+module.exports = {
+  COMMUNITY_TWEETS_URL,
+  TWEETS_BY_ID_URL,
+  createTwitterApiSource,
+  normalizeTweet,
+  parsePage,
+  tweetCounts,
+};
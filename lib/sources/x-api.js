@@ -0,0 +1,211 @@
+// Official X API v2 source. v2 has no endpoint for a community's feed, so
+// the feed is a recent search (the last 7 days) for X_QUERY - say
+// "#defiapp" or "@defiapp -is:retweet" - and lookups go through GET
+// /2/tweets. Authors, media and quoted tweets arrive once per page under
+// `includes` and are joined back onto each tweet here.
+
+const { createHttpClient } = require("../http");
+const { permalink } = require("../tweet-content");
+
+const SEARCH_URL = "https://api.x.com/2/tweets/search/recent";
+const TWEETS_URL = "https://api.x.com/2/tweets";
+
+// Most results v2 returns per search page, and ids per lookup
+const PAGE_SIZE = 100;
+const LOOKUP_BATCH_SIZE = 100;
+
+// Ask for everything the normalized tweet needs
+const FIELDS = {
+  expansions:
+    "author_id,attachments.media_keys,referenced_tweets.id,referenced_tweets.id.author_id",
+  "tweet.fields":
+    "created_at,public_metrics,entities,attachments,referenced_tweets,note_tweet",
+  "user.fields": "username,name,profile_image_url,created_at",
+  "media.fields": "type,url,preview_image_url,width,height,alt_text,variants",
+};
+
+const toDate = (value) => (value ? new Date(value) : null);
+
+// The highest-bitrate mp4 of a video, or null
+function bestVideo(media) {
+  const variants = (media.variants || []).filter(
+    (v) => v.content_type === "video/mp4"
+  );
+  if (variants.length === 0) return null;
+  return variants.reduce((best, v) =>
+    (v.bit_rate || 0) > (best.bit_rate || 0) ? v : best
+  ).url;
+}
+
+// Everything under `includes`, keyed for joining
+function indexIncludes(includes = {}) {
+  const byKey = (items, key) =>
+    new Map((items || []).map((item) => [item[key], item]));
+  return {
+    users: byKey(includes.users, "id"),
+    media: byKey(includes.media, "media_key"),
+    tweets: byKey(includes.tweets, "id"),
+  };
+}
+
+// Media links carry the media_key they stand for; the rest are real links
+function tweetLinks(tweet) {
+  const urls = (tweet.entities || {}).urls || [];
+  return {
+    mediaUrls: new Map(
+      urls.filter((u) => u.media_key).map((u) => [u.media_key, u.url])
+    ),
+    urls: urls
+      .filter((u) => !u.media_key)
+      .map((u) => ({
+        shortUrl: u.url,
+        url: u.expanded_url || u.url,
+        display: u.display_url || u.expanded_url || u.url,
+      })),
+  };
+}
+
+function tweetMedia(tweet, included, mediaUrls) {
+  const keys = (tweet.attachments || {}).media_keys || [];
+  return keys
+    .map((key) => included.media.get(key))
+    .filter(Boolean)
+    .map((m) => ({
+      type: m.type,
+      url: m.url || m.preview_image_url || null,
+      videoUrl: m.type === "photo" ? null : bestVideo(m),
+      width: m.width || null,
+      height: m.height || null,
+      alt: m.alt_text || null,
+      shortUrl: mediaUrls.get(m.media_key) || null,
+    }));
+}
+
+const tweetText = (tweet) =>
+  (tweet.note_tweet && tweet.note_tweet.text) || tweet.text || "";
+
+function normalizeAuthor(user) {
+  return {
+    id: user.id,
+    handle: user.username,
+    name: user.name,
+    // Full-size picture rather than the 48px thumbnail
+    avatarUrl: (user.profile_image_url || "").replace("_normal", ""),
+    createdAt: toDate(user.created_at),
+  };
+}
+
+function quotedTweet(tweet, included) {
+  const ref = (tweet.referenced_tweets || []).find((r) => r.type === "quoted");
+  const quote = ref && included.tweets.get(ref.id);
+  if (!quote) return null;
+  const author = included.users.get(quote.author_id) || {};
+  const { mediaUrls, urls } = tweetLinks(quote);
+  return {
+    id: quote.id,
+    url: permalink(author.username, quote.id),
+    handle: `@${author.username}`,
+    name: author.name || null,
+    text: tweetText(quote),
+    media: tweetMedia(quote, included, mediaUrls),
+    urls,
+  };
+}
+
+// A v2 tweet in the normalized shape (see ./index.js), or null when its
+// author wasn't included
+function normalizeTweet(tweet, included) {
+  const user = included.users.get(tweet.author_id);
+  if (!user) return null;
+  const metrics = tweet.public_metrics || {};
+  const { mediaUrls, urls } = tweetLinks(tweet);
+  return {
+    id: tweet.id,
+    text: tweetText(tweet),
+    createdAt: new Date(tweet.created_at),
+    author: normalizeAuthor(user),
+    counts: {
+      likes: metrics.like_count || 0,
+      retweets: metrics.retweet_count || 0,
+      replies: metrics.reply_count || 0,
+      quotes: metrics.quote_count || 0,
+      views: metrics.impression_count || 0,
+      bookmarks: metrics.bookmark_count || 0,
+    },
+    url: permalink(user.username, tweet.id),
+    media: tweetMedia(tweet, included, mediaUrls),
+    quoted: quotedTweet(tweet, included),
+    urls,
+  };
+}
+
+// A response body as { tweets, nextCursor }
+function parsePage(body) {
+  const included = indexIncludes(body.includes);
+  return {
+    tweets: (body.data || [])
+      .map((tweet) => normalizeTweet(tweet, included))
+      .filter(Boolean),
+    nextCursor: (body.meta && body.meta.next_token) || "",
+  };
+}
+
+// The ids a lookup says don't exist. Other lookup errors (a protected or
+// suspended author) say nothing about the tweet, so those ids aren't here.
+function notFoundIds(body) {
+  return (body.errors || [])
+    .filter((e) => e.title === "Not Found Error" && e.resource_type === "tweet")
+    .map((e) => String(e.resource_id || e.value));
+}
+
+// `http` is the run's client (lib/http.js); X's rate limits come back as
+// 429s with an x-rate-limit-reset header, which it waits out
+function createXApiSource({
+  bearerToken,
+  query,
+  http = createHttpClient(),
+  onResponse,
+}) {
+  const get = async (url, params, kind) => {
+    const body = await http.get(url, {
+      headers: {
+        Authorization: `Bearer ${bearerToken}`,
+        "User-Agent": "DeFi-Hub/1.0",
+      },
+      params: { ...params, ...FIELDS },
+    });
+    if (onResponse) onResponse(kind, body);
+    return body;
+  };
+
+  return {
+    name: "x",
+    lookupBatchSize: LOOKUP_BATCH_SIZE,
+    http,
+    async fetchPage(cursor) {
+      const body = await get(
+        SEARCH_URL,
+        {
+          query,
+          max_results: PAGE_SIZE,
+          ...(cursor ? { next_token: cursor } : {}),
+        },
+        "community"
+      );
+      return parsePage(body);
+    },
+    async lookup(ids) {
+      const body = await get(TWEETS_URL, { ids: ids.join(",") }, "tweets");
+      return { tweets: parsePage(body).tweets, notFound: notFoundIds(body) };
+    },
+  };
+}
+
+module.exports = {
+  SEARCH_URL,
+  TWEETS_URL,
+  createXApiSource,
+  normalizeTweet,
+  notFoundIds,
+  parsePage,
+};
@@ -0,0 +1,57 @@
+// Where the leaderboard's data lives. Everything in lib/ and api/ reads and
+// writes users, tweets, rank snapshots, sync runs and the rest through a
+// Supabase-style client (the `supabase` argument throughout lib/), so any
+// backend with the same query builder will do. STORAGE picks one:
+//
+//   supabase  (the default) the Supabase project at SUPABASE_URL, with
+//             SUPABASE_ANON_KEY
+//   sqlite    a local SQLite file at SQLITE_FILE (default
+//             .data/leaderboard.sqlite), created on first use. For running
+//             the whole stack locally (scripts/dev-server.js); not for
+//             production, where functions don't share a disk
+//
+// lib/storage/sqlite.js lists the part of the query builder the backends
+// need to cover.
+
+const path = require("path");
+const { createClient } = require("@supabase/supabase-js");
+const { createSqliteStorage } = require("./sqlite");
+
+const STORAGE_NAMES = ["supabase", "sqlite"];
+const DEFAULT_SQLITE_FILE = path.join(
+  __dirname,
+  "../../.data/leaderboard.sqlite"
+);
+
+// One connection per file for the life of the process
+const sqliteFiles = new Map();
+
+// The storage configured in the environment. Throws when STORAGE is
+// unknown or Supabase isn't configured.
+function storageFromEnv(env = process.env) {
+  const name = env.STORAGE || "supabase";
+  if (!STORAGE_NAMES.includes(name)) {
+    throw new Error(
+      `Unknown storage "${name}" (expected ${STORAGE_NAMES.join(" or ")})`
+    );
+  }
+
+  if (name === "sqlite") {
+    const file = env.SQLITE_FILE || DEFAULT_SQLITE_FILE;
+    if (!sqliteFiles.has(file)) {
+      sqliteFiles.set(file, createSqliteStorage({ file }));
+    }
+    return sqliteFiles.get(file);
+  }
+
+  if (!env.SUPABASE_URL || !env.SUPABASE_ANON_KEY) {
+    throw new Error("Missing Supabase configuration");
+  }
+  return createClient(env.SUPABASE_URL, env.SUPABASE_ANON_KEY);
+}
+
+module.exports = {
+  DEFAULT_SQLITE_FILE,
+  STORAGE_NAMES,
+  storageFromEnv,
+};
@@ -0,0 +1,566 @@
+// Local SQLite backend: a stand-in for the Supabase client that runs the
+// same query-builder calls against a SQLite file, for development without a
+// Supabase project (see lib/storage). It covers what lib/ and api/ use:
+//
+//   from(table)
+//     .select(columns, { count: "exact" })  .insert(rows)  .upsert(rows,
+//     { onConflict, ignoreDuplicates })  .update(values)  .delete()
+//     .eq .neq .gt .gte .lt .lte .in .is .not(column, "is", null) .ilike
+//     .order(column, { ascending })  .range(from, to)  .limit(n)
+//     .single()  .maybeSingle()
+//   rpc("leaderboard_members" | "recent_tweets" | "merge_users", args)
+//
+// Queries resolve to { data, error } (and `count` when asked for) like
+// supabase-js, and SQLite errors come back as `error`, with unique
+// violations carrying Postgres' code 23505. The schema is
+// db/migrations/sqlite, applied whenever a database is opened.
+//
+// better-sqlite3 is a dev dependency: it is only loaded when STORAGE=sqlite.
+
+const fs = require("fs");
+const path = require("path");
+const { migrateSqlite } = require("../migrate");
+
+const quote = (name) => {
+  if (!/^[a-z_][a-z0-9_]*$/i.test(name)) {
+    throw new Error(`Invalid column name "${name}"`);
+  }
+  return `"${name}"`;
+};
+
+// `value` as SQLite can bind it
+function toSql(value, type) {
+  if (value === undefined || value === null) return null;
+  if (type === "JSON") return JSON.stringify(value);
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "boolean") return value ? 1 : 0;
+  return value;
+}
+
+// The leaderboard functions of db/migrations/postgres (0013_user_ids.sql,
+// 0017_leaderboard_members.sql). Each is a query whose rows the builder
+// can filter, order and page like a table.
+const RPCS = {
+  leaderboard_members: {
+    columns: {},
+    build: ({
+      p_from = null,
+      p_to = null,
+      p_campaign = null,
+      p_weights = {},
+      p_tweet_cap = null,
+    }) => ({
+      sql: `
+        with p (p_from, p_to, p_campaign, p_weights, p_tweet_cap) as (
+          select ?, ?, ?, ?, ?
+        ),
+        scored as (
+          select t.user_id,
+                 date(t.tweet_date) as day,
+                 coalesce((
+                   select group_concat(f.reason, ',' order by f.reason)
+                   from tweet_flags f
+                   where f.tweet_id = t.id and f.status <> 'dismissed'
+                 ), '') as flags,
+                 coalesce(t.likes, 0) as likes,
+                 coalesce(t.retweets, 0) as retweets,
+                 coalesce(t.replies, 0) as replies,
+                 coalesce(t.quotes, 0) as quotes,
+                 coalesce(t.views, 0) as views,
+                 coalesce(t.bookmarks, 0) as bookmarks,
+                 coalesce(t.likes, 0)
+                   * coalesce(json_extract(p.p_weights, '$.likes'), 0)
+                   + coalesce(t.retweets, 0)
+                   * coalesce(json_extract(p.p_weights, '$.retweets'), 0)
+                   + coalesce(t.replies, 0)
+                   * coalesce(json_extract(p.p_weights, '$.replies'), 0)
+                   + coalesce(t.quotes, 0)
+                   * coalesce(json_extract(p.p_weights, '$.quotes'), 0)
+                   + coalesce(t.views, 0)
+                   * coalesce(json_extract(p.p_weights, '$.views'), 0)
+                   + coalesce(json_extract(p.p_weights, '$.posts'), 0)
+                   as points
+          from tweets t
+          cross join p
+          where t.deleted_at is null
+            and (p.p_from is null or t.tweet_date >= p.p_from)
+            and (p.p_to is null or t.tweet_date < p.p_to)
+            and (p.p_campaign is null or exists (
+              select 1
+              from campaign_tweets c
+              where c.campaign_slug = p.p_campaign and c.tweet_id = t.id
+            ))
+        )
+        select u.id as user_id, u.handle, u.name, u.avatar, s.day, s.flags,
+               count(*) as tweets,
+               sum(s.likes) as likes, sum(s.retweets) as retweets,
+               sum(s.replies) as replies, sum(s.quotes) as quotes,
+               sum(s.views) as views, sum(s.bookmarks) as bookmarks,
+               coalesce(sum(
+                 case when s.views > 0 then
+                   s.likes + s.retweets + s.replies + s.quotes + s.bookmarks
+                 end
+               ), 0) as viewed_interactions,
+               case when p.p_tweet_cap is null then 0
+                 else sum(min(p.p_tweet_cap - s.points, 0)) end as capped,
+               0 as adjustment
+        from scored s
+        join users u on u.id = s.user_id
+        cross join p
+        where u.banned_at is null
+        group by u.id, u.handle, u.name, u.avatar, s.day, s.flags
+
+        union all
+
+        select u.id, u.handle, u.name, u.avatar, null, '',
+               0, 0, 0, 0, 0, 0, 0, 0, 0,
+               sum(a.points)
+        from score_adjustments a
+        join users u on u.id = a.user_id
+        cross join p
+        where p.p_campaign is null
+          and u.banned_at is null
+          and (p.p_from is null or a.created_at >= p.p_from)
+          and (p.p_to is null or a.created_at < p.p_to)
+        group by u.id, u.handle, u.name, u.avatar`,
+      params: [
+        p_from,
+        p_to,
+        p_campaign,
+        JSON.stringify(p_weights || {}),
+        p_tweet_cap,
+      ],
+    }),
+  },
+
+  recent_tweets: {
+    table: "tweets",
+    build: ({ p_user_ids = [], p_limit = 5 }, columns) => ({
+      sql: `
+        select ${columns.map(quote).join(", ")}
+        from (
+          select *, row_number() over (
+            partition by user_id order by tweet_date desc
+          ) as position
+          from tweets
+          where deleted_at is null
+            and user_id in (select value from json_each(?))
+        )
+        where position <= ?`,
+      params: [JSON.stringify(p_user_ids), p_limit],
+    }),
+  },
+};
+
+// Functions that change rows instead of returning them, each run in one
+// transaction. merge_users is db/migrations/postgres/0016_merge_users.sql.
+const PROCEDURES = {
+  merge_users(db, { p_from, p_into }) {
+    const member = db.prepare("select * from users where id = ?");
+    const source = member.get(p_from);
+    const target = member.get(p_into);
+    if (!source || !target) {
+      throw new Error(`Can't merge member ${p_from} into ${p_into}`);
+    }
+    const run = (sql, ...params) => db.prepare(sql).run(...params);
+
+    for (const table of [
+      "tweets",
+      "tweet_flags",
+      "score_adjustments",
+      "wallet_links",
+    ]) {
+      run(`update ${table} set user_id = ? where user_id = ?`, p_into, p_from);
+    }
+
+    run(
+      `delete from rank_snapshots
+       where user_id = ?
+         and snapshot_at in (
+           select snapshot_at from rank_snapshots where user_id = ?
+         )`,
+      p_from,
+      p_into
+    );
+    run(
+      "update rank_snapshots set user_id = ? where user_id = ?",
+      p_into,
+      p_from
+    );
+
+    run(
+      `insert or ignore into user_handles
+         (user_id, handle, first_seen_at, last_seen_at)
+       select ?, handle, first_seen_at, last_seen_at
+       from user_handles
+       where user_id = ?`,
+      p_into,
+      p_from
+    );
+    run("delete from user_handles where user_id = ?", p_from);
+
+    if (source.banned_at && !target.banned_at) {
+      run(
+        "update users set banned_at = ?, ban_reason = ? where id = ?",
+        source.banned_at,
+        source.ban_reason,
+        p_into
+      );
+    }
+    if (source.wallet_address && !target.wallet_address) {
+      run(
+        "update users set wallet_address = ?, wallet_linked_at = ? where id = ?",
+        source.wallet_address,
+        source.wallet_linked_at,
+        p_into
+      );
+    }
+
+    run("delete from users where id = ?", p_from);
+  },
+};
+
+// Settle like supabase-js: SQLite errors come back as `error`, with unique
+// violations carrying Postgres' code
+const settle = (execute) =>
+  new Promise((done) => {
+    try {
+      done(execute());
+    } catch (error) {
+      done({
+        data: null,
+        error: {
+          message: error.message,
+          code: /^SQLITE_CONSTRAINT_(UNIQUE|PRIMARYKEY)$/.test(error.code)
+            ? "23505"
+            : error.code,
+        },
+      });
+    }
+  });
+
+class SqliteQuery {
+  constructor(storage, { table, source, params = [], columns }) {
+    this.storage = storage;
+    this.table = table;
+    this.source = source || quote(table);
+    this.sourceParams = params;
+    this.columnTypes = columns;
+    this.action = "select";
+    this.columns = "*";
+    this.filters = [];
+    this.orders = [];
+    this.returning = false;
+  }
+
+  select(columns = "*", { count } = {}) {
+    this.columns = columns;
+    this.returning = true;
+    this.count = count;
+    return this;
+  }
+
+  insert(rows) {
+    this.action = "insert";
+    this.payload = [].concat(rows);
+    return this;
+  }
+
+  upsert(rows, { onConflict = "id", ignoreDuplicates = false } = {}) {
+    this.action = "upsert";
+    this.payload = [].concat(rows);
+    this.conflictKeys = onConflict.split(",").map((key) => key.trim());
+    this.ignoreDuplicates = ignoreDuplicates;
+    return this;
+  }
+
+  update(values) {
+    this.action = "update";
+    this.payload = values;
+    return this;
+  }
+
+  delete() {
+    this.action = "delete";
+    return this;
+  }
+
+  where(sql, ...params) {
+    this.filters.push({ sql, params });
+    return this;
+  }
+
+  compare(column, operator, value) {
+    return this.where(
+      `${quote(column)} ${operator} ?`,
+      toSql(value, this.columnTypes[column])
+    );
+  }
+
+  eq(column, value) {
+    return this.compare(column, "=", value);
+  }
+
+  neq(column, value) {
+    return this.compare(column, "<>", value);
+  }
+
+  gt(column, value) {
+    return this.compare(column, ">", value);
+  }
+
+  gte(column, value) {
+    return this.compare(column, ">=", value);
+  }
+
+  lt(column, value) {
+    return this.compare(column, "<", value);
+  }
+
+  lte(column, value) {
+    return this.compare(column, "<=", value);
+  }
+
+  in(column, values) {
+    if (values.length === 0) return this.where("0");
+    return this.where(
+      `${quote(column)} in (${values.map(() => "?").join(", ")})`,
+      ...values.map((v) => toSql(v, this.columnTypes[column]))
+    );
+  }
+
+  is(column, value) {
+    return value === null
+      ? this.where(`${quote(column)} is null`)
+      : this.compare(column, "is", value);
+  }
+
+  not(column, operator, value) {
+    if (operator !== "is" || value !== null) {
+      throw new Error(`not.${operator}.${value} is not supported`);
+    }
+    return this.where(`${quote(column)} is not null`);
+  }
+
+  // SQLite's LIKE already ignores case (for ASCII); the escape character
+  // is Postgres' default
+  ilike(column, pattern) {
+    return this.where(`${quote(column)} like ? escape '\\'`, pattern);
+  }
+
+  order(column, { ascending = true } = {}) {
+    // Postgres puts nulls last going up and first going down
+    this.orders.push(
+      `${quote(column)} ${ascending ? "asc nulls last" : "desc nulls first"}`
+    );
+    return this;
+  }
+
+  range(from, to) {
+    this.offset = from;
+    this.max = to - from + 1;
+    return this;
+  }
+
+  limit(count) {
+    this.max = count;
+    return this;
+  }
+
+  single() {
+    this.singleRow = "single";
+    return this;
+  }
+
+  maybeSingle() {
+    this.singleRow = "maybe";
+    return this;
+  }
+
+  whereClause() {
+    if (this.filters.length === 0) return { sql: "", params: [] };
+    return {
+      sql: ` where ${this.filters.map((f) => `(${f.sql})`).join(" and ")}`,
+      params: this.filters.flatMap((f) => f.params),
+    };
+  }
+
+  columnList() {
+    const columns = this.columns.split(",").map((c) => c.trim());
+    return columns.includes("*") ? "*" : columns.map(quote).join(", ");
+  }
+
+  returningClause() {
+    return this.returning ? ` returning ${this.columnList()}` : "";
+  }
+
+  // Rows from SQLite with JSON columns parsed
+  decode(rows) {
+    return rows.map((row) => {
+      for (const [column, type] of Object.entries(this.columnTypes)) {
+        if (type === "JSON" && typeof row[column] === "string") {
+          row[column] = JSON.parse(row[column]);
+        }
+      }
+      return row;
+    });
+  }
+
+  run(sql, params) {
+    const statement = this.storage.db.prepare(sql);
+    return statement.reader
+      ? statement.all(...params)
+      : (statement.run(...params), []);
+  }
+
+  insertRows() {
+    const rows = [];
+    for (const values of this.payload) {
+      const columns = Object.keys(values).filter(
+        (c) => values[c] !== undefined
+      );
+      let sql =
+        `insert into ${this.source} (${columns.map(quote).join(", ")}) ` +
+        `values (${columns.map(() => "?").join(", ")})`;
+
+      if (this.action === "upsert") {
+        const keys = this.conflictKeys.map(quote).join(", ");
+        const updates = columns
+          .filter((c) => !this.conflictKeys.includes(c))
+          .map((c) => `${quote(c)} = excluded.${quote(c)}`);
+        sql +=
+          this.ignoreDuplicates || updates.length === 0
+            ? ` on conflict (${keys}) do nothing`
+            : ` on conflict (${keys}) do update set ${updates.join(", ")}`;
+      }
+
+      rows.push(
+        ...this.run(
+          sql + this.returningClause(),
+          columns.map((c) => toSql(values[c], this.columnTypes[c]))
+        )
+      );
+    }
+    return rows;
+  }
+
+  selectRows() {
+    const where = this.whereClause();
+    let sql = `select ${this.columnList()} from ${this.source}${where.sql}`;
+    if (this.orders.length) sql += ` order by ${this.orders.join(", ")}`;
+    if (this.max != null) sql += ` limit ${Number(this.max)}`;
+    if (this.offset) sql += ` offset ${Number(this.offset)}`;
+    return this.run(sql, [...this.sourceParams, ...where.params]);
+  }
+
+  countRows() {
+    const where = this.whereClause();
+    return this.storage.db
+      .prepare(`select count(*) as count from ${this.source}${where.sql}`)
+      .get(...this.sourceParams, ...where.params).count;
+  }
+
+  execute() {
+    const where = this.whereClause();
+    let rows;
+
+    if (this.action === "insert" || this.action === "upsert") {
+      rows = this.storage.db.transaction(() => this.insertRows())();
+    } else if (this.action === "update") {
+      const columns = Object.keys(this.payload);
+      rows = this.run(
+        `update ${this.source} set ` +
+          columns.map((c) => `${quote(c)} = ?`).join(", ") +
+          where.sql +
+          this.returningClause(),
+        [
+          ...columns.map((c) => toSql(this.payload[c], this.columnTypes[c])),
+          ...where.params,
+        ]
+      );
+    } else if (this.action === "delete") {
+      rows = this.run(
+        `delete from ${this.source}${where.sql}${this.returningClause()}`,
+        where.params
+      );
+    } else {
+      this.returning = true;
+      rows = this.selectRows();
+    }
+
+    if (!this.returning) return { data: null, error: null };
+
+    const data = this.decode(rows);
+    if (this.singleRow) {
+      if (
+        data.length > 1 ||
+        (data.length === 0 && this.singleRow === "single")
+      ) {
+        return {
+          data: null,
+          error: { message: `Expected one row, got ${data.length}` },
+        };
+      }
+      return { data: data[0] || null, error: null };
+    }
+    return {
+      data,
+      error: null,
+      ...(this.count ? { count: this.countRows() } : {}),
+    };
+  }
+
+  then(resolve, reject) {
+    return settle(() => this.execute()).then(resolve, reject);
+  }
+}
+
+// Open (creating it if need be) the database in `file`, ":memory:" for a
+// throwaway one
+function createSqliteStorage({ file }) {
+  const Database = require("better-sqlite3");
+  if (file !== ":memory:")
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.pragma("foreign_keys = ON");
+  migrateSqlite(db);
+
+  // Declared column types, so JSON columns are parsed and serialized
+  const types = {};
+  const columnTypes = (table) =>
+    (types[table] ||= Object.fromEntries(
+      db
+        .prepare(`select name, upper(type) as type from pragma_table_info(?)`)
+        .all(table)
+        .map((c) => [c.name, c.type])
+    ));
+
+  const storage = {
+    name: "sqlite",
+    db,
+    from: (table) =>
+      new SqliteQuery(storage, { table, columns: columnTypes(table) }),
+    rpc(name, args = {}) {
+      if (PROCEDURES[name]) {
+        return settle(() => {
+          db.transaction(() => PROCEDURES[name](db, args))();
+          return { data: null, error: null };
+        });
+      }
+      const rpc = RPCS[name];
+      if (!rpc) throw new Error(`Unknown rpc "${name}"`);
+      const columns = rpc.table ? columnTypes(rpc.table) : rpc.columns;
+      const { sql, params } = rpc.build(args, Object.keys(columns));
+      return new SqliteQuery(storage, {
+        source: `(${sql})`,
+        params,
+        columns,
+      });
+    },
+    close: () => db.close(),
+  };
+  return storage;
+}
+
+module.exports = { createSqliteStorage };
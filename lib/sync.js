@@ -0,0 +1,414 @@
+// The community sync: fetch new tweets from the configured source
+// (lib/sources), store them and their authors (by X id, lib/identity.js,
+// so renames are followed), refresh recent
+// engagement, rebuild totals, check for spam and farming (lib/flags.js),
+// confirm wallet link codes posted by members (lib/wallets.js), tag tweets
+// for campaigns (lib/campaigns.js), advance the checkpoint and record a rank
+// snapshot. Run on a schedule by
+// api/sync-to-supabase.js and on demand from the admin API; every run is
+// logged to the sync_runs table:
+//
+//   sync_runs (id bigserial PK, trigger text, started_at timestamptz,
+//              finished_at timestamptz, status text, stats jsonb, error text,
+//              tweets_fetched, new_tweets, users_touched, credits_used int)
+//
+// `status` is "running" until the run ends as "success", "partial" (some
+// upstream requests failed, see `stats.errors`) or "failed". The counts are
+// copied out of `stats`; `credits_used` is the upstream requests sent,
+// failed runs included, since every one of them is billed. A run the
+// platform kills never logs its end, so one left "running" past its time
+// limit is read back as "failed" (settleRun). readSyncStatus sums the log
+// up for /api/status.
+//
+// Upstream failures don't undo a run: whatever was read before the feed
+// stopped is stored, and a regular run that didn't get back to the
+// checkpoint saves a resume point (lib/db.js) so the next one reads the
+// rest of that stretch first. The newer tweets above it wait one run.
+
+const {
+  fetchCommunityTweets,
+  parseMaxPages,
+  parseSince,
+} = require("./sources");
+const { tagCampaignTweets } = require("./campaigns");
+const {
+  existingTweetIds,
+  readCheckpoint,
+  readResumePoint,
+  recomputeUserTotals,
+  saveCheckpoint,
+  saveResumePoint,
+  tweetRow,
+} = require("./db");
+const { detectAndSaveFlags } = require("./flags");
+const { saveMembers } = require("./identity");
+const { buildLeaderboard } = require("./leaderboard");
+const { parseRefreshWindow, refreshRecentEngagement } = require("./refresh");
+const { recordSnapshot } = require("./snapshots");
+const { confirmChallengeTweets } = require("./wallets");
+
+const SYNC_RUNS_LIMIT = 20;
+
+// Hours after the last successful sync before the data counts as stale.
+// Syncs run every 2 days (.github/workflows/update-leaderboard.yml).
+const DEFAULT_STALE_HOURS = 72;
+
+// How long a run can take before it's killed: serverless runs ("cron",
+// "admin:<name>") stop at their maxDuration in vercel.json, the others at
+// the 6 hour limit of a GitHub Actions job.
+const SERVERLESS_RUN_LIMIT_SECONDS = 60;
+const RUN_LIMIT_HOURS = 6;
+
+// Page limit and date cutoff: request params override the env defaults,
+// e.g. ?since=2025-01-01&maxPages=all for a one-off backfill, plus
+// ?cursor= to continue a backfill that stopped early (its stats.nextCursor).
+// Throws on invalid values.
+function parseSyncOptions(params = {}) {
+  return {
+    maxPages: parseMaxPages(params.maxPages ?? process.env.MAX_PAGES),
+    since: parseSince(params.since ?? process.env.SINCE),
+    cursor: params.cursor || "",
+    refreshDays: parseRefreshWindow(
+      params.refreshDays ?? process.env.REFRESH_WINDOW_DAYS
+    ),
+  };
+}
+
+// `source` is where tweets come from, usually sourceFromEnv()
+async function runSync(
+  supabase,
+  { source, maxPages, since, cursor = "", refreshDays }
+) {
+  // Only fetch tweets newer than the last completed sync, unless an
+  // explicit cutoff was asked for (backfills)
+  const checkpoint = await readCheckpoint(supabase);
+  const cutoff = since || (checkpoint && checkpoint.tweetAt);
+
+  // Regular runs first finish what an interrupted run left unread
+  const resume = since || cursor ? null : await readResumePoint(supabase);
+
+  if (resume) {
+    console.log(
+      `Resuming the feed below ${resume.tweetAt.toISOString()}` +
+        (cutoff ? ` down to ${cutoff.toISOString()}...` : "...")
+    );
+  } else {
+    console.log(
+      cutoff
+        ? `Fetching Twitter data since ${cutoff.toISOString()}...`
+        : "Fetching Twitter data..."
+    );
+  }
+
+  // Fetch from the source, following the cursor through every page
+  const feed = await fetchCommunityTweets(source, {
+    maxPages,
+    since: cutoff,
+    cursor: resume ? resume.cursor : cursor,
+  });
+  const { tweets, pages, nextCursor } = feed;
+
+  console.log(`Fetched ${tweets.length} tweets across ${pages} pages`);
+  if (feed.error) console.warn(`Feed stopped early: ${feed.error}`);
+
+  // Authors by X user id, so a renamed member stays one member
+  const authors = new Map();
+  let tweetRecords = [];
+  // A resumed stretch lies below the interrupted run's newest tweet
+  let newest = resume
+    ? { tweetId: resume.tweetId, tweetAt: resume.tweetAt }
+    : null;
+
+  // Process tweets
+  for (const tweet of tweets) {
+    if (!authors.has(tweet.author.id)) {
+      authors.set(tweet.author.id, tweet.author);
+    }
+
+    // Store individual tweet
+    tweetRecords.push(tweetRow(tweet));
+
+    if (!newest || tweet.createdAt > newest.tweetAt) {
+      newest = { tweetId: tweet.id, tweetAt: tweet.createdAt };
+    }
+  }
+
+  console.log(`Processed ${authors.size} users`);
+
+  // Save members first so every tweet has a user row
+  const renamed = await saveMembers(supabase, [...authors.values()]);
+  console.log(`Upserted ${authors.size} users`);
+  for (const { from, to } of renamed) {
+    console.log(`@${from} is now @${to}`);
+  }
+
+  // Upsert tweets to Supabase. Tweets we already have get their
+  // engagement counts updated with the numbers from this fetch.
+  const known = await existingTweetIds(
+    supabase,
+    tweetRecords.map((t) => String(t.id))
+  );
+  const { error: tweetsError } = await supabase
+    .from("tweets")
+    .upsert(tweetRecords, {
+      onConflict: "id",
+      ignoreDuplicates: false,
+    });
+
+  if (tweetsError) {
+    console.error("Tweets upsert error:", tweetsError);
+    throw tweetsError;
+  }
+
+  const newTweetsCount = tweetRecords.filter(
+    (t) => !known.has(String(t.id))
+  ).length;
+  console.log(`Added ${newTweetsCount} new tweets`);
+
+  const walletCodes = await confirmChallengeTweets(supabase, tweetRecords);
+  if (walletCodes) console.log(`Confirmed ${walletCodes} wallet link codes`);
+
+  const campaignTweets = await tagCampaignTweets(supabase, tweetRecords);
+  console.log(`Tagged ${campaignTweets} campaign tweets`);
+
+  // Re-fetch engagement for stored tweets still inside the refresh window
+  const refreshed = await refreshRecentEngagement(supabase, {
+    source,
+    windowDays: refreshDays,
+    skipIds: tweetRecords.map((t) => t.id),
+  });
+  console.log(
+    `Refreshed ${refreshed.updated} tweets, ${refreshed.deleted} deleted upstream`
+  );
+  if (refreshed.missing) {
+    console.warn(
+      `Refresh kept ${refreshed.missing} tweets missing from the lookup`
+    );
+  }
+  if (refreshed.error) {
+    console.warn(
+      `Refresh skipped ${refreshed.failed} tweets: ${refreshed.error}`
+    );
+  }
+
+  // Recompute totals from the full tweets table for everyone we touched,
+  // and re-run the spam checks over their recent tweets
+  const touched = [...new Set([...authors.keys(), ...refreshed.userIds])];
+  await recomputeUserTotals(supabase, touched);
+  const flagged = await detectAndSaveFlags(supabase, touched);
+  console.log(`Flagged ${flagged} tweets for review`);
+
+  // Only advance the checkpoint once every page back to it was read,
+  // otherwise the tweets between it and this batch would be skipped. A
+  // regular run that stopped early leaves a resume point instead; explicit
+  // backfills report their cursor to continue from.
+  let savedCheckpoint = checkpoint;
+  let resumeCursor = "";
+  if (feed.complete) {
+    savedCheckpoint = await saveCheckpoint(supabase, checkpoint, newest);
+    if (resume) await saveResumePoint(supabase, null);
+  } else {
+    console.warn(
+      feed.error
+        ? "Feed read stopped by an error; checkpoint not advanced"
+        : `Stopped at the ${maxPages}-page limit; checkpoint not advanced`
+    );
+    if (nextCursor && newest && !since && !cursor) {
+      await saveResumePoint(supabase, { ...newest, cursor: nextCursor });
+      resumeCursor = nextCursor;
+    }
+  }
+
+  // Record everyone's all-time rank so the leaderboard can show movement
+  const { members } = await buildLeaderboard(supabase);
+  const snapshotSize = await recordSnapshot(supabase, members);
+  console.log(`Recorded rank snapshot for ${snapshotSize} members`);
+
+  const errors = [feed.error, refreshed.error].filter(Boolean);
+  const http = source.http ? source.http.stats : null;
+
+  return {
+    users: authors.size,
+    usersTouched: touched.length,
+    renamed: renamed.length,
+    newTweets: newTweetsCount,
+    totalTweets: tweetRecords.length,
+    pages,
+    failedPages: feed.error ? 1 : 0,
+    complete: feed.complete,
+    resumed: Boolean(resume),
+    resumeCursor,
+    nextCursor,
+    refreshed: refreshed.updated,
+    refreshFailed: refreshed.failed,
+    deleted: refreshed.deleted,
+    refreshMissing: refreshed.missing,
+    flagged,
+    walletCodes,
+    campaignTweets,
+    snapshot: snapshotSize,
+    checkpoint: savedCheckpoint ? savedCheckpoint.tweetAt.toISOString() : null,
+    requests: http ? http.requests : null,
+    retries: http ? http.retries : null,
+    errors,
+  };
+}
+
+// runSync wrapped in a sync_runs row. `trigger` says who started it
+// ("cron", "admin:<name>", "cli" / "ci" for backend/twitter_indexer.js,
+// "dev-server" for the fixture seed of scripts/dev-server.js).
+// Resolves to the run id, its status and the stats, rethrows failures once
+// they are logged.
+async function runLoggedSync(supabase, options, trigger) {
+  const { data: run, error } = await supabase
+    .from("sync_runs")
+    .insert({ trigger, status: "running" })
+    .select("id")
+    .single();
+  if (error) throw error;
+
+  // Requests sent so far, for runs that fail before returning stats
+  const requestsSent = () =>
+    options.source.http ? options.source.http.stats.requests : null;
+
+  const finish = async (fields) => {
+    const { error: updateError } = await supabase
+      .from("sync_runs")
+      .update({ finished_at: new Date().toISOString(), ...fields })
+      .eq("id", run.id);
+    if (updateError) console.error("Sync run log error:", updateError);
+  };
+
+  try {
+    const stats = await runSync(supabase, options);
+    const status = stats.errors.length ? "partial" : "success";
+    await finish({
+      status,
+      stats,
+      tweets_fetched: stats.totalTweets,
+      new_tweets: stats.newTweets,
+      users_touched: stats.usersTouched,
+      credits_used: stats.requests,
+      ...(stats.errors.length ? { error: stats.errors.join("; ") } : {}),
+    });
+    return { runId: run.id, status, stats };
+  } catch (err) {
+    await finish({
+      status: "failed",
+      error: err.message,
+      credits_used: requestsSent(),
+    });
+    throw err;
+  }
+}
+
+const isServerlessTrigger = (trigger) =>
+  trigger === "cron" || String(trigger).startsWith("admin:");
+
+// A sync_runs row with a run that was killed mid-way (still "running" past
+// its time limit) marked as failed. Other rows come back unchanged.
+function settleRun(run, now = new Date()) {
+  if (!run || run.status !== "running") return run;
+  const limitMs = isServerlessTrigger(run.trigger)
+    ? SERVERLESS_RUN_LIMIT_SECONDS * 1000
+    : RUN_LIMIT_HOURS * 60 * 60 * 1000;
+  if (now - new Date(run.started_at) <= limitMs) return run;
+  return { ...run, status: "failed", error: "Stopped before it finished" };
+}
+
+// Most recent runs first
+async function listSyncRuns(supabase, limit = SYNC_RUNS_LIMIT, now) {
+  const { data, error } = await supabase
+    .from("sync_runs")
+    .select("*")
+    .order("started_at", { ascending: false })
+    .limit(limit);
+  if (error) throw error;
+  return (data || []).map((run) => settleRun(run, now));
+}
+
+// SYNC_STALE_HOURS as a number of hours. Throws on invalid values.
+function parseStaleHours(value = process.env.SYNC_STALE_HOURS) {
+  if (value === undefined || value === null || value === "") {
+    return DEFAULT_STALE_HOURS;
+  }
+  const hours = Number(value);
+  if (isNaN(hours) || hours <= 0) {
+    throw new Error(`Invalid SYNC_STALE_HOURS: "${value}"`);
+  }
+  return hours;
+}
+
+// A sync_runs row as the public sees it: no trigger (admin names), raw
+// stats or error messages, which stay with /api/admin/sync-runs
+const publicRun = (run) =>
+  run && {
+    status: run.status,
+    startedAt: run.started_at,
+    finishedAt: run.finished_at,
+    tweetsFetched: run.tweets_fetched,
+    newTweets: run.new_tweets,
+    usersTouched: run.users_touched,
+    creditsUsed: run.credits_used,
+  };
+
+// How fresh the data is, for /api/status:
+//   { health, lastSuccess, lastRun, staleAfterHours }
+// where `lastSuccess` is the newest run that stored data ("success" or
+// "partial") and `lastRun` the newest run of any status, a killed run
+// counting as failed (settleRun). `health` is
+//   "ok"        the last success is recent and the latest run went fine
+//   "degraded"  the data is recent but the latest run failed or was partial
+//   "stale"     no successful sync within `staleAfterHours`, or ever
+async function readSyncStatus(
+  supabase,
+  { staleAfterHours = DEFAULT_STALE_HOURS, now = new Date() } = {}
+) {
+  const { data: latest, error } = await supabase
+    .from("sync_runs")
+    .select("*")
+    .order("started_at", { ascending: false })
+    .limit(1);
+  if (error) throw error;
+
+  const { data: succeeded, error: successError } = await supabase
+    .from("sync_runs")
+    .select("*")
+    .in("status", ["success", "partial"])
+    .order("finished_at", { ascending: false })
+    .limit(1);
+  if (successError) throw successError;
+
+  const lastRun = settleRun((latest || [])[0], now);
+  const [lastSuccess] = succeeded || [];
+  // A run still going hasn't gone wrong yet
+  const settled =
+    lastRun && lastRun.status === "running" ? lastSuccess : lastRun;
+
+  let health = "ok";
+  const age = lastSuccess && now - new Date(lastSuccess.finished_at);
+  if (!lastSuccess || age > staleAfterHours * 60 * 60 * 1000) {
+    health = "stale";
+  } else if (settled && settled.status !== "success") {
+    health = "degraded";
+  }
+
+  return {
+    health,
+    lastSuccess: publicRun(lastSuccess) || null,
+    lastRun: publicRun(lastRun) || null,
+    staleAfterHours,
+  };
+}
+
+module.exports = {
+  DEFAULT_STALE_HOURS,
+  SYNC_RUNS_LIMIT,
+  listSyncRuns,
+  parseStaleHours,
+  parseSyncOptions,
+  readSyncStatus,
+  runLoggedSync,
+  runSync,
+  settleRun,
+};
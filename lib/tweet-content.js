@@ -0,0 +1,96 @@
+// What a tweet shows besides its text: the permalink, photos and videos,
+// the tweet it quotes and the links it carries, in the shape every tweet
+// source (lib/sources) produces, the tweets table stores (see
+// db/migrations/postgres/0004_tweet_content.sql) and the app renders:
+//
+//   url     "https://x.com/<handle>/status/<id>"
+//   media   [{ type: "photo" | "video" | "animated_gif", url, videoUrl,
+//              width, height, alt, shortUrl }]
+//           `url` is the image, or the video's thumbnail; `videoUrl` the
+//           best mp4 (null for photos)
+//   quoted  { id, url, handle, name, text, media, urls } or null
+//   urls    [{ shortUrl, url, display }]
+//
+// `shortUrl` is the t.co link standing in for the item in the text, so the
+// app can swap it for the real link (or drop it, for media).
+//
+// tweetContent() reads it from TwitterAPI.io and classic v1.1 payloads,
+// which name these differently; lib/sources/x-api.js has its own reader.
+
+const permalink = (handle, id) =>
+  `https://x.com/${String(handle).replace(/^@/, "")}/status/${id}`;
+
+// The highest-bitrate mp4 of a video, or null
+function bestVideo(media) {
+  const variants = ((media.video_info || {}).variants || []).filter(
+    (v) => v.content_type === "video/mp4"
+  );
+  if (variants.length === 0) return null;
+  return variants.reduce((best, v) =>
+    (v.bitrate || 0) > (best.bitrate || 0) ? v : best
+  ).url;
+}
+
+function tweetMedia(tweet) {
+  const extended = tweet.extendedEntities || tweet.extended_entities || {};
+  const media = extended.media || (tweet.entities || {}).media || [];
+  return media.map((m) => {
+    const size = m.original_info || (m.sizes && m.sizes.large) || {};
+    return {
+      type: m.type || "photo",
+      url: m.media_url_https || m.media_url || null,
+      videoUrl: m.type === "photo" ? null : bestVideo(m),
+      width: size.width || size.w || null,
+      height: size.height || size.h || null,
+      alt: m.ext_alt_text || null,
+      shortUrl: m.url || null,
+    };
+  });
+}
+
+const tweetUrls = (tweet) =>
+  ((tweet.entities || {}).urls || []).map((u) => ({
+    shortUrl: u.url,
+    url: u.expanded_url || u.url,
+    display: u.display_url || u.expanded_url || u.url,
+  }));
+
+const authorOf = (tweet) => tweet.user_info || tweet.author || tweet.user;
+
+// { url, media, quoted, urls } for a raw TwitterAPI.io or v1.1 tweet
+function tweetContent(tweet) {
+  const author = authorOf(tweet) || {};
+  const handle = author.screen_name || author.userName;
+  const id = String(tweet.id_str || tweet.id);
+
+  const quote = tweet.quoted_tweet || tweet.quoted_status;
+  const quoteAuthor = quote && (authorOf(quote) || {});
+  const quoted = quote
+    ? {
+        id: String(quote.id_str || quote.id),
+        url:
+          quote.url ||
+          permalink(
+            quoteAuthor.screen_name || quoteAuthor.userName,
+            quote.id_str || quote.id
+          ),
+        handle: `@${quoteAuthor.screen_name || quoteAuthor.userName}`,
+        name: quoteAuthor.name || null,
+        text: quote.text || quote.full_text || "",
+        media: tweetMedia(quote),
+        urls: tweetUrls(quote),
+      }
+    : null;
+
+  return {
+    url: tweet.url || permalink(handle, id),
+    media: tweetMedia(tweet),
+    quoted,
+    urls: tweetUrls(tweet),
+  };
+}
+
+module.exports = {
+  permalink,
+  tweetContent,
+};
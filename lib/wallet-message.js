@@ -0,0 +1,14 @@
+// The text a member signs to link a wallet. App.jsx asks the wallet to sign
+// it and lib/wallets.js rebuilds it to check the signature, so the two must
+// produce it byte for byte the same.
+
+const linkMessage = ({ handle, code, address }) =>
+  [
+    "Link this wallet to my Defiapp Community leaderboard account.",
+    "",
+    `Handle: @${handle.replace(/^@/, "")}`,
+    `Wallet: ${address.toLowerCase()}`,
+    `Code: ${code}`,
+  ].join("\n");
+
+module.exports = { linkMessage };
@@ -0,0 +1,286 @@
+// Wallet linking, so rewards can be paid to the member who earned them. A
+// member proves both ends of the link:
+//
+//   1. the X account - they ask for a one-off code for the address they
+//      want paid to, and post both in the community; the sync
+//      (lib/sync.js) spots the post by that account
+//   2. the wallet - they sign lib/wallet-message.js's message, naming the
+//      handle, address and code, with personal_sign (EIP-191). The signer
+//      is recovered here from the signature alone, no RPC node involved
+//
+// The code is public once posted, so the address is fixed when the code is
+// handed out: a signature from any other wallet is refused, or anyone
+// reading the feed could sign the code with their own key.
+//
+// Attempts are kept in wallet_links and the linked address is copied to
+// the member (see db/migrations/postgres/0010_wallets.sql):
+//
+//   wallet_links (id bigserial PK, user_id, handle, code text unique,
+//                 created_at, expires_at, tweet_id, tweet_seen_at, address,
+//                 linked_at)
+//
+// `address` is the wallet the code was asked for and `linked_at` is set
+// once it has signed.
+//   users        + wallet_address text, wallet_linked_at timestamptz
+//
+// A code is good for CHALLENGE_TTL_DAYS, long enough for a scheduled sync
+// to come round. Linking again replaces the member's address.
+
+const crypto = require("crypto");
+const { secp256k1 } = require("@noble/curves/secp256k1");
+const { keccak_256 } = require("@noble/hashes/sha3");
+const {
+  bytesToHex,
+  concatBytes,
+  hexToBytes,
+  utf8ToBytes,
+} = require("@noble/hashes/utils");
+const { selectIn } = require("./db");
+const { resolveHandle } = require("./identity");
+const { linkMessage } = require("./wallet-message");
+
+const CHALLENGE_TTL_DAYS = 7;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// No 0/O or 1/I, so a code survives being read off a screen. 32 symbols
+// divide 256 evenly, which keeps every symbol equally likely.
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 8;
+const CODE_PREFIX = "DEFI-";
+const CODE_PATTERN = /\bDEFI-[A-HJ-NP-Z2-9]{8}\b/g;
+const CODE_FORMAT = /^DEFI-[A-HJ-NP-Z2-9]{8}$/;
+
+const CHALLENGE_COLUMNS =
+  "id, user_id, handle, code, created_at, expires_at, tweet_id, tweet_seen_at, address, linked_at";
+
+function newCode() {
+  const symbols = [...crypto.randomBytes(CODE_LENGTH)].map(
+    (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]
+  );
+  return CODE_PREFIX + symbols.join("");
+}
+
+// The code in its canonical form, or null when it can't be one of ours
+function normalizeCode(value) {
+  const code = String(value || "")
+    .trim()
+    .toUpperCase();
+  return CODE_FORMAT.test(code) ? code : null;
+}
+
+const isAddress = (value) => /^0x[0-9a-fA-F]{40}$/.test(String(value || ""));
+
+// EIP-55 mixed-case checksum form of an address
+function toChecksumAddress(address) {
+  const lower = address.toLowerCase().replace(/^0x/, "");
+  const hash = bytesToHex(keccak_256(utf8ToBytes(lower)));
+  let checksummed = "0x";
+  for (let i = 0; i < lower.length; i++) {
+    checksummed +=
+      parseInt(hash[i], 16) >= 8 ? lower[i].toUpperCase() : lower[i];
+  }
+  return checksummed;
+}
+
+// The address that produced a personal_sign signature over `message`, or
+// null when the signature is malformed
+function recoverSigner(message, signature) {
+  const hex = String(signature || "").replace(/^0x/, "");
+  if (!/^[0-9a-fA-F]{130}$/.test(hex)) return null;
+  const bytes = hexToBytes(hex);
+  const recovery = bytes[64] >= 27 ? bytes[64] - 27 : bytes[64];
+  if (recovery !== 0 && recovery !== 1) return null;
+
+  const text = utf8ToBytes(message);
+  const digest = keccak_256(
+    concatBytes(
+      utf8ToBytes(`\x19Ethereum Signed Message:\n${text.length}`),
+      text
+    )
+  );
+  try {
+    const publicKey = secp256k1.Signature.fromCompact(bytes.slice(0, 64))
+      .addRecoveryBit(recovery)
+      .recoverPublicKey(digest)
+      .toRawBytes(false);
+    const address = bytesToHex(keccak_256(publicKey.slice(1)).slice(-20));
+    return toChecksumAddress(`0x${address}`);
+  } catch (error) {
+    return null;
+  }
+}
+
+// "awaiting_tweet", "awaiting_signature", "linked" or "expired"
+function challengeStatus(challenge, now = new Date()) {
+  if (challenge.linked_at) return "linked";
+  if (new Date(challenge.expires_at) <= now) return "expired";
+  return challenge.tweet_id ? "awaiting_signature" : "awaiting_tweet";
+}
+
+const challengeTweet = (code, address) =>
+  `Linking my wallet ${address} to the Defiapp Community leaderboard: ${code}`;
+
+// What the app is shown of a challenge
+const describeChallenge = (challenge) => ({
+  code: challenge.code,
+  handle: `@${challenge.handle}`,
+  status: challengeStatus(challenge),
+  tweetText: challengeTweet(challenge.code, challenge.address),
+  expiresAt: challenge.expires_at,
+  tweetId: challenge.tweet_id || null,
+  address: challenge.address || null,
+  linkedAt: challenge.linked_at || null,
+});
+
+// Start linking `address` to a member, looked up by handle (see
+// lib/identity.js). Resolves to the new challenge, or null when there is no
+// such member.
+async function createChallenge(supabase, handle, address) {
+  const user = await resolveHandle(supabase, handle);
+  if (!user) return null;
+
+  const { data, error: insertError } = await supabase
+    .from("wallet_links")
+    .insert({
+      user_id: user.id,
+      handle: user.handle,
+      code: newCode(),
+      address: toChecksumAddress(address),
+      expires_at: new Date(Date.now() + CHALLENGE_TTL_DAYS * DAY).toISOString(),
+    })
+    .select(CHALLENGE_COLUMNS)
+    .single();
+  if (insertError) throw insertError;
+  return data;
+}
+
+async function readChallenge(supabase, code) {
+  const { data, error } = await supabase
+    .from("wallet_links")
+    .select(CHALLENGE_COLUMNS)
+    .eq("code", code)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+// Mark the challenges whose code and address the right member posted,
+// while the code was live, among freshly synced tweets ({ id, user_id,
+// text, tweet_date }). Resolves to the number of challenges confirmed.
+async function confirmChallengeTweets(supabase, tweets) {
+  const posts = [];
+  for (const tweet of tweets) {
+    const codes = (tweet.text || "").toUpperCase().match(CODE_PATTERN) || [];
+    for (const code of codes) posts.push({ code, tweet });
+  }
+  if (posts.length === 0) return 0;
+
+  const challenges = await selectIn(
+    () =>
+      supabase
+        .from("wallet_links")
+        .select(CHALLENGE_COLUMNS)
+        .is("tweet_id", null)
+        .order("id"),
+    "code",
+    [...new Set(posts.map((p) => p.code))]
+  );
+
+  let confirmed = 0;
+  for (const challenge of challenges) {
+    const post = posts.find(
+      ({ code, tweet }) =>
+        code === challenge.code &&
+        tweet.user_id === challenge.user_id &&
+        Boolean(challenge.address) &&
+        tweet.text.toLowerCase().includes(challenge.address.toLowerCase()) &&
+        new Date(tweet.tweet_date) >= new Date(challenge.created_at) &&
+        new Date(tweet.tweet_date) < new Date(challenge.expires_at)
+    );
+    if (!post) continue;
+
+    const { error } = await supabase
+      .from("wallet_links")
+      .update({
+        tweet_id: String(post.tweet.id),
+        tweet_seen_at: new Date().toISOString(),
+      })
+      .eq("id", challenge.id);
+    if (error) throw error;
+    confirmed += 1;
+  }
+  return confirmed;
+}
+
+// Check a signature for a challenge awaiting one. Resolves to the signer's
+// checksummed address when `address` is the wallet the code was issued for
+// and it signed the link message, or null.
+function verifyLinkSignature(challenge, address, signature) {
+  if (
+    !challenge.address ||
+    challenge.address.toLowerCase() !== address.toLowerCase()
+  ) {
+    return null;
+  }
+  const message = linkMessage({
+    handle: challenge.handle,
+    code: challenge.code,
+    address,
+  });
+  const signer = recoverSigner(message, signature);
+  return signer && signer.toLowerCase() === address.toLowerCase()
+    ? signer
+    : null;
+}
+
+// Record a verified link on the challenge and the member
+async function saveWalletLink(supabase, challenge, address) {
+  const linkedAt = new Date().toISOString();
+  const { data, error } = await supabase
+    .from("wallet_links")
+    .update({ address, linked_at: linkedAt })
+    .eq("id", challenge.id)
+    .select(CHALLENGE_COLUMNS)
+    .single();
+  if (error) throw error;
+
+  const { error: userError } = await supabase
+    .from("users")
+    .update({ wallet_address: address, wallet_linked_at: linkedAt })
+    .eq("id", challenge.user_id);
+  if (userError) throw userError;
+  return data;
+}
+
+// Add each member's linked wallet (or null) to payout allocations
+async function attachWallets(supabase, allocations) {
+  const users = await selectIn(
+    () => supabase.from("users").select("id, wallet_address").order("id"),
+    "id",
+    allocations.map((a) => a.userId)
+  );
+  const wallets = Object.fromEntries(
+    users.map((u) => [u.id, u.wallet_address])
+  );
+  return allocations.map((a) => ({
+    ...a,
+    address: wallets[a.userId] || null,
+  }));
+}
+
+module.exports = {
+  CHALLENGE_TTL_DAYS,
+  attachWallets,
+  challengeStatus,
+  confirmChallengeTweets,
+  createChallenge,
+  describeChallenge,
+  isAddress,
+  normalizeCode,
+  readChallenge,
+  recoverSigner,
+  saveWalletLink,
+  toChecksumAddress,
+  verifyLinkSignature,
+};
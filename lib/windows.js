@@ -0,0 +1,86 @@
+// Time windows for the leaderboard. A window is either one of the named
+// presets or an explicit from/to range, and resolves to { name, from, to }
+// where `from` is inclusive, `to` is exclusive and null means unbounded.
+//
+// The "season" preset reads SEASON_START / SEASON_END from the environment.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ROLLING_WINDOWS = { "7d": 7, "30d": 30 };
+
+const WINDOW_NAMES = [...Object.keys(ROLLING_WINDOWS), "season", "all"];
+
+const isDateOnly = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+function parseBound(value, label, { endOfDay = false } = {}) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid ${label} date: "${value}"`);
+  }
+  // A bare date as an upper bound means "up to and including that day"
+  return endOfDay && isDateOnly(value)
+    ? new Date(date.getTime() + DAY_MS)
+    : date;
+}
+
+function resolveWindow({ window, from, to } = {}, now = new Date()) {
+  if (from || to) {
+    const range = {
+      name: "custom",
+      from: parseBound(from, "from"),
+      to: parseBound(to, "to", { endOfDay: true }),
+    };
+    if (range.from && range.to && range.from >= range.to) {
+      throw new Error("`from` must be before `to`");
+    }
+    return range;
+  }
+
+  const name = window || "all";
+  if (name === "all") return { name, from: null, to: null };
+
+  if (ROLLING_WINDOWS[name]) {
+    return {
+      name,
+      from: new Date(now.getTime() - ROLLING_WINDOWS[name] * DAY_MS),
+      to: null,
+    };
+  }
+
+  if (name === "season") {
+    if (!process.env.SEASON_START) {
+      throw new Error("No season configured (set SEASON_START)");
+    }
+    return {
+      name,
+      from: parseBound(process.env.SEASON_START, "SEASON_START"),
+      to: parseBound(process.env.SEASON_END, "SEASON_END", { endOfDay: true }),
+    };
+  }
+
+  throw new Error(
+    `Unknown window "${name}" (expected one of ${WINDOW_NAMES.join(", ")})`
+  );
+}
+
+// Apply a resolved window to a Supabase query on the tweets table
+function filterByWindow(query, range, column = "tweet_date") {
+  if (range.from) query = query.gte(column, range.from.toISOString());
+  if (range.to) query = query.lt(column, range.to.toISOString());
+  return query;
+}
+
+// JSON-friendly form of a resolved window for API responses
+const describeWindow = (range) => ({
+  name: range.name,
+  from: range.from ? range.from.toISOString() : null,
+  to: range.to ? range.to.toISOString() : null,
+});
+
+module.exports = {
+  WINDOW_NAMES,
+  describeWindow,
+  filterByWindow,
+  resolveWindow,
+};
@@ -0,0 +1,170 @@
+// Benchmark: the leaderboard's database work before and after the
+// leaderboard_members and recent_tweets functions (db/migrations/postgres),
+// against a local Postgres seeded with synthetic members and tweets.
+//
+// Run with:
+//   DATABASE_URL=postgres://postgres@localhost:5432/postgres \
+//     node scripts/bench-leaderboard.js --users=300 --tweets=40 --rtt=25
+//
+// Everything lives in a throwaway `leaderboard_bench` schema that is dropped
+// afterwards. On Vercel every Supabase query is an HTTPS round trip, so
+// --rtt adds that many milliseconds of simulated latency to each query.
+
+const { Pool } = require("pg");
+const { migratePostgres } = require("../lib/migrate");
+
+const args = Object.fromEntries(
+  process.argv
+    .slice(2)
+    .map((a) => a.replace(/^--/, "").split("="))
+    .map(([k, v]) => [k, v === undefined ? true : v])
+);
+
+const USERS = parseInt(args.users || 300, 10);
+const TWEETS_PER_USER = parseInt(args.tweets || 40, 10);
+const RTT_MS = parseInt(args.rtt || 25, 10);
+const RUNS = parseInt(args.runs || 5, 10);
+const PAGE_SIZE = 10;
+// supabase-js fires the old per-user lookups concurrently; model a
+// typical connection limit rather than unlimited parallelism
+const CONCURRENCY = parseInt(args.concurrency || 10, 10);
+const SCHEMA = "leaderboard_bench";
+
+if (!process.env.DATABASE_URL) {
+  console.error("❌ Set DATABASE_URL to a local Postgres to benchmark against");
+  process.exit(1);
+}
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  max: CONCURRENCY,
+  options: `-c search_path=${SCHEMA}`,
+});
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// One simulated API round trip
+let queryCount = 0;
+async function query(sql, params) {
+  queryCount += 1;
+  await sleep(RTT_MS);
+  const { rows } = await pool.query(sql, params);
+  return rows;
+}
+
+async function seed() {
+  await pool.query(`drop schema if exists ${SCHEMA} cascade`);
+  await pool.query(`create schema ${SCHEMA}`);
+  await pool.query(`
+    create table users (
+      handle text primary key, name text, avatar text,
+      total_tweets int default 0, total_likes int default 0,
+      total_retweets int default 0, total_replies int default 0
+    );
+    create table tweets (
+      id text primary key, user_handle text, text text,
+      likes int, retweets int, replies int, tweet_date timestamptz,
+      refreshed_at timestamptz, deleted_at timestamptz
+    );
+    insert into users (handle, name, avatar)
+      select 'member' || u, 'Member ' || u, ''
+      from generate_series(1, ${USERS}) u;
+    insert into tweets (id, user_handle, text, likes, retweets, replies, tweet_date)
+      select u || '-' || n, 'member' || u, 'gm #defi ' || n,
+             (random() * 80)::int, (random() * 20)::int, (random() * 10)::int,
+             now() - random() * interval '90 days'
+      from generate_series(1, ${USERS}) u, generate_series(1, ${TWEETS_PER_USER}) n;
+    update users u set
+      total_tweets = s.c, total_likes = s.l,
+      total_retweets = s.r, total_replies = s.p
+    from (select user_handle, count(*) c, sum(likes) l, sum(retweets) r,
+                 sum(replies) p from tweets group by user_handle) s
+    where s.user_handle = u.handle;
+    analyze;
+  `);
+  // The rest of the schema, functions included, on top of the seed
+  const client = await pool.connect();
+  try {
+    await migratePostgres(client);
+  } finally {
+    client.release();
+  }
+}
+
+// What get-leaderboard did before: the users, every tweet 1000 rows at a
+// time for scoring, then one recent-tweets query per member
+async function before() {
+  const users = await query("select * from users order by total_likes desc");
+  for (let from = 0; ; from += 1000) {
+    const rows = await query(
+      `select id, user_handle, likes, retweets, replies, tweet_date
+       from tweets where deleted_at is null order by id
+       limit 1000 offset $1`,
+      [from]
+    );
+    if (rows.length < 1000) break;
+  }
+  const queue = [...users];
+  await Promise.all(
+    Array.from({ length: CONCURRENCY }, async () => {
+      while (queue.length) {
+        const user = queue.shift();
+        await query(
+          `select * from tweets where user_handle = $1 and deleted_at is null
+           order by tweet_date desc limit 5`,
+          [user.handle]
+        );
+      }
+    })
+  );
+}
+
+// Now: one aggregated query for the board, one for the visible page
+async function after() {
+  const board = await query(
+    "select * from leaderboard_members(null, null) order by handle"
+  );
+  const page = board.slice(0, PAGE_SIZE).map((r) => r.user_id);
+  await query("select * from recent_tweets($1, 5)", [page]);
+}
+
+async function measure(label, fn) {
+  const times = [];
+  let queries = 0;
+  for (let i = 0; i < RUNS; i++) {
+    queryCount = 0;
+    const start = process.hrtime.bigint();
+    await fn();
+    times.push(Number(process.hrtime.bigint() - start) / 1e6);
+    queries = queryCount;
+  }
+  times.sort((a, b) => a - b);
+  const median = times[Math.floor(times.length / 2)];
+  console.log(
+    `${label.padEnd(8)} ${String(queries).padStart(5)} queries  ` +
+      `median ${median.toFixed(1).padStart(8)} ms`
+  );
+  return median;
+}
+
+async function main() {
+  console.log(
+    `Seeding ${USERS} members × ${TWEETS_PER_USER} tweets ` +
+      `(simulated round trip ${RTT_MS} ms, ${RUNS} runs)...`
+  );
+  await seed();
+
+  const beforeMs = await measure("before", before);
+  const afterMs = await measure("after", after);
+  console.log(`speedup  ${(beforeMs / afterMs).toFixed(1)}×`);
+}
+
+main()
+  .catch((error) => {
+    console.error("❌ Benchmark failed:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await pool.query(`drop schema if exists ${SCHEMA} cascade`).catch(() => {});
+    await pool.end();
+  });
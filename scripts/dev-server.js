@@ -0,0 +1,199 @@
+// Local server for the /api/* routes, so the whole app runs without any
+// outside services:
+//
+//   npm run dev:api   # this server, on API_PORT (default 3001)
+//   npm run dev       # the app on :3000, which proxies /api here
+//
+// Requests go to the api/ handlers the way Vercel routes them
+// (api/user/[handle].js answers /api/user/:handle), with STORAGE defaulting
+// to sqlite (see lib/storage). When that database has no tweets yet it is
+// filled from the recorded feed in FIXTURES_DIR (default
+// fixtures/twitterapi) first, so a fresh checkout shows a working
+// leaderboard. Other /api/* paths are served from public/api, where the
+// app's users.json fallback lives.
+//
+// Handlers are loaded once; restart the server after changing them.
+
+require("dotenv").config({ quiet: true });
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+const ROOT = path.join(__dirname, "..");
+const API_DIR = path.join(ROOT, "api");
+const PUBLIC_DIR = path.join(ROOT, "public");
+const DEFAULT_PORT = 3001;
+const DEFAULT_FIXTURES_DIR = path.join(ROOT, "fixtures/twitterapi");
+
+const CONTENT_TYPES = {
+  ".json": "application/json; charset=utf-8",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".svg": "image/svg+xml",
+};
+
+// Every handler under `dir` as { pattern, params, file }, fixed paths
+// before ones with [params]
+function findRoutes(dir, prefix = "/api") {
+  const routes = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      routes.push(...findRoutes(file, `${prefix}/${entry.name}`));
+      continue;
+    }
+    if (!entry.name.endsWith(".js")) continue;
+
+    const name = entry.name.slice(0, -3);
+    const param = name.match(/^\[(\w+)\]$/);
+    routes.push({
+      file,
+      params: param ? [param[1]] : [],
+      pattern: new RegExp(
+        `^${prefix}/${param ? "([^/]+)" : name.replace(/[.-]/g, "\\$&")}$`
+      ),
+    });
+  }
+  return routes.sort((a, b) => a.params.length - b.params.length);
+}
+
+// The request body, parsed as JSON when it says it is
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  const text = Buffer.concat(chunks).toString("utf8");
+  if (!text) return undefined;
+  return /json/.test(req.headers["content-type"] || "")
+    ? JSON.parse(text)
+    : text;
+}
+
+// The response helpers Vercel adds to Node's
+function withHelpers(res) {
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    if (!res.getHeader("Content-Type")) {
+      res.setHeader("Content-Type", "application/json; charset=utf-8");
+    }
+    res.end(JSON.stringify(body));
+    return res;
+  };
+  res.send = (body) =>
+    typeof body === "object" && !Buffer.isBuffer(body)
+      ? res.json(body)
+      : (res.end(body), res);
+  return res;
+}
+
+function serveStatic(pathname, res) {
+  const file = path.join(PUBLIC_DIR, path.normalize(decodeURI(pathname)));
+  if (
+    !file.startsWith(PUBLIC_DIR + path.sep) ||
+    !fs.existsSync(file) ||
+    !fs.statSync(file).isFile()
+  ) {
+    return res.status(404).json({ success: false, error: "Not found" });
+  }
+  res.setHeader(
+    "Content-Type",
+    CONTENT_TYPES[path.extname(file)] || "application/octet-stream"
+  );
+  fs.createReadStream(file).pipe(res);
+}
+
+function createDevServer({
+  routes = findRoutes(API_DIR),
+  log = console.log,
+} = {}) {
+  return http.createServer(async (req, res) => {
+    const started = Date.now();
+    const url = new URL(req.url, "http://localhost");
+    withHelpers(res);
+    res.on("finish", () =>
+      log(
+        `${req.method} ${url.pathname}${url.search} ${res.statusCode} ` +
+          `(${Date.now() - started} ms)`
+      )
+    );
+
+    const route = routes.find((r) => r.pattern.test(url.pathname));
+    if (!route) return serveStatic(url.pathname, res);
+
+    const values = url.pathname.match(route.pattern).slice(1);
+    req.query = {
+      ...Object.fromEntries(url.searchParams),
+      ...Object.fromEntries(
+        route.params.map((name, i) => [name, decodeURIComponent(values[i])])
+      ),
+    };
+
+    try {
+      req.body = await readBody(req);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: "Invalid JSON" });
+    }
+
+    try {
+      await require(route.file)(req, res);
+    } catch (error) {
+      console.error(`${url.pathname}:`, error);
+      if (!res.headersSent) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    }
+  });
+}
+
+// Fill an empty SQLite database from the recorded feed. Resolves to the
+// number of tweets stored, 0 when there was nothing to do.
+async function seedFromFixtures(dir = DEFAULT_FIXTURES_DIR) {
+  const { createFixtureSource } = require("../lib/sources/fixtures");
+  const { storageFromEnv } = require("../lib/storage");
+  const { runLoggedSync } = require("../lib/sync");
+
+  if (process.env.STORAGE !== "sqlite") return 0;
+  const storage = storageFromEnv();
+  const { count } = await storage
+    .from("tweets")
+    .select("id", { count: "exact" })
+    .limit(1);
+  if (count > 0) return 0;
+
+  const { stats } = await runLoggedSync(
+    storage,
+    {
+      source: createFixtureSource({ dir }),
+      maxPages: Infinity,
+      since: null,
+      refreshDays: 0,
+    },
+    "dev-server"
+  );
+  return stats.totalTweets;
+}
+
+async function main() {
+  process.env.STORAGE ||= "sqlite";
+  const port = Number(process.env.API_PORT) || DEFAULT_PORT;
+
+  const seeded = await seedFromFixtures(process.env.FIXTURES_DIR);
+  if (seeded) console.log(`🌱 Seeded ${seeded} tweets from the fixtures`);
+
+  createDevServer().listen(port, () => {
+    console.log(
+      `🚀 API on http://localhost:${port}/api (storage: ${process.env.STORAGE})`
+    );
+  });
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { createDevServer, findRoutes, seedFromFixtures };
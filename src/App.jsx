@@ -1,5 +1,18 @@
 import React, { useState, useEffect, useRef } from "react";
 import * as THREE from "three"; // Requires: npm install three
+import { viewBoard } from "../lib/board-view";
+import { tweetsEngagementRate } from "../lib/engagement";
+import { linkMessage } from "../lib/wallet-message";
+import {
+  DEFAULT_BOARD_STATE,
+  WALLET_PATH,
+  campaignPath,
+  currentPath,
+  leaderboardPath,
+  parseLocation,
+  profilePath,
+} from "./routes";
+import { tokenizeTweet } from "./tweet-text";
 import {
   Users,
   Heart,
@@ -10,6 +23,16 @@ import {
   Twitter,
   MessageCircle,
   Repeat,
+  ChevronUp,
+  ChevronDown,
+  TrendingUp,
+  Flag,
+  Calendar,
+  Award,
+  Wallet,
+  CheckCircle,
+  Megaphone,
+  Play,
 } from "lucide-react"; // Requires: npm install lucide-react
 
 // --- Configuration ---
@@ -18,6 +41,27 @@ const COMMUNITY_URL = "https://twitter.com/i/communities/1797339800241881157";
 const USERS_PER_PAGE = 10;
 const CACHE_KEY = "defiapp_leaderboard_cache";
 const CACHE_TIMESTAMP_KEY = "defiapp_leaderboard_timestamp";
+const TIME_WINDOWS = [
+  { id: "7d", label: "7D" },
+  { id: "30d", label: "30D" },
+  { id: "season", label: "Season" },
+  { id: "all", label: "All-time" },
+];
+const DEFAULT_WINDOW = DEFAULT_BOARD_STATE.window;
+const PAGE_CACHE_KEY = "defiapp_leaderboard_pages";
+const PAGE_CACHE_LIMIT = 30;
+const SEARCH_DEBOUNCE_MS = 300;
+const PROFILE_TWEETS_PER_PAGE = 20;
+const CAMPAIGN_USERS_PER_PAGE = 20;
+// Code of the wallet link in progress, so it survives waiting for a sync
+const WALLET_CODE_KEY = "defiapp_wallet_code";
+const EMPTY_BOARD = {
+  users: [],
+  total: 0,
+  totalUsers: 0,
+  pageCount: 1,
+  totals: null,
+};
 
 // --- 1. Three.js Background Component ---
 const Background3D = () => {
@@ -101,6 +145,63 @@ const Background3D = () => {
 
 // --- 2. Helper Components ---
 
+// 1234567 -> "1.2M"
+const formatCount = (value) =>
+  new Intl.NumberFormat("en", {
+    notation: "compact",
+    maximumFractionDigits: 1,
+  }).format(value || 0);
+
+// How long ago `date` was: "just now", "5m ago", "3h ago", "2d ago"
+const formatAge = (date, now = Date.now()) => {
+  const minutes = Math.floor((now - new Date(date)) / (60 * 1000));
+  if (minutes < 1) return "just now";
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.floor(minutes / 60);
+  return hours < 48 ? `${hours}h ago` : `${Math.floor(hours / 24)}d ago`;
+};
+
+// Header badge for /api/status: when the data was last synced, in yellow
+// when the latest sync went wrong, the data is stale or the API is down
+const SyncBadge = ({ status }) => {
+  if (!status) return null;
+  const { health, lastSuccess } = status;
+  let label = "Offline, showing saved data";
+  let title;
+  if (health !== "offline") {
+    label = lastSuccess
+      ? `Updated ${formatAge(lastSuccess.finishedAt)}`
+      : "Not synced yet";
+    if (health === "stale" && lastSuccess) {
+      label += " · data may be out of date";
+    }
+    title =
+      health === "degraded"
+        ? "The latest sync ran into errors"
+        : lastSuccess && new Date(lastSuccess.finishedAt).toLocaleString();
+  }
+  const warning = health !== "ok";
+  return (
+    <div
+      title={title || undefined}
+      className={`hidden sm:flex items-center gap-2 text-xs ${
+        warning ? "text-yellow-500" : "text-gray-400"
+      }`}
+    >
+      <span
+        className={`w-2 h-2 rounded-full ${
+          warning ? "bg-yellow-500" : "bg-green-400 animate-pulse"
+        }`}
+      />
+      {label}
+    </div>
+  );
+};
+
+// Engagement rate as a percentage; no views, no rate
+const formatRate = (rate) =>
+  rate == null ? "–" : `${(rate * 100).toFixed(1)}%`;
+
 const StatCard = ({ label, value, colorClass, Icon }) => (
   <div className="bg-slate-900/60 backdrop-blur-md border border-white/5 rounded-xl p-6 flex flex-col items-center justify-center text-center transition-all hover:bg-slate-800/80 hover:border-blue-500/30 group">
     <span
@@ -112,6 +213,66 @@ const StatCard = ({ label, value, colorClass, Icon }) => (
   </div>
 );
 
+const linkClass = "text-blue-400 hover:underline";
+
+// Tweet text with its mentions, hashtags and links clickable
+const TweetText = ({ tweet, className }) => (
+  <p className={className}>
+    {tokenizeTweet(tweet.text, tweet).map((token, i) =>
+      token.href ? (
+        <a
+          key={i}
+          href={token.href}
+          target="_blank"
+          rel="noreferrer"
+          className={linkClass}
+        >
+          {token.text}
+        </a>
+      ) : (
+        <React.Fragment key={i}>{token.text}</React.Fragment>
+      )
+    )}
+  </p>
+);
+
+// Photos, and thumbnails for videos and GIFs, each opening the post
+const TweetMedia = ({ media, href }) => {
+  if (!media || media.length === 0) return null;
+  const several = media.length > 1;
+  return (
+    <div
+      className={`grid gap-1 mb-3 rounded-xl overflow-hidden ${
+        several ? "grid-cols-2" : "grid-cols-1"
+      }`}
+    >
+      {media.slice(0, 4).map((item, i) => (
+        <a
+          key={i}
+          href={href}
+          target="_blank"
+          rel="noreferrer"
+          className="relative block bg-black/40"
+        >
+          <img
+            src={item.url}
+            alt={item.alt || ""}
+            loading="lazy"
+            className={`w-full object-cover ${several ? "h-40" : "max-h-96"}`}
+          />
+          {item.type !== "photo" && (
+            <span className="absolute inset-0 flex items-center justify-center">
+              <span className="rounded-full bg-black/60 p-3 text-white">
+                <Play size={20} />
+              </span>
+            </span>
+          )}
+        </a>
+      ))}
+    </div>
+  );
+};
+
 const TweetCard = ({ user, tweet }) => (
   <div className="border-b border-white/5 p-6 hover:bg-white/5 transition-colors">
     <div className="flex justify-between items-start mb-2">
@@ -121,11 +282,43 @@ const TweetCard = ({ user, tweet }) => (
           {user.handle} · {tweet.date}
         </span>
       </div>
-      <a href="#" className="text-gray-500 hover:text-blue-400">
-        <Twitter size={16} />
-      </a>
+      {tweet.url && (
+        <a
+          href={tweet.url}
+          target="_blank"
+          rel="noreferrer"
+          title="View on X"
+          className="text-gray-500 hover:text-blue-400"
+        >
+          <Twitter size={16} />
+        </a>
+      )}
     </div>
-    <p className="text-gray-300 text-sm mb-3 leading-relaxed">{tweet.text}</p>
+    <TweetText
+      tweet={tweet}
+      className="text-gray-300 text-sm mb-3 leading-relaxed whitespace-pre-line break-words"
+    />
+    <TweetMedia media={tweet.media} href={tweet.url} />
+    {tweet.quoted && (
+      <div className="border border-white/10 rounded-xl p-4 mb-3">
+        <a
+          href={tweet.quoted.url}
+          target="_blank"
+          rel="noreferrer"
+          className="flex items-center gap-2 mb-1 hover:underline"
+        >
+          <span className="font-bold text-white text-xs">
+            {tweet.quoted.name}
+          </span>
+          <span className="text-gray-500 text-xs">{tweet.quoted.handle}</span>
+        </a>
+        <TweetText
+          tweet={tweet.quoted}
+          className="text-gray-400 text-sm mb-2 leading-relaxed whitespace-pre-line break-words"
+        />
+        <TweetMedia media={tweet.quoted.media} href={tweet.quoted.url} />
+      </div>
+    )}
     <div className="flex gap-6 text-xs text-gray-500">
       <div className="flex items-center gap-1 hover:text-pink-400 transition-colors cursor-pointer">
         <Heart size={14} />
@@ -135,21 +328,640 @@ const TweetCard = ({ user, tweet }) => (
         <Repeat size={14} />
         {tweet.retweets}
       </div>
+      {tweet.views > 0 && (
+        <div className="flex items-center gap-1" title="Views">
+          <Eye size={14} />
+          {formatCount(tweet.views)}
+        </div>
+      )}
     </div>
   </div>
 );
 
+// Rank change since the previous snapshot: arrow + places, or a "new" badge
+const RankMovement = ({ user }) => {
+  if (user.isNew) {
+    return (
+      <span className="text-[10px] font-bold uppercase text-blue-400 bg-blue-500/10 rounded px-1.5 py-0.5">
+        New
+      </span>
+    );
+  }
+  if (!user.rankDelta) return null;
+  const movedUp = user.rankDelta > 0;
+  return (
+    <span
+      className={`flex items-center justify-center text-[10px] font-bold ${
+        movedUp ? "text-green-400" : "text-red-400"
+      }`}
+      title={`Previously #${user.previousRank}`}
+    >
+      {movedUp ? <ChevronUp size={12} /> : <ChevronDown size={12} />}
+      {Math.abs(user.rankDelta)}
+    </span>
+  );
+};
+
+// Rank over time as a simple line; rank 1 sits at the top
+const RankChart = ({ history }) => {
+  if (!history || history.length < 2) {
+    return (
+      <div className="p-8 text-center text-gray-500 text-sm">
+        Not enough rank history yet.
+      </div>
+    );
+  }
+
+  const width = 600;
+  const height = 160;
+  const pad = 16;
+  const ranks = history.map((h) => h.rank);
+  const best = Math.min(...ranks);
+  const worst = Math.max(...ranks);
+  const x = (i) => pad + (i * (width - pad * 2)) / (history.length - 1);
+  const y = (rank) =>
+    pad + ((rank - best) * (height - pad * 2)) / Math.max(worst - best, 1);
+
+  return (
+    <div className="p-4">
+      <div className="flex justify-between text-xs text-gray-500 mb-2">
+        <span>Best #{best}</span>
+        <span>Worst #{worst}</span>
+      </div>
+      <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-40">
+        <polyline
+          fill="none"
+          stroke="#3b82f6"
+          strokeWidth="2"
+          points={history.map((h, i) => `${x(i)},${y(h.rank)}`).join(" ")}
+        />
+        {history.map((h, i) => (
+          <circle key={h.date} cx={x(i)} cy={y(h.rank)} r="3" fill="#60a5fa">
+            <title>
+              {new Date(h.date).toLocaleDateString()}: #{h.rank} ({h.score} pts)
+            </title>
+          </circle>
+        ))}
+      </svg>
+    </div>
+  );
+};
+
+// Likes + retweets per day or week as bars, quiet periods included
+const ActivityChart = ({ points }) => {
+  if (!points || points.length === 0) {
+    return (
+      <div className="p-8 text-center text-gray-500 text-sm">
+        No activity yet.
+      </div>
+    );
+  }
+
+  const width = 600;
+  const height = 160;
+  const pad = 16;
+  const values = points.map((p) => p.likes + p.retweets);
+  const peak = Math.max(...values, 1);
+  const slot = (width - pad * 2) / points.length;
+  const bar = (value) => (value * (height - pad * 2)) / peak;
+  const label = (date) => new Date(date).toLocaleDateString();
+
+  return (
+    <div className="p-4">
+      <div className="flex justify-between text-xs text-gray-500 mb-2">
+        <span>{label(points[0].date)}</span>
+        <span>Peak {peak.toLocaleString()}</span>
+        <span>{label(points[points.length - 1].date)}</span>
+      </div>
+      <svg
+        viewBox={`0 0 ${width} ${height}`}
+        preserveAspectRatio="none"
+        className="w-full h-40"
+      >
+        {points.map((p, i) => (
+          <rect
+            key={p.date}
+            x={pad + i * slot}
+            y={height - pad - bar(values[i])}
+            width={Math.max(slot - 1, 1)}
+            height={bar(values[i])}
+            fill="#3b82f6"
+          >
+            <title>
+              {label(p.date)}: {p.tweets} posts, {p.likes} likes, {p.retweets}{" "}
+              retweets, {p.views || 0} views
+            </title>
+          </rect>
+        ))}
+      </svg>
+    </div>
+  );
+};
+
+// Tweets from the profile API carry ISO dates; the board's are preformatted
+const displayTweet = (tweet) => ({
+  ...tweet,
+  date: new Date(tweet.date).toLocaleDateString(),
+});
+
+// Column header that sorts the board; shows the direction when active
+const SortHeader = ({ label, field, sort, onSort, className = "" }) => (
+  <th className={`p-4 text-right ${className}`}>
+    <button
+      onClick={() => onSort(field)}
+      className={`inline-flex items-center gap-1 uppercase hover:text-white transition-colors ${
+        sort.field === field ? "text-blue-400" : ""
+      }`}
+    >
+      {label}
+      {sort.field === field &&
+        (sort.order === "desc" ? (
+          <ChevronDown size={12} />
+        ) : (
+          <ChevronUp size={12} />
+        ))}
+    </button>
+  </th>
+);
+
+const CAMPAIGN_GROUPS = [
+  { status: "active", label: "Active" },
+  { status: "upcoming", label: "Upcoming" },
+  { status: "ended", label: "Past" },
+];
+
+const formatDay = (date) => new Date(date).toLocaleDateString();
+
+// The rules a campaign counts tweets by, e.g. "@defiapp + #art or android"
+const campaignRules = (campaign) => {
+  const mentions = campaign.mentions.map((m) => `@${m}`).join(" ");
+  const anyOf = [
+    ...campaign.hashtags.map((t) => `#${t}`),
+    ...campaign.keywords,
+  ].join(" or ");
+  return [mentions, anyOf].filter(Boolean).join(" + ");
+};
+
+// Campaign list, or one campaign's own leaderboard when `slug` is set.
+// Rendered with the slug as its key, so each campaign starts on page one.
+const Campaigns = ({ slug, onOpenCampaign, onOpenProfile }) => {
+  const [campaigns, setCampaigns] = useState(null);
+  const [board, setBoard] = useState(null);
+  const [page, setPage] = useState(1);
+  const [error, setError] = useState(null);
+
+  const request = async (params) => {
+    const response = await fetch(`/api/campaigns?${params}`, {
+      signal: AbortSignal.timeout(15000),
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok || !result.success) {
+      throw new Error(result.error || `API Error: ${response.status}`);
+    }
+    return result;
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+    setError(null);
+    const params = slug
+      ? new URLSearchParams({
+          slug,
+          page: String(page),
+          pageSize: String(CAMPAIGN_USERS_PER_PAGE),
+        })
+      : new URLSearchParams();
+    request(params)
+      .then((result) => {
+        if (cancelled) return;
+        if (slug) setBoard(result);
+        else setCampaigns(result.data);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [slug, page]);
+
+  if (error) {
+    return (
+      <div className="bg-slate-900/60 backdrop-blur-md border border-white/5 rounded-xl p-8 text-center text-gray-500">
+        {error}
+      </div>
+    );
+  }
+
+  if (!slug) {
+    if (!campaigns) {
+      return (
+        <div className="p-8 text-center text-gray-500">
+          Loading campaigns...
+        </div>
+      );
+    }
+    if (campaigns.length === 0) {
+      return (
+        <div className="bg-slate-900/60 backdrop-blur-md border border-white/5 rounded-xl p-8 text-center text-gray-500">
+          No campaigns yet.
+        </div>
+      );
+    }
+    return CAMPAIGN_GROUPS.map(({ status, label }) => {
+      const group = campaigns.filter((c) => c.status === status);
+      if (group.length === 0) return null;
+      return (
+        <section key={status} className="mb-8">
+          <h3 className="text-sm font-bold uppercase tracking-widest text-gray-400 mb-3">
+            {label}
+          </h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {group.map((campaign) => (
+              <button
+                key={campaign.slug}
+                onClick={() => onOpenCampaign(campaign.slug)}
+                className="text-left bg-slate-900/60 backdrop-blur-md border border-white/5 rounded-xl p-5 hover:bg-white/10 transition-colors"
+              >
+                <div className="font-bold text-white mb-1">{campaign.name}</div>
+                {campaign.description && (
+                  <p className="text-sm text-gray-400 mb-2">
+                    {campaign.description}
+                  </p>
+                )}
+                <div className="text-xs text-blue-400 mb-1">
+                  {campaignRules(campaign)}
+                </div>
+                <div className="text-xs text-gray-500">
+                  {formatDay(campaign.startsAt)} –{" "}
+                  {campaign.endsAt ? formatDay(campaign.endsAt) : "ongoing"}
+                </div>
+              </button>
+            ))}
+          </div>
+        </section>
+      );
+    });
+  }
+
+  if (!board) {
+    return (
+      <div className="p-8 text-center text-gray-500">Loading campaign...</div>
+    );
+  }
+
+  const { campaign } = board;
+  return (
+    <>
+      <div className="mb-6">
+        <h2 className="text-3xl font-black text-white mb-2">{campaign.name}</h2>
+        {campaign.description && (
+          <p className="text-gray-400 mb-2">{campaign.description}</p>
+        )}
+        <div className="text-sm text-blue-400">{campaignRules(campaign)}</div>
+        <div className="text-xs text-gray-500 mt-1">
+          {formatDay(campaign.startsAt)} –{" "}
+          {campaign.endsAt ? formatDay(campaign.endsAt) : "ongoing"} ·{" "}
+          {board.totalUsers.toLocaleString()} members ·{" "}
+          {board.totals.tweets.toLocaleString()} posts
+        </div>
+      </div>
+      <div className="bg-slate-900/60 backdrop-blur-md border border-white/5 rounded-xl overflow-hidden">
+        <table className="w-full text-left">
+          <thead className="bg-black/20 text-xs uppercase tracking-wider text-gray-500">
+            <tr>
+              <th className="p-4 w-16 text-center">Rank</th>
+              <th className="p-4">Member</th>
+              <th className="p-4 text-right">Posts</th>
+              <th className="p-4 text-right">Likes</th>
+              <th className="p-4 text-right">Score</th>
+            </tr>
+          </thead>
+          <tbody>
+            {board.data.map((user) => (
+              <tr
+                key={user.handle}
+                onClick={() => onOpenProfile(user)}
+                className="border-b border-white/5 hover:bg-white/10 transition-colors cursor-pointer"
+              >
+                <td className="p-4 text-center text-gray-400 font-mono text-sm font-bold">
+                  {user.rank}
+                </td>
+                <td className="p-4">
+                  <div className="font-bold text-white text-sm">
+                    {user.name}
+                  </div>
+                  <div className="text-xs text-gray-500">{user.handle}</div>
+                </td>
+                <td className="p-4 text-right text-gray-300">
+                  {user.tweets.toLocaleString()}
+                </td>
+                <td className="p-4 text-right text-gray-300">
+                  {user.likes.toLocaleString()}
+                </td>
+                <td className="p-4 text-right font-bold text-white">
+                  {Math.round(user.score).toLocaleString()}
+                </td>
+              </tr>
+            ))}
+            {board.data.length === 0 && (
+              <tr>
+                <td colSpan={5} className="p-8 text-center text-gray-500">
+                  No matching posts yet.
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+        {board.pageCount > 1 && (
+          <div className="flex items-center justify-between p-4 text-sm text-gray-400">
+            <button
+              onClick={() => setPage(page - 1)}
+              disabled={page <= 1}
+              className="px-3 py-1.5 rounded-md bg-white/5 text-gray-300 hover:bg-white/10 disabled:opacity-30 disabled:cursor-not-allowed transition-colors"
+            >
+              Previous
+            </button>
+            <span>
+              Page {board.page} of {board.pageCount}
+            </span>
+            <button
+              onClick={() => setPage(page + 1)}
+              disabled={page >= board.pageCount}
+              className="px-3 py-1.5 rounded-md bg-white/5 text-gray-300 hover:bg-white/10 disabled:opacity-30 disabled:cursor-not-allowed transition-colors"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+    </>
+  );
+};
+
+// personal_sign takes the message as hex-encoded UTF-8
+const toHexUtf8 = (text) =>
+  "0x" +
+  [...new TextEncoder().encode(text)]
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+
+// Link a payout wallet in three steps: get a code for your handle, post it
+// in the community for the next sync to spot, then sign with the wallet
+const WalletLink = () => {
+  const [handle, setHandle] = useState("");
+  const [challenge, setChallenge] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const request = async (url, options = {}) => {
+    const response = await fetch(url, {
+      ...options,
+      signal: AbortSignal.timeout(15000),
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok || !result.success) {
+      throw new Error(result.error || `API Error: ${response.status}`);
+    }
+    return result.data;
+  };
+
+  const postJson = (url, body) =>
+    request(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+
+  const checkCode = (code) =>
+    request(`/api/wallet/challenge?code=${encodeURIComponent(code)}`);
+
+  // Run a step of the flow and keep the challenge it comes back with
+  const runStep = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      const next = await action();
+      setChallenge(next);
+      localStorage.setItem(WALLET_CODE_KEY, next.code);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Pick up a link started on an earlier visit
+  useEffect(() => {
+    const code = localStorage.getItem(WALLET_CODE_KEY);
+    if (!code) return;
+    checkCode(code)
+      .then(setChallenge)
+      .catch(() => localStorage.removeItem(WALLET_CODE_KEY));
+  }, []);
+
+  // The address of the browser wallet's current account
+  const connectWallet = async () => {
+    if (!window.ethereum) {
+      throw new Error("No browser wallet found. Install one to continue.");
+    }
+    const [address] = await window.ethereum.request({
+      method: "eth_requestAccounts",
+    });
+    return address;
+  };
+
+  // The code is issued for one wallet, so connect it first
+  const start = (e) => {
+    e.preventDefault();
+    if (handle.trim()) {
+      runStep(async () =>
+        postJson("/api/wallet/challenge", {
+          handle,
+          address: await connectWallet(),
+        })
+      );
+    }
+  };
+
+  const signWithWallet = () =>
+    runStep(async () => {
+      const address = await connectWallet();
+      if (address.toLowerCase() !== challenge.address.toLowerCase()) {
+        throw new Error(
+          `Switch your wallet to ${challenge.address}, the one this code is for.`
+        );
+      }
+      const message = linkMessage({
+        handle: challenge.handle,
+        code: challenge.code,
+        address,
+      });
+      const signature = await window.ethereum.request({
+        method: "personal_sign",
+        params: [toHexUtf8(message), address],
+      });
+      return postJson("/api/wallet/link", {
+        code: challenge.code,
+        address,
+        signature,
+      });
+    });
+
+  const startOver = () => {
+    localStorage.removeItem(WALLET_CODE_KEY);
+    setChallenge(null);
+    setError(null);
+  };
+
+  const button =
+    "px-4 py-2 rounded-md bg-blue-500 text-sm font-bold text-white hover:bg-blue-600 disabled:opacity-50 transition-colors";
+  const secondaryButton =
+    "px-4 py-2 rounded-md bg-white/5 text-sm text-gray-300 hover:bg-white/10 transition-colors";
+
+  return (
+    <div className="bg-slate-900/60 backdrop-blur-md border border-white/5 rounded-xl p-6 space-y-4">
+      {!challenge && (
+        <form onSubmit={start} className="space-y-4">
+          <p className="text-gray-400 text-sm">
+            Enter your X handle and connect the wallet you want rewards paid
+            to. Posting the code you get in the community proves the account
+            is yours.
+          </p>
+          <div className="flex gap-3">
+            <input
+              type="text"
+              value={handle}
+              onChange={(e) => setHandle(e.target.value)}
+              placeholder="@handle"
+              className="flex-grow bg-black/40 border border-white/10 rounded-md px-3 py-2 text-white placeholder-gray-600 focus:outline-none focus:border-blue-500"
+            />
+            <button type="submit" disabled={busy} className={button}>
+              Get code
+            </button>
+          </div>
+        </form>
+      )}
+
+      {challenge && challenge.status === "awaiting_tweet" && (
+        <>
+          <p className="text-gray-400 text-sm">
+            Post this from {challenge.handle} in the community. It is picked up
+            at the next sync, so it can take a while to show here.
+          </p>
+          <div className="bg-black/40 border border-white/10 rounded-md p-3 font-mono text-sm text-white break-all">
+            {challenge.tweetText}
+          </div>
+          <div className="flex flex-wrap gap-3">
+            <a
+              href={COMMUNITY_URL}
+              target="_blank"
+              rel="noreferrer"
+              className={button}
+            >
+              Open Community
+            </a>
+            <button
+              onClick={() => runStep(() => checkCode(challenge.code))}
+              disabled={busy}
+              className={secondaryButton}
+            >
+              Check again
+            </button>
+          </div>
+          <p className="text-xs text-gray-500">
+            Code valid until{" "}
+            {new Date(challenge.expiresAt).toLocaleDateString()}
+          </p>
+        </>
+      )}
+
+      {challenge && challenge.status === "awaiting_signature" && (
+        <>
+          <p className="text-gray-400 text-sm">
+            We found your post. Now sign a message with{" "}
+            <span className="font-mono text-white">{challenge.address}</span>.
+            Signing is free and sends no transaction.
+          </p>
+          <button onClick={signWithWallet} disabled={busy} className={button}>
+            {busy ? "Waiting for wallet..." : "Sign with wallet"}
+          </button>
+        </>
+      )}
+
+      {challenge && challenge.status === "linked" && (
+        <div className="flex items-start gap-3">
+          <CheckCircle className="w-5 h-5 text-green-400 shrink-0 mt-0.5" />
+          <p className="text-gray-300 text-sm break-all">
+            <span className="font-mono text-white">{challenge.address}</span> is
+            linked to {challenge.handle}.
+          </p>
+        </div>
+      )}
+
+      {challenge && challenge.status === "expired" && (
+        <p className="text-gray-400 text-sm">
+          This code has expired. Start again for a new one.
+        </p>
+      )}
+
+      {error && <p className="text-sm text-red-400">{error}</p>}
+
+      {challenge && challenge.status !== "awaiting_signature" && (
+        <button onClick={startOver} className={secondaryButton}>
+          {challenge.status === "linked" ? "Link another wallet" : "Start over"}
+        </button>
+      )}
+    </div>
+  );
+};
+
 // --- 3. Main Application Component ---
 export default function App() {
-  const [view, setView] = useState("leaderboard");
-  const [users, setUsers] = useState([]);
+  // Where the app was opened: a /u/:handle link or a leaderboard URL
+  const [initialRoute] = useState(() => parseLocation(window.location));
+  const initialBoard = initialRoute.board || DEFAULT_BOARD_STATE;
+  const [view, setView] = useState(initialRoute.view);
+  // The page of the board currently shown, as returned by the API
+  const [board, setBoard] = useState(EMPTY_BOARD);
+  // Full board from the cache or users.json when the API is unreachable;
+  // search, sort and paging then happen in the browser
+  const [offlineUsers, setOfflineUsers] = useState(null);
   const [selectedProfile, setSelectedProfile] = useState(null);
+  // Handle in the /u/:handle URL; its member may still be loading, or
+  // missing (null after the lookup)
+  const [profileHandle, setProfileHandle] = useState(
+    initialRoute.handle || null
+  );
+  const [profileMissing, setProfileMissing] = useState(false);
+  // Campaign shown on the campaigns page; null lists them all
+  const [campaignSlug, setCampaignSlug] = useState(
+    initialRoute.campaign || null
+  );
   const [loading, setLoading] = useState(true);
-  const [searchTerm, setSearchTerm] = useState("");
-  const [isLiveData, setIsLiveData] = useState(false);
-  const [currentPage, setCurrentPage] = useState(1);
+  const [searchTerm, setSearchTerm] = useState(initialBoard.q);
+  const [query, setQuery] = useState(initialBoard.q);
+  // How fresh the data is, from /api/status: { health, lastSuccess, ... },
+  // with a health of "offline" when the API can't be reached
+  const [syncStatus, setSyncStatus] = useState(null);
+  const [currentPage, setCurrentPage] = useState(initialBoard.page);
+  const [sort, setSort] = useState(initialBoard.sort);
+  const [timeWindow, setTimeWindow] = useState(initialBoard.window);
+  // Leave out members with tweets flagged as spam or farming
+  const [hideFlagged, setHideFlagged] = useState(initialBoard.hideFlagged);
+  const [rankHistory, setRankHistory] = useState([]);
+  // The open member's activity, best tweets and the tweets loaded so far
+  // from the profile API: { handle, activity, bestTweets, tweets, page,
+  // pageCount }
+  const [profile, setProfile] = useState(null);
+  const [loadingMoreTweets, setLoadingMoreTweets] = useState(false);
+  const [activityScale, setActivityScale] = useState("daily");
+  const tweetsEndRef = useRef(null);
+  // Key of the most recent request, so a slow response for a view the
+  // user already moved away from is dropped
+  const activeRequestRef = useRef(null);
 
-  // --- Local cache helpers ---
+  // --- Local cache helpers (the all-time board from users.json) ---
   const readCache = () => {
     try {
       const raw = localStorage.getItem(CACHE_KEY);
@@ -171,24 +983,52 @@ export default function App() {
     }
   };
 
-  // Merge incoming API data with existing cached objects (by handle) so
-  // we don't lose additional fields like `recentTweets` that may exist
-  // only in cache. Incoming data takes precedence for overlapping keys.
-  const mergeWithCache = (incoming) => {
-    if (!Array.isArray(incoming)) return incoming;
-    const { data: cached } = readCache();
-    if (!Array.isArray(cached) || cached.length === 0) return incoming;
-    const map = new Map();
-    cached.forEach((u) => map.set(u.handle, u));
-    return incoming.map((u) => ({ ...(map.get(u.handle) || {}), ...u }));
+  // --- Page cache: the last API responses, keyed by request ---
+  const readPageCache = (key) => {
+    try {
+      const pages = JSON.parse(localStorage.getItem(PAGE_CACHE_KEY) || "{}");
+      return pages[key] || null;
+    } catch (e) {
+      console.warn("readPageCache failed:", e);
+      return null;
+    }
+  };
+
+  const savePageCache = (key, result) => {
+    try {
+      const pages = JSON.parse(localStorage.getItem(PAGE_CACHE_KEY) || "{}");
+      delete pages[key];
+      pages[key] = { ...result, cachedAt: Date.now() };
+      // Keep only the most recently used pages
+      const keys = Object.keys(pages);
+      keys
+        .slice(0, Math.max(0, keys.length - PAGE_CACHE_LIMIT))
+        .forEach((k) => delete pages[k]);
+      localStorage.setItem(PAGE_CACHE_KEY, JSON.stringify(pages));
+    } catch (e) {
+      console.warn("savePageCache failed:", e);
+    }
+  };
+
+  const showPage = (result) => {
+    setBoard({
+      users: result.data,
+      total: result.total,
+      totalUsers: result.totalUsers,
+      pageCount: result.pageCount,
+      totals: result.totals,
+    });
+    setOfflineUsers(null);
   };
 
   // --- SECURE DATA FETCHING LOGIC WITH CACHING ---
-  const loadData = async () => {
+  const loadData = async (request) => {
+    const { win, params } = request;
+    const key = params.toString();
     setLoading(true);
     try {
-      // Fetch from Supabase-backed serverless endpoint
-      const response = await fetch("/api/get-leaderboard", {
+      // Fetch only the page being viewed from the Supabase-backed endpoint
+      const response = await fetch(`/api/get-leaderboard?${params}`, {
         method: "GET",
         headers: {
           "Content-Type": "application/json",
@@ -201,18 +1041,19 @@ export default function App() {
       }
 
       const result = await response.json();
+      if (activeRequestRef.current !== key) return;
 
+      // An empty all-time board means the backend has no data yet, but a
+      // short window or a search can legitimately be empty
       if (
         result.success &&
         Array.isArray(result.data) &&
-        result.data.length > 0
+        (result.totalUsers > 0 || win !== DEFAULT_WINDOW)
       ) {
-        // Success! Merge with cache, save to localStorage and update state
-        const merged = mergeWithCache(result.data);
-        saveCache(merged);
-        setUsers(merged);
-        setIsLiveData(true);
-        console.log("✅ Live data loaded and cached (merged)");
+        // Success! Save to localStorage and update state
+        savePageCache(key, result);
+        showPage(result);
+        console.log("✅ Live data loaded and cached");
       } else {
         throw new Error("Invalid data format received");
       }
@@ -221,13 +1062,22 @@ export default function App() {
         "⚠️ API failed, loading from cache or fallback:",
         error.message
       );
-      setIsLiveData(false);
+      if (activeRequestRef.current !== key) return;
 
-      // Try to load from localStorage cache first (use helper)
+      // Try the same page from the page cache first
+      const cachedPage = readPageCache(key);
+      if (cachedPage) {
+        showPage(cachedPage);
+        console.log("📦 Loaded page from cache");
+        return;
+      }
+
+      // Then the cached full board, which only exists for all-time
       try {
-        const { data: parsedData, timestamp: cachedTimestamp } = readCache();
+        const { data: parsedData, timestamp: cachedTimestamp } =
+          win === DEFAULT_WINDOW ? readCache() : { data: null };
         if (Array.isArray(parsedData) && parsedData.length > 0) {
-          setUsers(parsedData);
+          setOfflineUsers(parsedData);
           const cacheAge = cachedTimestamp
             ? Math.floor((Date.now() - parseInt(cachedTimestamp)) / (1000 * 60 * 60))
             : "unknown";
@@ -238,9 +1088,10 @@ export default function App() {
         console.warn("Cache read failed:", cacheError);
       }
 
-      // Last resort: fallback to static JSON file
+      // Last resort: fallback to static JSON file (all-time only)
       try {
-        const fallbackResponse = await fetch("api/users.json");
+        if (win !== DEFAULT_WINDOW) throw new Error("No static data for window");
+        const fallbackResponse = await fetch("/api/users.json");
         if (fallbackResponse.ok) {
           const fallbackData = await fallbackResponse.json();
           if (Array.isArray(fallbackData) && fallbackData.length > 0) {
@@ -248,7 +1099,7 @@ export default function App() {
               ...u,
               rank: i + 1,
             }));
-            setUsers(rankedData);
+            setOfflineUsers(rankedData);
             // Cache this fallback data too
             saveCache(rankedData);
             console.log("📄 Loaded from static fallback file");
@@ -259,67 +1110,355 @@ export default function App() {
         console.error("❌ All data sources failed");
       }
 
-      // If everything fails, set empty array
-      setUsers([]);
+      // If everything fails, show an empty board
+      setOfflineUsers(null);
+      setBoard(EMPTY_BOARD);
     } finally {
       setLoading(false);
     }
   };
 
-  // Load cached data immediately on mount, then fetch fresh data
+  // Debounce typing before it turns into a request
+  useEffect(() => {
+    if (searchTerm.trim() === query) return;
+    const timer = setTimeout(() => {
+      setQuery(searchTerm.trim());
+      setCurrentPage(1);
+    }, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
+
+  // Load the requested page: instantly from the page cache when we have
+  // it, then fresh from the API
+  useEffect(() => {
+    const params = new URLSearchParams({
+      window: timeWindow,
+      page: String(currentPage),
+      pageSize: String(USERS_PER_PAGE),
+      sort: sort.field,
+      order: sort.order,
+    });
+    if (query) params.set("q", query);
+    if (hideFlagged) params.set("hideFlagged", "1");
+    activeRequestRef.current = params.toString();
+
+    const cachedPage = readPageCache(params.toString());
+    if (cachedPage) {
+      showPage(cachedPage);
+      setLoading(false);
+      console.log("⚡ Instant load from cache");
+    }
+
+    // Then fetch fresh data in the background
+    loadData({ win: timeWindow, params });
+  }, [timeWindow, currentPage, sort, query, hideFlagged]);
+
+  const changeWindow = (win) => {
+    setTimeWindow(win);
+    setCurrentPage(1);
+  };
+
+  const toggleHideFlagged = () => {
+    setHideFlagged((prev) => !prev);
+    setCurrentPage(1);
+  };
+
+  // Clicking the active column flips the order, a new column starts high
+  const changeSort = (field) => {
+    setSort((prev) =>
+      prev.field === field
+        ? { field, order: prev.order === "desc" ? "asc" : "desc" }
+        : { field, order: "desc" }
+    );
+    setCurrentPage(1);
+  };
+
+  // When the data was last synced, for the header
   useEffect(() => {
-    // First, try to load from cache for instant display
+    fetch("/api/status", { signal: AbortSignal.timeout(15000) })
+      .then((response) => (response.ok ? response.json() : null))
+      .then((result) =>
+        setSyncStatus(
+          result && result.success ? result : { health: "offline" }
+        )
+      )
+      .catch(() => setSyncStatus({ health: "offline" }));
+  }, []);
+
+  // Load the rank-over-time chart for the open profile
+  useEffect(() => {
+    if (!selectedProfile) return;
+    let cancelled = false;
+    setRankHistory([]);
+    const params = new URLSearchParams({ handle: selectedProfile.handle });
+    fetch(`/api/rank-history?${params}`, {
+      signal: AbortSignal.timeout(15000),
+    })
+      .then((response) => (response.ok ? response.json() : null))
+      .then((result) => {
+        if (!cancelled && result && Array.isArray(result.data)) {
+          setRankHistory(result.data);
+        }
+      })
+      .catch((error) => console.warn("Rank history unavailable:", error));
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedProfile]);
+
+  // One page of a member's profile from the API; null when there is no
+  // such member
+  const fetchProfile = async (handle, page) => {
+    const params = new URLSearchParams({
+      page: String(page),
+      pageSize: String(PROFILE_TWEETS_PER_PAGE),
+    });
+    const response = await fetch(
+      `/api/user/${encodeURIComponent(handle.replace(/^@/, ""))}?${params}`,
+      { signal: AbortSignal.timeout(15000) }
+    );
+    if (response.status === 404) return null;
+    if (!response.ok) throw new Error(`API Error: ${response.status}`);
+    const result = await response.json();
+    if (!result.success || !Array.isArray(result.tweets)) {
+      throw new Error("Invalid data format received");
+    }
+    return result;
+  };
+
+  // Without the API, look for the member on the page shown or in the
+  // offline copies of the all-time board
+  const findOfflineMember = async (handle) => {
+    const same = (u) => u.handle.toLowerCase() === handle.toLowerCase();
+    const shown = (offlineUsers || board.users).find(same);
+    if (shown) return shown;
+
+    const { data: cached } = readCache(DEFAULT_WINDOW);
+    if (Array.isArray(cached) && cached.some(same)) return cached.find(same);
     try {
-      const { data: parsedData } = readCache();
-      if (Array.isArray(parsedData) && parsedData.length > 0) {
-        setUsers(parsedData);
-        setLoading(false);
-        console.log("⚡ Instant load from cache");
+      const fallbackResponse = await fetch("/api/users.json");
+      if (fallbackResponse.ok) {
+        const fallbackData = await fallbackResponse.json();
+        const index = fallbackData.findIndex(same);
+        if (index !== -1) return { ...fallbackData[index], rank: index + 1 };
       }
+    } catch (fallbackError) {
+      console.error("❌ Profile lookup failed:", fallbackError);
+    }
+    return null;
+  };
+
+  // Load the profile a URL points at. A member opened from the board is
+  // shown straight away while their activity loads; a /u/:handle link
+  // waits for the API to say who it is.
+  useEffect(() => {
+    if (view !== "profile" || !profileHandle) return;
+    const isOpen =
+      selectedProfile &&
+      selectedProfile.handle.toLowerCase() === profileHandle.toLowerCase();
+    let cancelled = false;
+    if (!isOpen) setSelectedProfile(null);
+    setProfile(null);
+    setProfileMissing(false);
+
+    fetchProfile(profileHandle, 1)
+      .then((result) => {
+        if (cancelled) return;
+        if (!result) {
+          if (!isOpen) setProfileMissing(true);
+          return;
+        }
+        const { handle, activity, bestTweets, tweets, page, pageCount } =
+          result;
+        setProfile({ handle, activity, bestTweets, tweets, page, pageCount });
+        if (!isOpen) setSelectedProfile(result.member);
+        // A link to a handle the member has since changed was redirected
+        if (handle.toLowerCase() !== profileHandle.toLowerCase()) {
+          window.history.replaceState(
+            { app: true },
+            "",
+            profilePath(handle)
+          );
+        }
+      })
+      .catch(async (error) => {
+        console.warn("⚠️ Profile API failed, using offline data:", error);
+        if (cancelled || isOpen) return;
+        const member = await findOfflineMember(profileHandle);
+        if (cancelled) return;
+        setSelectedProfile(member);
+        setProfileMissing(!member);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [view, profileHandle]);
+
+  // Next page of the open member's tweets, for infinite scroll
+  const loadMoreTweets = async () => {
+    if (!profile || loadingMoreTweets || profile.page >= profile.pageCount) {
+      return;
+    }
+    setLoadingMoreTweets(true);
+    try {
+      const result = await fetchProfile(profile.handle, profile.page + 1);
+      if (!result) return;
+      setProfile((prev) =>
+        prev && prev.handle === profile.handle
+          ? {
+              ...prev,
+              tweets: [...prev.tweets, ...result.tweets],
+              page: result.page,
+              pageCount: result.pageCount,
+            }
+          : prev
+      );
     } catch (error) {
-      console.warn("Failed to read cache for instant load", error);
+      console.warn("⚠️ More tweets unavailable:", error);
+    } finally {
+      setLoadingMoreTweets(false);
     }
+  };
 
-    // Then fetch fresh data in the background
-    loadData();
-  }, []);
+  // Fetch the next page as the end of the tweet list scrolls into view
+  useEffect(() => {
+    const end = tweetsEndRef.current;
+    if (!end || !("IntersectionObserver" in window)) return;
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) loadMoreTweets();
+    });
+    observer.observe(end);
+    return () => observer.disconnect();
+  }, [profile, loadingMoreTweets]);
 
-  // Reset to page 1 when search term changes
+  // Keep the address bar in step with the board. A new search replaces
+  // the current history entry; paging, sorting, windows and filters add
+  // one, so the back button steps through them.
   useEffect(() => {
-    setCurrentPage(1);
-  }, [searchTerm]);
+    if (view !== "leaderboard") return;
+    const path = leaderboardPath({
+      window: timeWindow,
+      page: currentPage,
+      sort,
+      q: query,
+      hideFlagged,
+    });
+    if (path === currentPath()) return;
+    const shown = parseLocation(window.location).board;
+    if (shown && (shown.q !== query || leaderboardPath(shown) === path)) {
+      window.history.replaceState({ app: true }, "", path);
+    } else {
+      window.history.pushState({ app: true }, "", path);
+    }
+  }, [view, timeWindow, currentPage, sort, query, hideFlagged]);
+
+  // Back and forward: show whatever the URL now points at
+  useEffect(() => {
+    const onPopState = () => {
+      const route = parseLocation(window.location);
+      if (route.view === "wallet") {
+        setView("wallet");
+        return;
+      }
+      if (route.view === "campaigns") {
+        setCampaignSlug(route.campaign);
+        setView("campaigns");
+        return;
+      }
+      if (route.view === "profile") {
+        setProfileHandle(route.handle);
+        setView("profile");
+        return;
+      }
+      const next = route.board;
+      setView("leaderboard");
+      setSelectedProfile(null);
+      setProfileHandle(null);
+      setTimeWindow(next.window);
+      setCurrentPage(next.page);
+      setSort((prev) =>
+        prev.field === next.sort.field && prev.order === next.sort.order
+          ? prev
+          : next.sort
+      );
+      setSearchTerm(next.q);
+      setQuery(next.q);
+      setHideFlagged(next.hideFlagged);
+    };
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+  }, []);
 
   // Navigation Helpers
   const openProfile = (user) => {
     setSelectedProfile(user);
+    setProfileHandle(user.handle);
+    setProfileMissing(false);
     setView("profile");
+    window.history.pushState({ app: true }, "", profilePath(user.handle));
+    window.scrollTo(0, 0);
+  };
+
+  const openCampaign = (slug) => {
+    setCampaignSlug(slug);
+    setView("campaigns");
+    window.history.pushState({ app: true }, "", campaignPath(slug));
+    window.scrollTo(0, 0);
+  };
+
+  const openWallet = () => {
+    setView("wallet");
+    window.history.pushState({ app: true }, "", WALLET_PATH);
     window.scrollTo(0, 0);
   };
 
   const goBack = () => {
+    // Opened from the board: return to it as it was, page and all
+    if (
+      (view === "profile" || view === "wallet") &&
+      window.history.state?.app
+    ) {
+      window.history.back();
+      return;
+    }
     setView("leaderboard");
     setSelectedProfile(null);
+    setProfileHandle(null);
     window.scrollTo(0, 0);
   };
 
-  // Filter and Pagination Logic
-  const filteredUsers = users.filter(
-    (u) =>
-      u.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      u.handle.toLowerCase().includes(searchTerm.toLowerCase())
-  );
-
-  const pageCount = Math.max(
-    1,
-    Math.ceil(filteredUsers.length / USERS_PER_PAGE)
-  );
-  const startIndex = (currentPage - 1) * USERS_PER_PAGE;
-  const endIndex = startIndex + USERS_PER_PAGE;
-  const paginatedUsers = filteredUsers.slice(startIndex, endIndex);
+  // Rows for the current page: straight from the API, or computed locally
+  // from the offline copy of the board
+  const offlinePage =
+    offlineUsers &&
+    viewBoard(offlineUsers, {
+      page: currentPage,
+      pageSize: USERS_PER_PAGE,
+      sort: sort.field,
+      order: sort.order,
+      q: query,
+      hideFlagged,
+    });
+  const pageUsers = offlinePage ? offlinePage.data : board.users;
+  const pageCount = offlinePage ? offlinePage.pageCount : board.pageCount;
+  const matchingTotal = offlinePage ? offlinePage.total : board.total;
 
-  // Calculate Aggregate Stats
-  const totalTweets = users.reduce((acc, u) => acc + (u.tweets || 0), 0);
-  const totalLikes = users.reduce((acc, u) => acc + (u.likes || 0), 0);
+  // Aggregate Stats for the selected window
+  const totalMembers = offlineUsers ? offlineUsers.length : board.totalUsers;
+  const sumOffline = (key) =>
+    offlineUsers.reduce((acc, u) => acc + (u[key] || 0), 0);
+  const totalTweets = offlineUsers
+    ? sumOffline("tweets")
+    : (board.totals && board.totals.tweets) || 0;
+  const totalLikes = offlineUsers
+    ? sumOffline("likes")
+    : (board.totals && board.totals.likes) || 0;
+  const totalViews = offlineUsers
+    ? sumOffline("views")
+    : (board.totals && board.totals.views) || 0;
+  const totalEngagementRate = offlineUsers
+    ? tweetsEngagementRate(offlineUsers.map((u) => ({ ...u, retweets: u.rts })))
+    : board.totals && board.totals.engagementRate;
 
   return (
     <div className="font-sans text-gray-100 min-h-screen relative overflow-x-hidden selection:bg-blue-500/30">
@@ -344,7 +1483,22 @@ export default function App() {
               </span>
             </div>
 
-            <div className="flex gap-3">
+            <div className="flex items-center gap-3">
+              <SyncBadge status={syncStatus} />
+              <button
+                onClick={() => openCampaign(null)}
+                className="inline-flex items-center justify-center rounded-full border border-white/10 px-4 py-2 text-sm font-medium text-white hover:bg-white/10 transition-all"
+              >
+                <Megaphone className="w-4 h-4 mr-2" />
+                Campaigns
+              </button>
+              <button
+                onClick={openWallet}
+                className="inline-flex items-center justify-center rounded-full border border-white/10 px-4 py-2 text-sm font-medium text-white hover:bg-white/10 transition-all"
+              >
+                <Wallet className="w-4 h-4 mr-2" />
+                Link Wallet
+              </button>
               <a
                 href={COMMUNITY_URL}
                 target="_blank"
@@ -377,7 +1531,7 @@ export default function App() {
                 on X
               </p>
 
-              <div className="grid grid-cols-2 md:grid-cols-4 gap-4 max-w-5xl mx-auto">
+              <div className="grid grid-cols-2 md:grid-cols-5 gap-4 max-w-6xl mx-auto">
                 <StatCard
                   label="Community Posts"
                   value={totalTweets.toLocaleString()}
@@ -386,7 +1540,7 @@ export default function App() {
                 />
                 <StatCard
                   label="Active Members"
-                  value={users.length}
+                  value={totalMembers}
                   colorClass="text-purple-400"
                   Icon={Users}
                 />
@@ -398,15 +1552,36 @@ export default function App() {
                 />
                 <StatCard
                   label="Impressions"
-                  value={((totalLikes * 45) / 1000).toFixed(1) + "K"}
+                  value={formatCount(totalViews)}
                   colorClass="text-pink-400"
                   Icon={Eye}
                 />
+                <StatCard
+                  label="Engagement Rate"
+                  value={formatRate(totalEngagementRate)}
+                  colorClass="text-yellow-400"
+                  Icon={TrendingUp}
+                />
               </div>
             </div>
 
             <div className="bg-slate-900/60 backdrop-blur-md border border-white/5 rounded-2xl overflow-hidden max-w-6xl mx-auto shadow-2xl">
               <div className="p-4 border-b border-white/5 flex flex-col sm:flex-row justify-between items-center gap-4">
+                <div className="flex rounded-lg bg-black/30 border border-white/10 p-1">
+                  {TIME_WINDOWS.map((w) => (
+                    <button
+                      key={w.id}
+                      onClick={() => changeWindow(w.id)}
+                      className={`px-3 py-1 rounded-md text-xs font-bold uppercase transition-colors ${
+                        timeWindow === w.id
+                          ? "bg-blue-500 text-white"
+                          : "text-gray-400 hover:text-white"
+                      }`}
+                    >
+                      {w.label}
+                    </button>
+                  ))}
+                </div>
                 <div className="relative w-full sm:w-64">
                   <input
                     type="text"
@@ -417,25 +1592,18 @@ export default function App() {
                   />
                   <Search className="w-4 h-4 text-gray-500 absolute left-3 top-2.5" />
                 </div>
-                <div className="flex flex-col sm:flex-row items-center gap-3">
-                  <div className="text-xs text-gray-500 flex items-center gap-1">
-                    Status:{" "}
-                    {isLiveData ? (
-                      <span className="text-green-400 flex items-center gap-1">
-                        <span className="w-2 h-2 rounded-full bg-green-400 animate-pulse" />{" "}
-                        Live
-                      </span>
-                    ) : (
-                      <span className="text-yellow-500 flex items-center gap-1">
-                        <span className="w-2 h-2 rounded-full bg-yellow-500" />{" "}
-                        Waiting for Backend
-                      </span>
-                    )}
-                  </div>
-                  <div className="text-xs text-gray-400 border-l border-white/10 pl-3">
-                    Data refreshes every 2 days
-                  </div>
-                </div>
+                <button
+                  onClick={toggleHideFlagged}
+                  title="Hide members with tweets flagged as spam or farming"
+                  className={`flex items-center gap-1.5 px-3 py-1.5 rounded-lg border text-xs font-bold transition-colors ${
+                    hideFlagged
+                      ? "bg-orange-500/20 border-orange-500/40 text-orange-300"
+                      : "bg-black/30 border-white/10 text-gray-400 hover:text-white"
+                  }`}
+                >
+                  <Flag className="w-3.5 h-3.5" />
+                  Hide flagged
+                </button>
               </div>
 
               <div className="overflow-x-auto">
@@ -444,18 +1612,47 @@ export default function App() {
                     <tr className="bg-black/40 border-b border-white/5 text-xs uppercase text-gray-500 font-semibold">
                       <th className="p-4 w-16 text-center">#</th>
                       <th className="p-4">Member</th>
-                      <th className="p-4 text-right">Posts</th>
-                      <th className="p-4 text-right">Likes</th>
-                      <th className="p-4 text-right hidden md:table-cell">
-                        Retweets
-                      </th>
-                      <th className="p-4 text-right hidden md:table-cell">
-                        Score
-                      </th>
+                      <SortHeader label="Posts" field="tweets" sort={sort} onSort={changeSort} />
+                      <SortHeader label="Likes" field="likes" sort={sort} onSort={changeSort} />
+                      <SortHeader
+                        label="Retweets"
+                        field="rts"
+                        sort={sort}
+                        onSort={changeSort}
+                        className="hidden md:table-cell"
+                      />
+                      <SortHeader
+                        label="Replies"
+                        field="replies"
+                        sort={sort}
+                        onSort={changeSort}
+                        className="hidden lg:table-cell"
+                      />
+                      <SortHeader
+                        label="Views"
+                        field="views"
+                        sort={sort}
+                        onSort={changeSort}
+                        className="hidden lg:table-cell"
+                      />
+                      <SortHeader
+                        label="Eng. Rate"
+                        field="engagementRate"
+                        sort={sort}
+                        onSort={changeSort}
+                        className="hidden lg:table-cell"
+                      />
+                      <SortHeader
+                        label="Score"
+                        field="score"
+                        sort={sort}
+                        onSort={changeSort}
+                        className="hidden md:table-cell"
+                      />
                     </tr>
                   </thead>
                   <tbody>
-                    {loading && users.length === 0
+                    {loading && pageUsers.length === 0
                       ? [...Array(10)].map((_, i) => (
                           <tr key={i} className="border-b border-white/5">
                             <td className="p-4 text-center">
@@ -479,12 +1676,21 @@ export default function App() {
                             <td className="p-4 hidden md:table-cell">
                               <div className="h-4 w-12 bg-white/5 rounded animate-pulse ml-auto"></div>
                             </td>
+                            <td className="p-4 hidden lg:table-cell">
+                              <div className="h-4 w-12 bg-white/5 rounded animate-pulse ml-auto"></div>
+                            </td>
+                            <td className="p-4 hidden lg:table-cell">
+                              <div className="h-4 w-12 bg-white/5 rounded animate-pulse ml-auto"></div>
+                            </td>
+                            <td className="p-4 hidden lg:table-cell">
+                              <div className="h-4 w-12 bg-white/5 rounded animate-pulse ml-auto"></div>
+                            </td>
                             <td className="p-4 hidden md:table-cell">
                               <div className="w-16 h-1.5 bg-white/5 rounded-full animate-pulse ml-auto"></div>
                             </td>
                           </tr>
                         ))
-                      : paginatedUsers.map((user, index) => (
+                      : pageUsers.map((user) => (
                           <tr
                             key={user.handle}
                             onClick={() => openProfile(user)}
@@ -492,8 +1698,9 @@ export default function App() {
                           >
                             <td className="p-4 text-center">
                               <span className="text-gray-400 font-mono text-sm font-bold">
-                                {startIndex + index + 1}
+                                {user.rank}
                               </span>
+                              <RankMovement user={user} />
                             </td>
                             <td className="p-4">
                               <div className="flex items-center gap-3">
@@ -524,6 +1731,13 @@ export default function App() {
                                 <div>
                                   <div className="text-white font-bold text-sm flex items-center gap-2">
                                     {user.name}
+                                    {user.flaggedTweets > 0 && (
+                                      <span
+                                        title={`${user.flaggedTweets} flagged tweets`}
+                                      >
+                                        <Flag className="w-3.5 h-3.5 text-orange-400" />
+                                      </span>
+                                    )}
                                   </div>
                                   <div className="text-blue-400 text-xs group-hover:underline">
                                     {user.handle}
@@ -540,6 +1754,15 @@ export default function App() {
                             <td className="p-4 text-right text-gray-400 font-mono text-sm hidden md:table-cell">
                               {user.rts.toLocaleString()}
                             </td>
+                            <td className="p-4 text-right text-gray-400 font-mono text-sm hidden lg:table-cell">
+                              {(user.replies || 0).toLocaleString()}
+                            </td>
+                            <td className="p-4 text-right text-gray-400 font-mono text-sm hidden lg:table-cell">
+                              {formatCount(user.views)}
+                            </td>
+                            <td className="p-4 text-right text-gray-400 font-mono text-sm hidden lg:table-cell">
+                              {formatRate(user.engagementRate)}
+                            </td>
                             <td className="p-4 text-right hidden md:table-cell">
                               <div className="w-full flex justify-end">
                                 <div className="w-16 h-1.5 bg-gray-800 rounded-full overflow-hidden">
@@ -565,6 +1788,10 @@ export default function App() {
                   <span className="font-bold text-gray-300">{currentPage}</span>{" "}
                   of{" "}
                   <span className="font-bold text-gray-300">{pageCount}</span>
+                  <span className="ml-2 text-gray-600">
+                    ({matchingTotal.toLocaleString()}{" "}
+                    {matchingTotal === 1 ? "member" : "members"})
+                  </span>
                 </span>
                 <div className="flex gap-2">
                   <button
@@ -591,7 +1818,67 @@ export default function App() {
           </div>
         )}
 
+        {/* VIEW: CAMPAIGNS */}
+        {view === "campaigns" && (
+          <div className="max-w-5xl mx-auto animate-fade-in">
+            <button
+              onClick={() => (campaignSlug ? openCampaign(null) : goBack())}
+              className="mb-6 flex items-center text-gray-400 hover:text-white transition-colors group"
+            >
+              <ArrowLeft className="w-5 h-5 mr-2 group-hover:-translate-x-1 transition-transform" />
+              {campaignSlug ? "All Campaigns" : "Back to Leaderboard"}
+            </button>
+            {!campaignSlug && (
+              <h2 className="text-2xl font-bold text-white mb-6 flex items-center">
+                <Megaphone className="w-6 h-6 mr-2 text-blue-500" />
+                Campaigns
+              </h2>
+            )}
+            <Campaigns
+              key={campaignSlug || ""}
+              slug={campaignSlug}
+              onOpenCampaign={openCampaign}
+              onOpenProfile={openProfile}
+            />
+          </div>
+        )}
+
+        {/* VIEW: WALLET */}
+        {view === "wallet" && (
+          <div className="max-w-xl mx-auto animate-fade-in">
+            <button
+              onClick={goBack}
+              className="mb-6 flex items-center text-gray-400 hover:text-white transition-colors group"
+            >
+              <ArrowLeft className="w-5 h-5 mr-2 group-hover:-translate-x-1 transition-transform" />
+              Back to Leaderboard
+            </button>
+            <h2 className="text-2xl font-bold text-white mb-4 flex items-center">
+              <Wallet className="w-6 h-6 mr-2 text-blue-500" />
+              Link your wallet
+            </h2>
+            <WalletLink />
+          </div>
+        )}
+
         {/* VIEW: PROFILE */}
+        {view === "profile" && !selectedProfile && (
+          <div className="max-w-5xl mx-auto animate-fade-in">
+            <button
+              onClick={goBack}
+              className="mb-6 flex items-center text-gray-400 hover:text-white transition-colors group"
+            >
+              <ArrowLeft className="w-5 h-5 mr-2 group-hover:-translate-x-1 transition-transform" />
+              Back to Leaderboard
+            </button>
+            <div className="bg-slate-900/60 backdrop-blur-md border border-white/5 rounded-xl p-8 text-center text-gray-500">
+              {profileMissing
+                ? `No community member found for ${profileHandle}.`
+                : `Loading ${profileHandle}...`}
+            </div>
+          </div>
+        )}
+
         {view === "profile" && selectedProfile && (
           <div className="max-w-5xl mx-auto animate-fade-in">
             <button
@@ -677,6 +1964,22 @@ export default function App() {
                         {selectedProfile.rts.toLocaleString()}
                       </div>
                     </div>
+                    <div>
+                      <div className="text-gray-500 text-xs uppercase font-bold">
+                        Views
+                      </div>
+                      <div className="text-xl font-bold text-pink-400">
+                        {formatCount(selectedProfile.views)}
+                      </div>
+                    </div>
+                    <div>
+                      <div className="text-gray-500 text-xs uppercase font-bold">
+                        Eng. Rate
+                      </div>
+                      <div className="text-xl font-bold text-yellow-400">
+                        {formatRate(selectedProfile.engagementRate)}
+                      </div>
+                    </div>
                   </div>
 
                   <a
@@ -695,13 +1998,90 @@ export default function App() {
 
               {/* Right Column */}
               <div className="md:col-span-2">
+                <h3 className="text-xl font-bold text-white mb-4 flex items-center">
+                  <TrendingUp className="w-5 h-5 mr-2 text-blue-500" />
+                  Rank History
+                </h3>
+                <div className="bg-slate-900/60 backdrop-blur-md border border-white/5 rounded-xl overflow-hidden mb-6">
+                  <RankChart history={rankHistory} />
+                </div>
+
+                <h3 className="text-xl font-bold text-white mb-4 flex items-center justify-between">
+                  <span className="flex items-center">
+                    <Calendar className="w-5 h-5 mr-2 text-blue-500" />
+                    Engagement
+                  </span>
+                  <span className="flex rounded-lg bg-black/30 border border-white/10 p-1">
+                    {["daily", "weekly"].map((scale) => (
+                      <button
+                        key={scale}
+                        onClick={() => setActivityScale(scale)}
+                        className={`px-3 py-1 rounded-md text-xs font-bold uppercase transition-colors ${
+                          activityScale === scale
+                            ? "bg-blue-500 text-white"
+                            : "text-gray-400 hover:text-white"
+                        }`}
+                      >
+                        {scale}
+                      </button>
+                    ))}
+                  </span>
+                </h3>
+                <div className="bg-slate-900/60 backdrop-blur-md border border-white/5 rounded-xl overflow-hidden mb-6">
+                  <ActivityChart
+                    points={profile && profile.activity[activityScale]}
+                  />
+                  {profile && profile.activity.firstActive && (
+                    <div className="px-4 pb-4 flex justify-between text-xs text-gray-500">
+                      <span>
+                        First post{" "}
+                        {new Date(
+                          profile.activity.firstActive
+                        ).toLocaleDateString()}
+                      </span>
+                      <span>
+                        Last post{" "}
+                        {new Date(
+                          profile.activity.lastActive
+                        ).toLocaleDateString()}
+                      </span>
+                    </div>
+                  )}
+                </div>
+
+                {profile && profile.bestTweets.length > 0 && (
+                  <>
+                    <h3 className="text-xl font-bold text-white mb-4 flex items-center">
+                      <Award className="w-5 h-5 mr-2 text-blue-500" />
+                      Best Posts
+                    </h3>
+                    <div className="bg-slate-900/60 backdrop-blur-md border border-white/5 rounded-xl overflow-hidden mb-6">
+                      {profile.bestTweets.map((tweet) => (
+                        <TweetCard
+                          key={tweet.id}
+                          user={selectedProfile}
+                          tweet={displayTweet(tweet)}
+                        />
+                      ))}
+                    </div>
+                  </>
+                )}
+
                 <h3 className="text-xl font-bold text-white mb-4 flex items-center">
                   <MessageCircle className="w-5 h-5 mr-2 text-blue-500" />
-                  Recent Activity
+                  {profile ? "All Posts" : "Recent Activity"}
                 </h3>
                 <div className="bg-slate-900/60 backdrop-blur-md border border-white/5 rounded-xl overflow-hidden">
-                  {selectedProfile.recentTweets &&
-                  selectedProfile.recentTweets.length > 0 ? (
+                  {profile ? (
+                    profile.tweets.map((tweet) => (
+                      <TweetCard
+                        key={tweet.id}
+                        user={selectedProfile}
+                        tweet={displayTweet(tweet)}
+                      />
+                    ))
+                  ) : selectedProfile.recentTweets &&
+                    selectedProfile.recentTweets.length > 0 ? (
                     selectedProfile.recentTweets.map((tweet, idx) => (
                       <TweetCard
                         key={idx}
@@ -714,6 +2094,17 @@ export default function App() {
                       No recent tweets found.
                     </div>
                   )}
+                  {profile && profile.page < profile.pageCount && (
+                    <div ref={tweetsEndRef} className="p-4 text-center">
+                      <button
+                        onClick={loadMoreTweets}
+                        disabled={loadingMoreTweets}
+                        className="px-4 py-2 rounded-md bg-white/5 text-sm text-gray-300 hover:bg-white/10 disabled:opacity-50 transition-colors"
+                      >
+                        {loadingMoreTweets ? "Loading..." : "Load more"}
+                      </button>
+                    </div>
+                  )}
                 </div>
               </div>
             </div>
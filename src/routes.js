@@ -0,0 +1,110 @@
+// Client-side routes. The leaderboard lives at "/" with its state in the
+// query string, each member's profile at "/u/:handle", campaigns at
+// "/campaigns" and wallet linking at "/wallet":
+//
+//   /?window=30d&page=2&sort=likes&order=asc&q=alice&hideFlagged=1
+//   /u/alice
+//   /campaigns
+//   /campaigns/art-week
+//   /wallet
+//
+// Defaults are left out, so the plain leaderboard is just "/".
+
+import { SORT_FIELDS } from "../lib/board-view";
+import { WINDOW_NAMES } from "../lib/windows";
+
+export const DEFAULT_BOARD_STATE = {
+  window: "all",
+  page: 1,
+  sort: { field: "score", order: "desc" },
+  q: "",
+  hideFlagged: false,
+};
+
+const PROFILE_PATH = /^\/u\/([^/]+)\/?$/;
+const CAMPAIGN_PATH = /^\/campaigns(?:\/([^/]+))?\/?$/;
+export const CAMPAIGNS_PATH = "/campaigns";
+export const WALLET_PATH = "/wallet";
+
+const stripAt = (handle) => handle.replace(/^@/, "");
+
+// A malformed escape in a hand-typed URL shouldn't take the app down
+const decode = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch (e) {
+    return segment;
+  }
+};
+
+export const profilePath = (handle) =>
+  `/u/${encodeURIComponent(stripAt(handle))}`;
+
+export const campaignPath = (slug) =>
+  slug ? `${CAMPAIGNS_PATH}/${encodeURIComponent(slug)}` : CAMPAIGNS_PATH;
+
+export function leaderboardPath(state) {
+  const params = new URLSearchParams();
+  if (state.window !== DEFAULT_BOARD_STATE.window) {
+    params.set("window", state.window);
+  }
+  if (state.page > 1) params.set("page", String(state.page));
+  if (state.sort.field !== DEFAULT_BOARD_STATE.sort.field) {
+    params.set("sort", state.sort.field);
+  }
+  if (state.sort.order !== DEFAULT_BOARD_STATE.sort.order) {
+    params.set("order", state.sort.order);
+  }
+  if (state.q) params.set("q", state.q);
+  if (state.hideFlagged) params.set("hideFlagged", "1");
+  const query = params.toString();
+  return query ? `/?${query}` : "/";
+}
+
+// Anything unrecognised in the URL falls back to the default
+function parseBoardState(search) {
+  const params = new URLSearchParams(search);
+  const win = params.get("window");
+  const page = parseInt(params.get("page"), 10);
+  const field = params.get("sort");
+  const order = params.get("order");
+  return {
+    window: WINDOW_NAMES.includes(win) ? win : DEFAULT_BOARD_STATE.window,
+    page: page > 0 ? page : DEFAULT_BOARD_STATE.page,
+    sort: {
+      field: SORT_FIELDS.includes(field)
+        ? field
+        : DEFAULT_BOARD_STATE.sort.field,
+      order:
+        order === "asc" || order === "desc"
+          ? order
+          : DEFAULT_BOARD_STATE.sort.order,
+    },
+    q: (params.get("q") || "").trim(),
+    hideFlagged: ["1", "true"].includes(params.get("hideFlagged")),
+  };
+}
+
+// { view: "profile", handle: "@alice" }, { view: "campaigns", campaign }
+// (null for the list), { view: "wallet" } or { view: "leaderboard", board }
+export function parseLocation({ pathname, search }) {
+  if (pathname.replace(/\/$/, "") === WALLET_PATH) return { view: "wallet" };
+  const campaign = pathname.match(CAMPAIGN_PATH);
+  if (campaign) {
+    return {
+      view: "campaigns",
+      campaign: campaign[1] ? decode(campaign[1]) : null,
+    };
+  }
+  const match = pathname.match(PROFILE_PATH);
+  if (match) {
+    return {
+      view: "profile",
+      handle: `@${stripAt(decode(match[1]))}`,
+    };
+  }
+  return { view: "leaderboard", board: parseBoardState(search) };
+}
+
+export const currentPath = () =>
+  `${window.location.pathname}${window.location.search}`;
@@ -0,0 +1,58 @@
+// Split tweet text into plain text and links for TweetCard. t.co links are
+// swapped for the address they stand for (and dropped when they point at
+// the tweet's own media), @mentions link to the account and #hashtags to
+// the hashtag search on X.
+//
+//   tokenizeTweet("gm @alice #defi https://t.co/x", { urls })
+//   -> [{ text: "gm " }, { text: "@alice", href: "https://x.com/alice" },
+//       { text: " " }, { text: "#defi", href: "https://x.com/hashtag/defi" },
+//       { text: " " }, { text: "example.com", href: "https://example.com" }]
+
+const TOKEN_PATTERN = /(https?:\/\/\S+)|(^|[^\w])([@#])(\w+)/g;
+
+// The feed escapes these three in tweet text
+const unescape = (text) =>
+  text.replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&amp;/g, "&");
+
+export function tokenizeTweet(text, { urls = [], media = [] } = {}) {
+  const expanded = new Map(urls.map((u) => [u.shortUrl, u]));
+  const mediaLinks = new Set(media.map((m) => m.shortUrl).filter(Boolean));
+  const tokens = [];
+  const pushText = (chunk) => {
+    if (!chunk) return;
+    const last = tokens[tokens.length - 1];
+    if (last && !last.href) last.text += chunk;
+    else tokens.push({ text: chunk });
+  };
+
+  const source = unescape(text || "");
+  let index = 0;
+  for (const match of source.matchAll(TOKEN_PATTERN)) {
+    const [whole, link, before = "", sigil, word] = match;
+    pushText(source.slice(index, match.index) + (link ? "" : before));
+    index = match.index + whole.length;
+
+    if (link) {
+      if (mediaLinks.has(link)) continue;
+      const known = expanded.get(link);
+      tokens.push(
+        known
+          ? { text: known.display, href: known.url }
+          : { text: link, href: link }
+      );
+    } else if (sigil === "@") {
+      tokens.push({ text: `@${word}`, href: `https://x.com/${word}` });
+    } else {
+      tokens.push({
+        text: `#${word}`,
+        href: `https://x.com/hashtag/${encodeURIComponent(word)}`,
+      });
+    }
+  }
+  pushText(source.slice(index));
+
+  // Dropping a trailing media link leaves the space before it behind
+  const last = tokens[tokens.length - 1];
+  if (last && !last.href) last.text = last.text.trimEnd();
+  return tokens;
+}
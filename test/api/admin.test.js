@@ -0,0 +1,108 @@
+jest.mock("@supabase/supabase-js", () => ({ createClient: jest.fn() }));
+
+const { createClient } = require("@supabase/supabase-js");
+const adjustments = require("../../api/admin/adjustments");
+const bans = require("../../api/admin/bans");
+const flags = require("../../api/admin/flags");
+const { mockRequest, mockResponse } = require("../support/http");
+const { createSupabase } = require("../support/supabase");
+
+const ENV = {
+  SUPABASE_URL: "https://example.supabase.co",
+  SUPABASE_ANON_KEY: "anon",
+  ADMIN_TOKENS: "alice:secret",
+};
+
+let supabase;
+const savedEnv = { ...process.env };
+
+beforeEach(() => {
+  Object.assign(process.env, ENV);
+  supabase = createSupabase({
+    users: [{ id: "1001", handle: "bob" }],
+    tweet_flags: [
+      {
+        id: 1,
+        tweet_id: "7",
+        user_id: "1001",
+        reason: "burst",
+        status: "pending",
+      },
+    ],
+  });
+  createClient.mockReturnValue(supabase);
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  process.env = { ...savedEnv };
+  jest.restoreAllMocks();
+});
+
+async function post(handler, body) {
+  const res = mockResponse();
+  await handler(
+    mockRequest({
+      method: "POST",
+      headers: { authorization: "Bearer secret" },
+      body,
+    }),
+    res
+  );
+  return res;
+}
+
+// Make every insert into the audit log fail
+function breakAuditLog() {
+  const from = supabase.from;
+  supabase.from = (table) => {
+    const query = from(table);
+    if (table === "admin_audit_log") {
+      query.execute = () => ({
+        data: null,
+        error: { message: "audit log unavailable" },
+      });
+    }
+    return query;
+  };
+}
+
+const actions = {
+  ban: [bans, { handle: "bob", reason: "farming" }, "member.ban"],
+  adjustment: [
+    adjustments,
+    { handle: "bob", points: 50, reason: "AMA host" },
+    "score.adjust",
+  ],
+  "flag review": [flags, { id: 1, status: "confirmed" }, "flag.confirmed"],
+};
+
+// What each action changes
+const state = () => ({
+  user: { ...supabase.tables.users[0] },
+  adjustments: (supabase.tables.score_adjustments || []).length,
+  flag: supabase.tables.tweet_flags[0].status,
+});
+
+describe.each(Object.keys(actions))("admin %s", (name) => {
+  const [handler, body, action] = actions[name];
+
+  test("is audited", async () => {
+    const res = await post(handler, body);
+
+    expect(res.statusCode).toBeLessThan(300);
+    expect(supabase.tables.admin_audit_log).toEqual([
+      expect.objectContaining({ actor: "alice", action }),
+    ]);
+  });
+
+  test("isn't made when the audit log can't be written", async () => {
+    const before = state();
+    breakAuditLog();
+
+    const res = await post(handler, body);
+
+    expect(res.statusCode).toBe(500);
+    expect(state()).toEqual(before);
+  });
+});
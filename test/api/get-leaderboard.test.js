@@ -0,0 +1,230 @@
+jest.mock("@supabase/supabase-js", () => ({ createClient: jest.fn() }));
+
+const { createClient } = require("@supabase/supabase-js");
+const handler = require("../../api/get-leaderboard");
+const { mockRequest, mockResponse } = require("../support/http");
+const { createSupabase } = require("../support/supabase");
+
+const DAY = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY).toISOString();
+
+// Members' X ids are their names here
+const tweetRow = (id, handle, days, counts) => ({
+  id,
+  user_id: handle,
+  user_handle: handle,
+  text: `tweet ${id} by ${handle}`,
+  likes: 0,
+  retweets: 0,
+  replies: 0,
+  quotes: 0,
+  views: 0,
+  bookmarks: 0,
+  ...counts,
+  tweet_date: daysAgo(days),
+});
+
+function seed() {
+  return createSupabase({
+    users: [
+      {
+        id: "alice",
+        handle: "alice",
+        name: "Alice",
+        avatar: "https://example.com/a.jpg",
+      },
+      {
+        id: "bob",
+        handle: "bob",
+        name: "Bob",
+        avatar: "https://example.com/b.jpg",
+      },
+      { id: "carol", handle: "carol", name: "Carol", avatar: null },
+      {
+        id: "mallory",
+        handle: "mallory",
+        name: "Mallory",
+        banned_at: daysAgo(1),
+      },
+    ],
+    tweets: [
+      tweetRow("1", "alice", 1, { likes: 40, retweets: 5, views: 2000 }),
+      tweetRow("2", "alice", 20, { likes: 10, views: 500 }),
+      tweetRow("3", "bob", 2, { likes: 20, retweets: 1, views: 800 }),
+      tweetRow("4", "carol", 40, { likes: 90 }),
+      tweetRow("5", "mallory", 1, { likes: 1000 }),
+    ],
+  });
+}
+
+async function get(query) {
+  const res = mockResponse();
+  await handler(mockRequest({ query }), res);
+  return res;
+}
+
+beforeEach(() => {
+  process.env.SUPABASE_URL = "https://example.supabase.co";
+  process.env.SUPABASE_ANON_KEY = "anon";
+  createClient.mockReturnValue(seed());
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("GET /api/get-leaderboard", () => {
+  test("returns the first page of the ranked all-time board", async () => {
+    const res = await get({});
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers["Access-Control-Allow-Origin"]).toBe("*");
+    expect(res.body).toMatchObject({
+      success: true,
+      page: 1,
+      pageSize: 10,
+      pageCount: 1,
+      sort: "score",
+      order: "desc",
+      q: "",
+      hideFlagged: false,
+      total: 3,
+      totalUsers: 3,
+      comparedTo: null,
+      source: "supabase",
+      window: { name: "all", from: null, to: null },
+      totals: { tweets: 4, likes: 160, retweets: 6, views: 3300 },
+    });
+    expect(res.body.timestamp).toEqual(expect.any(String));
+    expect(res.body.data.map((u) => [u.rank, u.handle, u.score])).toEqual([
+      [1, "@carol", 95],
+      [2, "@alice", 70],
+      [3, "@bob", 27],
+    ]);
+  });
+
+  test("returns members with their counts and recent tweets", async () => {
+    const res = await get({});
+    const alice = res.body.data.find((u) => u.handle === "@alice");
+
+    expect(alice).toMatchObject({
+      name: "Alice",
+      avatarUrl: "https://example.com/a.jpg",
+      tweets: 2,
+      likes: 50,
+      rts: 5,
+      views: 2500,
+      flaggedTweets: 0,
+    });
+    expect(alice.engagementRate).toBeCloseTo(55 / 2500);
+    expect(alice.recentTweets.map((t) => t.id)).toEqual(["1", "2"]);
+    expect(alice.recentTweets[0]).toMatchObject({
+      likes: 40,
+      retweets: 5,
+      views: 2000,
+      url: "https://x.com/alice/status/1",
+      media: [],
+      quoted: null,
+      urls: [],
+    });
+  });
+
+  test("ranks only the tweets inside a window", async () => {
+    const res = await get({ window: "7d" });
+
+    expect(res.body.window.name).toBe("7d");
+    expect(res.body.data.map((u) => [u.handle, u.tweets])).toEqual([
+      ["@alice", 1],
+      ["@bob", 1],
+    ]);
+  });
+
+  test("ranks members whose only activity is an adjustment", async () => {
+    const supabase = seed();
+    supabase.tables.score_adjustments = [
+      { id: 1, user_id: "carol", points: 100, created_at: daysAgo(1) },
+    ];
+    createClient.mockReturnValue(supabase);
+
+    const res = await get({ window: "7d" });
+
+    expect(res.body.data.map((u) => [u.handle, u.tweets, u.score])).toEqual([
+      ["@carol", 0, 100],
+      ["@alice", 1, 55],
+      ["@bob", 1, 27],
+    ]);
+  });
+
+  test("searches, sorts and pages", async () => {
+    const res = await get({ sort: "views", page: "2", pageSize: "1" });
+
+    expect(res.body).toMatchObject({
+      page: 2,
+      pageSize: 1,
+      pageCount: 3,
+      sort: "views",
+    });
+    expect(res.body.data.map((u) => [u.handle, u.rank])).toEqual([["@bob", 3]]);
+
+    const search = await get({ q: "car" });
+    expect(search.body.data.map((u) => u.handle)).toEqual(["@carol"]);
+    expect(search.body.total).toBe(1);
+    expect(search.body.totalUsers).toBe(3);
+  });
+
+  test("returns the whole board only when asked for it", async () => {
+    const first = await get({ pageSize: "1" });
+    expect(first.body).toMatchObject({ page: 1, pageSize: 1, pageCount: 3 });
+    expect(first.body.data.map((u) => u.handle)).toEqual(["@carol"]);
+
+    const all = await get({ page: "all", pageSize: "1" });
+    expect(all.body).toMatchObject({ page: null, pageSize: null });
+    expect(all.body.data.map((u) => u.handle)).toEqual([
+      "@carol",
+      "@alice",
+      "@bob",
+    ]);
+    expect(all.body.data.every((u) => Array.isArray(u.recentTweets))).toBe(
+      true
+    );
+  });
+
+  test("rejects bad query parameters", async () => {
+    const res = await get({ sort: "followers" });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.success).toBe(false);
+    expect(res.body.error).toMatch(/Unknown sort "followers"/);
+  });
+
+  test("answers preflight and refuses other methods", async () => {
+    const preflight = mockResponse();
+    await handler(mockRequest({ method: "OPTIONS" }), preflight);
+    expect(preflight.statusCode).toBe(200);
+
+    const post = mockResponse();
+    await handler(mockRequest({ method: "POST" }), post);
+    expect(post.statusCode).toBe(405);
+  });
+
+  test("needs the Supabase configuration", async () => {
+    delete process.env.SUPABASE_ANON_KEY;
+    const res = await get({});
+    expect(res.statusCode).toBe(500);
+    expect(res.body.error).toBe("Missing Supabase configuration");
+  });
+
+  test("reports database failures", async () => {
+    createClient.mockReturnValue({
+      rpc() {
+        throw new Error("connection refused");
+      },
+    });
+    const res = await get({});
+    expect(res.statusCode).toBe(500);
+    expect(res.body).toMatchObject({
+      success: false,
+      error: "Failed to fetch data",
+    });
+  });
+});
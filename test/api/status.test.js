@@ -0,0 +1,71 @@
+jest.mock("@supabase/supabase-js", () => ({ createClient: jest.fn() }));
+
+const { createClient } = require("@supabase/supabase-js");
+const handler = require("../../api/status");
+const { mockRequest, mockResponse } = require("../support/http");
+const { createSupabase } = require("../support/supabase");
+
+// A sync that finished 30 hours ago
+const FINISHED_AT = new Date(Date.now() - 30 * 60 * 60 * 1000).toISOString();
+
+async function get() {
+  const res = mockResponse();
+  await handler(mockRequest(), res);
+  return res;
+}
+
+const savedEnv = { ...process.env };
+
+beforeEach(() => {
+  process.env.SUPABASE_URL = "https://example.supabase.co";
+  process.env.SUPABASE_ANON_KEY = "anon";
+  createClient.mockReturnValue(
+    createSupabase({
+      sync_runs: [
+        {
+          id: 1,
+          trigger: "admin:alice",
+          status: "success",
+          started_at: FINISHED_AT,
+          finished_at: FINISHED_AT,
+          tweets_fetched: 40,
+          new_tweets: 12,
+          users_touched: 9,
+          credits_used: 4,
+        },
+      ],
+    })
+  );
+});
+
+afterEach(() => {
+  process.env = { ...savedEnv };
+});
+
+describe("GET /api/status", () => {
+  test("reports the last successful sync", async () => {
+    const res = await get();
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({
+      success: true,
+      health: "ok",
+      lastSuccess: { finishedAt: FINISHED_AT, newTweets: 12, creditsUsed: 4 },
+      staleAfterHours: 72,
+    });
+    expect(JSON.stringify(res.body)).not.toMatch(/alice/);
+  });
+
+  test("calls the data stale after SYNC_STALE_HOURS", async () => {
+    process.env.SYNC_STALE_HOURS = "24";
+    const res = await get();
+    expect(res.body).toMatchObject({ health: "stale", staleAfterHours: 24 });
+  });
+
+  test("rejects an invalid SYNC_STALE_HOURS", async () => {
+    process.env.SYNC_STALE_HOURS = "soon";
+    const res = await get();
+    expect(res.statusCode).toBe(500);
+    expect(res.body.error).toMatch(/Invalid SYNC_STALE_HOURS/);
+  });
+});
@@ -0,0 +1,118 @@
+jest.mock("@supabase/supabase-js", () => ({ createClient: jest.fn() }));
+
+const path = require("path");
+const { createClient } = require("@supabase/supabase-js");
+const handler = require("../../api/sync-to-supabase");
+const { mockRequest, mockResponse } = require("../support/http");
+const { createSupabase } = require("../support/supabase");
+
+const FIXTURES_DIR = path.join(__dirname, "../../fixtures/twitterapi");
+const CRON_SECRET = "cron-secret";
+
+const ENV = {
+  SUPABASE_URL: "https://example.supabase.co",
+  SUPABASE_ANON_KEY: "anon",
+  CRON_SECRET,
+  TWEET_SOURCE: "fixtures",
+  FIXTURES_DIR,
+};
+
+const cronRequest = (options = {}) =>
+  mockRequest({
+    headers: { authorization: `Bearer ${CRON_SECRET}` },
+    ...options,
+  });
+
+async function call(req) {
+  const res = mockResponse();
+  await handler(req, res);
+  return res;
+}
+
+let supabase;
+const savedEnv = { ...process.env };
+
+beforeEach(() => {
+  Object.assign(process.env, ENV);
+  supabase = createSupabase();
+  createClient.mockReturnValue(supabase);
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  process.env = { ...savedEnv };
+  jest.restoreAllMocks();
+});
+
+describe("/api/sync-to-supabase", () => {
+  test("syncs the source and reports the run", async () => {
+    const res = await call(cronRequest());
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers["Cache-Control"]).toBe("no-store");
+    expect(res.body).toEqual({
+      success: true,
+      message: "Data synced successfully",
+      runId: 1,
+      status: "success",
+      stats: expect.objectContaining({
+        users: 3,
+        newTweets: 7,
+        totalTweets: 7,
+        pages: 2,
+        complete: true,
+      }),
+      timestamp: expect.any(String),
+    });
+    expect(supabase.tables.tweets).toHaveLength(7);
+    expect(supabase.tables.sync_runs[0]).toMatchObject({
+      trigger: "cron",
+      status: "success",
+    });
+  });
+
+  test("takes the page limit from the query", async () => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    const res = await call(cronRequest({ query: { maxPages: "1" } }));
+
+    expect(res.body.stats).toMatchObject({ pages: 1, complete: false });
+  });
+
+  test("rejects invalid options", async () => {
+    const res = await call(cronRequest({ query: { since: "someday" } }));
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/Invalid date cutoff/);
+  });
+
+  test("only runs for the cron secret", async () => {
+    const anonymous = await call(mockRequest());
+    expect(anonymous.statusCode).toBe(401);
+    expect(anonymous.body).toEqual({ success: false, error: "Unauthorized" });
+
+    const wrong = await call(
+      mockRequest({ headers: { authorization: "Bearer guess" } })
+    );
+    expect(wrong.statusCode).toBe(401);
+    expect(createClient).not.toHaveBeenCalled();
+  });
+
+  test("refuses other methods", async () => {
+    const res = await call(cronRequest({ method: "DELETE" }));
+    expect(res.statusCode).toBe(405);
+  });
+
+  test("names a misconfigured source", async () => {
+    delete process.env.FIXTURES_DIR;
+    const res = await call(cronRequest());
+    expect(res.statusCode).toBe(500);
+    expect(res.body.error).toBe("Missing environment variables: FIXTURES_DIR");
+  });
+
+  test("reports a failed sync", async () => {
+    process.env.FIXTURES_DIR = path.join(__dirname, "missing");
+    const res = await call(cronRequest());
+    expect(res.statusCode).toBe(500);
+    expect(res.body.error).toMatch(/Fixture directory not found/);
+  });
+});
@@ -0,0 +1,103 @@
+jest.mock("@supabase/supabase-js", () => ({ createClient: jest.fn() }));
+
+const { createClient } = require("@supabase/supabase-js");
+const handler = require("../../api/user/[handle]");
+const { mockRequest, mockResponse } = require("../support/http");
+const { createSupabase } = require("../support/supabase");
+
+// alice_onchain (X id 1001) used to be alice_defi
+function seed() {
+  return createSupabase({
+    users: [{ id: "1001", handle: "alice_onchain", name: "Alice" }],
+    user_handles: [
+      {
+        user_id: "1001",
+        handle: "alice_defi",
+        last_seen_at: "2025-10-10T00:00:00.000Z",
+      },
+      {
+        user_id: "1001",
+        handle: "alice_onchain",
+        last_seen_at: "2025-10-14T00:00:00.000Z",
+      },
+    ],
+    tweets: ["1", "2"].map((id) => ({
+      id,
+      user_id: "1001",
+      user_handle: id === "1" ? "alice_defi" : "alice_onchain",
+      text: `tweet ${id}`,
+      likes: 10,
+      retweets: 0,
+      replies: 0,
+      tweet_date: `2025-10-1${id}T00:00:00.000Z`,
+    })),
+  });
+}
+
+async function get(query) {
+  const res = mockResponse();
+  await handler(mockRequest({ query }), res);
+  return res;
+}
+
+beforeEach(() => {
+  process.env.SUPABASE_URL = "https://example.supabase.co";
+  process.env.SUPABASE_ANON_KEY = "anon";
+  createClient.mockReturnValue(seed());
+});
+
+describe("GET /api/user/:handle", () => {
+  test("returns the member's profile, whatever the case", async () => {
+    const res = await get({ handle: "Alice_OnChain" });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({
+      success: true,
+      handle: "@alice_onchain",
+      member: { userId: "1001", handle: "@alice_onchain", tweets: 2 },
+      total: 2,
+    });
+    expect(res.body.tweets.map((t) => t.url)).toEqual([
+      "https://x.com/alice_onchain/status/2",
+      "https://x.com/alice_defi/status/1",
+    ]);
+  });
+
+  test("ranks the member as of the latest snapshot", async () => {
+    const supabase = seed();
+    const snapshot = (snapshot_at, rank) => ({
+      snapshot_at,
+      user_id: "1001",
+      handle: "alice_onchain",
+      rank,
+      score: 30,
+    });
+    supabase.tables.rank_snapshots = [
+      snapshot("2025-10-13T00:00:00.000Z", 7),
+      snapshot("2025-10-14T00:00:00.000Z", 4),
+    ];
+    createClient.mockReturnValue(supabase);
+
+    const res = await get({ handle: "alice_onchain" });
+    expect(res.body.member).toMatchObject({ rank: 4, score: 30 });
+  });
+
+  test("redirects an old handle to the current one", async () => {
+    const res = await get({ handle: "@alice_defi", page: "2", pageSize: "1" });
+
+    expect(res.statusCode).toBe(308);
+    expect(res.headers.Location).toBe(
+      "/api/user/alice_onchain?page=2&pageSize=1"
+    );
+    expect(res.body).toMatchObject({
+      success: false,
+      handle: "@alice_onchain",
+    });
+  });
+
+  test("404s a handle nobody has had", async () => {
+    const res = await get({ handle: "bob" });
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error).toBe("No member @bob");
+  });
+});
@@ -0,0 +1,152 @@
+jest.mock("@supabase/supabase-js", () => ({ createClient: jest.fn() }));
+
+const { secp256k1 } = require("@noble/curves/secp256k1");
+const { keccak_256 } = require("@noble/hashes/sha3");
+const { bytesToHex, concatBytes, utf8ToBytes } = require("@noble/hashes/utils");
+const { createClient } = require("@supabase/supabase-js");
+const challengeHandler = require("../../api/wallet/challenge");
+const linkHandler = require("../../api/wallet/link");
+const { linkMessage } = require("../../lib/wallet-message");
+const {
+  confirmChallengeTweets,
+  toChecksumAddress,
+} = require("../../lib/wallets");
+const { mockRequest, mockResponse } = require("../support/http");
+const { createSupabase } = require("../support/supabase");
+
+// A throwaway wallet, and personal_sign with it
+function wallet() {
+  const privateKey = secp256k1.utils.randomPrivateKey();
+  const publicKey = secp256k1.getPublicKey(privateKey, false);
+  const address = toChecksumAddress(
+    `0x${bytesToHex(keccak_256(publicKey.slice(1)).slice(-20))}`
+  );
+  const sign = (message) => {
+    const text = utf8ToBytes(message);
+    const digest = keccak_256(
+      concatBytes(
+        utf8ToBytes(`\x19Ethereum Signed Message:\n${text.length}`),
+        text
+      )
+    );
+    const signature = secp256k1.sign(digest, privateKey);
+    return `0x${signature.toCompactHex()}${(27 + signature.recovery).toString(
+      16
+    )}`;
+  };
+  return { address, sign };
+}
+
+async function post(handler, body) {
+  const res = mockResponse();
+  await handler(mockRequest({ method: "POST", body }), res);
+  return res;
+}
+
+let supabase;
+
+beforeEach(() => {
+  process.env.SUPABASE_URL = "https://example.supabase.co";
+  process.env.SUPABASE_ANON_KEY = "anon";
+  supabase = createSupabase(
+    { users: [{ id: "1001", handle: "alice_defi" }] },
+    { defaults: { wallet_links: { created_at: new Date(0).toISOString() } } }
+  );
+  createClient.mockReturnValue(supabase);
+});
+
+// A code for `address`, posted by alice_defi along with the address
+async function postedChallenge(address) {
+  const res = await post(challengeHandler, { handle: "alice_defi", address });
+  const { code, tweetText } = res.body.data;
+  await confirmChallengeTweets(supabase, [
+    {
+      id: "2000",
+      user_id: "1001",
+      text: tweetText,
+      tweet_date: new Date().toISOString(),
+    },
+  ]);
+  return code;
+}
+
+describe("wallet linking", () => {
+  test("issues the code for the wallet asking for it", async () => {
+    const alice = wallet();
+    const res = await post(challengeHandler, {
+      handle: "@alice_defi",
+      address: alice.address.toLowerCase(),
+    });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data).toMatchObject({
+      status: "awaiting_tweet",
+      address: alice.address,
+    });
+    expect(res.body.data.tweetText).toContain(alice.address);
+
+    const missing = await post(challengeHandler, { handle: "alice_defi" });
+    expect(missing.statusCode).toBe(400);
+  });
+
+  test("only confirms a post naming the wallet", async () => {
+    const alice = wallet();
+    const res = await post(challengeHandler, {
+      handle: "alice_defi",
+      address: alice.address,
+    });
+    const { code } = res.body.data;
+
+    const confirmed = await confirmChallengeTweets(supabase, [
+      {
+        id: "2000",
+        user_id: "1001",
+        text: `Linking my wallet: ${code}`,
+        tweet_date: new Date().toISOString(),
+      },
+    ]);
+    expect(confirmed).toBe(0);
+  });
+
+  test("links the wallet the code was issued for", async () => {
+    const alice = wallet();
+    const code = await postedChallenge(alice.address);
+
+    const message = linkMessage({
+      handle: "alice_defi",
+      code,
+      address: alice.address,
+    });
+    const res = await post(linkHandler, {
+      code,
+      address: alice.address,
+      signature: alice.sign(message),
+    });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.status).toBe("linked");
+    expect(supabase.tables.users[0].wallet_address).toBe(alice.address);
+  });
+
+  test("refuses a signature from any other wallet", async () => {
+    const alice = wallet();
+    const mallory = wallet();
+    const code = await postedChallenge(alice.address);
+
+    // Mallory read the code off the feed and signed it with their own key
+    const message = linkMessage({
+      handle: "alice_defi",
+      code,
+      address: mallory.address,
+    });
+    const res = await post(linkHandler, {
+      code,
+      address: mallory.address,
+      signature: mallory.sign(message),
+    });
+
+    expect(res.statusCode).toBe(403);
+    expect(supabase.tables.users[0].wallet_address).toBeUndefined();
+    expect(supabase.tables.wallet_links[0].linked_at).toBeUndefined();
+  });
+});
@@ -0,0 +1,402 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import React from "react";
+import {
+  act,
+  fireEvent,
+  render,
+  screen,
+  waitFor,
+  within,
+} from "@testing-library/react";
+import App from "../../src/App";
+
+// WebGL isn't available here; every three.js class becomes an inert stub
+jest.mock("three", () => {
+  function Stub() {
+    return {
+      domElement: global.document.createElement("canvas"),
+      position: {},
+      rotation: {},
+      add() {},
+      render() {},
+      setAttribute() {},
+      setSize() {},
+      updateProjectionMatrix() {},
+    };
+  }
+  return new Proxy({}, { get: () => Stub });
+});
+
+const CACHE_KEY = "defiapp_leaderboard_cache";
+
+const member = (rank, name, fields = {}) => ({
+  rank,
+  name,
+  handle: `@${name.toLowerCase()}`,
+  avatarUrl: "",
+  avatarColor: "#3b82f6",
+  tweets: 3,
+  likes: 100 - rank * 10,
+  rts: 5,
+  replies: 2,
+  quotes: 1,
+  views: 2000,
+  bookmarks: 0,
+  engagementRate: 0.05,
+  flaggedTweets: 0,
+  score: 200 - rank * 20,
+  recentTweets: [],
+  ...fields,
+});
+
+const MEMBERS = [member(1, "Alice"), member(2, "Bob"), member(3, "Carol")];
+
+// A /api/get-leaderboard response for `members`
+const boardResponse = (members) => ({
+  success: true,
+  data: members,
+  page: 1,
+  pageSize: 10,
+  pageCount: 1,
+  total: members.length,
+  totalUsers: members.length,
+  totals: {
+    tweets: 9,
+    likes: 240,
+    retweets: 15,
+    replies: 6,
+    quotes: 3,
+    views: 6000,
+    bookmarks: 0,
+    engagementRate: 0.044,
+  },
+  timestamp: new Date().toISOString(),
+});
+
+// A first-page /api/user/:handle response
+const profileResponse = (user, tweets) => ({
+  success: true,
+  handle: user.handle,
+  member: user,
+  activity: { daily: [], weekly: [], firstActive: null, lastActive: null },
+  bestTweets: [],
+  tweets,
+  page: 1,
+  pageCount: 1,
+  total: tweets.length,
+});
+
+const json = (body, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: async () => body,
+});
+
+// An /api/status response for a sync `hours` ago
+const statusResponse = (health, hours) => ({
+  success: true,
+  health,
+  lastSuccess: {
+    status: "success",
+    finishedAt: new Date(Date.now() - hours * 60 * 60 * 1000).toISOString(),
+  },
+});
+
+// fetch() answering from `routes`, keyed by path. A route is a response
+// body, a function of the URL, or an Error to reject with; unknown paths
+// are 404s.
+function mockFetch(routes) {
+  global.fetch = jest.fn(async (input) => {
+    const url = new URL(input, window.location.origin);
+    const route = routes[url.pathname];
+    if (route === undefined) return json({ success: false }, 404);
+    if (route instanceof Error) throw route;
+    return json(typeof route === "function" ? route(url) : route);
+  });
+  return global.fetch;
+}
+
+const requested = (fetch, path) =>
+  fetch.mock.calls.some(([input]) => String(input).startsWith(path));
+
+async function renderApp(path = "/") {
+  window.history.replaceState(null, "", path);
+  let view;
+  await act(async () => {
+    view = render(<App />);
+  });
+  return view;
+}
+
+// The rows of the leaderboard table, as "rank name"
+const boardRows = () =>
+  screen
+    .queryAllByRole("row")
+    .slice(1)
+    .map((row) => row.textContent)
+    .filter((text) => /@\w+/.test(text));
+
+// jsdom has AbortSignal but not AbortSignal.timeout()
+beforeAll(() => {
+  AbortSignal.timeout ||= () => new AbortController().signal;
+});
+
+beforeEach(() => {
+  localStorage.clear();
+  window.scrollTo = jest.fn();
+  window.requestAnimationFrame = jest.fn();
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("leaderboard", () => {
+  test("shows the live board and caches the page", async () => {
+    const fetch = mockFetch({
+      "/api/get-leaderboard": boardResponse(MEMBERS),
+    });
+    await renderApp();
+
+    await waitFor(() => expect(boardRows()).toHaveLength(3));
+    expect(boardRows()[0]).toMatch(/^1.*Alice.*@alice/);
+
+    const [url] = fetch.mock.calls[0];
+    const params = new URL(url, window.location.origin).searchParams;
+    expect(Object.fromEntries(params)).toEqual({
+      window: "all",
+      page: "1",
+      pageSize: "10",
+      sort: "score",
+      order: "desc",
+    });
+    expect(
+      Object.keys(JSON.parse(localStorage.getItem("defiapp_leaderboard_pages")))
+    ).toEqual([params.toString()]);
+  });
+
+  test("says in the header when the data was last synced", async () => {
+    mockFetch({
+      "/api/get-leaderboard": boardResponse(MEMBERS),
+      "/api/status": statusResponse("ok", 3),
+    });
+    await renderApp();
+
+    const header = screen.getByRole("banner");
+    await waitFor(() => within(header).getByText("Updated 3h ago"));
+    expect(screen.queryByText(/out of date/)).toBeNull();
+  });
+
+  test("warns when the data is stale", async () => {
+    mockFetch({
+      "/api/get-leaderboard": boardResponse(MEMBERS),
+      "/api/status": statusResponse("stale", 4 * 24),
+    });
+    await renderApp();
+
+    await waitFor(() =>
+      screen.getByText("Updated 4d ago · data may be out of date")
+    );
+  });
+
+  test("asks the API for the sort that was clicked", async () => {
+    const fetch = mockFetch({
+      "/api/get-leaderboard": boardResponse(MEMBERS),
+    });
+    await renderApp();
+    await waitFor(() => expect(boardRows()).toHaveLength(3));
+
+    fireEvent.click(screen.getByRole("button", { name: /^Likes/ }));
+    await waitFor(() => expect(window.location.search).toContain("sort=likes"));
+    const last = fetch.mock.calls[fetch.mock.calls.length - 1][0];
+    expect(last).toContain("sort=likes");
+  });
+});
+
+describe("loadData fallback chain", () => {
+  test("uses the cached page when the API fails", async () => {
+    mockFetch({ "/api/get-leaderboard": boardResponse(MEMBERS) });
+    const first = await renderApp();
+    await waitFor(() => expect(boardRows()).toHaveLength(3));
+    first.unmount();
+
+    const fetch = mockFetch({
+      "/api/get-leaderboard": new Error("offline"),
+    });
+    await renderApp();
+
+    await waitFor(() => expect(boardRows()).toHaveLength(3));
+    expect(requested(fetch, "/api/users.json")).toBe(false);
+  });
+
+  test("falls back to the cached full board", async () => {
+    localStorage.setItem(
+      CACHE_KEY,
+      JSON.stringify([member(1, "Dave"), member(2, "Erin")])
+    );
+    const fetch = mockFetch({
+      "/api/get-leaderboard": new Error("offline"),
+    });
+    await renderApp();
+
+    await waitFor(() => expect(boardRows()).toHaveLength(2));
+    expect(boardRows()[0]).toMatch(/Dave/);
+    expect(requested(fetch, "/api/users.json")).toBe(false);
+  });
+
+  test("keeps the all-time board out of other windows", async () => {
+    localStorage.setItem(CACHE_KEY, JSON.stringify([member(1, "Dave")]));
+    const fetch = mockFetch({
+      "/api/get-leaderboard": new Error("offline"),
+    });
+    await renderApp("/?window=7d");
+
+    await waitFor(() => screen.getByText("Offline, showing saved data"));
+    expect(boardRows()).toHaveLength(0);
+    expect(requested(fetch, "/api/users.json")).toBe(false);
+  });
+
+  test("falls back to users.json, ranks it and caches it", async () => {
+    const fetch = mockFetch({
+      "/api/get-leaderboard": () => ({ success: false }),
+      "/api/users.json": [
+        member(0, "Frank", { rank: undefined }),
+        member(0, "Grace", { rank: undefined }),
+      ],
+    });
+    await renderApp();
+
+    await waitFor(() => expect(boardRows()).toHaveLength(2));
+    expect(boardRows()[1]).toMatch(/^2.*Grace/);
+    expect(requested(fetch, "/api/users.json")).toBe(true);
+
+    const cached = JSON.parse(localStorage.getItem(CACHE_KEY));
+    expect(cached.map((u) => [u.rank, u.name])).toEqual([
+      [1, "Frank"],
+      [2, "Grace"],
+    ]);
+  });
+
+  test("treats an empty all-time board as no data", async () => {
+    mockFetch({
+      "/api/get-leaderboard": boardResponse([]),
+      "/api/users.json": [member(1, "Heidi")],
+    });
+    await renderApp();
+
+    await waitFor(() => expect(boardRows()).toHaveLength(1));
+  });
+
+  test("shows an empty board when every source fails", async () => {
+    const fetch = mockFetch({
+      "/api/get-leaderboard": new Error("offline"),
+      "/api/users.json": new Error("offline"),
+    });
+    await renderApp();
+
+    await waitFor(() => expect(requested(fetch, "/api/users.json")).toBe(true));
+    await waitFor(() => screen.getByText("Offline, showing saved data"));
+    expect(boardRows()).toHaveLength(0);
+  });
+});
+
+describe("profile", () => {
+  const tweets = [
+    {
+      id: "1",
+      text: "Alice's newest post",
+      date: "2025-10-14T12:00:00Z",
+      likes: 12,
+      retweets: 2,
+      views: 900,
+      url: "https://x.com/alice/status/1",
+      media: [],
+      quoted: null,
+      urls: [],
+    },
+  ];
+
+  test("opens a member from the board", async () => {
+    const fetch = mockFetch({
+      "/api/get-leaderboard": boardResponse(MEMBERS),
+      "/api/user/alice": profileResponse(MEMBERS[0], tweets),
+      "/api/rank-history": { success: true, data: [] },
+    });
+    await renderApp();
+    await waitFor(() => expect(boardRows()).toHaveLength(3));
+
+    fireEvent.click(screen.getByText("Alice"));
+
+    await waitFor(() => screen.getByText("Alice's newest post"));
+    expect(window.location.pathname).toBe("/u/alice");
+    expect(screen.getByText("All Posts")).toBeTruthy();
+    expect(screen.getByText("View on X").getAttribute("href")).toBe(
+      "https://twitter.com/alice"
+    );
+    expect(requested(fetch, "/api/rank-history?handle=%40alice")).toBe(true);
+  });
+
+  test("loads a /u/:handle link", async () => {
+    mockFetch({
+      "/api/get-leaderboard": boardResponse(MEMBERS),
+      "/api/user/bob": profileResponse(MEMBERS[1], []),
+      "/api/rank-history": { success: true, data: [] },
+      "/api/status": statusResponse("degraded", 5),
+    });
+    await renderApp("/u/bob");
+
+    await waitFor(() => screen.getByText("View on X"));
+    expect(screen.getByRole("heading", { name: "Bob" })).toBeTruthy();
+    expect(screen.getByText("Updated 5h ago").getAttribute("title")).toBe(
+      "The latest sync ran into errors"
+    );
+  });
+
+  test("moves a link to an old handle to the current one", async () => {
+    // fetch() follows the API's redirect to /api/user/bob
+    mockFetch({
+      "/api/get-leaderboard": boardResponse(MEMBERS),
+      "/api/user/bobby": profileResponse(MEMBERS[1], []),
+      "/api/rank-history": { success: true, data: [] },
+    });
+    await renderApp("/u/bobby");
+
+    await waitFor(() => screen.getByText("View on X"));
+    expect(window.location.pathname).toBe("/u/bob");
+  });
+
+  test("says so when the member doesn't exist", async () => {
+    mockFetch({
+      "/api/get-leaderboard": boardResponse(MEMBERS),
+      "/api/users.json": MEMBERS,
+    });
+    await renderApp("/u/nobody");
+
+    await waitFor(() =>
+      screen.getByText("No community member found for @nobody.")
+    );
+  });
+
+  test("finds the member in users.json without the API", async () => {
+    mockFetch({
+      "/api/get-leaderboard": new Error("offline"),
+      "/api/user/carol": new Error("offline"),
+      "/api/users.json": [
+        member(0, "Alice"),
+        member(0, "Carol", {
+          recentTweets: [{ ...tweets[0], text: "Carol's cached post" }],
+        }),
+      ],
+    });
+    await renderApp("/u/carol");
+
+    await waitFor(() => screen.getByText("Carol's cached post"));
+    expect(screen.getByText("Recent Activity")).toBeTruthy();
+  });
+});
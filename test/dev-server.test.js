@@ -0,0 +1,85 @@
+const path = require("path");
+const {
+  createDevServer,
+  findRoutes,
+  seedFromFixtures,
+} = require("../scripts/dev-server");
+
+const API_DIR = path.join(__dirname, "../api");
+const FIXTURES_DIR = path.join(__dirname, "../fixtures/twitterapi");
+
+const ENV = { ...process.env };
+
+let server;
+let base;
+
+beforeAll(async () => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  process.env.STORAGE = "sqlite";
+  process.env.SQLITE_FILE = ":memory:";
+  await seedFromFixtures(FIXTURES_DIR);
+
+  server = createDevServer({ log: () => {} });
+  await new Promise((resolve) => server.listen(0, resolve));
+  base = `http://localhost:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  process.env = ENV;
+  jest.restoreAllMocks();
+});
+
+describe("findRoutes", () => {
+  test("routes [param] files as path segments", () => {
+    const route = findRoutes(API_DIR).find((r) => r.params.length);
+    expect(route.params).toEqual(["handle"]);
+    expect(route.pattern.test("/api/user/alice_defi")).toBe(true);
+    expect(route.pattern.test("/api/user/alice_defi/extra")).toBe(false);
+  });
+});
+
+describe("dev server", () => {
+  test("seeds an empty database once", async () => {
+    expect(await seedFromFixtures(FIXTURES_DIR)).toBe(0);
+  });
+
+  test("serves the leaderboard from SQLite", async () => {
+    const res = await fetch(`${base}/api/get-leaderboard`);
+    const body = await res.json();
+
+    expect(res.status).toBe(200);
+    expect(body.data.map((m) => m.handle)).toContain("@alice_defi");
+  });
+
+  test("passes path parameters to the handler", async () => {
+    const res = await fetch(`${base}/api/user/alice_defi`);
+    const body = await res.json();
+
+    expect(res.status).toBe(200);
+    expect(body.member.handle).toBe("@alice_defi");
+  });
+
+  test("reads JSON bodies", async () => {
+    const res = await fetch(`${base}/api/wallet/challenge`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        handle: "@Alice_Defi",
+        address: "0x00000000000000000000000000000000000000aa",
+      }),
+    });
+    const body = await res.json();
+
+    expect(body.data).toMatchObject({
+      handle: "@alice_defi",
+      status: "awaiting_tweet",
+    });
+  });
+
+  test("falls back to public/ and 404s the rest", async () => {
+    expect((await fetch(`${base}/api/users.json`)).status).toBe(200);
+    expect((await fetch(`${base}/api/nope`)).status).toBe(404);
+    expect((await fetch(`${base}/api/../package.json`)).status).toBe(404);
+  });
+});
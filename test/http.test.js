@@ -0,0 +1,161 @@
+const {
+  backoffMs,
+  createHttpClient,
+  httpOptionsFromEnv,
+  retryAfterMs,
+} = require("../lib/http");
+
+// An axios-style failure with `status` and response `headers`
+const httpError = (status, headers = {}) =>
+  Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status, headers },
+  });
+
+// request() answering with each of `outcomes` in turn: an Error to reject
+// with, anything else as the response body
+function scripted(outcomes) {
+  return jest.fn(async () => {
+    const next = outcomes.shift();
+    if (next instanceof Error) throw next;
+    return { data: next };
+  });
+}
+
+// A client that records its waits instead of sleeping
+function client(outcomes, options = {}) {
+  const waits = [];
+  const request = scripted(outcomes);
+  const http = createHttpClient({
+    request,
+    wait: async (ms) => waits.push(ms),
+    random: () => 0.5,
+    ...options,
+  });
+  return { http, request, waits };
+}
+
+describe("createHttpClient", () => {
+  test("retries a rate limit after the time it asks for", async () => {
+    const { http, waits } = client([
+      httpError(429, { "retry-after": "3" }),
+      { ok: true },
+    ]);
+    await expect(http.get("/feed")).resolves.toEqual({ ok: true });
+    expect(waits).toEqual([3000]);
+    expect(http.stats).toEqual({ requests: 2, retries: 1, failures: 0 });
+  });
+
+  test("backs off exponentially on server errors and dropped connections", async () => {
+    const reset = Object.assign(new Error("socket hang up"), {
+      code: "ECONNRESET",
+    });
+    const { http, waits } = client([
+      httpError(503),
+      reset,
+      httpError(502),
+      "done",
+    ]);
+    await expect(http.get("/feed")).resolves.toBe("done");
+    expect(waits).toEqual([500, 1000, 2000]);
+  });
+
+  test("doesn't retry client errors", async () => {
+    const { http, request } = client([httpError(401)]);
+    await expect(http.get("/feed")).rejects.toMatchObject({
+      retryable: false,
+    });
+    expect(request).toHaveBeenCalledTimes(1);
+    expect(http.stats.failures).toBe(1);
+  });
+
+  test("gives up after the retry limit", async () => {
+    const { http, request } = client(
+      [httpError(500), httpError(500), httpError(500)],
+      { retries: 2 }
+    );
+    await expect(http.get("/feed")).rejects.toMatchObject({ retryable: true });
+    expect(request).toHaveBeenCalledTimes(3);
+  });
+
+  test("won't sit out a long rate limit", async () => {
+    const { http, waits } = client([httpError(429, { "retry-after": "900" })]);
+    await expect(http.get("/feed")).rejects.toThrow("status code 429");
+    expect(waits).toEqual([]);
+  });
+
+  test("stops at the request budget, retries included", async () => {
+    const { http, request } = client([httpError(500), "a", "b"], {
+      budget: 2,
+    });
+    await expect(http.get("/feed")).resolves.toBe("a");
+    await expect(http.get("/feed")).rejects.toMatchObject({
+      code: "REQUEST_BUDGET",
+    });
+    expect(request).toHaveBeenCalledTimes(2);
+  });
+
+  test("won't wait past the time budget", async () => {
+    const { http, waits } = client(
+      [httpError(429, { "retry-after": "5" }), "late"],
+      { timeBudgetMs: 2000 }
+    );
+    await expect(http.get("/feed")).rejects.toMatchObject({
+      code: "TIME_BUDGET",
+      message: expect.stringMatching(/^HTTP 429/),
+    });
+    expect(waits).toEqual([]);
+  });
+});
+
+describe("helpers", () => {
+  test("retryAfterMs reads seconds, dates and X's reset header", () => {
+    const now = Date.parse("2025-10-14T12:00:00Z");
+    expect(retryAfterMs({ "retry-after": "2" }, now)).toBe(2000);
+    expect(
+      retryAfterMs({ "retry-after": "Tue, 14 Oct 2025 12:00:10 GMT" }, now)
+    ).toBe(10000);
+    expect(
+      retryAfterMs(
+        {
+          "x-rate-limit-remaining": "0",
+          "x-rate-limit-reset": String(now / 1000 + 30),
+        },
+        now
+      )
+    ).toBe(30000);
+    expect(retryAfterMs({ "x-rate-limit-remaining": "12" }, now)).toBeNull();
+  });
+
+  test("backoffMs is capped", () => {
+    expect(backoffMs(0, () => 1)).toBe(1000);
+    expect(backoffMs(3, () => 1)).toBe(8000);
+    expect(backoffMs(20, () => 1)).toBe(60000);
+  });
+
+  test("httpOptionsFromEnv", () => {
+    expect(httpOptionsFromEnv({})).toEqual({
+      budget: 100,
+      retries: 4,
+      timeBudgetMs: null,
+    });
+    expect(
+      httpOptionsFromEnv({
+        API_REQUEST_BUDGET: "0",
+        API_RETRIES: "1",
+        API_TIME_BUDGET_SECONDS: "50",
+      })
+    ).toEqual({ budget: Infinity, retries: 1, timeBudgetMs: 50000 });
+    expect(httpOptionsFromEnv({}, { timeBudgetSeconds: 45 })).toMatchObject({
+      timeBudgetMs: 45000,
+    });
+    expect(
+      httpOptionsFromEnv(
+        { API_TIME_BUDGET_SECONDS: "0" },
+        { timeBudgetSeconds: 45 }
+      )
+    ).toMatchObject({ timeBudgetMs: null });
+    expect(() => httpOptionsFromEnv({ API_REQUEST_BUDGET: "-5" })).toThrow(
+      'Invalid API_REQUEST_BUDGET: "-5"'
+    );
+  });
+});
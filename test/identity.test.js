@@ -0,0 +1,277 @@
+const path = require("path");
+const {
+  mergeLegacyUsers,
+  mergeUsers,
+  resolveHandle,
+  saveMembers,
+} = require("../lib/identity");
+const { buildLeaderboard } = require("../lib/leaderboard");
+const { createFixtureSource } = require("../lib/sources/fixtures");
+const { createSqliteStorage } = require("../lib/storage/sqlite");
+const { runSync } = require("../lib/sync");
+const { createSupabase } = require("./support/supabase");
+
+const FIXTURES_DIR = path.join(__dirname, "../fixtures/twitterapi");
+
+const options = { maxPages: Infinity, since: null, refreshDays: 0 };
+
+// The fixture feed after alice_defi (X id 1001) renamed their account
+function renamedSource(handle) {
+  const source = createFixtureSource({ dir: FIXTURES_DIR });
+  const rename = (tweet) =>
+    tweet.author.id === "1001"
+      ? { ...tweet, author: { ...tweet.author, handle } }
+      : tweet;
+  return {
+    ...source,
+    async fetchPage(cursor) {
+      const page = await source.fetchPage(cursor);
+      return { ...page, tweets: page.tweets.map(rename) };
+    },
+    async lookup(ids) {
+      const found = await source.lookup(ids);
+      return { ...found, tweets: found.tweets.map(rename) };
+    },
+  };
+}
+
+// A member stored before X ids were tracked, with one tweet
+const legacyMember = (handle, tweetId, fields = {}) => ({
+  user: { id: `handle:${handle}`, handle, ...fields },
+  tweet: {
+    id: tweetId,
+    user_id: `handle:${handle}`,
+    user_handle: handle,
+    likes: 10,
+    tweet_date: "2025-09-01T00:00:00.000Z",
+  },
+});
+
+const ids = (rows) => rows.map((r) => r.id).sort();
+
+beforeEach(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("renames", () => {
+  let supabase;
+
+  beforeEach(async () => {
+    supabase = createSupabase();
+    const source = createFixtureSource({ dir: FIXTURES_DIR });
+    await runSync(supabase, { source, ...options });
+  });
+
+  test("keep a member's history together", async () => {
+    const stats = await runSync(supabase, {
+      ...options,
+      source: renamedSource("alice_onchain"),
+      since: new Date("2025-01-01T00:00:00Z"),
+    });
+    expect(stats.renamed).toBe(1);
+
+    const { members } = await buildLeaderboard(supabase);
+    expect(members.map((m) => m.handle).sort()).toEqual([
+      "@alice_onchain",
+      "@bobbuilds",
+      "@carol_onchain",
+    ]);
+    expect(members.find((m) => m.userId === "1001")).toMatchObject({
+      handle: "@alice_onchain",
+      tweets: 3,
+    });
+    expect(
+      supabase.tables.user_handles
+        .filter((h) => h.user_id === "1001")
+        .map((h) => h.handle)
+        .sort()
+    ).toEqual(["alice_defi", "alice_onchain"]);
+  });
+
+  test("leave old handles pointing at the member", async () => {
+    await runSync(supabase, {
+      ...options,
+      source: renamedSource("alice_onchain"),
+      since: new Date("2025-01-01T00:00:00Z"),
+    });
+
+    expect(await resolveHandle(supabase, "ALICE_DEFI")).toMatchObject({
+      id: "1001",
+      handle: "alice_onchain",
+    });
+    expect(await resolveHandle(supabase, "alice_onchain")).toMatchObject({
+      id: "1001",
+    });
+    expect(await resolveHandle(supabase, "alice%")).toBeNull();
+  });
+});
+
+describe("profiles", () => {
+  test("keep their creation date when a source doesn't report one", async () => {
+    const storage = createSqliteStorage({ file: ":memory:" });
+    await storage.from("users").insert({
+      id: "1001",
+      handle: "alice_defi",
+      account_created_at: "2021-03-01T00:00:00.000Z",
+    });
+
+    await saveMembers(storage, [
+      { id: "1001", handle: "alice_defi", name: "Alice", avatarUrl: null },
+      {
+        id: "1002",
+        handle: "bobbuilds",
+        name: "Bob",
+        avatarUrl: null,
+        createdAt: new Date("2022-06-01T00:00:00Z"),
+      },
+    ]);
+
+    const { data: users } = await storage
+      .from("users")
+      .select("id, name, account_created_at")
+      .order("id");
+    expect(users).toEqual([
+      {
+        id: "1001",
+        name: "Alice",
+        account_created_at: "2021-03-01T00:00:00.000Z",
+      },
+      {
+        id: "1002",
+        name: "Bob",
+        account_created_at: "2022-06-01T00:00:00.000Z",
+      },
+    ]);
+    storage.close();
+  });
+});
+
+describe("members without an X id", () => {
+  test("move to their id when a sync sees them post", async () => {
+    const alice = legacyMember("alice_defi", "1900", {
+      wallet_address: "0x00000000000000000000000000000000000000aa",
+    });
+    const supabase = createSupabase({
+      users: [alice.user],
+      tweets: [alice.tweet],
+      user_handles: [{ user_id: alice.user.id, handle: "alice_defi" }],
+      rank_snapshots: [
+        {
+          snapshot_at: "2025-10-01T00:00:00.000Z",
+          user_id: alice.user.id,
+          handle: "alice_defi",
+          rank: 1,
+          score: 10,
+        },
+      ],
+    });
+    const source = createFixtureSource({ dir: FIXTURES_DIR });
+    await runSync(supabase, { source, ...options });
+
+    expect(ids(supabase.tables.users)).toEqual(["1001", "1002", "1003"]);
+    expect(supabase.tables.users.find((u) => u.id === "1001")).toMatchObject({
+      handle: "alice_defi",
+      total_tweets: 4,
+      wallet_address: alice.user.wallet_address,
+    });
+    expect(supabase.tables.tweets.find((t) => t.id === "1900").user_id).toBe(
+      "1001"
+    );
+    expect(
+      supabase.tables.rank_snapshots.filter((s) => s.user_id === "1001")
+    ).toHaveLength(2);
+  });
+
+  const stores = {
+    supabase: (tables) => createSupabase(tables),
+    sqlite: async (tables) => {
+      const storage = createSqliteStorage({ file: ":memory:" });
+      for (const [table, rows] of Object.entries(tables)) {
+        const { error } = await storage.from(table).insert(rows);
+        if (error) throw new Error(error.message);
+      }
+      return storage;
+    },
+  };
+
+  test.each(Object.keys(stores))(
+    "are looked up and merged in one go (%s)",
+    async (store) => {
+      // alice_defi used to be alice_old, and the rename split them in two
+      const old = legacyMember("alice_old", "1978000000000000002");
+      const current = legacyMember("alice_defi", "1978000000000000005");
+      const gone = legacyMember("ghost", "1");
+      const snapshot = (member, rank) => ({
+        snapshot_at: "2025-10-01T00:00:00.000Z",
+        user_id: member.user.id,
+        handle: member.user.handle,
+        rank,
+        score: 10 / rank,
+      });
+      const supabase = await stores[store]({
+        users: [old.user, current.user, gone.user],
+        tweets: [old.tweet, current.tweet, gone.tweet],
+        user_handles: [old, current, gone].map(({ user }) => ({
+          user_id: user.id,
+          handle: user.handle,
+        })),
+        rank_snapshots: [snapshot(current, 1), snapshot(old, 2)],
+      });
+      const source = createFixtureSource({ dir: FIXTURES_DIR });
+
+      expect(await mergeLegacyUsers(supabase, source)).toEqual({
+        resolved: 2,
+        merged: 1,
+        unresolved: ["ghost"],
+        error: null,
+      });
+
+      const { data: users } = await supabase
+        .from("users")
+        .select("id, handle, total_tweets");
+      expect(ids(users)).toEqual(["1001", "handle:ghost"]);
+      expect(users.find((u) => u.id === "1001")).toMatchObject({
+        handle: "alice_defi",
+        total_tweets: 2,
+      });
+
+      const { data: snapshots } = await supabase
+        .from("rank_snapshots")
+        .select("user_id, rank")
+        .eq("user_id", "1001");
+      expect(snapshots.map((s) => s.rank)).toEqual([1]);
+
+      expect(await resolveHandle(supabase, "alice_old")).toMatchObject({
+        id: "1001",
+      });
+      if (supabase.close) supabase.close();
+    }
+  );
+
+  test("are merged all or nothing", async () => {
+    const old = legacyMember("alice_old", "1978000000000000002");
+    const storage = createSqliteStorage({ file: ":memory:" });
+    await storage
+      .from("users")
+      .insert([old.user, { id: "1001", handle: "alice_defi" }]);
+    await storage.from("tweets").insert(old.tweet);
+    // Fail the last step, deleting the merged row
+    storage.db.exec(`
+      create trigger users_no_delete before delete on users
+      begin
+        select raise(abort, 'users are read-only');
+      end`);
+
+    await expect(mergeUsers(storage, old.user.id, "1001")).rejects.toEqual(
+      expect.objectContaining({ message: "users are read-only" })
+    );
+
+    const { data: tweets } = await storage.from("tweets").select("user_id");
+    expect(tweets).toEqual([{ user_id: old.user.id }]);
+    storage.close();
+  });
+});
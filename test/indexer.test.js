@@ -0,0 +1,303 @@
+jest.mock("@supabase/supabase-js", () => ({ createClient: jest.fn() }));
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createClient } = require("@supabase/supabase-js");
+const { main } = require("../backend/twitter_indexer");
+const { readMigrations } = require("../lib/migrate");
+const { createSupabase } = require("./support/supabase");
+
+const FIXTURES_DIR = path.join(__dirname, "../fixtures/twitterapi");
+
+const ENV = {
+  SUPABASE_URL: "https://example.supabase.co",
+  SUPABASE_ANON_KEY: "anon",
+  TWEET_SOURCE: "fixtures",
+  FIXTURES_DIR,
+  REFRESH_WINDOW_DAYS: "0",
+};
+
+let supabase;
+let logs;
+let outDir;
+const savedEnv = { ...process.env };
+
+// Run the CLI; --no-export keeps the real public/api/users.json untouched
+const cli = (...argv) => main(argv);
+const output = () => logs.join("\n");
+const synced = () => cli("sync", "--no-export");
+
+// The newest migration of a dialect, as "0001_name"
+const latestMigration = (dialect) => {
+  const { version, name } = readMigrations(dialect).pop();
+  return `${version}_${name}`;
+};
+
+beforeEach(() => {
+  process.env = { ...savedEnv, ...ENV };
+  delete process.env.GITHUB_ACTIONS;
+  supabase = createSupabase();
+  createClient.mockReturnValue(supabase);
+  logs = [];
+  const capture = (...args) => logs.push(args.join(" "));
+  jest.spyOn(console, "log").mockImplementation(capture);
+  jest.spyOn(console, "warn").mockImplementation(capture);
+  jest.spyOn(console, "error").mockImplementation(capture);
+  outDir = fs.mkdtempSync(path.join(os.tmpdir(), "indexer-"));
+});
+
+afterEach(() => {
+  process.env = { ...savedEnv };
+  fs.rmSync(outDir, { recursive: true, force: true });
+  jest.restoreAllMocks();
+});
+
+describe("sync", () => {
+  test("syncs into Supabase through the shared pipeline", async () => {
+    expect(await synced()).toBe(0);
+
+    expect(supabase.tables.tweets).toHaveLength(7);
+    expect(supabase.tables.sync_runs[0]).toMatchObject({
+      trigger: "cli",
+      status: "success",
+    });
+    expect(output()).toMatch(/Sync run 1 success: 7 new tweets/);
+  });
+
+  test("is logged as a CI run under GitHub Actions", async () => {
+    process.env.GITHUB_ACTIONS = "true";
+    await synced();
+    expect(supabase.tables.sync_runs[0].trigger).toBe("ci");
+  });
+
+  test("says how to continue a run that stopped at the page limit", async () => {
+    await cli("sync", "--no-export", "--since=2025-01-01", "--max-pages=1");
+    expect(output()).toMatch(/Continue with --cursor=002\.json/);
+  });
+
+  test("continues from a cursor holding base64 padding", async () => {
+    // The feed again, with the second page under a cursor like X's
+    const dir = path.join(outDir, "fixtures");
+    fs.cpSync(FIXTURES_DIR, dir, { recursive: true });
+    fs.renameSync(
+      path.join(dir, "community/002.json"),
+      path.join(dir, "community/002-DAACCgAC==.json")
+    );
+    process.env.FIXTURES_DIR = dir;
+
+    await cli("sync", "--no-export", "--since=2025-01-01", "--max-pages=1");
+    const [, cursor] = output().match(/Continue with --cursor=(\S+)/);
+    expect(cursor).toBe("002-DAACCgAC==.json");
+
+    expect(
+      await cli(
+        "sync",
+        "--no-export",
+        "--since=2025-01-01",
+        `--cursor=${cursor}`
+      )
+    ).toBe(0);
+    expect(supabase.tables.sync_runs[1].stats).toMatchObject({
+      pages: 1,
+      complete: true,
+    });
+    expect(supabase.tables.sync_runs[1].stats.totalTweets).toBeGreaterThan(0);
+  });
+
+  test("backfill needs a date", async () => {
+    expect(await cli("backfill", "--no-export")).toBe(1);
+    expect(output()).toMatch(/backfill needs --since=<date>/);
+    expect(createClient).not.toHaveBeenCalled();
+  });
+
+  test("backfill reads every page back to the date", async () => {
+    process.env.MAX_PAGES = "1";
+    expect(
+      await cli(
+        "backfill",
+        "--no-export",
+        "--since",
+        "2025-01-01",
+        "--max-pages=all"
+      )
+    ).toBe(0);
+    expect(supabase.tables.sync_runs[0].stats).toMatchObject({
+      pages: 2,
+      complete: true,
+    });
+  });
+});
+
+describe("export", () => {
+  test("writes the board as the API serves it", async () => {
+    await synced();
+    const out = path.join(outDir, "users.json");
+    expect(await cli("export", `--out=${out}`)).toBe(0);
+
+    const members = JSON.parse(fs.readFileSync(out, "utf8"));
+    expect(members.map((m) => m.rank)).toEqual([1, 2, 3]);
+    expect(members[0]).toEqual(
+      expect.objectContaining({
+        handle: expect.stringMatching(/^@/),
+        score: expect.any(Number),
+        recentTweets: expect.any(Array),
+        previousRank: null,
+      })
+    );
+  });
+
+  test("writes one CSV row per member", async () => {
+    await synced();
+    const out = path.join(outDir, "board.csv");
+    expect(await cli("export", "--format=csv", `--out=${out}`)).toBe(0);
+
+    const [header, ...rows] = fs.readFileSync(out, "utf8").trim().split("\n");
+    expect(header).toMatch(/^rank,handle,name,score,tweets,likes/);
+    expect(rows).toHaveLength(3);
+    expect(rows[0]).toMatch(/^1,[a-z]/);
+  });
+
+  test("rejects unknown formats and windows", async () => {
+    expect(await cli("export", "--format=xml")).toBe(1);
+    expect(output()).toMatch(/Unknown format "xml"/);
+    expect(await cli("export", "--from=soon")).toBe(1);
+    expect(output()).toMatch(/Invalid from date/);
+  });
+});
+
+describe("recompute-scores", () => {
+  test("rebuilds every member's totals", async () => {
+    await synced();
+    supabase.tables.users.forEach((u) => (u.total_likes = 0));
+
+    expect(await cli("recompute-scores", "--no-export")).toBe(0);
+    for (const user of supabase.tables.users) {
+      const likes = supabase.tables.tweets
+        .filter((t) => t.user_handle === user.handle)
+        .reduce((acc, t) => acc + t.likes, 0);
+      expect(user.total_likes).toBe(likes);
+    }
+    expect(output()).toMatch(/Recomputed totals for 3 members/);
+  });
+});
+
+describe("snapshot", () => {
+  test("records everyone's current rank", async () => {
+    await synced();
+    const before = supabase.tables.rank_snapshots.length;
+
+    expect(await cli("snapshot")).toBe(0);
+    expect(supabase.tables.rank_snapshots).toHaveLength(before + 3);
+  });
+});
+
+describe("doctor", () => {
+  test("passes a working setup", async () => {
+    await synced();
+    logs = [];
+    process.env.CRON_SECRET = "secret";
+    process.env.ADMIN_TOKENS = "alice:token";
+
+    expect(await cli("doctor")).toBe(0);
+    expect(output()).toMatch(/✅ tweet source: fixtures/);
+    expect(output()).toMatch(/✅ admin tokens: alice/);
+    expect(output()).toMatch(/✅ last sync: success \(cli\)/);
+    expect(output()).not.toMatch(/❌/);
+  });
+
+  test("fails on missing configuration", async () => {
+    delete process.env.SUPABASE_ANON_KEY;
+    process.env.TWEET_SOURCE = "x";
+
+    expect(await cli("doctor")).toBe(1);
+    expect(output()).toMatch(
+      /❌ tweet source: Missing environment variables: X_BEARER_TOKEN, X_QUERY/
+    );
+    expect(output()).toMatch(/❌ storage: Missing Supabase configuration/);
+    expect(output()).toMatch(/⚠️ cron secret/);
+    expect(output()).toMatch(/2 checks failed/);
+  });
+
+  test("reports pending migrations", async () => {
+    const migrations = readMigrations("postgres");
+    supabase.tables.schema_migrations = migrations
+      .slice(0, -1)
+      .map(({ version, name }) => ({ version, name }));
+    const latest = migrations[migrations.length - 1];
+
+    await cli("doctor");
+    expect(output()).toContain(
+      `⚠️ migrations: 1 pending (${latestMigration("postgres")}); ` +
+        "run `npm run db:migrate`"
+    );
+
+    logs = [];
+    supabase.tables.schema_migrations.push(latest);
+    await cli("doctor");
+    expect(output()).toContain(
+      `✅ migrations: up to date at ${latest.version}`
+    );
+  });
+
+  test("points a broken table at the migrations", async () => {
+    const from = supabase.from;
+    supabase.from = (table) => {
+      const query = from(table);
+      if (table === "sync_state") {
+        query.execute = () => ({
+          data: null,
+          error: { message: "column sync_state.resume_cursor does not exist" },
+        });
+      }
+      return query;
+    };
+
+    expect(await cli("doctor")).toBe(1);
+    expect(output()).toMatch(
+      /❌ table sync_state: column .* does not exist \(run `npm run db:migrate`\)/
+    );
+  });
+});
+
+describe("migrate", () => {
+  test("applies the pending migrations once", async () => {
+    process.env.STORAGE = "sqlite";
+    process.env.SQLITE_FILE = path.join(outDir, "leaderboard.sqlite");
+
+    expect(await cli("migrate", "--to=0002")).toBe(0);
+    expect(output()).toMatch(/✅ Applied 0001_users_and_tweets/);
+    expect(output()).toMatch(/✅ Applied 0002_rank_snapshots/);
+    expect(output()).not.toMatch(/0003/);
+
+    logs = [];
+    expect(await cli("migrate", "--status")).toBe(0);
+    expect(output()).toMatch(/✅ 0002_rank_snapshots \(applied /);
+    expect(output()).toMatch(/⏳ 0003_sync_state \(pending\)/);
+
+    logs = [];
+    expect(await cli("migrate")).toBe(0);
+    expect(output()).toContain(`✅ Applied ${latestMigration("sqlite")}`);
+    expect(output()).not.toMatch(/0002/);
+
+    logs = [];
+    expect(await cli("migrate")).toBe(0);
+    expect(output()).toMatch(/sqlite database already up to date/);
+  });
+
+  test("needs a database", async () => {
+    delete process.env.DATABASE_URL;
+    expect(await cli("migrate")).toBe(1);
+    expect(output()).toMatch(/migrate needs DATABASE_URL/);
+
+    expect(await cli("migrate", "--database=mysql://localhost/db")).toBe(1);
+    expect(output()).toMatch(/Unsupported database "mysql:\/\/localhost\/db"/);
+  });
+});
+
+test("lists the commands", async () => {
+  expect(await cli()).toBe(1);
+  expect(output()).toMatch(/Usage: node backend\/twitter_indexer\.js/);
+  expect(await cli("index")).toBe(1);
+  expect(output()).toMatch(/Unknown command "index"/);
+});
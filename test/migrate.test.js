@@ -0,0 +1,237 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const Database = require("better-sqlite3");
+const {
+  DIALECTS,
+  migratePostgres,
+  migrateSqlite,
+  readMigrations,
+} = require("../lib/migrate");
+
+const versions = (migrations) => migrations.map((m) => m.version);
+
+let db;
+
+beforeEach(() => {
+  db = new Database(":memory:");
+  db.pragma("foreign_keys = ON");
+});
+
+afterEach(() => {
+  db.close();
+});
+
+test("every dialect has the same numbered migrations", () => {
+  const [postgres, ...others] = DIALECTS.map((d) => readMigrations(d));
+  expect(versions(postgres)[0]).toBe("0001");
+  for (const migrations of others) {
+    expect(migrations.map((m) => `${m.version}_${m.name}`)).toEqual(
+      postgres.map((m) => `${m.version}_${m.name}`)
+    );
+  }
+});
+
+describe("migrateSqlite", () => {
+  test("applies every migration once, in order", () => {
+    const applied = migrateSqlite(db);
+    expect(versions(applied)).toEqual(versions(readMigrations("sqlite")));
+    expect(migrateSqlite(db)).toEqual([]);
+
+    const recorded = db
+      .prepare("select version from schema_migrations order by version")
+      .pluck()
+      .all();
+    expect(recorded).toEqual(versions(applied));
+  });
+
+  test("stops at a version and carries on from there", () => {
+    expect(versions(migrateSqlite(db, { to: "0003" }))).toEqual([
+      "0001",
+      "0002",
+      "0003",
+    ]);
+    expect(versions(migrateSqlite(db))[0]).toBe("0004");
+    expect(() => migrateSqlite(db, { to: "9999" })).toThrow(
+      'Unknown migration version "9999"'
+    );
+  });
+
+  test("rolls back a migration that fails", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "migrations-"));
+    fs.mkdirSync(path.join(dir, "sqlite"));
+    fs.writeFileSync(
+      path.join(dir, "sqlite/0001_good.sql"),
+      "create table a (id integer primary key);"
+    );
+    fs.writeFileSync(
+      path.join(dir, "sqlite/0002_bad.sql"),
+      "create table b (id integer primary key); insert into nowhere values (1);"
+    );
+
+    try {
+      expect(() => migrateSqlite(db, { dir })).toThrow(
+        /^0002_bad failed: no such table: nowhere/
+      );
+      const tables = db
+        .prepare("select name from sqlite_master where type = 'table'")
+        .pluck()
+        .all();
+      expect(tables).toContain("a");
+      expect(tables).not.toContain("b");
+      expect(
+        db.prepare("select version from schema_migrations").pluck().all()
+      ).toEqual(["0001"]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test("keeps every tweet tied to a member", () => {
+    migrateSqlite(db);
+    const insertTweet = db.prepare(
+      "insert into tweets (id, user_id, user_handle, tweet_date) values (?, ?, ?, ?)"
+    );
+
+    expect(() => insertTweet.run("1", "1001", "ghost", "2025-10-14")).toThrow(
+      /FOREIGN KEY constraint failed/
+    );
+    db.prepare(
+      "insert into users (id, handle) values ('1001', 'alice_defi')"
+    ).run();
+    insertTweet.run("1", "1001", "alice_defi", "2025-10-14");
+
+    const indexes = db
+      .prepare("select name from pragma_index_list('tweets')")
+      .pluck()
+      .all();
+    expect(indexes).toEqual(
+      expect.arrayContaining([
+        "tweets_tweet_date_idx",
+        "tweets_user_id_tweet_date_idx",
+      ])
+    );
+  });
+});
+
+// Against a real Postgres when TEST_DATABASE_URL points at one, e.g.
+//   TEST_DATABASE_URL=postgres://postgres@localhost:5432/postgres npm test
+// Everything happens in a throwaway schema.
+const describePostgres = process.env.TEST_DATABASE_URL
+  ? describe
+  : describe.skip;
+
+describePostgres("migratePostgres", () => {
+  const SCHEMA = "migrate_test";
+  let client;
+
+  beforeAll(async () => {
+    const { Client } = require("pg");
+    client = new Client({
+      connectionString: process.env.TEST_DATABASE_URL,
+      options: `-c search_path=${SCHEMA}`,
+    });
+    await client.connect();
+    await client.query(`drop schema if exists ${SCHEMA} cascade`);
+    await client.query(`create schema ${SCHEMA}`);
+  });
+
+  afterAll(async () => {
+    await client.query(`drop schema if exists ${SCHEMA} cascade`);
+    await client.end();
+  });
+
+  test("applies every migration once", async () => {
+    const applied = await migratePostgres(client);
+    expect(versions(applied)).toEqual(versions(readMigrations("postgres")));
+    expect(await migratePostgres(client)).toEqual([]);
+  });
+
+  test("keeps every tweet tied to a member", async () => {
+    await expect(
+      client.query(
+        "insert into tweets (id, user_id, user_handle, tweet_date) values ('1', '1001', 'ghost', now())"
+      )
+    ).rejects.toThrow(/tweets_user_id_fkey/);
+  });
+
+  test("merges one member into another", async () => {
+    await client.query(`
+      insert into users (id, handle, banned_at) values
+        ('handle:alice_old', 'alice_old', now()), ('1001', 'alice_defi', null);
+      insert into tweets (id, user_id, user_handle, tweet_date) values
+        ('1', 'handle:alice_old', 'alice_old', now());
+      insert into user_handles (user_id, handle) values
+        ('handle:alice_old', 'alice_old'), ('1001', 'alice_defi');
+    `);
+
+    await client.query("select merge_users('handle:alice_old', '1001')");
+
+    const { rows: users } = await client.query(
+      "select id, banned_at is not null as banned from users"
+    );
+    expect(users).toEqual([{ id: "1001", banned: true }]);
+    const { rows: handles } = await client.query(
+      "select handle from user_handles where user_id = '1001' order by handle"
+    );
+    expect(handles.map((h) => h.handle)).toEqual(["alice_defi", "alice_old"]);
+    const { rows: tweets } = await client.query("select user_id from tweets");
+    expect(tweets).toEqual([{ user_id: "1001" }]);
+  });
+
+  test("sums the leaderboard per member, day and flags", async () => {
+    await client.query(`
+      insert into users (id, handle) values ('1002', 'bob'), ('1003', 'carol');
+      insert into tweets
+        (id, user_id, user_handle, likes, views, tweet_date) values
+        ('11', '1002', 'bob', 30, 100, '2025-10-14T09:00:00Z'),
+        ('12', '1002', 'bob', 5, 0, '2025-10-14T18:00:00Z'),
+        ('13', '1002', 'bob', 8, 0, '2025-10-14T20:00:00Z');
+      insert into tweet_flags (tweet_id, user_id, user_handle, reason)
+        values ('13', '1002', 'bob', 'new_account');
+      insert into score_adjustments (user_id, handle, points, reason, created_by)
+        values ('1003', 'carol', 25, 'AMA host', 'alice');
+    `);
+
+    const { rows } = await client.query(
+      `select user_id, day::text, flags, tweets, likes, viewed_interactions,
+              capped, adjustment
+       from leaderboard_members(p_weights => '{"likes": 1, "posts": 5}',
+                                p_tweet_cap => 20)
+       where user_id in ('1002', '1003')
+       order by user_id, flags`
+    );
+    expect(rows).toEqual([
+      {
+        user_id: "1002",
+        day: "2025-10-14",
+        flags: "",
+        tweets: "2",
+        likes: "35",
+        viewed_interactions: "30",
+        capped: "-15",
+        adjustment: "0",
+      },
+      {
+        user_id: "1002",
+        day: "2025-10-14",
+        flags: "new_account",
+        tweets: "1",
+        likes: "8",
+        viewed_interactions: "0",
+        capped: "0",
+        adjustment: "0",
+      },
+      {
+        user_id: "1003",
+        day: null,
+        flags: "",
+        tweets: "0",
+        likes: "0",
+        viewed_interactions: "0",
+        capped: "0",
+        adjustment: "25",
+      },
+    ]);
+  });
+});
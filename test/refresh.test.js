@@ -0,0 +1,69 @@
+const { refreshRecentEngagement } = require("../lib/refresh");
+const { createSupabase } = require("./support/supabase");
+
+const hoursAgo = (hours) =>
+  new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+
+const storedTweet = (id) => ({
+  id,
+  user_id: "1001",
+  user_handle: "alice_defi",
+  tweet_date: hoursAgo(Number(id)),
+  likes: 1,
+  retweets: 0,
+  replies: 0,
+  quotes: 0,
+  views: 10,
+  bookmarks: 0,
+  deleted_at: null,
+});
+
+const latestTweet = (id) => ({
+  id,
+  counts: {
+    likes: 5,
+    retweets: 1,
+    replies: 0,
+    quotes: 0,
+    views: 50,
+    bookmarks: 0,
+  },
+  url: `https://x.com/alice_defi/status/${id}`,
+  media: [],
+  quoted: null,
+  urls: [],
+});
+
+// A source whose lookups return `returned` and report `notFound`
+const lookupSource = (returned, notFound) => ({
+  lookupBatchSize: 100,
+  async lookup() {
+    return { tweets: returned.map(latestTweet), notFound };
+  },
+});
+
+describe("refreshRecentEngagement", () => {
+  const ids = ["1", "2", "3", "4"];
+
+  test("deletes only the tweets the source reports gone", async () => {
+    const supabase = createSupabase({ tweets: ids.map(storedTweet) });
+    const result = await refreshRecentEngagement(supabase, {
+      source: lookupSource(["1", "2"], ["3"]),
+    });
+
+    expect(result).toMatchObject({ updated: 2, deleted: 1, missing: 1 });
+    const deleted = supabase.tables.tweets.filter((t) => t.deleted_at);
+    expect(deleted.map((t) => t.id)).toEqual(["3"]);
+    expect(supabase.tables.tweets[0].likes).toBe(5);
+  });
+
+  test("keeps every tweet when a short response leaves most out", async () => {
+    const supabase = createSupabase({ tweets: ids.map(storedTweet) });
+    const result = await refreshRecentEngagement(supabase, {
+      source: lookupSource(["1"], null),
+    });
+
+    expect(result).toMatchObject({ updated: 1, deleted: 0, missing: 3 });
+    expect(supabase.tables.tweets.every((t) => !t.deleted_at)).toBe(true);
+  });
+});
@@ -0,0 +1,102 @@
+const { allocateRewards, payoutToCsv } = require("../lib/rewards");
+
+const allocation = (rank, handle, name) => ({
+  rank,
+  userId: String(1000 + rank),
+  handle,
+  name,
+  address: null,
+  score: 10,
+  share: 0.5,
+  amount: "50.000000",
+});
+
+describe("payoutToCsv", () => {
+  test("keeps member text from running as a formula", () => {
+    const csv = payoutToCsv({
+      allocations: [
+        allocation(1, "@alice", '=HYPERLINK("https://evil.example","Claim")'),
+        allocation(2, "@bob", "+1-2"),
+        allocation(3, "@carol", "Carol"),
+      ],
+    });
+
+    expect(csv.trim().split("\n")).toEqual([
+      "rank,handle,name,address,score,share,amount",
+      `1,alice,"'=HYPERLINK(""https://evil.example"",""Claim"")",,10,0.5,50.000000`,
+      "2,bob,'+1-2,,10,0.5,50.000000",
+      "3,carol,Carol,,10,0.5,50.000000",
+    ]);
+  });
+});
+
+const member = (rank, score, extra = {}) => ({
+  rank,
+  userId: String(1000 + rank),
+  handle: `member${rank}`,
+  score,
+  flaggedTweets: 0,
+  ...extra,
+});
+
+const TIERS = [
+  { upTo: 3, share: 40 },
+  { upTo: 10, share: 30 },
+  { upTo: 50, share: 30 },
+];
+
+const amounts = ({ allocations }) =>
+  allocations.map(({ rank, amount }) => [rank, amount]);
+
+describe("allocateRewards", () => {
+  test("leaves the share of an empty tier unallocated", () => {
+    const result = allocateRewards(
+      [member(1, 90), member(2, 80), member(3, 70), member(4, 60)],
+      { pool: 1000, curve: "tiered", tiers: TIERS, decimals: 6 }
+    );
+
+    expect(amounts(result)).toEqual([
+      [1, "133.333334"],
+      [2, "133.333333"],
+      [3, "133.333333"],
+      [4, "300.000000"],
+    ]);
+    expect(result.unallocated).toBe("300.000000");
+  });
+
+  test("puts members in tiers by rank", () => {
+    // Rank 2 is flagged, so rank 4 is only the third member paid
+    const result = allocateRewards(
+      [
+        member(1, 90),
+        member(2, 80, { flaggedTweets: 1 }),
+        member(3, 70),
+        member(4, 60),
+      ],
+      { pool: 100, curve: "tiered", tiers: TIERS, decimals: 2 }
+    );
+
+    expect(amounts(result)).toEqual([
+      [1, "20.00"],
+      [3, "20.00"],
+      [4, "30.00"],
+    ]);
+    expect(result.unallocated).toBe("30.00");
+  });
+
+  test("never pays out more than the pool", () => {
+    // Floored in floating point these two come to one unit over the pool
+    const result = allocateRewards([member(1, 6.8), member(2, 5.9)], {
+      pool: 7275472701600258,
+      curve: "proportional",
+      decimals: 0,
+    });
+
+    const paid = result.allocations.reduce(
+      (acc, { amount }) => acc + Number(amount),
+      0
+    );
+    expect(paid).toBe(7275472701600258);
+    expect(result.unallocated).toBe("0");
+  });
+});
@@ -0,0 +1,157 @@
+const {
+  engagementRate,
+  sumCounts,
+  tweetsEngagementRate,
+} = require("../lib/engagement");
+const {
+  loadScoringConfig,
+  rankByScore,
+  scoreTweet,
+  scoreTweetGroups,
+  scoreTweets,
+} = require("../lib/scoring");
+
+// The default weights: 1 per like, 2 per retweet, 5 per post
+const config = (overrides) => loadScoringConfig(overrides);
+
+describe("scoreTweet", () => {
+  test("weights each count and adds the post itself", () => {
+    const { total, breakdown } = scoreTweet(
+      { likes: 10, retweets: 3, replies: 4 },
+      config()
+    );
+    expect(total).toBe(10 + 6 + 5);
+    expect(breakdown).toMatchObject({
+      likes: 10,
+      retweets: 6,
+      replies: 0,
+      posts: 5,
+      capped: 0,
+      flagged: 0,
+    });
+  });
+
+  test("caps a single tweet", () => {
+    const { total, breakdown } = scoreTweet(
+      { likes: 100 },
+      config({ caps: { perTweet: 50 } })
+    );
+    expect(total).toBe(50);
+    expect(breakdown.capped).toBe(-55);
+  });
+
+  test("applies the harshest weight of its flags", () => {
+    const scored = scoreTweet(
+      { likes: 15, flags: ["mention_heavy", "duplicate_burst"] },
+      config()
+    );
+    expect(scored.total).toBe(0);
+    expect(scored.breakdown.flagged).toBe(-20);
+
+    const halved = scoreTweet({ likes: 15, flags: ["new_account"] }, config());
+    expect(halved.total).toBe(10);
+  });
+
+  test("excludes tweets flagged for a reason without a weight", () => {
+    expect(scoreTweet({ likes: 15, flags: ["unknown"] }, config()).total).toBe(
+      0
+    );
+  });
+});
+
+describe("scoreTweets", () => {
+  const tweets = [
+    { likes: 10, date: "2025-10-14T09:00:00Z" },
+    { likes: 10, date: "2025-10-14T18:00:00Z" },
+    { likes: 10, date: "2025-10-15T09:00:00Z" },
+  ];
+
+  test("sums tweets and keeps the breakdown adding up", () => {
+    const { total, breakdown } = scoreTweets(tweets, config());
+    expect(total).toBe(45);
+    expect(breakdown.likes + breakdown.posts).toBe(total);
+  });
+
+  test("caps points per UTC day", () => {
+    const { total, breakdown } = scoreTweets(
+      tweets,
+      config({ caps: { perDay: 20 } })
+    );
+    expect(total).toBe(20 + 15);
+    expect(breakdown.capped).toBe(-10);
+  });
+});
+
+describe("scoreTweetGroups", () => {
+  test("comes to the same as scoring each tweet", () => {
+    const scoring = config({ caps: { perTweet: 40, perDay: 60 } });
+    const tweets = [
+      { likes: 50, retweets: 2, date: "2025-10-14T09:00:00Z" },
+      { likes: 10, date: "2025-10-14T18:00:00Z" },
+      { likes: 30, date: "2025-10-14T20:00:00Z", flags: ["new_account"] },
+      { likes: 10, views: 900, date: "2025-10-15T09:00:00Z" },
+    ];
+    // The same tweets summed per day and flag set, with what the per-tweet
+    // cap took off each group
+    const groups = [
+      { day: "2025-10-14", flags: [], tweets: 2, likes: 60, retweets: 2 },
+      { day: "2025-10-14", flags: ["new_account"], tweets: 1, likes: 30 },
+      { day: "2025-10-15", flags: [], tweets: 1, likes: 10, views: 900 },
+    ];
+    groups[0].capped = -19;
+
+    expect(scoreTweetGroups(groups, scoring)).toEqual(
+      scoreTweets(tweets, scoring)
+    );
+  });
+});
+
+test("rankByScore ranks from 1, best score first", () => {
+  const ranked = rankByScore([
+    { handle: "@a", score: 5 },
+    { handle: "@b", score: 50 },
+    { handle: "@c", score: 20 },
+  ]);
+  expect(ranked.map((m) => [m.handle, m.rank])).toEqual([
+    ["@b", 1],
+    ["@c", 2],
+    ["@a", 3],
+  ]);
+});
+
+describe("engagement", () => {
+  test("engagementRate is interactions per view", () => {
+    expect(
+      engagementRate({
+        likes: 30,
+        retweets: 5,
+        replies: 3,
+        quotes: 1,
+        bookmarks: 1,
+        views: 1000,
+      })
+    ).toBeCloseTo(0.04);
+    expect(engagementRate({ likes: 30, views: 0 })).toBeNull();
+  });
+
+  test("sumCounts treats missing counts as 0", () => {
+    expect(sumCounts([{ likes: 2, views: 10 }, { likes: 3 }])).toEqual({
+      likes: 5,
+      retweets: 0,
+      replies: 0,
+      quotes: 0,
+      views: 10,
+      bookmarks: 0,
+    });
+  });
+
+  test("tweetsEngagementRate leaves out tweets without views", () => {
+    expect(
+      tweetsEngagementRate([
+        { likes: 10, views: 100 },
+        { likes: 500, views: 0 },
+      ])
+    ).toBeCloseTo(0.1);
+    expect(tweetsEngagementRate([{ likes: 5 }])).toBeNull();
+  });
+});
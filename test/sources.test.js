@@ -0,0 +1,354 @@
+const path = require("path");
+const {
+  fetchCommunityTweets,
+  fetchTweetsByIds,
+  parseMaxPages,
+  parseSince,
+  sourceFromEnv,
+} = require("../lib/sources");
+const { createFixtureSource } = require("../lib/sources/fixtures");
+const twitterapi = require("../lib/sources/twitterapi");
+const xApi = require("../lib/sources/x-api");
+const fieldVariants = require("./fixtures/twitterapi/field-variants.json");
+const xSearchPage = require("./fixtures/x-api/search-page.json");
+
+const FIXTURES_DIR = path.join(__dirname, "../fixtures/twitterapi");
+
+describe("TwitterAPI.io payloads", () => {
+  const { tweets, nextCursor } = twitterapi.parsePage(fieldVariants);
+  const [camel, snake, plain] = tweets;
+
+  test("drops tweets without an author and keeps the cursor", () => {
+    expect(tweets.map((t) => t.id)).toEqual([
+      "1979000000000000001",
+      "1979000000000000002",
+      "123456789",
+    ]);
+    expect(nextCursor).toBe("DAACCgACGdy");
+  });
+
+  test("reads camelCase fields and the author object", () => {
+    expect(camel.text).toBe("TwitterAPI.io community feed shape");
+    expect(camel.createdAt.toISOString()).toBe("2025-10-15T10:00:00.000Z");
+    expect(camel.author).toEqual({
+      id: "2001",
+      handle: "camel_case",
+      name: "Camel Case",
+      avatarUrl: "https://pbs.twimg.com/profile_images/2001/camel.jpg",
+      createdAt: new Date("2021-03-01T09:00:00Z"),
+    });
+    expect(camel.counts).toEqual({
+      likes: 12,
+      retweets: 3,
+      replies: 2,
+      quotes: 1,
+      views: 980,
+      bookmarks: 4,
+    });
+    expect(camel.url).toBe(
+      "https://x.com/camel_case/status/1979000000000000001"
+    );
+  });
+
+  test("reads v1.1 fields under user_info, with views.count", () => {
+    expect(snake.text).toMatch(/^Classic v1.1 fields/);
+    expect(snake.author.id).toBe("2002");
+    expect(snake.author.handle).toBe("snake_case");
+    expect(snake.author.avatarUrl).toBe(
+      "https://pbs.twimg.com/profile_images/2002/snake.png"
+    );
+    expect(snake.counts).toEqual({
+      likes: 20,
+      retweets: 5,
+      replies: 1,
+      quotes: 0,
+      views: 1500,
+      bookmarks: 2,
+    });
+    expect(snake.url).toBe(
+      "https://x.com/snake_case/status/1979000000000000002"
+    );
+    expect(snake.urls).toEqual([
+      {
+        shortUrl: "https://t.co/LiNk000002",
+        url: "https://defi.app/vaults",
+        display: "defi.app/vaults",
+      },
+    ]);
+    expect(snake.media).toEqual([
+      {
+        type: "video",
+        url: "https://pbs.twimg.com/ext_tw_video_thumb/2/pu/img/thumb.jpg",
+        videoUrl:
+          "https://video.twimg.com/ext_tw_video/2/pu/vid/1280x720/high.mp4",
+        width: 1280,
+        height: 720,
+        alt: null,
+        shortUrl: "https://t.co/ViD0000002",
+      },
+    ]);
+  });
+
+  test("reads a plain user object, numeric ids and quoted tweets", () => {
+    expect(plain.id).toBe("123456789");
+    expect(plain.author.id).toBe("2003");
+    expect(plain.author.createdAt).toBeNull();
+    expect(plain.counts).toEqual({
+      likes: 7,
+      retweets: 0,
+      replies: 0,
+      quotes: 0,
+      views: 0,
+      bookmarks: 0,
+    });
+    expect(plain.quoted).toEqual({
+      id: "1978999999999999999",
+      url: "https://x.com/camel_case/status/1978999999999999999",
+      handle: "@camel_case",
+      name: "Camel Case",
+      text: "The quoted tweet",
+      media: [],
+      urls: [],
+    });
+  });
+
+  test("ends the feed when there is no next page", () => {
+    const page = twitterapi.parsePage({
+      tweets: [],
+      has_next_page: false,
+      next_cursor: "stale",
+    });
+    expect(page.nextCursor).toBe("");
+  });
+});
+
+describe("X API v2 payloads", () => {
+  const { tweets, nextCursor } = xApi.parsePage(xSearchPage);
+  const [tweet] = tweets;
+
+  test("joins authors from includes and drops the rest", () => {
+    expect(tweets).toHaveLength(1);
+    expect(nextCursor).toBe("b26v89c19zqg8o3fo7");
+    expect(tweet.author).toEqual({
+      id: "3001",
+      handle: "x_native",
+      name: "X Native",
+      avatarUrl: "https://pbs.twimg.com/profile_images/3001/native.jpg",
+      createdAt: new Date("2020-01-02T03:04:05.000Z"),
+    });
+  });
+
+  test("prefers note tweet text and maps public metrics", () => {
+    expect(tweet.text).toMatch(/^The full long-form text/);
+    expect(tweet.counts).toEqual({
+      likes: 30,
+      retweets: 6,
+      replies: 3,
+      quotes: 2,
+      views: 4200,
+      bookmarks: 5,
+    });
+  });
+
+  test("joins media and quoted tweets, keeping media out of the links", () => {
+    expect(tweet.media).toEqual([
+      {
+        type: "photo",
+        url: "https://pbs.twimg.com/media/XpHoTo.jpg",
+        videoUrl: null,
+        width: 1600,
+        height: 900,
+        alt: "A chart",
+        shortUrl: "https://t.co/XpHoTo0001",
+      },
+    ]);
+    expect(tweet.urls).toEqual([]);
+    expect(tweet.quoted).toMatchObject({
+      id: "1970000000000000000",
+      url: "https://x.com/quoted_author/status/1970000000000000000",
+      handle: "@quoted_author",
+      text: "Original take",
+    });
+  });
+
+  test("reads which looked-up tweets no longer exist", () => {
+    const errors = [
+      {
+        value: "1",
+        resource_id: "1",
+        resource_type: "tweet",
+        title: "Not Found Error",
+      },
+      {
+        value: "2",
+        resource_id: "2",
+        resource_type: "tweet",
+        title: "Authorization Error",
+      },
+    ];
+    expect(xApi.notFoundIds({ data: [], errors })).toEqual(["1"]);
+    expect(xApi.notFoundIds(xSearchPage)).toEqual([]);
+  });
+});
+
+describe("fixture source", () => {
+  const source = () =>
+    sourceFromEnv({ TWEET_SOURCE: "fixtures", FIXTURES_DIR });
+
+  test("replays every recorded page", async () => {
+    const result = await fetchCommunityTweets(source());
+    expect(result.pages).toBe(2);
+    expect(result.tweets).toHaveLength(7);
+    expect(result.nextCursor).toBe("");
+    expect(result.reachedCutoff).toBe(false);
+  });
+
+  test("stops at the page limit and leaves the cursor to resume from", async () => {
+    const first = await fetchCommunityTweets(source(), { maxPages: 1 });
+    expect(first.pages).toBe(1);
+    expect(first.nextCursor).toBe("002.json");
+
+    const rest = await fetchCommunityTweets(source(), {
+      cursor: first.nextCursor,
+    });
+    expect(rest.tweets.map((t) => t.id)).not.toContain(first.tweets[0].id);
+    expect(first.tweets.length + rest.tweets.length).toBe(7);
+  });
+
+  test("stops at the date cutoff", async () => {
+    const since = new Date("2025-10-14T00:00:00Z");
+    const result = await fetchCommunityTweets(source(), { since });
+    expect(result.reachedCutoff).toBe(true);
+    expect(result.tweets.every((t) => t.createdAt >= since)).toBe(true);
+  });
+
+  test("looks tweets up with recorded lookups winning over the feed", async () => {
+    const { tweets, notFoundIds, failedIds } = await fetchTweetsByIds(
+      source(),
+      ["1978000000000000008", "1"]
+    );
+    expect(tweets).toHaveLength(1);
+    expect(tweets[0].counts.likes).toBe(58);
+    expect(notFoundIds).toEqual(["1"]);
+    expect(failedIds).toEqual([]);
+  });
+});
+
+describe("lookups that don't say why a tweet is missing", () => {
+  const ids = ["1978000000000000008", "1978000000000000007", "1"];
+
+  // The fixture source answering like TwitterAPI.io, without `notFound`
+  function silentSource(returned) {
+    const source = createFixtureSource({ dir: FIXTURES_DIR });
+    return {
+      ...source,
+      async lookup(batch) {
+        const { tweets } = await source.lookup(batch);
+        return {
+          tweets: tweets.filter((t) => returned.includes(t.id)),
+          notFound: null,
+        };
+      },
+    };
+  }
+
+  test("count a few missing ids as deleted", async () => {
+    const result = await fetchTweetsByIds(silentSource(ids), ids);
+    expect(result.tweets).toHaveLength(2);
+    expect(result.notFoundIds).toEqual(["1"]);
+  });
+
+  test("delete nothing when most of a batch is missing", async () => {
+    const result = await fetchTweetsByIds(silentSource([ids[0]]), ids);
+    expect(result.tweets).toHaveLength(1);
+    expect(result.notFoundIds).toEqual([]);
+    expect(result.failedIds).toEqual([]);
+  });
+});
+
+describe("partial failures", () => {
+  const rateLimited = () =>
+    Object.assign(new Error("Request failed"), {
+      response: { status: 429, statusText: "Too Many Requests" },
+    });
+
+  // The fixture source, failing from the `failFrom`th call on
+  function failingSource(failFrom) {
+    const source = createFixtureSource({ dir: FIXTURES_DIR });
+    let calls = 0;
+    const fail = (method) => (arg) =>
+      ++calls >= failFrom ? Promise.reject(rateLimited()) : method(arg);
+    return {
+      ...source,
+      lookupBatchSize: 1,
+      fetchPage: fail(source.fetchPage),
+      lookup: fail(source.lookup),
+    };
+  }
+
+  test("keeps the pages read before a failure", async () => {
+    const result = await fetchCommunityTweets(failingSource(2));
+    expect(result.pages).toBe(1);
+    expect(result.tweets.length).toBeGreaterThan(0);
+    expect(result.complete).toBe(false);
+    expect(result.nextCursor).toBe("002.json");
+    expect(result.error).toBe("HTTP 429 Too Many Requests");
+  });
+
+  test("throws when the first page fails", async () => {
+    await expect(fetchCommunityTweets(failingSource(1))).rejects.toThrow(
+      "Request failed"
+    );
+  });
+
+  test("reports lookups it couldn't make", async () => {
+    const ids = ["1978000000000000008", "1978000000000000007", "1"];
+    const result = await fetchTweetsByIds(failingSource(2), ids);
+    expect(result.tweets).toHaveLength(1);
+    expect(result.failedIds).toEqual(ids.slice(1));
+    expect(result.error).toBe("HTTP 429 Too Many Requests");
+  });
+});
+
+describe("sourceFromEnv", () => {
+  test("defaults to TwitterAPI.io", () => {
+    const source = sourceFromEnv({ API_KEY: "key", COMMUNITY_ID: "1" });
+    expect(source.name).toBe("twitterapi");
+  });
+
+  test("names missing variables", () => {
+    expect(() => sourceFromEnv({ TWEET_SOURCE: "x" })).toThrow(
+      "Missing environment variables: X_BEARER_TOKEN, X_QUERY"
+    );
+  });
+
+  test("rejects invalid request limits", () => {
+    expect(() =>
+      sourceFromEnv({ API_KEY: "key", COMMUNITY_ID: "1", API_RETRIES: "x" })
+    ).toThrow('Invalid API_RETRIES: "x"');
+  });
+
+  test("rejects unknown sources", () => {
+    expect(() => sourceFromEnv({ TWEET_SOURCE: "rss" })).toThrow(
+      /Unknown tweet source "rss"/
+    );
+  });
+});
+
+describe("option parsing", () => {
+  test("parseMaxPages", () => {
+    expect(parseMaxPages(undefined)).toBe(10);
+    expect(parseMaxPages("3")).toBe(3);
+    expect(parseMaxPages("all")).toBe(Infinity);
+    expect(parseMaxPages("0")).toBe(Infinity);
+    expect(() => parseMaxPages("-1")).toThrow(/Invalid page limit/);
+  });
+
+  test("parseSince", () => {
+    expect(parseSince("")).toBeNull();
+    expect(parseSince("2025-01-01").toISOString()).toBe(
+      "2025-01-01T00:00:00.000Z"
+    );
+    expect(() => parseSince("soon")).toThrow(/Invalid date cutoff/);
+  });
+});
@@ -0,0 +1,213 @@
+const path = require("path");
+const { ALL_TIME, buildLeaderboard } = require("../lib/leaderboard");
+const { loadScoringConfig } = require("../lib/scoring");
+const { createFixtureSource } = require("../lib/sources/fixtures");
+const { storageFromEnv } = require("../lib/storage");
+const { createSqliteStorage } = require("../lib/storage/sqlite");
+const { runLoggedSync, runSync } = require("../lib/sync");
+const { createChallenge } = require("../lib/wallets");
+const { createSupabase } = require("./support/supabase");
+
+const FIXTURES_DIR = path.join(__dirname, "../fixtures/twitterapi");
+
+const options = { maxPages: Infinity, since: null, refreshDays: 0 };
+
+let storage;
+
+beforeEach(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  storage = createSqliteStorage({ file: ":memory:" });
+});
+
+afterEach(() => {
+  storage.close();
+  jest.restoreAllMocks();
+});
+
+describe("storageFromEnv", () => {
+  test("rejects an unknown backend", () => {
+    expect(() => storageFromEnv({ STORAGE: "mysql" })).toThrow(
+      'Unknown storage "mysql"'
+    );
+  });
+
+  test("needs Supabase configured by default", () => {
+    expect(() => storageFromEnv({})).toThrow("Missing Supabase configuration");
+  });
+
+  test("opens one SQLite connection per file", () => {
+    const env = { STORAGE: "sqlite", SQLITE_FILE: ":memory:" };
+    const first = storageFromEnv(env);
+    expect(first.name).toBe("sqlite");
+    expect(storageFromEnv(env)).toBe(first);
+  });
+});
+
+describe("SQLite storage", () => {
+  test("builds the same leaderboard as Supabase from a sync", async () => {
+    const supabase = createSupabase();
+    const source = createFixtureSource({ dir: FIXTURES_DIR });
+    const expected = await runSync(supabase, { source, ...options });
+    const stats = await runSync(storage, { source, ...options });
+
+    expect(stats).toMatchObject({
+      users: expected.users,
+      newTweets: expected.newTweets,
+      totalTweets: expected.totalTweets,
+      snapshot: expected.snapshot,
+    });
+    expect(await buildLeaderboard(storage)).toEqual(
+      await buildLeaderboard(supabase)
+    );
+  });
+
+  test("caps, flags and adjusts scores like Supabase", async () => {
+    const supabase = createSupabase();
+    const source = createFixtureSource({ dir: FIXTURES_DIR });
+    for (const store of [supabase, storage]) {
+      await runSync(store, { source, ...options });
+      const { data: tweets } = await store
+        .from("tweets")
+        .select("id, user_id, user_handle")
+        .order("id")
+        .limit(1);
+      const rows = {
+        tweet_flags: {
+          tweet_id: tweets[0].id,
+          user_id: tweets[0].user_id,
+          user_handle: tweets[0].user_handle,
+          reason: "new_account",
+        },
+        users: { id: "2001", handle: "dave", name: "Dave" },
+        score_adjustments: {
+          user_id: "2001",
+          handle: "dave",
+          points: 25,
+          reason: "AMA host",
+          created_by: "alice",
+          created_at: "2025-10-01T00:00:00.000Z",
+        },
+      };
+      for (const [table, row] of Object.entries(rows)) {
+        const { error } = await store.from(table).insert(row);
+        expect(error).toBeNull();
+      }
+    }
+    const scoring = loadScoringConfig({ caps: { perTweet: 20, perDay: 45 } });
+
+    const board = await buildLeaderboard(storage, ALL_TIME, scoring);
+    expect(board).toEqual(await buildLeaderboard(supabase, ALL_TIME, scoring));
+    expect(board.members.find((m) => m.handle === "@dave")).toMatchObject({
+      tweets: 0,
+      score: 25,
+    });
+    expect(board.members.some((m) => m.flaggedTweets === 1)).toBe(true);
+  });
+
+  test("logs sync runs", async () => {
+    const source = createFixtureSource({ dir: FIXTURES_DIR });
+    await runLoggedSync(storage, { source, ...options }, "cli");
+
+    const { data } = await storage.from("sync_runs").select("*");
+    expect(data).toEqual([
+      expect.objectContaining({
+        id: 1,
+        trigger: "cli",
+        status: "success",
+        stats: expect.objectContaining({ totalTweets: 7 }),
+      }),
+    ]);
+  });
+
+  test("round-trips JSON columns", async () => {
+    const media = [{ type: "photo", url: "https://pbs.twimg.com/1.jpg" }];
+    await storage.from("users").insert({ id: "1001", handle: "alice_defi" });
+    await storage.from("tweets").insert({
+      id: "1",
+      user_id: "1001",
+      user_handle: "alice_defi",
+      tweet_date: "2025-10-14T11:05:00.000Z",
+      media,
+    });
+
+    const { data } = await storage
+      .from("tweets")
+      .select("media, urls, quoted")
+      .eq("id", "1")
+      .single();
+    expect(data).toEqual({ media, urls: [], quoted: null });
+  });
+
+  test("returns only the inserted rows when ignoring duplicates", async () => {
+    const rows = [
+      { tweet_id: "1", user_handle: "alice_defi", reason: "velocity" },
+      { tweet_id: "2", user_handle: "alice_defi", reason: "velocity" },
+    ];
+    await storage.from("tweet_flags").insert(rows[0]);
+
+    const { data, error } = await storage
+      .from("tweet_flags")
+      .upsert(rows, { onConflict: "tweet_id,reason", ignoreDuplicates: true })
+      .select("tweet_id");
+    expect(error).toBeNull();
+    expect(data).toEqual([{ tweet_id: "2" }]);
+  });
+
+  test("reports unique violations with Postgres' code", async () => {
+    const payout = {
+      name: "October",
+      created_by: "ops",
+      pool: 100,
+      curve: "linear",
+      params: {},
+      allocations: [],
+    };
+    await storage.from("payouts").insert(payout);
+
+    const { error } = await storage.from("payouts").insert(payout);
+    expect(error.code).toBe("23505");
+  });
+
+  test("counts, filters and pages like supabase-js", async () => {
+    await storage.from("users").insert(
+      ["alice_defi", "bobbuilds", "carol"].map((handle, i) => ({
+        id: String(1001 + i),
+        handle,
+        total_likes: i,
+        banned_at: handle === "carol" ? "2025-10-01T00:00:00.000Z" : null,
+      }))
+    );
+
+    const { data, count } = await storage
+      .from("users")
+      .select("handle", { count: "exact" })
+      .is("banned_at", null)
+      .order("total_likes", { ascending: false })
+      .range(0, 0);
+    expect(data).toEqual([{ handle: "bobbuilds" }]);
+    expect(count).toBe(2);
+
+    const { error } = await storage.from("users").select("handle").single();
+    expect(error.message).toBe("Expected one row, got 3");
+  });
+
+  test("matches ilike patterns case-insensitively with escapes", async () => {
+    await storage.from("users").insert([
+      { id: "1001", handle: "alice_defi" },
+      { id: "1004", handle: "aliceXdefi" },
+    ]);
+
+    const { data } = await storage
+      .from("users")
+      .select("handle")
+      .ilike("handle", "ALICE\\_DEFI");
+    expect(data).toEqual([{ handle: "alice_defi" }]);
+
+    const challenge = await createChallenge(
+      storage,
+      "Alice_Defi",
+      "0x00000000000000000000000000000000000000aa"
+    );
+    expect(challenge.handle).toBe("alice_defi");
+  });
+});
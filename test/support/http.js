@@ -0,0 +1,34 @@
+// Minimal Vercel-style req/res pair for calling the api/ handlers directly
+
+function mockRequest({ method = "GET", query = {}, headers = {}, body } = {}) {
+  return { method, query, headers, body };
+}
+
+function mockResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    setHeader(name, value) {
+      this.headers[name] = value;
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    send(body) {
+      this.body = body;
+      return this;
+    },
+    end() {
+      return this;
+    },
+  };
+}
+
+module.exports = { mockRequest, mockResponse };
@@ -0,0 +1,2 @@
+// CSS imports under Jest
+module.exports = {};
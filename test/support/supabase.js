@@ -0,0 +1,384 @@
+// In-memory stand-in for the Supabase client. Tables are plain arrays of
+// rows keyed by name; the query builder covers the PostgREST calls lib/ and
+// api/ make, and the rpc() functions mirror the Postgres functions of
+// db/migrations/postgres (0013_user_ids.sql, 0016_merge_users.sql).
+//
+//   const supabase = createSupabase({ users: [...], tweets: [...] });
+//   await runSync(supabase, ...);
+//   supabase.tables.tweets  // rows after the run
+//
+// Inserted rows get an increasing `id` unless they bring one, plus any
+// column defaults passed as `defaults` ({ table: { column: value } }).
+
+const compare = (a, b) => (a > b ? 1 : a < b ? -1 : 0);
+
+// Reasons a tweet is flagged for, as leaderboard_members lists them
+const tweetFlags = (tables, tweetId) =>
+  (tables.tweet_flags || [])
+    .filter((f) => f.tweet_id === String(tweetId) && f.status !== "dismissed")
+    .map((f) => f.reason)
+    .sort()
+    .join(",");
+
+const inRange = (date, from, to) =>
+  (!from || date >= from) && (!to || date < to);
+
+const COUNTS = ["likes", "retweets", "replies", "quotes", "views", "bookmarks"];
+
+const RPCS = {
+  leaderboard_members(
+    tables,
+    { p_from, p_to, p_campaign, p_weights = {}, p_tweet_cap = null }
+  ) {
+    const tagged = (tweet) =>
+      (tables.campaign_tweets || []).some(
+        (c) => c.campaign_slug === p_campaign && c.tweet_id === String(tweet.id)
+      );
+    const users = new Map(
+      (tables.users || [])
+        .filter((user) => !user.banned_at)
+        .map((user) => [user.id, user])
+    );
+    const memberRow = (user, fields) => ({
+      user_id: user.id,
+      handle: user.handle,
+      name: user.name,
+      avatar: user.avatar,
+      day: null,
+      flags: "",
+      tweets: 0,
+      ...Object.fromEntries(COUNTS.map((count) => [count, 0])),
+      viewed_interactions: 0,
+      capped: 0,
+      adjustment: 0,
+      ...fields,
+    });
+
+    const groups = new Map();
+    for (const t of tables.tweets || []) {
+      const user = users.get(t.user_id);
+      if (
+        !user ||
+        t.deleted_at ||
+        !inRange(t.tweet_date, p_from, p_to) ||
+        (p_campaign && !tagged(t))
+      ) {
+        continue;
+      }
+      const day = new Date(t.tweet_date).toISOString().slice(0, 10);
+      const flags = tweetFlags(tables, t.id);
+      const key = [user.id, day, flags].join("|");
+      if (!groups.has(key)) groups.set(key, memberRow(user, { day, flags }));
+
+      const row = groups.get(key);
+      const counts = Object.fromEntries(COUNTS.map((c) => [c, t[c] || 0]));
+      row.tweets += 1;
+      for (const count of COUNTS) row[count] += counts[count];
+      if (counts.views > 0) {
+        row.viewed_interactions +=
+          counts.likes +
+          counts.retweets +
+          counts.replies +
+          counts.quotes +
+          counts.bookmarks;
+      }
+      if (p_tweet_cap != null) {
+        const points = ["likes", "retweets", "replies", "quotes", "views"]
+          .map((count) => counts[count] * (p_weights[count] || 0))
+          .reduce((acc, p) => acc + p, p_weights.posts || 0);
+        row.capped += Math.min(p_tweet_cap - points, 0);
+      }
+    }
+
+    const adjustments = new Map();
+    if (!p_campaign) {
+      for (const a of tables.score_adjustments || []) {
+        const user = users.get(a.user_id);
+        if (!user || !inRange(a.created_at, p_from, p_to)) continue;
+        if (!adjustments.has(user.id)) {
+          adjustments.set(user.id, memberRow(user, {}));
+        }
+        adjustments.get(user.id).adjustment += a.points;
+      }
+    }
+
+    return [...groups.values(), ...adjustments.values()];
+  },
+
+  recent_tweets(tables, { p_user_ids, p_limit = 5 }) {
+    return p_user_ids.flatMap((userId) =>
+      (tables.tweets || [])
+        .filter((t) => t.user_id === userId && !t.deleted_at)
+        .sort((a, b) => compare(b.tweet_date, a.tweet_date))
+        .slice(0, p_limit)
+    );
+  },
+
+  merge_users(tables, { p_from, p_into }) {
+    const users = tables.users || [];
+    const source = users.find((u) => u.id === p_from);
+    const target = users.find((u) => u.id === p_into);
+    if (!source || !target) {
+      throw new Error(`Can't merge member ${p_from} into ${p_into}`);
+    }
+
+    for (const table of [
+      "tweets",
+      "tweet_flags",
+      "score_adjustments",
+      "wallet_links",
+    ]) {
+      for (const row of tables[table] || []) {
+        if (row.user_id === p_from) row.user_id = p_into;
+      }
+    }
+
+    // Rows of p_from that p_into already has one of go, the rest move
+    const moveRows = (table, key) => {
+      if (!tables[table]) return;
+      const kept = new Set(
+        tables[table].filter((r) => r.user_id === p_into).map((r) => r[key])
+      );
+      tables[table] = tables[table].filter(
+        (r) => r.user_id !== p_from || !kept.has(r[key])
+      );
+      for (const row of tables[table]) {
+        if (row.user_id === p_from) row.user_id = p_into;
+      }
+    };
+    moveRows("rank_snapshots", "snapshot_at");
+    moveRows("user_handles", "handle");
+
+    if (source.banned_at && !target.banned_at) {
+      Object.assign(target, {
+        banned_at: source.banned_at,
+        ban_reason: source.ban_reason,
+      });
+    }
+    if (source.wallet_address && !target.wallet_address) {
+      Object.assign(target, {
+        wallet_address: source.wallet_address,
+        wallet_linked_at: source.wallet_linked_at,
+      });
+    }
+
+    tables.users = users.filter((u) => u !== source);
+    return [];
+  },
+};
+
+// `pattern` in SQL LIKE syntax (% and _, escaped with a backslash) as a
+// case-insensitive regex
+const likePattern = (pattern) =>
+  new RegExp(
+    "^" +
+      pattern.replace(/\\(.)|([%_])|(.)/gs, (match, escaped, wildcard, char) =>
+        wildcard
+          ? { "%": ".*", _: "." }[wildcard]
+          : (escaped || char).replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+      ) +
+      "$",
+    "is"
+  );
+
+class Query {
+  constructor(client, table, rows) {
+    this.client = client;
+    this.table = table;
+    this.fixedRows = rows;
+    this.action = "select";
+    this.filters = [];
+    this.orders = [];
+    this.returning = false;
+  }
+
+  rows() {
+    if (this.fixedRows) return this.fixedRows;
+    const { tables } = this.client;
+    if (!tables[this.table]) tables[this.table] = [];
+    return tables[this.table];
+  }
+
+  select(columns, { count } = {}) {
+    this.returning = true;
+    this.count = count;
+    return this;
+  }
+
+  insert(rows) {
+    this.action = "insert";
+    this.payload = [].concat(rows);
+    return this;
+  }
+
+  upsert(rows, { onConflict = "id", ignoreDuplicates = false } = {}) {
+    this.action = "upsert";
+    this.payload = [].concat(rows);
+    this.conflictKeys = onConflict.split(",");
+    this.ignoreDuplicates = ignoreDuplicates;
+    return this;
+  }
+
+  update(values) {
+    this.action = "update";
+    this.payload = values;
+    return this;
+  }
+
+  delete() {
+    this.action = "delete";
+    return this;
+  }
+
+  where(test) {
+    this.filters.push(test);
+    return this;
+  }
+
+  eq(column, value) {
+    return this.where((row) => row[column] === value);
+  }
+
+  neq(column, value) {
+    return this.where((row) => row[column] !== value);
+  }
+
+  gt(column, value) {
+    return this.where((row) => row[column] > value);
+  }
+
+  gte(column, value) {
+    return this.where((row) => row[column] >= value);
+  }
+
+  lt(column, value) {
+    return this.where((row) => row[column] < value);
+  }
+
+  lte(column, value) {
+    return this.where((row) => row[column] <= value);
+  }
+
+  in(column, values) {
+    return this.where((row) => values.includes(row[column]));
+  }
+
+  is(column, value) {
+    return this.where((row) => (row[column] ?? null) === value);
+  }
+
+  not(column, operator, value) {
+    if (operator !== "is") throw new Error(`not.${operator} is not supported`);
+    return this.where((row) => (row[column] ?? null) !== value);
+  }
+
+  ilike(column, pattern) {
+    const regex = likePattern(pattern);
+    return this.where((row) => regex.test(row[column] || ""));
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.orders.push({ column, ascending });
+    return this;
+  }
+
+  range(from, to) {
+    this.bounds = [from, to + 1];
+    return this;
+  }
+
+  limit(count) {
+    this.max = count;
+    return this;
+  }
+
+  single() {
+    this.singleRow = "single";
+    return this;
+  }
+
+  maybeSingle() {
+    this.singleRow = "maybe";
+    return this;
+  }
+
+  matches(row) {
+    return this.filters.every((test) => test(row));
+  }
+
+  newRow(values) {
+    const rows = this.rows();
+    const defaults = this.client.defaults[this.table] || {};
+    const row = { id: rows.length + 1, ...defaults, ...values };
+    rows.push(row);
+    return row;
+  }
+
+  execute() {
+    const rows = this.rows();
+    let result;
+
+    if (this.action === "insert") {
+      result = this.payload.map((values) => this.newRow(values));
+    } else if (this.action === "upsert") {
+      result = [];
+      for (const values of this.payload) {
+        const existing = rows.find((row) =>
+          this.conflictKeys.every((key) => row[key] === values[key])
+        );
+        if (!existing) result.push(this.newRow(values));
+        else if (!this.ignoreDuplicates) {
+          result.push(Object.assign(existing, values));
+        }
+      }
+    } else if (this.action === "update") {
+      result = rows.filter((row) => this.matches(row));
+      result.forEach((row) => Object.assign(row, this.payload));
+    } else if (this.action === "delete") {
+      result = rows.filter((row) => this.matches(row));
+      this.client.tables[this.table] = rows.filter((row) => !this.matches(row));
+    } else {
+      this.returning = true;
+      result = rows.filter((row) => this.matches(row));
+    }
+
+    if (!this.returning) return { data: null, error: null };
+
+    const count = result.length;
+    for (const { column, ascending } of [...this.orders].reverse()) {
+      result = [...result].sort(
+        (a, b) => compare(a[column], b[column]) * (ascending ? 1 : -1)
+      );
+    }
+    if (this.bounds) result = result.slice(...this.bounds);
+    if (this.max != null) result = result.slice(0, this.max);
+    result = result.map((row) => ({ ...row }));
+
+    if (this.singleRow) {
+      if (result.length === 0 && this.singleRow === "single") {
+        return { data: null, error: { message: "No rows found" } };
+      }
+      return { data: result[0] || null, error: null };
+    }
+    return { data: result, error: null, ...(this.count ? { count } : {}) };
+  }
+
+  then(resolve, reject) {
+    return new Promise((done) => done(this.execute())).then(resolve, reject);
+  }
+}
+
+function createSupabase(tables = {}, { defaults = {} } = {}) {
+  const client = {
+    tables,
+    defaults,
+    from: (table) => new Query(client, table),
+    rpc(name, args = {}) {
+      if (!RPCS[name]) throw new Error(`Unknown rpc "${name}"`);
+      return new Query(client, name, RPCS[name](tables, args));
+    },
+  };
+  return client;
+}
+
+module.exports = { createSupabase };
@@ -0,0 +1,364 @@
+const path = require("path");
+const { createFixtureSource } = require("../lib/sources/fixtures");
+const {
+  listSyncRuns,
+  readSyncStatus,
+  runLoggedSync,
+  runSync,
+} = require("../lib/sync");
+const { createSupabase } = require("./support/supabase");
+
+const FIXTURES_DIR = path.join(__dirname, "../fixtures/twitterapi");
+
+const options = { maxPages: Infinity, since: null, refreshDays: 0 };
+
+beforeEach(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("runSync", () => {
+  test("stores members and tweets from the source", async () => {
+    const supabase = createSupabase();
+    const source = createFixtureSource({ dir: FIXTURES_DIR });
+    const stats = await runSync(supabase, { source, ...options });
+
+    expect(stats).toMatchObject({
+      users: 3,
+      newTweets: 7,
+      totalTweets: 7,
+      pages: 2,
+      complete: true,
+      snapshot: 3,
+    });
+
+    const alice = supabase.tables.users.find((u) => u.handle === "alice_defi");
+    expect(alice).toMatchObject({
+      name: "Alice",
+      avatar: "https://pbs.twimg.com/profile_images/1001/alice.jpg",
+      account_created_at: "2021-03-01T09:00:00.000Z",
+    });
+
+    const tweet = supabase.tables.tweets.find(
+      (t) => t.id === "1978000000000000007"
+    );
+    expect(tweet).toMatchObject({
+      user_handle: "bobbuilds",
+      likes: 17,
+      retweets: 3,
+      replies: 2,
+      quotes: 1,
+      views: 1250,
+      bookmarks: 4,
+      tweet_date: "2025-10-14T11:05:00.000Z",
+      url: "https://x.com/bobbuilds/status/1978000000000000007",
+    });
+    expect(tweet.media).toHaveLength(1);
+    expect(tweet.urls[0].url).toBe("https://github.com/bobbuilds/defi-dash");
+  });
+
+  test("rebuilds member totals from the tweets table", async () => {
+    const supabase = createSupabase();
+    const source = createFixtureSource({ dir: FIXTURES_DIR });
+    await runSync(supabase, { source, ...options });
+
+    for (const user of supabase.tables.users) {
+      const tweets = supabase.tables.tweets.filter(
+        (t) => t.user_handle === user.handle
+      );
+      expect(user.total_tweets).toBe(tweets.length);
+      expect(user.total_likes).toBe(
+        tweets.reduce((acc, t) => acc + t.likes, 0)
+      );
+      expect(user.total_views).toBe(
+        tweets.reduce((acc, t) => acc + t.views, 0)
+      );
+    }
+  });
+
+  test("updates the counts of tweets it already has", async () => {
+    const supabase = createSupabase();
+    const source = createFixtureSource({ dir: FIXTURES_DIR });
+    await runSync(supabase, { source, ...options });
+    supabase.tables.tweets.forEach((t) => (t.likes = 0));
+
+    const stats = await runSync(supabase, {
+      source,
+      ...options,
+      since: new Date("2025-01-01T00:00:00Z"),
+    });
+    expect(stats.newTweets).toBe(0);
+    expect(supabase.tables.tweets).toHaveLength(7);
+    expect(supabase.tables.tweets.every((t) => t.likes > 0)).toBe(true);
+  });
+
+  test("advances the checkpoint only after reading every page", async () => {
+    const supabase = createSupabase();
+    const source = createFixtureSource({ dir: FIXTURES_DIR });
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+
+    const partial = await runSync(supabase, {
+      ...options,
+      source,
+      maxPages: 1,
+    });
+    expect(partial.complete).toBe(false);
+    expect(partial.checkpoint).toBeNull();
+
+    const full = await runSync(supabase, { source, ...options });
+    expect(full.complete).toBe(true);
+    expect(full.checkpoint).toBe("2025-10-14T15:20:00.000Z");
+  });
+
+  test("resumes a feed read that failed part way", async () => {
+    const supabase = createSupabase();
+    const source = createFixtureSource({ dir: FIXTURES_DIR });
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+
+    const failing = {
+      ...source,
+      fetchPage: (cursor) =>
+        cursor
+          ? Promise.reject(new Error("socket hang up"))
+          : source.fetchPage(),
+    };
+    const partial = await runSync(supabase, { ...options, source: failing });
+    expect(partial).toMatchObject({
+      pages: 1,
+      failedPages: 1,
+      complete: false,
+      checkpoint: null,
+      resumeCursor: "002.json",
+      errors: ["socket hang up"],
+    });
+    expect(supabase.tables.tweets.length).toBe(partial.totalTweets);
+
+    const resumed = await runSync(supabase, { source, ...options });
+    expect(resumed).toMatchObject({
+      resumed: true,
+      pages: 1,
+      complete: true,
+      resumeCursor: "",
+      checkpoint: "2025-10-14T15:20:00.000Z",
+      errors: [],
+    });
+    expect(supabase.tables.tweets).toHaveLength(7);
+    expect(supabase.tables.sync_state[0].resume_cursor).toBeNull();
+  });
+});
+
+describe("runLoggedSync", () => {
+  test("logs a successful run with its stats", async () => {
+    const supabase = createSupabase();
+    const source = createFixtureSource({ dir: FIXTURES_DIR });
+    const { runId, stats } = await runLoggedSync(
+      supabase,
+      { source, ...options },
+      "cron"
+    );
+
+    const run = supabase.tables.sync_runs.find((r) => r.id === runId);
+    expect(run).toMatchObject({
+      trigger: "cron",
+      status: "success",
+      stats,
+      tweets_fetched: 7,
+      new_tweets: 7,
+      users_touched: 3,
+      credits_used: null,
+    });
+    expect(run.finished_at).toEqual(expect.any(String));
+  });
+
+  test("logs a run with upstream errors as partial", async () => {
+    const supabase = createSupabase();
+    const source = createFixtureSource({ dir: FIXTURES_DIR });
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    const failing = {
+      ...source,
+      fetchPage: (cursor) =>
+        cursor
+          ? Promise.reject(new Error("socket hang up"))
+          : source.fetchPage(),
+    };
+
+    const { status } = await runLoggedSync(
+      supabase,
+      { ...options, source: failing },
+      "cron"
+    );
+    expect(status).toBe("partial");
+    expect(supabase.tables.sync_runs[0]).toMatchObject({
+      status: "partial",
+      error: "socket hang up",
+    });
+  });
+
+  test("logs a failed run and rethrows", async () => {
+    const supabase = createSupabase();
+    const source = {
+      name: "broken",
+      fetchPage: () => Promise.reject(new Error("rate limited")),
+    };
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    await expect(
+      runLoggedSync(supabase, { source, ...options }, "admin:alice")
+    ).rejects.toThrow("rate limited");
+    expect(supabase.tables.sync_runs[0]).toMatchObject({
+      trigger: "admin:alice",
+      status: "failed",
+      error: "rate limited",
+    });
+  });
+
+  test("counts the requests a failed run sent", async () => {
+    const supabase = createSupabase();
+    const http = { stats: { requests: 0, retries: 0, failures: 0 } };
+    const source = {
+      name: "broken",
+      http,
+      fetchPage: async () => {
+        http.stats.requests += 5;
+        throw new Error("rate limited");
+      },
+    };
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    await expect(
+      runLoggedSync(supabase, { source, ...options }, "cron")
+    ).rejects.toThrow("rate limited");
+    expect(supabase.tables.sync_runs[0].credits_used).toBe(5);
+  });
+});
+
+describe("readSyncStatus", () => {
+  const now = new Date("2025-10-15T12:00:00.000Z");
+  const hoursAgo = (hours) =>
+    new Date(now - hours * 60 * 60 * 1000).toISOString();
+  const run = (id, status, hours, fields = {}) => ({
+    id,
+    trigger: "cron",
+    status,
+    started_at: hoursAgo(hours + 0.1),
+    finished_at: status === "running" ? null : hoursAgo(hours),
+    ...fields,
+  });
+  const status = (runs) =>
+    readSyncStatus(createSupabase({ sync_runs: runs }), { now });
+
+  test("is ok after a recent successful sync", async () => {
+    const result = await status([
+      run(1, "success", 50),
+      run(2, "success", 3, {
+        tweets_fetched: 40,
+        new_tweets: 12,
+        users_touched: 9,
+        credits_used: 4,
+        stats: { errors: [] },
+      }),
+    ]);
+
+    expect(result).toEqual({
+      health: "ok",
+      lastSuccess: {
+        status: "success",
+        startedAt: hoursAgo(3.1),
+        finishedAt: hoursAgo(3),
+        tweetsFetched: 40,
+        newTweets: 12,
+        usersTouched: 9,
+        creditsUsed: 4,
+      },
+      lastRun: result.lastSuccess,
+      staleAfterHours: 72,
+    });
+  });
+
+  test("is degraded when the latest run failed", async () => {
+    const result = await status([
+      run(1, "success", 20),
+      run(2, "failed", 1, { error: "rate limited" }),
+    ]);
+
+    expect(result.health).toBe("degraded");
+    expect(result.lastSuccess.finishedAt).toBe(hoursAgo(20));
+    expect(result.lastRun).toMatchObject({ status: "failed" });
+    expect(result.lastRun.error).toBeUndefined();
+  });
+
+  test("ignores a run that is still going", async () => {
+    const result = await status([
+      run(1, "success", 20),
+      run(2, "running", 0, { started_at: hoursAgo(0.005) }),
+    ]);
+    expect(result.health).toBe("ok");
+    expect(result.lastRun.status).toBe("running");
+  });
+
+  test("counts a run killed before it finished as failed", async () => {
+    const result = await status([run(1, "success", 20), run(2, "running", 1)]);
+
+    expect(result.health).toBe("degraded");
+    expect(result.lastRun).toMatchObject({
+      status: "failed",
+      finishedAt: null,
+    });
+    expect(result.lastSuccess.finishedAt).toBe(hoursAgo(20));
+  });
+
+  test("is stale without a recent successful sync", async () => {
+    expect((await status([run(1, "partial", 80)])).health).toBe("stale");
+    expect(await status([])).toEqual({
+      health: "stale",
+      lastSuccess: null,
+      lastRun: null,
+      staleAfterHours: 72,
+    });
+  });
+});
+
+describe("listSyncRuns", () => {
+  test("marks runs left running past their time limit as failed", async () => {
+    const now = new Date("2025-10-15T12:00:00.000Z");
+    const minutesAgo = (minutes) =>
+      new Date(now - minutes * 60 * 1000).toISOString();
+    const supabase = createSupabase({
+      sync_runs: [
+        {
+          id: 1,
+          trigger: "cron",
+          status: "running",
+          started_at: minutesAgo(90),
+        },
+        { id: 2, trigger: "ci", status: "running", started_at: minutesAgo(80) },
+        {
+          id: 3,
+          trigger: "ci",
+          status: "running",
+          started_at: minutesAgo(600),
+        },
+        {
+          id: 4,
+          trigger: "cron",
+          status: "running",
+          started_at: minutesAgo(0),
+        },
+      ],
+    });
+
+    const runs = await listSyncRuns(supabase, 20, now);
+
+    expect(runs.map((r) => [r.id, r.status])).toEqual([
+      [4, "running"],
+      [2, "running"],
+      [1, "failed"],
+      [3, "failed"],
+    ]);
+    expect(runs[2].error).toBe("Stopped before it finished");
+    expect(supabase.tables.sync_runs[0].status).toBe("running");
+  });
+});
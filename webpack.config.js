@@ -1,3 +1,4 @@
+const fs = require('fs');
 const path = require('path');
 const HtmlWebpackPlugin = require('html-webpack-plugin');
 const CopyWebpackPlugin = require('copy-webpack-plugin');
@@ -14,12 +15,8 @@ module.exports = {
       {
         test: /\.(js|jsx)$/,
         exclude: /node_modules/,
-        use: {
-          loader: 'babel-loader',
-          options: {
-            presets: ['@babel/preset-env', '@babel/preset-react'],
-          },
-        },
+        // Presets live in babel.config.js, shared with the tests
+        use: 'babel-loader',
       },
       {
         test: /\.css$/,
@@ -56,8 +53,21 @@ module.exports = {
   devServer: {
     port: 3000,
     open: true,
+    // Client-side routes such as /u/:handle load the app too
+    historyApiFallback: true,
     static: {
       directory: path.join(__dirname, 'public'),
     },
+    // The API comes from `npm run dev:api` (scripts/dev-server.js); files
+    // in public/api such as users.json are still served from here
+    proxy: {
+      '/api': {
+        target: `http://localhost:${process.env.API_PORT || 3001}`,
+        bypass: (req) =>
+          fs.existsSync(path.join(__dirname, 'public', req.path))
+            ? req.path
+            : null,
+      },
+    },
   },
 };
\ No newline at end of file